@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { useAuth } from '../contexts/AuthContext';
+import { PIN_LENGTH } from '../services/appLockService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('AppLockOverlay');
+
+// Cobre o navegador enquanto o app está bloqueado, preservando o estado da navegação por baixo
+const AppLockOverlay = () => {
+  const { appLockSettings, unlockWithBiometrics, unlockWithPin, logout } = useAuth();
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    // Abrir o prompt biométrico automaticamente ao exibir o bloqueio
+    if (appLockSettings.biometricsEnabled) {
+      unlockWithBiometrics();
+    }
+  }, []);
+
+  const handleUnlock = async () => {
+    if (pin.length < PIN_LENGTH) {
+      setError(`Enter your ${PIN_LENGTH}-digit PIN`);
+      return;
+    }
+
+    try {
+      setVerifying(true);
+      setError('');
+      const result = await unlockWithPin(pin);
+
+      if (!result.valid) {
+        setPin('');
+        setError(
+          result.remainingAttempts > 0
+            ? `Incorrect PIN. ${result.remainingAttempts} attempt(s) left.`
+            : 'Too many attempts. Please sign in again.'
+        );
+      }
+    } catch (unlockError) {
+      logger.error('Erro ao desbloquear com PIN:', unlockError);
+      setError('Unable to verify PIN. Please try again.');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <View style={styles.content}>
+        <Icon name="lock-outline" size={56} color="#61aed0" />
+        <Text style={styles.title}>CXLUS is locked</Text>
+        <Text style={styles.subtitle}>Enter your PIN to continue</Text>
+
+        <TextInput
+          style={styles.pinInput}
+          value={pin}
+          onChangeText={text => setPin(text.replace(/\D/g, ''))}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={8}
+          autoFocus={!appLockSettings.biometricsEnabled}
+          onSubmitEditing={handleUnlock}
+          placeholder="PIN"
+          placeholderTextColor="#666666"
+        />
+
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+        <TouchableOpacity
+          style={[styles.unlockButton, verifying && styles.buttonDisabled]}
+          onPress={handleUnlock}
+          disabled={verifying}
+        >
+          {verifying ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.unlockButtonText}>Unlock</Text>
+          )}
+        </TouchableOpacity>
+
+        {appLockSettings.biometricsEnabled && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={unlockWithBiometrics}>
+            <Icon name="fingerprint" size={22} color="#61aed0" />
+            <Text style={styles.secondaryButtonText}>Use biometrics</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => logout()}>
+          <Text style={styles.logoutText}>Sign out</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#0a0a0a',
+    justifyContent: 'center',
+    zIndex: 1000,
+    elevation: 1000,
+  },
+  content: {
+    alignItems: 'center',
+    paddingHorizontal: 32,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginTop: 20,
+  },
+  subtitle: {
+    fontSize: 15,
+    color: '#999999',
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  pinInput: {
+    width: 200,
+    backgroundColor: '#151515',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    paddingVertical: 14,
+    color: '#FFFFFF',
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  unlockButton: {
+    width: 200,
+    backgroundColor: '#61aed0',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  unlockButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+    padding: 8,
+  },
+  secondaryButtonText: {
+    color: '#61aed0',
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  logoutText: {
+    color: '#999999',
+    fontSize: 14,
+  },
+});
+
+export default AppLockOverlay;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { BODY_REGIONS } from '../utils/symptomCatalogue';
+
+// Figura de 160x292; na vista de frente o lado direito do paciente fica à esquerda da tela
+const FIGURE_WIDTH = 160;
+const FIGURE_HEIGHT = 292;
+
+const SHAPES = {
+  HEAD: { left: 60, top: 0, width: 40, height: 40, borderRadius: 20 },
+  NECK: { left: 72, top: 41, width: 16, height: 10, borderRadius: 3 },
+  CHEST: { left: 50, top: 52, width: 60, height: 48, borderRadius: 10 },
+  ABDOMEN: { left: 50, top: 101, width: 60, height: 40, borderRadius: 6 },
+  PELVIS: { left: 50, top: 142, width: 60, height: 28, borderRadius: 10 },
+  UPPER_BACK: { left: 50, top: 52, width: 60, height: 68, borderRadius: 10 },
+  LOWER_BACK: { left: 50, top: 121, width: 60, height: 49, borderRadius: 10 },
+};
+
+const LIMB_SHAPES = {
+  ARM_NEAR: { left: 26, top: 54, width: 22, height: 90, borderRadius: 11 },
+  ARM_FAR: { left: 112, top: 54, width: 22, height: 90, borderRadius: 11 },
+  HAND_NEAR: { left: 25, top: 146, width: 24, height: 22, borderRadius: 11 },
+  HAND_FAR: { left: 111, top: 146, width: 24, height: 22, borderRadius: 11 },
+  LEG_NEAR: { left: 52, top: 172, width: 27, height: 100, borderRadius: 12 },
+  LEG_FAR: { left: 81, top: 172, width: 27, height: 100, borderRadius: 12 },
+  FOOT_NEAR: { left: 46, top: 274, width: 33, height: 18, borderRadius: 8 },
+  FOOT_FAR: { left: 81, top: 274, width: 33, height: 18, borderRadius: 8 },
+};
+
+// Na vista de costas os lados se invertem
+const getLimbShapes = (side) => {
+  const near = side === 'front' ? 'RIGHT' : 'LEFT';
+  const far = side === 'front' ? 'LEFT' : 'RIGHT';
+
+  return {
+    [`${near}_ARM`]: LIMB_SHAPES.ARM_NEAR,
+    [`${far}_ARM`]: LIMB_SHAPES.ARM_FAR,
+    [`${near}_HAND`]: LIMB_SHAPES.HAND_NEAR,
+    [`${far}_HAND`]: LIMB_SHAPES.HAND_FAR,
+    [`${near}_LEG`]: LIMB_SHAPES.LEG_NEAR,
+    [`${far}_LEG`]: LIMB_SHAPES.LEG_FAR,
+    [`${near}_FOOT`]: LIMB_SHAPES.FOOT_NEAR,
+    [`${far}_FOOT`]: LIMB_SHAPES.FOOT_FAR,
+  };
+};
+
+/**
+ * Mapa do corpo (frente e costas) para marcar onde o sintoma aparece
+ * selected é a lista de chaves de BODY_REGIONS; onToggle(region) marca ou desmarca
+ */
+const BodyMapSelector = ({ selected = [], onToggle, disabled }) => {
+  const [side, setSide] = useState('front');
+
+  const shapes = {
+    ...Object.fromEntries(
+      Object.entries(SHAPES).filter(([region]) => ['both', side].includes(BODY_REGIONS[region].side))
+    ),
+    ...getLimbShapes(side),
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.sideToggle}>
+        {['front', 'back'].map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.sideButton, side === option && styles.sideButtonActive]}
+            onPress={() => setSide(option)}
+          >
+            <Text style={[styles.sideButtonText, side === option && styles.sideButtonTextActive]}>
+              {option === 'front' ? 'Front' : 'Back'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.figure}>
+        {Object.entries(shapes).map(([region, shape]) => (
+          <TouchableOpacity
+            key={region}
+            style={[styles.region, shape, selected.includes(region) && styles.regionSelected]}
+            onPress={() => onToggle(region)}
+            disabled={disabled}
+            accessibilityLabel={BODY_REGIONS[region].label}
+          />
+        ))}
+      </View>
+
+      <TouchableOpacity
+        style={[styles.wholeBody, selected.includes('WHOLE_BODY') && styles.wholeBodySelected]}
+        onPress={() => onToggle('WHOLE_BODY')}
+        disabled={disabled}
+      >
+        <Text style={[styles.wholeBodyText, selected.includes('WHOLE_BODY') && styles.sideButtonTextActive]}>
+          {BODY_REGIONS.WHOLE_BODY.label}
+        </Text>
+      </TouchableOpacity>
+
+      <Text style={styles.selectedText}>
+        {selected.length > 0
+          ? selected.map(region => BODY_REGIONS[region]?.label || region).join(', ')
+          : 'Tap where you feel it'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  sideToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#0a0a0a',
+    borderRadius: 8,
+    padding: 2,
+    marginBottom: 12,
+  },
+  sideButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 6,
+  },
+  sideButtonActive: {
+    backgroundColor: '#0088FE',
+  },
+  sideButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#cccccc',
+  },
+  sideButtonTextActive: {
+    color: '#FFFFFF',
+  },
+  figure: {
+    width: FIGURE_WIDTH,
+    height: FIGURE_HEIGHT,
+  },
+  region: {
+    position: 'absolute',
+    backgroundColor: '#252525',
+    borderWidth: 1,
+    borderColor: '#3a3a3a',
+  },
+  regionSelected: {
+    backgroundColor: '#0088FE',
+    borderColor: '#0088FE',
+  },
+  wholeBody: {
+    marginTop: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#252525',
+  },
+  wholeBodySelected: {
+    backgroundColor: '#0088FE',
+    borderColor: '#0088FE',
+  },
+  wholeBodyText: {
+    fontSize: 13,
+    color: '#cccccc',
+  },
+  selectedText: {
+    fontSize: 13,
+    color: '#cccccc',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
+
+export default BodyMapSelector;
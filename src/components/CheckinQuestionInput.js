@@ -0,0 +1,545 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import * as ImagePicker from 'expo-image-picker';
+import TimeStepper from './TimeStepper';
+import {
+  CHECKIN_QUESTION_TYPES,
+  getQuestionOptions,
+  getScaleConfig,
+  getScaleValues,
+  getNumberFields,
+} from '../utils/checkinQuestions';
+import { toLocalDateKey } from '../utils/dateUtils';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('CheckinQuestionInput');
+
+const DEFAULT_TIME = '08:00';
+
+const fromDateKey = (dateKey) => new Date(`${dateKey}T12:00:00`);
+
+/**
+ * Campo de resposta de uma pergunta do check-in, conforme o tipo
+ * value segue parseAnswer (utils/checkinQuestions); onChange recebe o novo valor no mesmo formato
+ */
+const CheckinQuestionInput = ({ question, value, onChange, disabled = false }) => {
+  const renderText = () => (
+    <TextInput
+      style={styles.textInput}
+      value={value || ''}
+      onChangeText={onChange}
+      placeholder="Type your answer..."
+      placeholderTextColor="#94a3b8"
+      editable={!disabled}
+      multiline
+    />
+  );
+
+  const renderScale = () => {
+    const config = getScaleConfig(question);
+    const values = getScaleValues(config);
+    const range = config.max - config.min;
+    // Cor da borda pela posição na escala, como nos relatos de sintomas
+    const positionOf = (scaleValue) => (range > 0 ? (scaleValue - config.min) / range : 0);
+
+    return (
+      <View style={styles.scaleContainer}>
+        <Text style={styles.scaleDescription}>
+          {value !== '' && value !== undefined
+            ? `Selected level: ${value}/${config.max}`
+            : `Select a level from ${config.min} to ${config.max}`}
+        </Text>
+        <View style={styles.scaleLabels}>
+          <Text style={styles.scaleLabelText}>{config.minLabel}</Text>
+          <Text style={[styles.scaleLabelText, styles.scaleLabelRight]}>{config.maxLabel}</Text>
+        </View>
+        <View style={styles.scaleButtonsContainer}>
+          {values.map((scaleValue) => {
+            const position = positionOf(scaleValue);
+            const selected = value === String(scaleValue);
+
+            return (
+              <TouchableOpacity
+                key={scaleValue}
+                style={[
+                  styles.scaleButton,
+                  position <= 0.3 && styles.scaleButtonMild,
+                  position > 0.3 && position <= 0.6 && styles.scaleButtonModerate,
+                  position > 0.6 && position <= 0.8 && styles.scaleButtonSevere,
+                  position > 0.8 && styles.scaleButtonVerySevere,
+                  selected && styles.scaleButtonSelected,
+                ]}
+                onPress={() => onChange(String(scaleValue))}
+                disabled={disabled}
+              >
+                <Text style={[styles.scaleButtonText, selected && styles.scaleButtonTextSelected]}>
+                  {scaleValue}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    );
+  };
+
+  const renderYesNo = () => (
+    <View style={styles.yesNoContainer}>
+      {['Yes', 'No'].map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.yesNoButton, value === option && styles.optionButtonSelected]}
+          onPress={() => onChange(option)}
+          disabled={disabled}
+        >
+          <Text style={[styles.optionButtonText, value === option && styles.optionButtonTextSelected]}>
+            {option}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderChoices = (multiple) => {
+    const selectedValues = multiple ? (value || []) : [value];
+
+    const toggle = (optionValue) => {
+      if (!multiple) {
+        onChange(optionValue);
+        return;
+      }
+      onChange(selectedValues.includes(optionValue)
+        ? selectedValues.filter(item => item !== optionValue)
+        : [...selectedValues, optionValue]);
+    };
+
+    return (
+      <View style={styles.choicesContainer}>
+        {multiple && <Text style={styles.hint}>Select all that apply</Text>}
+        {getQuestionOptions(question).map((option) => {
+          const selected = selectedValues.includes(option.value);
+
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.optionButton, multiple && styles.optionButtonRow, selected && styles.optionButtonSelected]}
+              onPress={() => toggle(option.value)}
+              disabled={disabled}
+            >
+              {multiple && (
+                <Icon
+                  name={selected ? 'checkbox-marked' : 'checkbox-blank-outline'}
+                  size={20}
+                  color={selected ? '#FFFFFF' : '#cccccc'}
+                />
+              )}
+              <Text style={[styles.optionButtonText, selected && styles.optionButtonTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  };
+
+  const renderNumber = () => {
+    const fields = getNumberFields(question);
+
+    return (
+      <View style={styles.numberContainer}>
+        {fields.map((field) => (
+          <View key={field.key} style={styles.numberRow}>
+            {field.label && <Text style={styles.numberLabel}>{field.label}</Text>}
+            <View style={styles.numberInputRow}>
+              <TextInput
+                style={styles.numberInput}
+                value={value?.[field.key] ?? ''}
+                onChangeText={(text) => onChange({ ...value, [field.key]: text })}
+                placeholder={field.min !== null && field.max !== null ? `${field.min}–${field.max}` : '0'}
+                placeholderTextColor="#666666"
+                keyboardType={field.decimals > 0 ? 'decimal-pad' : 'number-pad'}
+                editable={!disabled}
+              />
+              {!!field.unit && <Text style={styles.numberUnit}>{field.unit}</Text>}
+            </View>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderDate = () => {
+    const todayKey = toLocalDateKey(new Date());
+
+    if (!value) {
+      return (
+        <TouchableOpacity style={styles.setButton} onPress={() => onChange(todayKey)} disabled={disabled}>
+          <Icon name="calendar" size={20} color="#0088FE" />
+          <Text style={styles.setButtonText}>Set date</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    const date = fromDateKey(value);
+    const shift = (days) => {
+      const next = new Date(date);
+      next.setDate(next.getDate() + days);
+      onChange(toLocalDateKey(next));
+    };
+    // Datas futuras só quando a pergunta permite (ex.: próxima consulta)
+    const canGoForward = question.allowFuture || value < todayKey;
+
+    return (
+      <View style={styles.dateRow}>
+        <TouchableOpacity style={styles.stepButton} onPress={() => shift(-1)} disabled={disabled}>
+          <Icon name="chevron-left" size={22} color="#FFFFFF" />
+        </TouchableOpacity>
+        <View style={styles.dateValue}>
+          <Text style={styles.dateText}>
+            {date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+          </Text>
+          {value === todayKey && <Text style={styles.hint}>Today</Text>}
+        </View>
+        <TouchableOpacity
+          style={[styles.stepButton, !canGoForward && styles.stepButtonDisabled]}
+          onPress={() => shift(1)}
+          disabled={disabled || !canGoForward}
+        >
+          <Icon name="chevron-right" size={22} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderTime = () => {
+    if (!value) {
+      return (
+        <TouchableOpacity
+          style={styles.setButton}
+          onPress={() => onChange(question.defaultTime || DEFAULT_TIME)}
+          disabled={disabled}
+        >
+          <Icon name="clock-outline" size={20} color="#0088FE" />
+          <Text style={styles.setButtonText}>Set time</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return <TimeStepper label="Time" value={value} onChange={onChange} step={15} disabled={disabled} />;
+  };
+
+  const pickPhoto = async (fromCamera) => {
+    try {
+      const permission = fromCamera
+        ? await ImagePicker.requestCameraPermissionsAsync()
+        : await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+      if (!permission.granted) {
+        Alert.alert('Permissão necessária', 'Permita o acesso nas configurações do aparelho para anexar a foto.');
+        return;
+      }
+
+      const pickerOptions = { mediaTypes: ['images'], quality: 0.7 };
+      const result = fromCamera
+        ? await ImagePicker.launchCameraAsync(pickerOptions)
+        : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+
+      if (result.canceled || !result.assets?.length) return;
+
+      const asset = result.assets[0];
+      // Foto local: enviada ao submeter o check-in (ver dailyCheckinService.uploadPhoto)
+      onChange({ uri: asset.uri, fileName: asset.fileName, mimeType: asset.mimeType });
+    } catch (error) {
+      logger.error('Erro ao selecionar foto:', error);
+      Alert.alert('Erro', 'Não foi possível abrir a câmera ou a galeria.');
+    }
+  };
+
+  const renderPhoto = () => {
+    const photoUri = value?.uri || value?.url;
+
+    return (
+      <View>
+        {photoUri ? (
+          <View style={styles.photoPreview}>
+            <Image source={{ uri: photoUri }} style={styles.photoImage} resizeMode="cover" />
+            {!disabled && (
+              <TouchableOpacity style={styles.photoRemove} onPress={() => onChange('')}>
+                <Icon name="close" size={18} color="#FFFFFF" />
+              </TouchableOpacity>
+            )}
+          </View>
+        ) : null}
+        {!disabled && (
+          <View style={styles.photoButtons}>
+            <TouchableOpacity style={styles.setButton} onPress={() => pickPhoto(true)}>
+              <Icon name="camera-outline" size={20} color="#0088FE" />
+              <Text style={styles.setButtonText}>{photoUri ? 'Retake' : 'Take photo'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.setButton} onPress={() => pickPhoto(false)}>
+              <Icon name="image-outline" size={20} color="#0088FE" />
+              <Text style={styles.setButtonText}>Gallery</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  switch (question.type) {
+    case CHECKIN_QUESTION_TYPES.TEXT:
+      return renderText();
+    case CHECKIN_QUESTION_TYPES.SCALE:
+      return renderScale();
+    case CHECKIN_QUESTION_TYPES.YES_NO:
+      return renderYesNo();
+    case CHECKIN_QUESTION_TYPES.MULTIPLE_CHOICE:
+      return renderChoices(false);
+    case CHECKIN_QUESTION_TYPES.MULTI_SELECT:
+      return renderChoices(true);
+    case CHECKIN_QUESTION_TYPES.NUMBER:
+      return renderNumber();
+    case CHECKIN_QUESTION_TYPES.DATE:
+      return renderDate();
+    case CHECKIN_QUESTION_TYPES.TIME:
+      return renderTime();
+    case CHECKIN_QUESTION_TYPES.PHOTO:
+      return renderPhoto();
+    default:
+      logger.warn('Tipo de pergunta não suportado', { type: question.type });
+      return renderText();
+  }
+};
+
+const styles = StyleSheet.create({
+  textInput: {
+    backgroundColor: '#0a0a0a',
+    color: '#ffffff',
+    padding: 16,
+    borderRadius: 12,
+    fontSize: 16,
+    minHeight: 100,
+    textAlignVertical: 'top',
+    borderWidth: 1,
+    borderColor: '#252525',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#94a3b8',
+  },
+  scaleContainer: {
+    width: '100%',
+    paddingVertical: 16,
+  },
+  scaleDescription: {
+    fontSize: 16,
+    color: '#ffffff',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  scaleLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 10,
+    marginBottom: 8,
+    gap: 16,
+  },
+  scaleLabelText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#cccccc',
+  },
+  scaleLabelRight: {
+    textAlign: 'right',
+  },
+  scaleButtonsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 6,
+  },
+  scaleButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#0a0a0a',
+    borderWidth: 1,
+    borderColor: '#252525',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scaleButtonSelected: {
+    backgroundColor: '#0088FE',
+    borderColor: '#0088FE',
+  },
+  scaleButtonMild: {
+    borderColor: '#10B981',
+  },
+  scaleButtonModerate: {
+    borderColor: '#FBBF24',
+  },
+  scaleButtonSevere: {
+    borderColor: '#F97316',
+  },
+  scaleButtonVerySevere: {
+    borderColor: '#EF4444',
+  },
+  scaleButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#cccccc',
+  },
+  scaleButtonTextSelected: {
+    color: '#FFFFFF',
+  },
+  yesNoContainer: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  yesNoButton: {
+    flex: 1,
+    padding: 16,
+    borderRadius: 12,
+    backgroundColor: '#0a0a0a',
+    borderWidth: 1,
+    borderColor: '#252525',
+    alignItems: 'center',
+  },
+  choicesContainer: {
+    gap: 12,
+  },
+  optionButton: {
+    padding: 16,
+    borderRadius: 12,
+    backgroundColor: '#0a0a0a',
+    borderWidth: 1,
+    borderColor: '#252525',
+    alignItems: 'center',
+  },
+  optionButtonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  optionButtonSelected: {
+    backgroundColor: '#0088FE',
+    borderColor: '#0088FE',
+  },
+  optionButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#cccccc',
+  },
+  optionButtonTextSelected: {
+    color: '#FFFFFF',
+  },
+  numberContainer: {
+    gap: 16,
+  },
+  numberRow: {
+    gap: 8,
+  },
+  numberLabel: {
+    fontSize: 14,
+    color: '#cccccc',
+  },
+  numberInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  numberInput: {
+    flex: 1,
+    backgroundColor: '#0a0a0a',
+    color: '#ffffff',
+    padding: 16,
+    borderRadius: 12,
+    fontSize: 20,
+    fontWeight: '600',
+    borderWidth: 1,
+    borderColor: '#252525',
+  },
+  numberUnit: {
+    minWidth: 48,
+    fontSize: 16,
+    color: '#cccccc',
+  },
+  setButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    backgroundColor: '#0a0a0a',
+    flex: 1,
+  },
+  setButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0088FE',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#252525',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepButtonDisabled: {
+    opacity: 0.3,
+  },
+  dateValue: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  dateText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  photoPreview: {
+    marginBottom: 12,
+  },
+  photoImage: {
+    width: '100%',
+    height: 220,
+    borderRadius: 12,
+    backgroundColor: '#0a0a0a',
+  },
+  photoRemove: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  photoButtons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+});
+
+export default CheckinQuestionInput;
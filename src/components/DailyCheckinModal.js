@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,16 +12,40 @@ import {
   Dimensions,
   KeyboardAvoidingView,
   Platform,
+  AppState,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import dailyCheckinService from '../services/dailyCheckinService';
+import checkinDraftService from '../services/checkinDraftService';
+import CheckinQuestionInput from './CheckinQuestionInput';
+import {
+  CHECKIN_QUESTION_TYPES,
+  parseAnswer,
+  serializeAnswer,
+  isQuestionAnswered,
+  validateAnswer,
+  getVisibleQuestions,
+} from '../utils/checkinQuestions';
+import { toLocalDateKey } from '../utils/dateUtils';
+import { QueuedRequestError } from '../utils/errorHandler';
 import { createLogger } from '../utils/logUtils';
 import LoadingSpinner from './LoadingSpinner';
 
 const logger = createLogger('DailyCheckinModal');
 const { width, height } = Dimensions.get('window');
 
-const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
+// Espera após a última resposta antes de gravar o rascunho (texto é salvo a cada tecla)
+const DRAFT_SAVE_DELAY_MS = 500;
+
+// Rótulo curto do dia preenchido pelo histórico (ex.: "Mon, Oct 13")
+const formatCheckinDate = (dateKey) => new Date(`${dateKey}T12:00:00`)
+  .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * date (YYYY-MM-DD) preenche ou edita um dia anterior, dentro da janela de edição do protocolo;
+ * sem date o check-in é o de hoje
+ */
+const DailyCheckinModal = ({ visible, onClose, protocolId, date = null, onComplete }) => {
   const [questions, setQuestions] = useState([]);
   const [responses, setResponses] = useState({});
   const [hasCheckinToday, setHasCheckinToday] = useState(false);
@@ -29,32 +53,54 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [error, setError] = useState('');
+  // Dia do check-in aberto (YYYY-MM-DD), chave do rascunho
+  const [checkinDay, setCheckinDay] = useState(null);
+  const [draftRestored, setDraftRestored] = useState(false);
+  // Só há rascunho depois que o paciente mexe em alguma resposta
+  const isDirty = useRef(false);
+  const latestDraft = useRef(null);
 
   useEffect(() => {
     if (visible && protocolId) {
       loadCheckinData();
     }
-  }, [visible, protocolId]);
+  }, [visible, protocolId, date]);
 
   const loadCheckinData = async () => {
     try {
       setIsLoading(true);
       setError('');
-      logger.debug('Carregando dados do check-in', { protocolId });
+      logger.debug('Carregando dados do check-in', { protocolId, date });
       
-      const data = await dailyCheckinService.getCheckinData(protocolId);
+      const data = await dailyCheckinService.getCheckinData(protocolId, date);
       
       // Sort questions by order
       const sortedQuestions = [...(data.questions || [])].sort((a, b) => a.order - b.order);
       
       setQuestions(sortedQuestions);
       setHasCheckinToday(data.hasCheckinToday);
-      setResponses(data.existingResponses || {});
-      setCurrentQuestionIndex(0);
+      // Respostas salvas vêm como texto; a tela usa o formato de cada tipo
+      const existing = data.existingResponses || {};
+      const savedResponses = Object.fromEntries(
+        sortedQuestions
+          .filter(question => existing[question.id] !== undefined)
+          .map(question => [question.id, parseAnswer(question, existing[question.id])])
+      );
+
+      // Rascunho do mesmo dia tem as respostas mais recentes do paciente
+      const day = date || data.date?.split('T')[0] || toLocalDateKey(new Date());
+      const draft = await checkinDraftService.getDraft(protocolId, day);
+
+      isDirty.current = false;
+      setCheckinDay(day);
+      setDraftRestored(!!draft);
+      setResponses(draft ? { ...savedResponses, ...draft.responses } : savedResponses);
+      setCurrentQuestionIndex(draft?.currentQuestionIndex || 0);
       
       logger.info('Dados do check-in carregados', { 
         questionsCount: sortedQuestions.length,
-        hasCheckinToday: data.hasCheckinToday 
+        hasCheckinToday: data.hasCheckinToday,
+        draftRestored: !!draft
       });
     } catch (error) {
       logger.error('Erro ao carregar dados do check-in:', error);
@@ -64,19 +110,82 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
     }
   };
 
+  latestDraft.current = { responses, currentQuestionIndex };
+
+  const saveDraft = () => {
+    if (!isDirty.current || !checkinDay) return;
+    checkinDraftService.saveDraft(protocolId, checkinDay, latestDraft.current);
+  };
+
+  useEffect(() => {
+    if (!isDirty.current) return undefined;
+
+    const timer = setTimeout(saveDraft, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [responses, currentQuestionIndex]);
+
+  // O sistema pode encerrar o app em segundo plano: gravar já, sem esperar o atraso
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') saveDraft();
+    });
+
+    return () => subscription.remove();
+  }, [protocolId, checkinDay]);
+
+  const clearDraft = async () => {
+    isDirty.current = false;
+    setDraftRestored(false);
+    if (checkinDay) await checkinDraftService.clearDraft(protocolId, checkinDay);
+  };
+
+  const discardDraft = async () => {
+    await clearDraft();
+    loadCheckinData();
+  };
+
   const handleResponseChange = (questionId, answer) => {
+    isDirty.current = true;
     setResponses(prev => ({
       ...prev,
       [questionId]: answer
     }));
   };
 
+  // Perguntas de acompanhamento entram e saem conforme as respostas anteriores
+  const visibleQuestions = getVisibleQuestions(questions, responses);
+  const currentQuestion = visibleQuestions[Math.min(currentQuestionIndex, visibleQuestions.length - 1)];
+  const isLastQuestion = currentQuestionIndex >= visibleQuestions.length - 1;
+  const currentValidationError = currentQuestion ? validateAnswer(currentQuestion, responses[currentQuestion.id]) : null;
+
+  // Resposta alterada escondeu perguntas seguintes: não ficar além da última visível
+  useEffect(() => {
+    if (visibleQuestions.length > 0 && currentQuestionIndex > visibleQuestions.length - 1) {
+      setCurrentQuestionIndex(visibleQuestions.length - 1);
+    }
+  }, [visibleQuestions.length]);
+
   const canProceedToNext = () => {
-    const currentQuestion = questions[currentQuestionIndex];
     if (!currentQuestion) return false;
-    
-    const hasResponse = responses[currentQuestion.id];
-    return !currentQuestion.isRequired || (hasResponse && hasResponse.trim() !== '');
+    if (currentValidationError) return false;
+
+    return !currentQuestion.isRequired || isQuestionAnswered(currentQuestion, responses[currentQuestion.id]);
+  };
+
+  // Fotos ainda locais são enviadas antes das respostas; a resposta da pergunta passa a ser a URL
+  const uploadPendingPhotos = async (questionsToSubmit) => {
+    const uploaded = { ...responses };
+
+    for (const question of questionsToSubmit) {
+      const photo = uploaded[question.id];
+      if (question.type !== CHECKIN_QUESTION_TYPES.PHOTO || !photo?.uri || photo.url) continue;
+
+      const fileUrl = await dailyCheckinService.uploadPhoto(protocolId, question.id, photo);
+      uploaded[question.id] = { ...photo, url: fileUrl };
+    }
+
+    setResponses(uploaded);
+    return uploaded;
   };
 
   const handleSubmit = async () => {
@@ -84,27 +193,46 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
       setIsSubmitting(true);
       setError('');
 
-      // Validar respostas obrigatórias
-      const requiredQuestions = questions.filter(q => q.isRequired);
-      const missingResponses = requiredQuestions.filter(q => !responses[q.id]);
+      // Validar respostas obrigatórias (só das perguntas visíveis)
+      const missingResponses = visibleQuestions.filter(q => q.isRequired && !isQuestionAnswered(q, responses[q.id]));
       
       if (missingResponses.length > 0) {
         setError('Please answer all required questions');
         return;
       }
 
-      // Preparar dados para envio
-      const submitData = Object.entries(responses).map(([questionId, answer]) => ({
-        questionId,
-        answer: answer.toString() // Garantir que a resposta seja string
+      const invalidQuestion = visibleQuestions.find(q => validateAnswer(q, responses[q.id]));
+      if (invalidQuestion) {
+        setError(validateAnswer(invalidQuestion, responses[invalidQuestion.id]));
+        return;
+      }
+
+      const answeredQuestions = visibleQuestions.filter(q => isQuestionAnswered(q, responses[q.id]));
+
+      let submitResponses;
+      try {
+        submitResponses = await uploadPendingPhotos(answeredQuestions);
+      } catch (uploadError) {
+        setError('Could not upload the photo. Check your connection and try again.');
+        return;
+      }
+
+      // Preparar dados para envio (respostas de perguntas escondidas ficam de fora)
+      const submitData = answeredQuestions.map(question => ({
+        questionId: question.id,
+        answer: serializeAnswer(question, submitResponses[question.id])
       }));
 
       logger.debug('Submetendo check-in', { 
         protocolId, 
+        date,
         responsesCount: submitData.length 
       });
 
-      const result = await dailyCheckinService.submitCheckin(protocolId, submitData);
+      const result = await dailyCheckinService.submitCheckin(protocolId, submitData, {
+        date,
+        queue: { source: date ? 'CheckinHistoryScreen' : 'ProtocolScreen', meta: { protocolId, date } }
+      });
       
       if (result.success) {
         logger.info('Check-in submetido com sucesso', {
@@ -112,12 +240,22 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
           responsesCount: result.responses?.length
         });
         
+        await clearDraft();
         onComplete?.(result.message || 'Check-in completed successfully!');
         onClose();
       } else {
         throw new Error(result.message || 'Failed to submit check-in');
       }
     } catch (error) {
+      if (error instanceof QueuedRequestError) {
+        logger.info('Check-in salvo na fila offline', { protocolId, date });
+        // A fila guarda as respostas; o rascunho já não é necessário
+        await clearDraft();
+        onComplete?.(error.message, { queued: true });
+        onClose();
+        return;
+      }
+
       logger.error('Erro ao submeter check-in:', error);
       setError(error.message || 'Failed to submit check-in. Please try again.');
     } finally {
@@ -125,110 +263,13 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
     }
   };
 
-  const renderQuestion = (question) => {
-    const response = responses[question.id] || '';
-
-    switch (question.type) {
-      case 'TEXT':
-        return (
-          <TextInput
-            style={styles.textInput}
-            value={response}
-            onChangeText={(text) => handleResponseChange(question.id, text)}
-            placeholder="Type your answer..."
-            placeholderTextColor="#94a3b8"
-            multiline
-          />
-        );
-
-      case 'SCALE':
-        const maxScale = question.question.includes('1 = not challenging, 5 = very challenging') ? 5 : 10;
-        return (
-          <View style={styles.scaleContainer}>
-            <Text style={styles.scaleDescription}>
-              {response ? `Selected level: ${response}/${maxScale}` : `Select a level from 1 to ${maxScale}`}
-            </Text>
-            <View style={styles.scaleLabels}>
-              <Text style={styles.scaleLabelText}>Low</Text>
-              <Text style={styles.scaleLabelText}>High</Text>
-            </View>
-            <View style={styles.scaleButtonsContainer}>
-              {Array.from({ length: maxScale }, (_, i) => i + 1).map((value) => (
-                <TouchableOpacity
-                  key={value}
-                  style={[
-                    styles.scaleButton,
-                    response === value.toString() && styles.scaleButtonSelected,
-                    value <= maxScale * 0.3 && styles.scaleButtonMild,
-                    value > maxScale * 0.3 && value <= maxScale * 0.6 && styles.scaleButtonModerate,
-                    value > maxScale * 0.6 && value <= maxScale * 0.8 && styles.scaleButtonSevere,
-                    value > maxScale * 0.8 && styles.scaleButtonVerySevere,
-                  ]}
-                  onPress={() => handleResponseChange(question.id, value.toString())}
-                >
-                  <Text style={[
-                    styles.scaleButtonText,
-                    response === value.toString() && styles.scaleButtonTextSelected
-                  ]}>
-                    {value}
-                  </Text>
-                </TouchableOpacity>
-              ))}
-            </View>
-          </View>
-        );
-
-      case 'YES_NO':
-        return (
-          <View style={styles.yesNoContainer}>
-            {['Yes', 'No'].map((option) => (
-              <TouchableOpacity
-                key={option}
-                style={[
-                  styles.yesNoButton,
-                  response === option && styles.yesNoButtonSelected
-                ]}
-                onPress={() => handleResponseChange(question.id, option)}
-              >
-                <Text style={[
-                  styles.yesNoButtonText,
-                  response === option && styles.yesNoButtonTextSelected
-                ]}>
-                  {option}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </View>
-        );
-
-      case 'MULTIPLE_CHOICE':
-        const options = question.options ? question.options.split(',').map(opt => opt.trim()) : [];
-        return (
-          <View style={styles.multipleChoiceContainer}>
-            {options.map((option, index) => (
-              <TouchableOpacity
-                key={index}
-                style={[
-                  styles.multipleChoiceButton,
-                  response === option && styles.multipleChoiceButtonSelected
-                ]}
-                onPress={() => handleResponseChange(question.id, option)}
-              >
-                <Text style={[
-                  styles.multipleChoiceButtonText,
-                  response === option && styles.multipleChoiceButtonTextSelected
-                ]}>
-                  {option}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </View>
-        );
-
-      default:
-        return null;
-    }
-  };
+  const renderQuestion = (question) => (
+    <CheckinQuestionInput
+      question={question}
+      value={responses[question.id] ?? parseAnswer(question, '')}
+      onChange={(answer) => handleResponseChange(question.id, answer)}
+    />
+  );
 
   if (!visible) return null;
 
@@ -247,7 +288,9 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
           {/* Header */}
           <View style={styles.header}>
             <Text style={styles.title}>
-              {hasCheckinToday ? 'Edit Check-in' : 'Daily Check-in'}
+              {date
+                ? `${hasCheckinToday ? 'Edit' : 'Fill in'} • ${formatCheckinDate(date)}`
+                : hasCheckinToday ? 'Edit Check-in' : 'Daily Check-in'}
             </Text>
             <TouchableOpacity onPress={onClose} style={styles.closeButton}>
               <Icon name="close" size={24} color="#cccccc" />
@@ -266,19 +309,29 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
             </View>
           ) : (
             <>
+              {draftRestored && (
+                <View style={styles.draftBanner}>
+                  <Icon name="content-save-outline" size={18} color="#0088FE" />
+                  <Text style={styles.draftBannerText}>Your unsent answers were restored.</Text>
+                  <TouchableOpacity onPress={discardDraft} disabled={isSubmitting}>
+                    <Text style={styles.draftBannerAction}>Discard</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+
               {/* Progress */}
-              {questions.length > 1 && (
+              {visibleQuestions.length > 1 && (
                 <View style={styles.progressContainer}>
                   <View style={styles.progressBar}>
                     <View 
                       style={[
                         styles.progressFill,
-                        { width: `${((currentQuestionIndex + 1) / questions.length) * 100}%` }
+                        { width: `${((currentQuestionIndex + 1) / visibleQuestions.length) * 100}%` }
                       ]}
                     />
                   </View>
                   <Text style={styles.progressText}>
-                    {currentQuestionIndex + 1} of {questions.length}
+                    {currentQuestionIndex + 1} of {visibleQuestions.length}
                   </Text>
                 </View>
               )}
@@ -292,15 +345,25 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
               >
                 <View style={styles.questionContainer}>
                   <Text style={styles.questionText}>
-                    {questions[currentQuestionIndex]?.question}
-                    {questions[currentQuestionIndex]?.isRequired && (
+                    {currentQuestion?.question}
+                    {currentQuestion?.isRequired && (
                       <Text style={styles.required}> *</Text>
                     )}
                   </Text>
+                  {!!currentQuestion?.description && (
+                    <Text style={styles.questionDescription}>{currentQuestion.description}</Text>
+                  )}
                   
-                  {renderQuestion(questions[currentQuestionIndex])}
+                  {currentQuestion && renderQuestion(currentQuestion)}
                 </View>
 
+                {currentValidationError ? (
+                  <View style={styles.errorContainer}>
+                    <Icon name="alert-circle" size={20} color="#EF4444" />
+                    <Text style={styles.errorText}>{currentValidationError}</Text>
+                  </View>
+                ) : null}
+
                 {error ? (
                   <View style={styles.errorContainer}>
                     <Icon name="alert-circle" size={20} color="#EF4444" />
@@ -327,7 +390,7 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
                   </Text>
                 </TouchableOpacity>
 
-                {currentQuestionIndex === questions.length - 1 ? (
+                {isLastQuestion ? (
                   <TouchableOpacity
                     style={[
                       styles.submitButton,
@@ -350,7 +413,7 @@ const DailyCheckinModal = ({ visible, onClose, protocolId, onComplete }) => {
                       styles.nextButton,
                       !canProceedToNext() && styles.nextButtonDisabled
                     ]}
-                    onPress={() => setCurrentQuestionIndex(prev => Math.min(questions.length - 1, prev + 1))}
+                    onPress={() => setCurrentQuestionIndex(prev => Math.min(visibleQuestions.length - 1, prev + 1))}
                     disabled={!canProceedToNext()}
                   >
                     <Text style={[
@@ -423,6 +486,27 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 16,
   },
+  draftBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 16,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0, 136, 254, 0.1)',
+  },
+  draftBannerText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#cccccc',
+    marginLeft: 8,
+  },
+  draftBannerAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0088FE',
+    marginLeft: 8,
+  },
   progressContainer: {
     paddingHorizontal: 20,
     paddingVertical: 16,
@@ -465,124 +549,12 @@ const styles = StyleSheet.create({
   required: {
     color: '#EF4444',
   },
-  textInput: {
-    backgroundColor: '#0a0a0a',
-    color: '#ffffff',
-    padding: 16,
-    borderRadius: 12,
-    fontSize: 16,
-    minHeight: 100,
-    textAlignVertical: 'top',
-    borderWidth: 1,
-    borderColor: '#252525',
-  },
-  scaleContainer: {
-    width: '100%',
-    paddingVertical: 16,
-  },
-  scaleDescription: {
-    fontSize: 16,
-    color: '#ffffff',
-    textAlign: 'center',
-    marginBottom: 16,
-  },
-  scaleLabels: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    paddingHorizontal: 10,
-    marginBottom: 8,
-  },
-  scaleLabelText: {
+  questionDescription: {
     fontSize: 14,
     color: '#cccccc',
-  },
-  scaleButtonsContainer: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    gap: 6,
-  },
-  scaleButton: {
-    width: 32,
-    height: 32,
-    borderRadius: 16,
-    backgroundColor: '#0a0a0a',
-    borderWidth: 1,
-    borderColor: '#252525',
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
-  scaleButtonSelected: {
-    backgroundColor: '#0088FE',
-    borderColor: '#0088FE',
-  },
-  scaleButtonMild: {
-    borderColor: '#10B981',
-  },
-  scaleButtonModerate: {
-    borderColor: '#FBBF24',
-  },
-  scaleButtonSevere: {
-    borderColor: '#F97316',
-  },
-  scaleButtonVerySevere: {
-    borderColor: '#EF4444',
-  },
-  scaleButtonText: {
-    fontSize: 14,
-    fontWeight: '600',
-    color: '#cccccc',
-  },
-  scaleButtonTextSelected: {
-    color: '#FFFFFF',
-  },
-  yesNoContainer: {
-    flexDirection: 'row',
-    gap: 12,
-  },
-  yesNoButton: {
-    flex: 1,
-    padding: 16,
-    borderRadius: 12,
-    backgroundColor: '#0a0a0a',
-    borderWidth: 1,
-    borderColor: '#252525',
-    alignItems: 'center',
-  },
-  yesNoButtonSelected: {
-    backgroundColor: '#0088FE',
-    borderColor: '#0088FE',
-  },
-  yesNoButtonText: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#cccccc',
-  },
-  yesNoButtonTextSelected: {
-    color: '#FFFFFF',
-  },
-  multipleChoiceContainer: {
-    gap: 12,
-  },
-  multipleChoiceButton: {
-    padding: 16,
-    borderRadius: 12,
-    backgroundColor: '#0a0a0a',
-    borderWidth: 1,
-    borderColor: '#252525',
-    alignItems: 'center',
-  },
-  multipleChoiceButtonSelected: {
-    backgroundColor: '#0088FE',
-    borderColor: '#0088FE',
-  },
-  multipleChoiceButtonText: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#cccccc',
-  },
-  multipleChoiceButtonTextSelected: {
-    color: '#FFFFFF',
+    marginTop: -12,
+    marginBottom: 20,
+    lineHeight: 20,
   },
   errorContainer: {
     flexDirection: 'row',
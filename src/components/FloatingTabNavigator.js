@@ -2,12 +2,14 @@ import React from 'react';
 import {
   StyleSheet,
   View,
+  Text,
   TouchableOpacity,
   Dimensions,
   Platform,
 } from 'react-native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { useNotifications } from '../contexts/NotificationContext';
 
 // Importar as telas
 import HomeScreen from '../screens/HomeScreen';
@@ -19,6 +21,9 @@ const { width, height } = Dimensions.get('window');
 
 // Componente customizado para o tab bar
 const CustomTabBar = ({ state, descriptors, navigation }) => {
+  // Notificações não lidas da caixa de entrada aparecem no ícone da Home
+  const { unreadCount } = useNotifications();
+
   return (
     <View style={styles.container}>
       <View style={styles.tabBar}>
@@ -57,11 +62,18 @@ const CustomTabBar = ({ state, descriptors, navigation }) => {
               onLongPress={onLongPress}
               activeOpacity={0.8}
             >
-              <Icon
-                name={isFocused ? tab.activeIcon : tab.icon}
-                size={20}
-                color={isFocused ? '#60a5fa' : '#94a3b8'}
-              />
+              <View>
+                <Icon
+                  name={isFocused ? tab.activeIcon : tab.icon}
+                  size={20}
+                  color={isFocused ? '#60a5fa' : '#94a3b8'}
+                />
+                {tab.showsUnreadBadge && unreadCount > 0 && (
+                  <View style={styles.badge}>
+                    <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+                  </View>
+                )}
+              </View>
             </TouchableOpacity>
           );
         })}
@@ -76,6 +88,7 @@ const tabs = [
     icon: 'home-outline',
     route: 'MainApp',
     activeIcon: 'home',
+    showsUnreadBadge: true,
   },
   {
     name: 'Protocols',
@@ -165,6 +178,23 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(96, 165, 250, 0.4)',
   },
+  badge: {
+    position: 'absolute',
+    top: -6,
+    right: -12,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    backgroundColor: '#EF4444',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  badgeText: {
+    color: '#FFFFFF',
+    fontSize: 9,
+    fontWeight: '700',
+  },
 });
 
 export default FloatingTabNavigator; 
\ No newline at end of file
@@ -0,0 +1,414 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  Dimensions,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import habitService, { HABIT_CATEGORY_COLORS } from '../services/habitService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('HabitCategoriesModal');
+const { height } = Dimensions.get('window');
+
+const EMPTY_FORM = { id: null, name: '', color: HABIT_CATEGORY_COLORS[0] };
+
+/**
+ * Gerenciar as categorias de hábitos: criar, renomear, recolorir, reordenar e apagar
+ * onCategoriesChange(categories) recebe a lista já na nova ordem; onHabitsChange() avisa que
+ * hábitos mudaram de categoria (categorias padrão criadas na API)
+ */
+const HabitCategoriesModal = ({ visible, categories, habits, onClose, onCategoriesChange, onHabitsChange }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) setForm(EMPTY_FORM);
+  }, [visible]);
+
+  const getHabitCount = (categoryId) => habits.filter(habit => habit.category === categoryId).length;
+
+  // Id local de uma categoria padrão vira o id criado na API
+  const getSavedId = (savedIds, categoryId) => savedIds[categoryId] ?? categoryId;
+
+  // Categorias padrão só existem no aparelho: criá-las na API antes de editar qualquer uma
+  // A lista é atualizada a cada categoria criada; os hábitos são recarregados mesmo após uma falha
+  const ensureCategoriesSaved = async () => {
+    if (!categories.some(category => category.isLocal)) return { saved: categories, savedIds: {} };
+
+    const movesHabits = habits.some(habit =>
+      categories.some(category => category.isLocal && category.id === habit.category)
+    );
+
+    try {
+      const { categories: saved, savedIds } = await habitService.saveLocalCategories(
+        categories,
+        habits,
+        onCategoriesChange
+      );
+      onCategoriesChange(saved);
+      setForm(current => (current.id ? { ...current, id: getSavedId(savedIds, current.id) } : current));
+      return { saved, savedIds };
+    } finally {
+      if (movesHabits) onHabitsChange?.();
+    }
+  };
+
+  const saveCategory = async () => {
+    const name = form.name.trim();
+    if (!name) {
+      Alert.alert('Erro', 'Digite o nome da categoria.');
+      return;
+    }
+
+    const duplicate = categories.some(category =>
+      category.id !== form.id && category.name.trim().toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+      Alert.alert('Erro', 'Já existe uma categoria com esse nome.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const { saved, savedIds } = await ensureCategoriesSaved();
+
+      if (form.id) {
+        const categoryId = getSavedId(savedIds, form.id);
+        const updated = await habitService.updateCategory(categoryId, { name, color: form.color });
+        onCategoriesChange(saved.map(category => category.id === categoryId ? { ...category, ...updated } : category));
+      } else {
+        const created = await habitService.createCategory({ name, color: form.color, order: saved.length });
+        onCategoriesChange([...saved, created]);
+      }
+
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      logger.error('Erro ao salvar categoria:', error);
+      Alert.alert('Erro', 'Não foi possível salvar a categoria. Tente novamente.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const moveCategory = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= categories.length) return;
+
+    // Só desfaz a troca de ordem: categorias já criadas na API não voltam a ser locais
+    let previous = null;
+
+    try {
+      setSaving(true);
+      const { saved, savedIds } = await ensureCategoriesSaved();
+      previous = saved;
+
+      // Uma categoria padrão já criada em tentativa anterior sai da lista: achar a posição pelo id
+      const from = saved.findIndex(category => category.id === getSavedId(savedIds, categories[index].id));
+      const to = from + direction;
+      if (from < 0 || to < 0 || to >= saved.length) return;
+
+      const reordered = [...saved];
+      [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+      onCategoriesChange(reordered.map((category, order) => ({ ...category, order })));
+
+      await habitService.reorderCategories(reordered.map(category => category.id));
+    } catch (error) {
+      logger.error('Erro ao reordenar categorias:', error);
+      if (previous) onCategoriesChange(previous);
+      Alert.alert('Erro', 'Não foi possível salvar a nova ordem. Tente novamente.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteCategory = (category) => {
+    if (categories.length === 1) {
+      Alert.alert('Categoria', 'Mantenha pelo menos uma categoria.');
+      return;
+    }
+
+    const habitCount = getHabitCount(category.id);
+    if (habitCount > 0) {
+      Alert.alert(
+        'Categoria em uso',
+        `Mova ${habitCount === 1 ? 'o hábito' : `os ${habitCount} hábitos`} de "${category.name}" para outra categoria antes de apagá-la.`
+      );
+      return;
+    }
+
+    Alert.alert('Apagar categoria', `Apagar "${category.name}"?`, [
+      { text: 'Cancelar', style: 'cancel' },
+      {
+        text: 'Apagar',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            const { saved, savedIds } = await ensureCategoriesSaved();
+            const categoryId = getSavedId(savedIds, category.id);
+            await habitService.deleteCategory(categoryId);
+            onCategoriesChange(saved.filter(item => item.id !== categoryId));
+            if (form.id === category.id) setForm(EMPTY_FORM);
+          } catch (error) {
+            logger.error('Erro ao apagar categoria:', error);
+            Alert.alert('Erro', 'Não foi possível apagar a categoria. Tente novamente.');
+          }
+        }
+      }
+    ]);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="fade"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Categories</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Icon name="close" size={24} color="#7F8589" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.scroll} contentContainerStyle={styles.body}>
+            {categories.map((category, index) => (
+              <View
+                key={category.id}
+                style={[styles.categoryRow, form.id === category.id && styles.categoryRowEditing]}
+              >
+                <View style={[styles.colorDot, { backgroundColor: category.color }]} />
+                <View style={styles.categoryInfo}>
+                  <Text style={styles.categoryName} numberOfLines={1}>{category.name}</Text>
+                  <Text style={styles.categoryCount}>
+                    {getHabitCount(category.id)} habit{getHabitCount(category.id) === 1 ? '' : 's'}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.rowButton}
+                  onPress={() => moveCategory(index, -1)}
+                  disabled={index === 0 || saving}
+                >
+                  <Icon name="chevron-up" size={20} color={index === 0 ? '#E5E7EB' : '#7F8589'} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.rowButton}
+                  onPress={() => moveCategory(index, 1)}
+                  disabled={index === categories.length - 1 || saving}
+                >
+                  <Icon
+                    name="chevron-down"
+                    size={20}
+                    color={index === categories.length - 1 ? '#E5E7EB' : '#7F8589'}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.rowButton}
+                  onPress={() => setForm({ id: category.id, name: category.name, color: category.color })}
+                >
+                  <Icon name="pencil" size={18} color="#7F8589" />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.rowButton} onPress={() => deleteCategory(category)}>
+                  <Icon name="trash-can-outline" size={18} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <View style={styles.form}>
+              <Text style={styles.formTitle}>{form.id ? 'Edit category' : 'New category'}</Text>
+              <TextInput
+                style={styles.input}
+                value={form.name}
+                onChangeText={name => setForm(prev => ({ ...prev, name }))}
+                placeholder="E.g. Sleep, Nutrition"
+                placeholderTextColor="#7F8589"
+                maxLength={30}
+              />
+              <View style={styles.colorPalette}>
+                {HABIT_CATEGORY_COLORS.map(color => (
+                  <TouchableOpacity
+                    key={color}
+                    style={[styles.colorOption, { backgroundColor: color }]}
+                    onPress={() => setForm(prev => ({ ...prev, color }))}
+                  >
+                    {form.color === color && <Icon name="check" size={16} color="#FFFFFF" />}
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.formActions}>
+                {form.id && (
+                  <TouchableOpacity style={styles.cancelButton} onPress={() => setForm(EMPTY_FORM)}>
+                    <Text style={styles.cancelButtonText}>Cancelar</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                  style={[styles.saveButton, (!form.name.trim() || saving) && styles.saveButtonDisabled]}
+                  onPress={saveCategory}
+                  disabled={!form.name.trim() || saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator size="small" color="#FFFFFF" />
+                  ) : (
+                    <Text style={styles.saveButtonText}>{form.id ? 'Salvar' : 'Adicionar'}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  content: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: height * 0.8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    color: '#18222A',
+    fontFamily: 'ManropeSemiBold',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  scroll: {
+    flexShrink: 1,
+  },
+  body: {
+    padding: 20,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    marginBottom: 4,
+  },
+  categoryRowEditing: {
+    backgroundColor: 'rgba(22, 151, 245, 0.1)',
+  },
+  colorDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    marginRight: 12,
+  },
+  categoryInfo: {
+    flex: 1,
+  },
+  categoryName: {
+    fontSize: 15,
+    color: '#18222A',
+    fontFamily: 'ManropeMedium',
+  },
+  categoryCount: {
+    fontSize: 12,
+    color: '#7F8589',
+    fontFamily: 'ManropeRegular',
+  },
+  rowButton: {
+    padding: 6,
+  },
+  form: {
+    marginTop: 16,
+    paddingTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+  },
+  formTitle: {
+    fontSize: 14,
+    color: '#18222A',
+    fontFamily: 'ManropeMedium',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#18222A',
+    fontFamily: 'ManropeRegular',
+  },
+  colorPalette: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginTop: 12,
+  },
+  colorOption: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  formActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  cancelButtonText: {
+    fontSize: 14,
+    color: '#7F8589',
+    fontFamily: 'ManropeMedium',
+  },
+  saveButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    backgroundColor: '#1697F5',
+    minWidth: 96,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    fontSize: 14,
+    color: '#FFFFFF',
+    fontFamily: 'ManropeSemiBold',
+  },
+});
+
+export default HabitCategoriesModal;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { View, Text, StyleSheet, TextInput, Switch } from 'react-native';
+import { getDefaultGoalStep, formatGoalValue } from '../services/habitService';
+
+/**
+ * Campos da meta numérica nos modais de criar/editar hábito
+ * value: { enabled, target, unit, step } com os números ainda como texto digitado
+ */
+const HabitGoalForm = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const target = Number(String(value.target).replace(',', '.'));
+
+  return (
+    <View style={styles.group}>
+      <View style={styles.switchRow}>
+        <View style={styles.switchInfo}>
+          <Text style={styles.label}>Numeric goal</Text>
+          <Text style={styles.hint}>E.g. drink 2 L of water, walk 8000 steps</Text>
+        </View>
+        <Switch
+          value={value.enabled}
+          onValueChange={enabled => update({ enabled })}
+          trackColor={{ false: '#E5E7EB', true: '#1697F5' }}
+        />
+      </View>
+
+      {value.enabled && (
+        <View style={styles.fieldsRow}>
+          <View style={styles.field}>
+            <Text style={styles.fieldLabel}>Target</Text>
+            <TextInput
+              style={styles.input}
+              value={String(value.target)}
+              onChangeText={text => update({ target: text })}
+              placeholder="2"
+              placeholderTextColor="#7F8589"
+              keyboardType="decimal-pad"
+            />
+          </View>
+          <View style={styles.field}>
+            <Text style={styles.fieldLabel}>Unit</Text>
+            <TextInput
+              style={styles.input}
+              value={value.unit}
+              onChangeText={text => update({ unit: text })}
+              placeholder="L"
+              placeholderTextColor="#7F8589"
+              autoCapitalize="none"
+            />
+          </View>
+          <View style={styles.field}>
+            <Text style={styles.fieldLabel}>Step</Text>
+            <TextInput
+              style={styles.input}
+              value={String(value.step)}
+              onChangeText={text => update({ step: text })}
+              placeholder={target > 0 ? formatGoalValue(getDefaultGoalStep(target)) : '1'}
+              placeholderTextColor="#7F8589"
+              keyboardType="decimal-pad"
+            />
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  group: {
+    marginBottom: 16,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  switchInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#18222A',
+    fontFamily: 'ManropeMedium',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#7F8589',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  fieldsRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  field: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: '#7F8589',
+    fontFamily: 'ManropeMedium',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    color: '#18222A',
+    fontFamily: 'ManropeRegular',
+  },
+});
+
+export default HabitGoalForm;
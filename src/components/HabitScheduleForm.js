@@ -0,0 +1,226 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Switch } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import TimeStepper from './TimeStepper';
+import { HABIT_FREQUENCIES } from '../services/habitService';
+
+const FREQUENCY_OPTIONS = [
+  { id: HABIT_FREQUENCIES.DAILY, name: 'Daily' },
+  { id: HABIT_FREQUENCIES.TIMES_PER_WEEK, name: 'Per week' },
+  { id: HABIT_FREQUENCIES.WEEKDAYS, name: 'Weekdays' },
+  { id: HABIT_FREQUENCIES.EVERY_N_DAYS, name: 'Interval' },
+];
+
+const WEEKDAY_INITIALS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const DEFAULT_REMINDER_TIME = '09:00';
+
+const CountStepper = ({ label, value, min, max, onChange }) => (
+  <View style={styles.countRow}>
+    <Text style={styles.countLabel}>{label}</Text>
+    <View style={styles.countControls}>
+      <TouchableOpacity
+        style={styles.countButton}
+        onPress={() => onChange(Math.max(min, value - 1))}
+        disabled={value <= min}
+      >
+        <Icon name="minus" size={18} color="#18222A" />
+      </TouchableOpacity>
+      <Text style={styles.countValue}>{value}</Text>
+      <TouchableOpacity
+        style={styles.countButton}
+        onPress={() => onChange(Math.min(max, value + 1))}
+        disabled={value >= max}
+      >
+        <Icon name="plus" size={18} color="#18222A" />
+      </TouchableOpacity>
+    </View>
+  </View>
+);
+
+/**
+ * Campos de agenda e lembrete dos modais de criar/editar hábito
+ * schedule segue getHabitSchedule (frequency, timesPerWeek, weekdays, intervalDays, startDate)
+ */
+const HabitScheduleForm = ({ schedule, onChange, reminderTime, onReminderTimeChange }) => {
+  const update = (changes) => onChange({ ...schedule, ...changes });
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = schedule.weekdays.includes(weekday)
+      ? schedule.weekdays.filter(day => day !== weekday)
+      : [...schedule.weekdays, weekday].sort();
+    update({ weekdays });
+  };
+
+  return (
+    <View>
+      <View style={styles.group}>
+        <Text style={styles.label}>Frequency</Text>
+        <View style={styles.frequencySelector}>
+          {FREQUENCY_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.frequencyOption, schedule.frequency === option.id && styles.frequencyOptionSelected]}
+              onPress={() => update({ frequency: option.id })}
+            >
+              <Text style={[styles.frequencyText, schedule.frequency === option.id && styles.frequencyTextSelected]}>
+                {option.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {schedule.frequency === HABIT_FREQUENCIES.TIMES_PER_WEEK && (
+          <CountStepper
+            label="Times per week"
+            value={schedule.timesPerWeek}
+            min={1}
+            max={7}
+            onChange={timesPerWeek => update({ timesPerWeek })}
+          />
+        )}
+
+        {schedule.frequency === HABIT_FREQUENCIES.WEEKDAYS && (
+          <View style={styles.weekdaySelector}>
+            {WEEKDAY_INITIALS.map((initial, weekday) => {
+              const selected = schedule.weekdays.includes(weekday);
+              return (
+                <TouchableOpacity
+                  key={weekday}
+                  style={[styles.weekdayOption, selected && styles.weekdayOptionSelected]}
+                  onPress={() => toggleWeekday(weekday)}
+                >
+                  <Text style={[styles.weekdayText, selected && styles.weekdayTextSelected]}>{initial}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+
+        {schedule.frequency === HABIT_FREQUENCIES.EVERY_N_DAYS && (
+          <CountStepper
+            label="Every N days"
+            value={schedule.intervalDays}
+            min={2}
+            max={30}
+            onChange={intervalDays => update({ intervalDays })}
+          />
+        )}
+      </View>
+
+      <View style={styles.group}>
+        <View style={styles.switchRow}>
+          <Text style={styles.label}>Reminder</Text>
+          <Switch
+            value={!!reminderTime}
+            onValueChange={value => onReminderTimeChange(value ? DEFAULT_REMINDER_TIME : null)}
+            trackColor={{ false: '#E5E7EB', true: '#1697F5' }}
+          />
+        </View>
+        {!!reminderTime && (
+          <TimeStepper label="Time" value={reminderTime} onChange={onReminderTimeChange} light />
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  group: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    color: '#18222A',
+    marginBottom: 8,
+    fontFamily: 'ManropeMedium',
+  },
+  frequencySelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  frequencyOption: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  frequencyOptionSelected: {
+    borderColor: '#1697F5',
+    backgroundColor: 'rgba(22, 151, 245, 0.1)',
+  },
+  frequencyText: {
+    fontSize: 14,
+    color: '#7F8589',
+    fontFamily: 'ManropeMedium',
+  },
+  frequencyTextSelected: {
+    color: '#1697F5',
+  },
+  weekdaySelector: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  weekdayOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  weekdayOptionSelected: {
+    backgroundColor: '#1697F5',
+    borderColor: '#1697F5',
+  },
+  weekdayText: {
+    fontSize: 14,
+    color: '#7F8589',
+    fontFamily: 'ManropeMedium',
+  },
+  weekdayTextSelected: {
+    color: '#FFFFFF',
+  },
+  countRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  countLabel: {
+    fontSize: 14,
+    color: '#18222A',
+    fontFamily: 'ManropeRegular',
+  },
+  countControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  countButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  countValue: {
+    minWidth: 24,
+    textAlign: 'center',
+    fontSize: 16,
+    color: '#18222A',
+    fontFamily: 'ManropeSemiBold',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+});
+
+export default HabitScheduleForm;
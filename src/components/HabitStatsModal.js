@@ -0,0 +1,271 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Dimensions,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { BarChart } from 'react-native-chart-kit';
+
+const { width, height } = Dimensions.get('window');
+
+const CHART_WIDTH = Math.min(width - 40, 400) - 40;
+
+const chartConfig = {
+  backgroundColor: '#ffffff',
+  backgroundGradientFrom: '#ffffff',
+  backgroundGradientTo: '#ffffff',
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(22, 151, 245, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(24, 34, 42, ${opacity})`,
+  propsForLabels: {
+    fontSize: 10,
+  },
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+// Semanas/dias sem nada previsto entram no gráfico como zero
+const toChartData = (rates) => ({
+  labels: rates.map(item => item.label),
+  datasets: [{ data: rates.map(item => item.rate || 0) }],
+});
+
+const StatTile = ({ icon, color, value, label }) => (
+  <View style={styles.tile}>
+    <Icon name={icon} size={20} color={color} />
+    <Text style={styles.tileValue}>{value}</Text>
+    <Text style={styles.tileLabel}>{label}</Text>
+  </View>
+);
+
+/**
+ * Estatísticas de um hábito: sequências, taxas de conclusão e gráficos do histórico
+ * stats segue habitService.getHabitStats
+ */
+const HabitStatsModal = ({ visible, habit, stats, loading, onClose }) => (
+  <Modal
+    visible={visible}
+    animationType="fade"
+    transparent={true}
+    onRequestClose={onClose}
+  >
+    <View style={styles.overlay}>
+      <View style={styles.content}>
+        <View style={styles.header}>
+          <View style={styles.headerInfo}>
+            <Text style={styles.title} numberOfLines={1}>{habit?.title}</Text>
+            <Text style={styles.subtitle}>Statistics</Text>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Icon name="close" size={24} color="#7F8589" />
+          </TouchableOpacity>
+        </View>
+
+        {loading || !stats ? (
+          <View style={styles.loading}>
+            <ActivityIndicator size="small" color="#1697F5" />
+          </View>
+        ) : (
+          <ScrollView style={styles.scroll} contentContainerStyle={styles.body}>
+            <View style={styles.tiles}>
+              <StatTile
+                icon="fire"
+                color="#f59e0b"
+                value={stats.currentStreak}
+                label="Current streak"
+              />
+              <StatTile
+                icon="trophy-outline"
+                color="#1697F5"
+                value={stats.longestStreak}
+                label="Longest streak"
+              />
+              <StatTile
+                icon="calendar-week"
+                color="#10B981"
+                value={formatRate(stats.weekRate)}
+                label="This week"
+              />
+              <StatTile
+                icon="calendar-month"
+                color="#8B5CF6"
+                value={formatRate(stats.monthRate)}
+                label="This month"
+              />
+            </View>
+
+            {stats.bestWeekday && (
+              <View style={styles.bestDay}>
+                <Icon name="star-outline" size={18} color="#f59e0b" />
+                <Text style={styles.bestDayText}>
+                  Best day: {stats.bestWeekday.label} ({stats.bestWeekday.rate}%)
+                </Text>
+              </View>
+            )}
+
+            <Text style={styles.sectionTitle}>Last 8 weeks</Text>
+            <BarChart
+              data={toChartData(stats.weeklyRates)}
+              width={CHART_WIDTH}
+              height={180}
+              yAxisLabel=""
+              yAxisSuffix="%"
+              fromZero
+              chartConfig={chartConfig}
+              style={styles.chart}
+            />
+
+            <Text style={styles.sectionTitle}>Last 3 months</Text>
+            <View style={styles.monthRow}>
+              {stats.monthlyRates.map(month => (
+                <View key={month.label} style={styles.monthItem}>
+                  <Text style={styles.monthValue}>{formatRate(month.rate)}</Text>
+                  <Text style={styles.monthLabel}>{month.label}</Text>
+                </View>
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>By weekday</Text>
+            <BarChart
+              data={toChartData(stats.weekdayRates)}
+              width={CHART_WIDTH}
+              height={180}
+              yAxisLabel=""
+              yAxisSuffix="%"
+              fromZero
+              chartConfig={chartConfig}
+              style={styles.chart}
+            />
+          </ScrollView>
+        )}
+      </View>
+    </View>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  content: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: height * 0.85,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  headerInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  title: {
+    fontSize: 18,
+    color: '#18222A',
+    fontFamily: 'ManropeSemiBold',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#7F8589',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  loading: {
+    padding: 40,
+    alignItems: 'center',
+  },
+  scroll: {
+    flexShrink: 1,
+  },
+  body: {
+    padding: 20,
+  },
+  tiles: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    rowGap: 12,
+  },
+  tile: {
+    width: '48%',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  tileValue: {
+    fontSize: 20,
+    color: '#18222A',
+    fontFamily: 'ManropeBold',
+    marginTop: 4,
+  },
+  tileLabel: {
+    fontSize: 12,
+    color: '#7F8589',
+    fontFamily: 'ManropeMedium',
+  },
+  bestDay: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 16,
+  },
+  bestDayText: {
+    fontSize: 14,
+    color: '#18222A',
+    fontFamily: 'ManropeMedium',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    color: '#18222A',
+    fontFamily: 'ManropeSemiBold',
+    marginTop: 20,
+    marginBottom: 4,
+  },
+  chart: {
+    marginVertical: 8,
+    borderRadius: 12,
+  },
+  monthRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  monthItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  monthValue: {
+    fontSize: 16,
+    color: '#1697F5',
+    fontFamily: 'ManropeBold',
+  },
+  monthLabel: {
+    fontSize: 12,
+    color: '#7F8589',
+    fontFamily: 'ManropeMedium',
+  },
+});
+
+export default HabitStatsModal;
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Dimensions,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import habitService, {
+  getHabitSchedule,
+  describeHabitSchedule,
+  getHabitGoal,
+  formatGoalValue,
+} from '../services/habitService';
+import reminderService from '../services/reminderService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('HabitTemplatesModal');
+const { height } = Dimensions.get('window');
+
+/**
+ * Oferece os hábitos recomendados pelo médico ao iniciar a prescrição
+ * onClose(result) recebe o resultado de habitService.addHabitsFromTemplates, ou null se o paciente recusar
+ */
+const HabitTemplatesModal = ({ visible, templates, prescriptionId, protocolName, onClose }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [adding, setAdding] = useState(false);
+
+  // Todos marcados: a proposta é adicionar em um toque
+  useEffect(() => {
+    if (visible) setSelectedIds((templates || []).map(template => template.id));
+  }, [visible, templates]);
+
+  const toggleTemplate = (templateId) => {
+    setSelectedIds(prev => prev.includes(templateId)
+      ? prev.filter(id => id !== templateId)
+      : [...prev, templateId]);
+  };
+
+  const handleAdd = async () => {
+    try {
+      setAdding(true);
+      const selected = templates.filter(template => selectedIds.includes(template.id));
+      const result = await habitService.addHabitsFromTemplates(selected, prescriptionId);
+
+      // Hábitos com lembrete próprio precisam ser agendados já
+      if (result.created.length > 0) {
+        habitService.getHabits()
+          .then(habits => reminderService.syncHabitReminders(habits))
+          .catch(error => logger.warn('Não foi possível agendar os lembretes dos hábitos', error));
+      }
+
+      onClose(result);
+    } catch (error) {
+      logger.error('Erro ao adicionar hábitos do protocolo:', error);
+      onClose({ created: [], skipped: 0, failed: selectedIds.length });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  if (!visible) return null;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={() => onClose(null)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.header}>
+            <View style={styles.headerInfo}>
+              <Text style={styles.title}>Recommended habits</Text>
+              <Text style={styles.subtitle}>
+                {protocolName ? `${protocolName} • ` : ''}Suggested by your doctor
+              </Text>
+            </View>
+            <TouchableOpacity onPress={() => onClose(null)} style={styles.closeButton} disabled={adding}>
+              <Icon name="close" size={24} color="#6B7280" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} contentContainerStyle={styles.scrollContent}>
+            {templates.map(template => {
+              const selected = selectedIds.includes(template.id);
+              const goal = getHabitGoal(template);
+
+              return (
+                <TouchableOpacity
+                  key={template.id}
+                  style={[styles.templateRow, selected && styles.templateRowSelected]}
+                  onPress={() => toggleTemplate(template.id)}
+                  disabled={adding}
+                >
+                  <Icon
+                    name={selected ? 'checkbox-marked' : 'checkbox-blank-outline'}
+                    size={22}
+                    color={selected ? '#1697F5' : '#6B7280'}
+                  />
+                  <View style={styles.templateInfo}>
+                    <Text style={styles.templateTitle}>{template.title}</Text>
+                    {!!template.description && (
+                      <Text style={styles.templateDescription}>{template.description}</Text>
+                    )}
+                    <Text style={styles.templateMeta}>
+                      {describeHabitSchedule(getHabitSchedule(template))}
+                      {goal ? ` • ${formatGoalValue(goal.target)} ${goal.unit}` : ''}
+                      {template.reminderTime ? ` • ${template.reminderTime}` : ''}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.cancelButton} onPress={() => onClose(null)} disabled={adding}>
+              <Text style={styles.cancelButtonText}>Not now</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.submitButton, (selectedIds.length === 0 || adding) && styles.submitButtonDisabled]}
+              onPress={handleAdd}
+              disabled={selectedIds.length === 0 || adding}
+            >
+              {adding ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.submitButtonText}>
+                  Add {selectedIds.length} habit{selectedIds.length === 1 ? '' : 's'}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#151515',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: height * 0.9,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#252525',
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#cccccc',
+    marginTop: 4,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    paddingHorizontal: 20,
+  },
+  scrollContent: {
+    paddingVertical: 12,
+  },
+  templateRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+    padding: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#252525',
+    marginBottom: 8,
+  },
+  templateRowSelected: {
+    borderColor: '#1697F5',
+    backgroundColor: 'rgba(22, 151, 245, 0.1)',
+  },
+  templateInfo: {
+    flex: 1,
+  },
+  templateTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  templateDescription: {
+    fontSize: 14,
+    color: '#cccccc',
+    marginTop: 2,
+  },
+  templateMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#252525',
+  },
+  cancelButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  cancelButtonText: {
+    color: '#1697F5',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  submitButton: {
+    backgroundColor: '#1697F5',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    minWidth: 120,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#252525',
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default HabitTemplatesModal;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Linking,
+  Platform,
+} from 'react-native';
+import { WebView } from 'react-native-webview';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { LESSON_CONTENT_TYPES, markdownToHtml } from '../utils/lessonContent';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('LessonDocumentViewer');
+
+// O WebView do Android não abre PDF direto; o visualizador do Google Docs renderiza a página
+const getPdfSource = (url) => (
+  Platform.OS === 'android'
+    ? { uri: `https://docs.google.com/gview?embedded=true&url=${encodeURIComponent(url)}` }
+    : { uri: url }
+);
+
+const buildTextDocument = (content) => `<!DOCTYPE html>
+<html>
+<head>
+<meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1">
+<style>
+  body { margin: 0; padding: 4px 2px 24px; background: #1d1e24; color: #cbd5e1;
+    font-family: -apple-system, Roboto, sans-serif; font-size: 16px; line-height: 1.6; }
+  h1, h2, h3, h4 { color: #f8fafc; line-height: 1.3; margin: 20px 0 8px; }
+  a { color: #1697F5; }
+  code { background: #26272c; border-radius: 4px; padding: 1px 4px; }
+  blockquote { margin: 12px 0; padding-left: 12px; border-left: 3px solid #1697F5; color: #94a3b8; }
+  ul, ol { padding-left: 22px; }
+</style>
+</head>
+<body>${markdownToHtml(content)}</body>
+</html>`;
+
+/**
+ * Conteúdo das aulas de leitura (PDF ou texto/markdown) exibido no próprio app
+ */
+const LessonDocumentViewer = ({ type, url, content, style }) => {
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  const source = type === LESSON_CONTENT_TYPES.PDF
+    ? getPdfSource(url)
+    : { html: buildTextDocument(content || '') };
+
+  // Links dentro do texto abrem no navegador, sem trocar o conteúdo da aula
+  const handleNavigation = (request) => {
+    if (type === LESSON_CONTENT_TYPES.PDF || request.url === 'about:blank' || request.url.startsWith('data:')) {
+      return true;
+    }
+    Linking.openURL(request.url);
+    return false;
+  };
+
+  if (failed) {
+    return (
+      <View style={[styles.container, styles.errorContainer, style]}>
+        <Icon name="file-alert-outline" size={48} color="#94a3b8" />
+        <Text style={styles.errorText}>Could not load this document</Text>
+        {!!url && (
+          <TouchableOpacity style={styles.openButton} onPress={() => Linking.openURL(url)}>
+            <Icon name="open-in-new" size={16} color="#FFFFFF" />
+            <Text style={styles.openButtonText}>Open in Browser</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      <WebView
+        originWhitelist={['*']}
+        source={source}
+        style={styles.webView}
+        onLoadEnd={() => setLoading(false)}
+        onError={({ nativeEvent }) => {
+          logger.error('Erro ao carregar documento da aula:', nativeEvent);
+          setFailed(true);
+        }}
+        onShouldStartLoadWithRequest={handleNavigation}
+        // PDFs baixados para uso offline ficam em file://
+        allowFileAccess
+        allowingReadAccessToURL={url?.startsWith('file://') ? url : undefined}
+        startInLoadingState={false}
+      />
+      {loading && (
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color="#1697F5" />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    backgroundColor: '#1d1e24',
+  },
+  webView: {
+    flex: 1,
+    backgroundColor: '#1d1e24',
+  },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#1d1e24',
+  },
+  errorContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    fontFamily: 'ManropeMedium',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  openButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1697F5',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginTop: 16,
+  },
+  openButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontFamily: 'ManropeSemiBold',
+    marginLeft: 8,
+  },
+});
+
+export default LessonDocumentViewer;
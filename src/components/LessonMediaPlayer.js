@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Dimensions,
+} from 'react-native';
+import { Video, Audio, ResizeMode, InterruptionModeIOS, InterruptionModeAndroid } from 'expo-av';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { formatPlaybackTime } from '../services/lessonProgressService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('LessonMediaPlayer');
+const { width, height } = Dimensions.get('window');
+
+// Intervalo mínimo entre avisos de progresso para a tela (a posição é salva no AsyncStorage)
+const PROGRESS_REPORT_INTERVAL_MS = 5000;
+const AUDIO_SKIP_SECONDS = 15;
+
+// Áudio continua tocando com a tela bloqueada ou o app em segundo plano
+const configureAudioMode = (background) => Audio.setAudioModeAsync({
+  playsInSilentModeIOS: true,
+  staysActiveInBackground: background,
+  interruptionModeIOS: InterruptionModeIOS.DoNotMix,
+  interruptionModeAndroid: InterruptionModeAndroid.DoNotMix,
+  shouldDuckAndroid: true,
+}).catch(error => logger.warn('Não foi possível configurar o modo de áudio', error));
+
+/**
+ * Player das aulas com mídia própria (HLS/MP4 ou áudio), via expo-av
+ * Posições são informadas em segundos: onProgress(position, duration)
+ */
+const LessonMediaPlayer = ({
+  uri,
+  type = 'video',
+  title,
+  initialPosition = 0,
+  onProgress,
+  onEnded,
+  onError,
+}) => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const soundRef = useRef(null);
+  const lastReportRef = useRef(0);
+  const lastStatusRef = useRef(null);
+
+  // Callbacks mais recentes, usados também ao desmontar o player
+  const callbacksRef = useRef({ onProgress, onEnded, onError });
+  callbacksRef.current = { onProgress, onEnded, onError };
+
+  const isAudio = type === 'audio';
+
+  const reportProgress = (playbackStatus) => {
+    if (!playbackStatus?.isLoaded || !playbackStatus.durationMillis) return;
+
+    lastReportRef.current = Date.now();
+    callbacksRef.current.onProgress?.(
+      playbackStatus.positionMillis / 1000,
+      playbackStatus.durationMillis / 1000
+    );
+  };
+
+  const handleStatusUpdate = (playbackStatus) => {
+    if (!playbackStatus.isLoaded) {
+      if (playbackStatus.error) {
+        logger.error('Erro na reprodução:', playbackStatus.error);
+        callbacksRef.current.onError?.(playbackStatus.error);
+      }
+      return;
+    }
+
+    const previous = lastStatusRef.current;
+    lastStatusRef.current = playbackStatus;
+    setStatus(playbackStatus);
+    setLoading(false);
+
+    if (playbackStatus.didJustFinish) {
+      reportProgress(playbackStatus);
+      callbacksRef.current.onEnded?.();
+      return;
+    }
+
+    const paused = previous?.isPlaying && !playbackStatus.isPlaying;
+    if (paused || Date.now() - lastReportRef.current >= PROGRESS_REPORT_INTERVAL_MS) {
+      reportProgress(playbackStatus);
+    }
+  };
+
+  useEffect(() => {
+    configureAudioMode(isAudio);
+    return () => {
+      // Guarda a última posição ao fechar
+      reportProgress(lastStatusRef.current);
+      configureAudioMode(false);
+    };
+  }, [isAudio]);
+
+  // Áudio usa Audio.Sound: não depende de uma view montada para continuar tocando
+  useEffect(() => {
+    if (!isAudio || !uri) return undefined;
+
+    let cancelled = false;
+
+    Audio.Sound.createAsync(
+      { uri },
+      {
+        shouldPlay: true,
+        positionMillis: Math.floor(initialPosition * 1000),
+        progressUpdateIntervalMillis: 1000,
+      },
+      handleStatusUpdate
+    )
+      .then(({ sound }) => {
+        if (cancelled) {
+          sound.unloadAsync();
+        } else {
+          soundRef.current = sound;
+        }
+      })
+      .catch(error => {
+        logger.error('Erro ao carregar áudio:', error);
+        setLoading(false);
+        callbacksRef.current.onError?.(error);
+      });
+
+    return () => {
+      cancelled = true;
+      soundRef.current?.unloadAsync();
+      soundRef.current = null;
+    };
+  }, [isAudio, uri]);
+
+  const togglePlayback = () => {
+    if (!soundRef.current || !status?.isLoaded) return;
+    if (status.isPlaying) {
+      soundRef.current.pauseAsync();
+    } else {
+      soundRef.current.playAsync();
+    }
+  };
+
+  const skip = (seconds) => {
+    if (!soundRef.current || !status?.isLoaded) return;
+    const target = Math.max(0, Math.min(status.positionMillis + seconds * 1000, status.durationMillis || 0));
+    soundRef.current.setPositionAsync(target);
+  };
+
+  if (!isAudio) {
+    return (
+      <View style={styles.videoContainer}>
+        <Video
+          source={{ uri }}
+          style={styles.video}
+          resizeMode={ResizeMode.CONTAIN}
+          useNativeControls
+          shouldPlay
+          positionMillis={Math.floor(initialPosition * 1000)}
+          progressUpdateIntervalMillis={1000}
+          onPlaybackStatusUpdate={handleStatusUpdate}
+          onError={(error) => {
+            logger.error('Erro ao carregar vídeo:', error);
+            setLoading(false);
+            callbacksRef.current.onError?.(error);
+          }}
+        />
+        {loading && (
+          <View style={styles.loadingOverlay}>
+            <ActivityIndicator size="large" color="#FFFFFF" />
+            <Text style={styles.loadingText}>Loading Video...</Text>
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  const position = (status?.positionMillis || 0) / 1000;
+  const duration = (status?.durationMillis || 0) / 1000;
+  const percent = duration > 0 ? Math.min(100, (position / duration) * 100) : 0;
+
+  return (
+    <View style={styles.audioContainer}>
+      <View style={styles.audioArtwork}>
+        <Icon name="headphones" size={72} color="#1697F5" />
+      </View>
+      {!!title && <Text style={styles.audioTitle} numberOfLines={2}>{title}</Text>}
+
+      <View style={styles.audioProgress}>
+        <View style={styles.audioProgressBar}>
+          <View style={[styles.audioProgressFill, { width: `${percent}%` }]} />
+        </View>
+        <View style={styles.audioTimes}>
+          <Text style={styles.audioTimeText}>{formatPlaybackTime(position)}</Text>
+          <Text style={styles.audioTimeText}>{formatPlaybackTime(duration)}</Text>
+        </View>
+      </View>
+
+      <View style={styles.audioControls}>
+        <TouchableOpacity style={styles.skipButton} onPress={() => skip(-AUDIO_SKIP_SECONDS)}>
+          <Icon name="rewind-15" size={32} color="#FFFFFF" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.playPauseButton} onPress={togglePlayback} disabled={loading}>
+          {loading ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Icon name={status?.isPlaying ? 'pause' : 'play'} size={36} color="#FFFFFF" />
+          )}
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.skipButton} onPress={() => skip(AUDIO_SKIP_SECONDS)}>
+          <Icon name="fast-forward-15" size={32} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.audioHint}>Playback continues with the screen locked</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  videoContainer: {
+    width: Math.min(width * 0.9, 720),
+    height: height * 0.6,
+    justifyContent: 'center',
+    backgroundColor: '#000000',
+  },
+  video: {
+    width: '100%',
+    height: '100%',
+  },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#000000',
+  },
+  loadingText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontFamily: 'ManropeMedium',
+    marginTop: 12,
+  },
+  audioContainer: {
+    width: Math.min(width * 0.9, 520),
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  audioArtwork: {
+    width: 160,
+    height: 160,
+    borderRadius: 80,
+    backgroundColor: 'rgba(22, 151, 245, 0.15)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  audioTitle: {
+    fontSize: 20,
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  audioProgress: {
+    width: '100%',
+    marginBottom: 24,
+  },
+  audioProgressBar: {
+    height: 4,
+    backgroundColor: '#334155',
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+  audioProgressFill: {
+    height: '100%',
+    backgroundColor: '#1697F5',
+  },
+  audioTimes: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  audioTimeText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+  },
+  audioControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  skipButton: {
+    padding: 12,
+  },
+  playPauseButton: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: '#1697F5',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginHorizontal: 24,
+  },
+  audioHint: {
+    fontSize: 12,
+    color: '#64748b',
+    fontFamily: 'ManropeRegular',
+    marginTop: 24,
+  },
+});
+
+export default LessonMediaPlayer;
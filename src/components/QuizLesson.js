@@ -0,0 +1,348 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import {
+  QUIZ_QUESTION_TYPES,
+  getQuestionOptions,
+  getPassThreshold,
+  isQuestionAnswered,
+} from '../utils/quizUtils';
+
+const QUESTION_TYPE_HINTS = {
+  [QUIZ_QUESTION_TYPES.SINGLE_CHOICE]: 'Choose one answer',
+  [QUIZ_QUESTION_TYPES.MULTIPLE_CHOICE]: 'Choose all that apply',
+  [QUIZ_QUESTION_TYPES.TRUE_FALSE]: 'True or false',
+  [QUIZ_QUESTION_TYPES.SHORT_ANSWER]: 'Write a short answer',
+};
+
+/**
+ * Quiz de uma aula, exibido dentro do módulo do curso
+ * onSubmit(answers) envia a tentativa para a correção do servidor; devolve { score, passed, results, pendingReview }
+ * (score null: nenhuma pergunta corrigida automaticamente, a nota sai na revisão do médico)
+ */
+const QuizLesson = ({ lesson, status, onSubmit }) => {
+  const quiz = lesson.quiz || {};
+  const questions = quiz.questions || [];
+  const passThreshold = getPassThreshold(quiz);
+
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const allAnswered = questions.every(question => isQuestionAnswered(question, answers[question.id]));
+
+  const selectOption = (question, optionId) => {
+    if (result) return;
+
+    setAnswers(prev => {
+      if (question.type !== QUIZ_QUESTION_TYPES.MULTIPLE_CHOICE) {
+        return { ...prev, [question.id]: optionId };
+      }
+
+      const selected = prev[question.id] || [];
+      return {
+        ...prev,
+        [question.id]: selected.includes(optionId)
+          ? selected.filter(id => id !== optionId)
+          : [...selected, optionId]
+      };
+    });
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const attemptResult = await onSubmit(answers);
+      if (attemptResult) setResult(attemptResult);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRetry = () => {
+    setAnswers({});
+    setResult(null);
+  };
+
+  const renderOptions = (question) => {
+    const isMultiple = question.type === QUIZ_QUESTION_TYPES.MULTIPLE_CHOICE;
+    const answer = answers[question.id];
+
+    return getQuestionOptions(question).map(option => {
+      const selected = isMultiple ? (answer || []).includes(option.id) : answer === option.id;
+      const iconName = isMultiple
+        ? (selected ? 'checkbox-marked' : 'checkbox-blank-outline')
+        : (selected ? 'radiobox-marked' : 'radiobox-blank');
+
+      return (
+        <TouchableOpacity
+          key={option.id}
+          style={[styles.option, selected && styles.optionSelected]}
+          onPress={() => selectOption(question, option.id)}
+          disabled={!!result}
+        >
+          <Icon name={iconName} size={20} color={selected ? '#1697F5' : '#64748b'} />
+          <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{option.text}</Text>
+        </TouchableOpacity>
+      );
+    });
+  };
+
+  const renderQuestion = (question, index) => {
+    const questionResult = result?.results?.[question.id];
+
+    return (
+      <View key={question.id} style={styles.question}>
+        <View style={styles.questionHeader}>
+          <Text style={styles.questionText}>{index + 1}. {question.question}</Text>
+          {result && questionResult !== undefined && (
+            <Icon
+              name={questionResult === null ? 'clock-outline' : questionResult ? 'check-circle' : 'close-circle'}
+              size={20}
+              color={questionResult === null ? '#f59e0b' : questionResult ? '#4ade80' : '#ef4444'}
+            />
+          )}
+        </View>
+        <Text style={styles.questionHint}>{QUESTION_TYPE_HINTS[question.type]}</Text>
+
+        {question.type === QUIZ_QUESTION_TYPES.SHORT_ANSWER ? (
+          <TextInput
+            style={styles.shortAnswerInput}
+            value={answers[question.id] || ''}
+            onChangeText={(text) => setAnswers(prev => ({ ...prev, [question.id]: text }))}
+            placeholder="Your answer"
+            placeholderTextColor="#64748b"
+            editable={!result}
+            multiline
+          />
+        ) : renderOptions(question)}
+      </View>
+    );
+  };
+
+  // Aprovado, esperando revisão ou sem tentativas: só o resumo
+  if (!result && !status.canAttempt) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.summaryRow}>
+          <Icon
+            name={status.passed ? 'trophy-outline' : status.awaitingReview ? 'timer-sand' : 'lock-outline'}
+            size={22}
+            color={status.passed ? '#4ade80' : status.awaitingReview ? '#f59e0b' : '#ef4444'}
+          />
+          <Text style={styles.summaryText}>
+            {status.passed
+              ? `Passed${status.bestScore ? ` with ${status.bestScore}%` : ''}`
+              : status.awaitingReview
+                ? 'Your answers are waiting for your doctor\'s review. The next module unlocks once they are approved.'
+                : `No attempts left. Best score: ${status.bestScore}% (${passThreshold}% needed). Contact your doctor.`}
+          </Text>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.quizInfo}>
+        {questions.length} questions • {passThreshold}% to pass
+        {status.attemptsLeft !== null ? ` • ${status.attemptsLeft} attempt${status.attemptsLeft === 1 ? '' : 's'} left` : ''}
+      </Text>
+
+      {questions.map(renderQuestion)}
+
+      {result ? (
+        <View
+          style={[
+            styles.resultCard,
+            result.passed ? styles.resultPassed : result.pendingReview ? styles.resultPending : styles.resultFailed
+          ]}
+        >
+          <Text style={styles.resultScore}>{result.score === null ? 'Under review' : `${result.score}%`}</Text>
+          <Text style={styles.resultText}>
+            {result.passed
+              ? 'Quiz passed! The next module is unlocked.'
+              : result.pendingReview
+                ? 'The next module unlocks once your doctor reviews your answers.'
+                : `You need ${passThreshold}% to pass.`}
+          </Text>
+          {result.pendingReview && (
+            <Text style={styles.resultNote}>Short answers will be reviewed by your doctor.</Text>
+          )}
+          {!result.passed && status.canAttempt && (
+            <TouchableOpacity style={styles.retryButton} onPress={handleRetry}>
+              <Icon name="refresh" size={16} color="#FFFFFF" />
+              <Text style={styles.submitButtonText}>Try Again</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={[styles.submitButton, (!allAnswered || submitting) && styles.submitButtonDisabled]}
+          onPress={handleSubmit}
+          disabled={!allAnswered || submitting}
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.submitButtonText}>Submit Answers</Text>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  quizInfo: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginBottom: 12,
+  },
+  question: {
+    marginBottom: 16,
+  },
+  questionHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+  },
+  questionText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+    lineHeight: 22,
+  },
+  questionHint: {
+    fontSize: 12,
+    color: '#64748b',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+    marginBottom: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    padding: 12,
+    borderRadius: 10,
+    backgroundColor: '#26272c',
+    borderWidth: 1,
+    borderColor: 'transparent',
+    marginBottom: 8,
+  },
+  optionSelected: {
+    borderColor: '#1697F5',
+    backgroundColor: 'rgba(22, 151, 245, 0.1)',
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#cbd5e1',
+    fontFamily: 'ManropeRegular',
+  },
+  optionTextSelected: {
+    color: '#f8fafc',
+    fontFamily: 'ManropeMedium',
+  },
+  shortAnswerInput: {
+    minHeight: 60,
+    borderRadius: 10,
+    backgroundColor: '#26272c',
+    color: '#f8fafc',
+    fontFamily: 'ManropeRegular',
+    fontSize: 14,
+    padding: 12,
+    textAlignVertical: 'top',
+  },
+  submitButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1697F5',
+    paddingVertical: 12,
+    borderRadius: 10,
+  },
+  submitButtonDisabled: {
+    opacity: 0.5,
+  },
+  submitButtonText: {
+    fontSize: 15,
+    color: '#FFFFFF',
+    fontFamily: 'ManropeSemiBold',
+  },
+  resultCard: {
+    alignItems: 'center',
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  resultPassed: {
+    backgroundColor: 'rgba(74, 222, 128, 0.1)',
+    borderColor: 'rgba(74, 222, 128, 0.3)',
+  },
+  resultPending: {
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+  },
+  resultFailed: {
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderColor: 'rgba(239, 68, 68, 0.3)',
+  },
+  resultScore: {
+    fontSize: 28,
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+  },
+  resultText: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    fontFamily: 'ManropeMedium',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  resultNote: {
+    fontSize: 12,
+    color: '#f59e0b',
+    fontFamily: 'ManropeRegular',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  retryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#1697F5',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+    marginTop: 12,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  summaryText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#cbd5e1',
+    fontFamily: 'ManropeMedium',
+  },
+});
+
+export default QuizLesson;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+  Dimensions,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import reminderService, { timeToMinutes, minutesToTime } from '../services/reminderService';
+import TimeStepper from './TimeStepper';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('ReminderSettingsModal');
+const { height } = Dimensions.get('window');
+
+// Quantidade de sessões do dia mais longo do protocolo (um horário por sessão)
+const getSessionsPerDay = (protocol) => Math.max(
+  1,
+  ...(protocol?.protocol?.days || []).map(day => day.sessions?.length || 0)
+);
+
+const ReminderSettingsModal = ({ visible, onClose, protocol }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const sessionsPerDay = getSessionsPerDay(protocol);
+
+  useEffect(() => {
+    if (!visible || !protocol?.id) return;
+
+    const loadSettings = async () => {
+      const stored = await reminderService.getProtocolSettings(protocol.id);
+      const sessionTimes = [...stored.sessionTimes];
+
+      // Sessões sem horário definido ficam 3h depois da anterior
+      while (sessionTimes.length < sessionsPerDay) {
+        const last = sessionTimes[sessionTimes.length - 1] || '08:00';
+        sessionTimes.push(minutesToTime(timeToMinutes(last) + 180));
+      }
+
+      setSettings({ ...stored, sessionTimes: sessionTimes.slice(0, sessionsPerDay) });
+    };
+
+    loadSettings();
+  }, [visible, protocol?.id]);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const updateSessionTime = (index, time) => {
+    const sessionTimes = [...settings.sessionTimes];
+    sessionTimes[index] = time;
+    update({ sessionTimes });
+  };
+
+  const updateQuietHours = (changes) => update({ quietHours: { ...settings.quietHours, ...changes } });
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await reminderService.saveProtocolSettings(protocol.id, settings);
+      onClose();
+    } catch (error) {
+      logger.error('Erro ao salvar lembretes:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!visible) return null;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.header}>
+            <View style={styles.headerInfo}>
+              <Text style={styles.title}>Reminders</Text>
+              <Text style={styles.subtitle}>{protocol?.protocol?.name}</Text>
+            </View>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Icon name="close" size={24} color="#6B7280" />
+            </TouchableOpacity>
+          </View>
+
+          {!settings ? (
+            <ActivityIndicator style={styles.loading} color="#0088FE" />
+          ) : (
+            <ScrollView style={styles.content} contentContainerStyle={styles.scrollContent}>
+              <View style={styles.switchRow}>
+                <Text style={styles.switchLabel}>Session reminders</Text>
+                <Switch
+                  value={settings.enabled}
+                  onValueChange={value => update({ enabled: value })}
+                  trackColor={{ false: '#333333', true: '#0088FE' }}
+                />
+              </View>
+
+              {settings.sessionTimes.map((time, index) => (
+                <TimeStepper
+                  key={index}
+                  label={sessionsPerDay > 1 ? `Session ${index + 1}` : 'Session'}
+                  value={time}
+                  onChange={value => updateSessionTime(index, value)}
+                  disabled={!settings.enabled}
+                />
+              ))}
+
+              <View style={styles.divider} />
+
+              <View style={styles.switchRow}>
+                <Text style={styles.switchLabel}>Daily check-in reminder</Text>
+                <Switch
+                  value={settings.checkinEnabled}
+                  onValueChange={value => update({ checkinEnabled: value })}
+                  trackColor={{ false: '#333333', true: '#0088FE' }}
+                />
+              </View>
+
+              <TimeStepper
+                label="Check-in"
+                value={settings.checkinTime}
+                onChange={value => update({ checkinTime: value })}
+                disabled={!settings.checkinEnabled}
+              />
+
+              <View style={styles.divider} />
+
+              <View style={styles.switchRow}>
+                <View style={styles.switchTextContainer}>
+                  <Text style={styles.switchLabel}>Quiet hours</Text>
+                  <Text style={styles.switchHint}>Reminders are delayed until quiet hours end</Text>
+                </View>
+                <Switch
+                  value={settings.quietHours.enabled}
+                  onValueChange={value => updateQuietHours({ enabled: value })}
+                  trackColor={{ false: '#333333', true: '#0088FE' }}
+                />
+              </View>
+
+              <TimeStepper
+                label="From"
+                value={settings.quietHours.start}
+                onChange={value => updateQuietHours({ start: value })}
+                disabled={!settings.quietHours.enabled}
+              />
+              <TimeStepper
+                label="Until"
+                value={settings.quietHours.end}
+                onChange={value => updateQuietHours({ end: value })}
+                disabled={!settings.quietHours.enabled}
+              />
+            </ScrollView>
+          )}
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose} disabled={saving}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.submitButton, (!settings || saving) && styles.submitButtonDisabled]}
+              onPress={handleSave}
+              disabled={!settings || saving}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.submitButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#151515',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: height * 0.9,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#252525',
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#cccccc',
+    marginTop: 4,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  loading: {
+    marginVertical: 40,
+  },
+  content: {
+    paddingHorizontal: 20,
+  },
+  scrollContent: {
+    paddingVertical: 12,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  switchTextContainer: {
+    flex: 1,
+    marginRight: 12,
+  },
+  switchLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  switchHint: {
+    fontSize: 13,
+    color: '#999999',
+    marginTop: 2,
+  },
+  divider: {
+    height: 1,
+    backgroundColor: '#252525',
+    marginVertical: 12,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#252525',
+  },
+  cancelButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  cancelButtonText: {
+    color: '#0088FE',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  submitButton: {
+    backgroundColor: '#0088FE',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    minWidth: 120,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#252525',
+  },
+  submitButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ReminderSettingsModal;
@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { Audio } from 'expo-av';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import {
+  ATTACHMENT_KINDS,
+  MAX_REPORT_ATTACHMENTS,
+  MAX_VOICE_NOTE_SECONDS,
+} from '../services/symptomReportsService';
+import { formatPlaybackTime } from '../services/lessonProgressService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('SymptomAttachmentsInput');
+
+// Fotos da câmera passam de 10 MB; o médico só precisa ver a lesão com nitidez
+const MAX_IMAGE_DIMENSION = 1600;
+const IMAGE_COMPRESSION = 0.7;
+
+const compressImage = async (asset) => {
+  const isLarge = Math.max(asset.width || 0, asset.height || 0) > MAX_IMAGE_DIMENSION;
+  const actions = isLarge
+    ? [{ resize: (asset.width || 0) >= (asset.height || 0) ? { width: MAX_IMAGE_DIMENSION } : { height: MAX_IMAGE_DIMENSION } }]
+    : [];
+
+  const result = await ImageManipulator.manipulateAsync(asset.uri, actions, {
+    compress: IMAGE_COMPRESSION,
+    format: ImageManipulator.SaveFormat.JPEG,
+  });
+  return result.uri;
+};
+
+/**
+ * Fotos (câmera ou galeria) e notas de voz de um relatório de sintomas
+ * Os anexos ficam no aparelho ({ id, kind, uri, fileName, mimeType, durationMs }) até o envio do relatório
+ */
+const SymptomAttachmentsInput = ({ attachments, onChange, disabled, onRecordingChange }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingMs, setRecordingMs] = useState(0);
+  const [processing, setProcessing] = useState(false);
+  const recordingRef = useRef(null);
+  const recordingMsRef = useRef(0);
+
+  // O fim automático da gravação acontece num callback: precisa da lista mais recente
+  const attachmentsRef = useRef(attachments);
+  attachmentsRef.current = attachments;
+
+  // Gravação em andamento é descartada se o modal fechar
+  useEffect(() => {
+    return () => {
+      recordingRef.current?.stopAndUnloadAsync().catch(() => {});
+      recordingRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    onRecordingChange?.(isRecording);
+  }, [isRecording]);
+
+  const canAdd = attachments.length < MAX_REPORT_ATTACHMENTS && !isRecording && !processing && !disabled;
+
+  const addAttachment = (attachment) => {
+    onChange([...attachmentsRef.current, { id: `${Date.now()}`, ...attachment }]);
+  };
+
+  const removeAttachment = (attachmentId) => {
+    onChange(attachments.filter(attachment => attachment.id !== attachmentId));
+  };
+
+  const pickImage = async (fromCamera) => {
+    try {
+      const permission = fromCamera
+        ? await ImagePicker.requestCameraPermissionsAsync()
+        : await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+      if (!permission.granted) {
+        Alert.alert('Permissão necessária', 'Permita o acesso nas configurações do aparelho para anexar a foto.');
+        return;
+      }
+
+      const pickerOptions = { mediaTypes: ['images'], quality: 1 };
+      const result = fromCamera
+        ? await ImagePicker.launchCameraAsync(pickerOptions)
+        : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+
+      if (result.canceled || !result.assets?.length) return;
+
+      setProcessing(true);
+      const uri = await compressImage(result.assets[0]);
+      addAttachment({
+        kind: ATTACHMENT_KINDS.IMAGE,
+        uri,
+        fileName: `symptom-photo-${Date.now()}.jpg`,
+        mimeType: 'image/jpeg',
+      });
+    } catch (error) {
+      logger.error('Erro ao anexar foto:', error);
+      Alert.alert('Erro', 'Não foi possível anexar a foto.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const stopRecording = async () => {
+    const recording = recordingRef.current;
+    if (!recording) return;
+    recordingRef.current = null;
+
+    try {
+      await recording.stopAndUnloadAsync();
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+
+      const uri = recording.getURI();
+      if (uri) {
+        addAttachment({
+          kind: ATTACHMENT_KINDS.AUDIO,
+          uri,
+          fileName: `voice-note-${Date.now()}.m4a`,
+          mimeType: 'audio/mp4',
+          durationMs: recordingMsRef.current,
+        });
+      }
+    } catch (error) {
+      logger.error('Erro ao finalizar gravação:', error);
+      Alert.alert('Erro', 'Não foi possível salvar a nota de voz.');
+    } finally {
+      setIsRecording(false);
+    }
+  };
+
+  const startRecording = async () => {
+    try {
+      const permission = await Audio.requestPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Permissão necessária', 'Permita o uso do microfone nas configurações do aparelho para gravar a nota de voz.');
+        return;
+      }
+
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+
+      recordingMsRef.current = 0;
+      setRecordingMs(0);
+
+      const { recording } = await Audio.Recording.createAsync(
+        Audio.RecordingOptionsPresets.HIGH_QUALITY,
+        (status) => {
+          recordingMsRef.current = status.durationMillis || 0;
+          setRecordingMs(recordingMsRef.current);
+          if (recordingMsRef.current >= MAX_VOICE_NOTE_SECONDS * 1000) stopRecording();
+        },
+        500
+      );
+
+      recordingRef.current = recording;
+      setIsRecording(true);
+    } catch (error) {
+      logger.error('Erro ao iniciar gravação:', error);
+      Alert.alert('Erro', 'Não foi possível iniciar a gravação.');
+    }
+  };
+
+  const images = attachments.filter(attachment => attachment.kind === ATTACHMENT_KINDS.IMAGE);
+  const voiceNotes = attachments.filter(attachment => attachment.kind === ATTACHMENT_KINDS.AUDIO);
+
+  return (
+    <View>
+      {images.length > 0 && (
+        <View style={styles.thumbnails}>
+          {images.map(image => (
+            <View key={image.id} style={styles.thumbnail}>
+              <Image source={{ uri: image.uri }} style={styles.thumbnailImage} />
+              {!disabled && (
+                <TouchableOpacity style={styles.thumbnailRemove} onPress={() => removeAttachment(image.id)}>
+                  <Icon name="close" size={14} color="#FFFFFF" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+
+      {voiceNotes.map(note => (
+        <View key={note.id} style={styles.voiceNote}>
+          <VoiceNotePlayer
+            uri={note.uri}
+            durationMs={note.durationMs}
+            onRemove={disabled ? null : () => removeAttachment(note.id)}
+          />
+        </View>
+      ))}
+
+      {isRecording ? (
+        <TouchableOpacity style={styles.recordingButton} onPress={stopRecording}>
+          <View style={styles.recordingDot} />
+          <Text style={styles.recordingText}>
+            Recording {formatPlaybackTime(recordingMs / 1000)} / {formatPlaybackTime(MAX_VOICE_NOTE_SECONDS)}
+          </Text>
+          <Icon name="stop" size={20} color="#EF4444" />
+        </TouchableOpacity>
+      ) : (
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.actionButton, !canAdd && styles.actionButtonDisabled]}
+            onPress={() => pickImage(true)}
+            disabled={!canAdd}
+          >
+            <Icon name="camera-outline" size={20} color="#0088FE" />
+            <Text style={styles.actionButtonText}>Camera</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, !canAdd && styles.actionButtonDisabled]}
+            onPress={() => pickImage(false)}
+            disabled={!canAdd}
+          >
+            <Icon name="image-outline" size={20} color="#0088FE" />
+            <Text style={styles.actionButtonText}>Gallery</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, !canAdd && styles.actionButtonDisabled]}
+            onPress={startRecording}
+            disabled={!canAdd}
+          >
+            <Icon name="microphone-outline" size={20} color="#0088FE" />
+            <Text style={styles.actionButtonText}>Voice</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {processing && (
+        <View style={styles.processing}>
+          <ActivityIndicator size="small" color="#0088FE" />
+          <Text style={styles.hintText}>Preparing photo...</Text>
+        </View>
+      )}
+
+      <Text style={styles.hintText}>
+        {attachments.length}/{MAX_REPORT_ATTACHMENTS} attachments • Voice notes up to {MAX_VOICE_NOTE_SECONDS / 60} min
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  thumbnails: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  thumbnail: {
+    width: 72,
+    height: 72,
+  },
+  thumbnailImage: {
+    width: '100%',
+    height: '100%',
+    borderRadius: 8,
+    backgroundColor: '#0a0a0a',
+  },
+  thumbnailRemove: {
+    position: 'absolute',
+    top: -6,
+    right: -6,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#EF4444',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  voiceNote: {
+    marginBottom: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    backgroundColor: '#0a0a0a',
+  },
+  actionButtonDisabled: {
+    opacity: 0.4,
+  },
+  actionButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0088FE',
+    marginLeft: 6,
+  },
+  recordingButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#EF4444',
+    backgroundColor: '#2a1a1a',
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#EF4444',
+  },
+  recordingText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#ffffff',
+    marginLeft: 8,
+  },
+  processing: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#cccccc',
+    marginTop: 8,
+  },
+});
+
+export default SymptomAttachmentsInput;
@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import BodyMapSelector from './BodyMapSelector';
+import {
+  SYMPTOM_DURATIONS,
+  SYMPTOM_FREQUENCIES,
+  searchSymptomCatalogue,
+  createStructuredSymptom,
+  describeSymptomDetails,
+} from '../utils/symptomCatalogue';
+
+const OptionChips = ({ label, options, value, onChange, disabled }) => (
+  <View style={styles.optionGroup}>
+    <Text style={styles.optionLabel}>{label}</Text>
+    <View style={styles.chips}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.chip, value === option.value && styles.chipSelected]}
+          // Tocar de novo na opção marcada limpa a resposta
+          onPress={() => onChange(value === option.value ? null : option.value)}
+          disabled={disabled}
+        >
+          <Text style={[styles.chipText, value === option.value && styles.chipTextSelected]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  </View>
+);
+
+/**
+ * Escolha de sintomas do catálogo do protocolo, com região do corpo, duração e frequência (o início vem do relatório)
+ * value é a lista de sintomas estruturados (ver createStructuredSymptom)
+ */
+const SymptomPicker = ({ catalogue, value, onChange, disabled }) => {
+  const [query, setQuery] = useState('');
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  const selectedIds = value.map(symptom => symptom.symptomId).filter(Boolean);
+  const suggestions = searchSymptomCatalogue(catalogue, query, selectedIds);
+  const typedName = query.trim();
+  const canAddTyped = typedName.length >= 3 && !value.some(symptom =>
+    symptom.name.toLowerCase() === typedName.toLowerCase()
+  ) && !suggestions.some(item => item.name.toLowerCase() === typedName.toLowerCase());
+
+  const addSymptom = (source) => {
+    onChange([...value, createStructuredSymptom(source)]);
+    setExpandedIndex(value.length);
+    setQuery('');
+  };
+
+  const updateSymptom = (index, changes) => {
+    onChange(value.map((symptom, position) => (position === index ? { ...symptom, ...changes } : symptom)));
+  };
+
+  const removeSymptom = (index) => {
+    onChange(value.filter((_, position) => position !== index));
+    setExpandedIndex(null);
+  };
+
+  const toggleRegion = (index, region) => {
+    const regions = value[index].bodyRegions;
+    updateSymptom(index, {
+      bodyRegions: regions.includes(region) ? regions.filter(item => item !== region) : [...regions, region]
+    });
+  };
+
+  return (
+    <View>
+      {value.map((symptom, index) => {
+        const expanded = expandedIndex === index;
+
+        return (
+          <View key={`${symptom.symptomId || symptom.name}-${index}`} style={styles.selectedCard}>
+            <TouchableOpacity
+              style={styles.selectedHeader}
+              onPress={() => setExpandedIndex(expanded ? null : index)}
+            >
+              <View style={styles.selectedInfo}>
+                <Text style={styles.selectedName}>{symptom.name}</Text>
+                {!expanded && !!describeSymptomDetails(symptom) && (
+                  <Text style={styles.selectedDetails} numberOfLines={2}>
+                    {describeSymptomDetails(symptom)}
+                  </Text>
+                )}
+              </View>
+              <Icon name={expanded ? 'chevron-up' : 'chevron-down'} size={20} color="#cccccc" />
+              {!disabled && (
+                <TouchableOpacity style={styles.removeButton} onPress={() => removeSymptom(index)}>
+                  <Icon name="close" size={18} color="#cccccc" />
+                </TouchableOpacity>
+              )}
+            </TouchableOpacity>
+
+            {expanded && (
+              <View style={styles.selectedBody}>
+                <Text style={styles.optionLabel}>Where?</Text>
+                <BodyMapSelector
+                  selected={symptom.bodyRegions}
+                  onToggle={(region) => toggleRegion(index, region)}
+                  disabled={disabled}
+                />
+                <OptionChips
+                  label="How long does it last?"
+                  options={SYMPTOM_DURATIONS}
+                  value={symptom.duration}
+                  onChange={(duration) => updateSymptom(index, { duration })}
+                  disabled={disabled}
+                />
+                <OptionChips
+                  label="How often?"
+                  options={SYMPTOM_FREQUENCIES}
+                  value={symptom.frequency}
+                  onChange={(frequency) => updateSymptom(index, { frequency })}
+                  disabled={disabled}
+                />
+              </View>
+            )}
+          </View>
+        );
+      })}
+
+      <View style={styles.searchBox}>
+        <Icon name="magnify" size={20} color="#9CA3AF" />
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search symptoms..."
+          placeholderTextColor="#9CA3AF"
+          editable={!disabled}
+        />
+      </View>
+
+      <View style={styles.chips}>
+        {suggestions.map(item => (
+          <TouchableOpacity
+            key={item.id}
+            style={styles.chip}
+            onPress={() => addSymptom(item)}
+            disabled={disabled}
+          >
+            <Icon name="plus" size={14} color="#0088FE" />
+            <Text style={styles.chipText}>{item.name}</Text>
+          </TouchableOpacity>
+        ))}
+        {canAddTyped && (
+          <TouchableOpacity style={styles.chip} onPress={() => addSymptom(typedName)} disabled={disabled}>
+            <Icon name="plus" size={14} color="#0088FE" />
+            <Text style={styles.chipText}>Add "{typedName}"</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  selectedCard: {
+    backgroundColor: '#0a0a0a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    marginBottom: 8,
+  },
+  selectedHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+  },
+  selectedInfo: {
+    flex: 1,
+  },
+  selectedName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  selectedDetails: {
+    fontSize: 13,
+    color: '#cccccc',
+    marginTop: 2,
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  selectedBody: {
+    paddingHorizontal: 12,
+    paddingBottom: 12,
+  },
+  optionGroup: {
+    marginTop: 16,
+  },
+  optionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginBottom: 8,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#0a0a0a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    paddingHorizontal: 12,
+    marginBottom: 10,
+  },
+  searchInput: {
+    flex: 1,
+    color: '#ffffff',
+    fontSize: 16,
+    paddingVertical: 12,
+    marginLeft: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#252525',
+  },
+  chipSelected: {
+    backgroundColor: '#0088FE',
+    borderColor: '#0088FE',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#cccccc',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+});
+
+export default SymptomPicker;
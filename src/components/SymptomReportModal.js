@@ -14,17 +14,57 @@ import {
   Alert,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
-import symptomReportsService from '../services/symptomReportsService';
+import symptomReportsService, { getProtocolDayForDate, MAX_BACKDATE_DAYS } from '../services/symptomReportsService';
+import { minutesToTime } from '../services/reminderService';
+import TimeStepper from './TimeStepper';
+import SymptomAttachmentsInput from './SymptomAttachmentsInput';
+import SymptomPicker from './SymptomPicker';
+import { DEFAULT_SYMPTOM_CATALOGUE, buildSymptomsText, getSymptomOnset } from '../utils/symptomCatalogue';
+import { toLocalDateKey } from '../utils/dateUtils';
+import { NetworkError } from '../utils/errorHandler';
 import { createLogger } from '../utils/logUtils';
 
 const logger = createLogger('SymptomReportModal');
 const { width, height } = Dimensions.get('window');
 
-const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, currentDay, onComplete }) => {
+// Horário inicial do "começou antes": agora, arredondado para baixo em 15 minutos
+const getDefaultStartTime = () => {
+  const now = new Date();
+  return minutesToTime(Math.floor((now.getHours() * 60 + now.getMinutes()) / 15) * 15);
+};
+
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T12:00:00`);
+  date.setDate(date.getDate() + days);
+  return toLocalDateKey(date);
+};
+
+/**
+ * protocolStartDate e protocolDuration convertem o início do sintoma no dia do protocolo;
+ * sem a data de início o relatório usa currentDay
+ */
+const SymptomReportModal = ({
+  visible,
+  onClose,
+  protocolId,
+  protocolName,
+  currentDay,
+  protocolStartDate,
+  protocolDuration,
+  onComplete,
+}) => {
   const [title, setTitle] = useState('Symptom Report');
   const [description, setDescription] = useState('');
   const [symptoms, setSymptoms] = useState('');
+  const [structuredSymptoms, setStructuredSymptoms] = useState([]);
+  const [catalogue, setCatalogue] = useState(DEFAULT_SYMPTOM_CATALOGUE);
   const [severity, setSeverity] = useState(5);
+  // Início do sintoma: agora ou um dia/horário anterior
+  const [startedEarlier, setStartedEarlier] = useState(false);
+  const [startDateKey, setStartDateKey] = useState(() => toLocalDateKey(new Date()));
+  const [startTime, setStartTime] = useState(getDefaultStartTime);
+  const [attachments, setAttachments] = useState([]);
+  const [isRecording, setIsRecording] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
 
@@ -34,41 +74,89 @@ const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, curren
       setTitle('Symptom Report');
       setDescription('');
       setSymptoms('');
+      setStructuredSymptoms([]);
       setSeverity(5);
+      setStartedEarlier(false);
+      setStartDateKey(toLocalDateKey(new Date()));
+      setStartTime(getDefaultStartTime());
+      setAttachments([]);
       setError('');
     }
   }, [visible]);
 
+  useEffect(() => {
+    if (visible && protocolId) {
+      symptomReportsService.getSymptomCatalogue(protocolId).then(setCatalogue);
+    }
+  }, [visible, protocolId]);
+
+  // Com sintomas do catálogo o texto livre vira complemento opcional
+  const hasStructuredSymptoms = structuredSymptoms.length > 0;
+  const canSubmit = hasStructuredSymptoms || !!symptoms.trim();
+
+  const todayKey = toLocalDateKey(new Date());
+  const protocolStartKey = protocolStartDate ? toLocalDateKey(new Date(protocolStartDate)) : null;
+  const oldestKey = shiftDateKey(todayKey, -MAX_BACKDATE_DAYS);
+  // Não dá para datar antes do início da prescrição nem além do limite de dias
+  const minStartKey = protocolStartKey && protocolStartKey > oldestKey ? protocolStartKey : oldestKey;
+  const startedAt = startedEarlier ? new Date(`${startDateKey}T${startTime}:00`) : new Date();
+  const daysAgo = getProtocolDayForDate(startedAt, new Date()) - 1;
+
+  const getReportDayNumber = () => {
+    if (!protocolStartDate) {
+      // Sem a data de início: contar os dias para trás a partir do dia atual
+      return Math.max(1, (currentDay || 1) - daysAgo);
+    }
+
+    const day = Math.max(1, getProtocolDayForDate(protocolStartDate, startedAt));
+    return protocolDuration ? Math.min(day, protocolDuration) : day;
+  };
+  const reportDayNumber = getReportDayNumber();
+
   const handleSubmit = async () => {
     try {
       setIsSubmitting(true);
       setError('');
 
       // Validation
-      if (!symptoms.trim()) {
-        setError('Please describe your symptoms');
+      if (!hasStructuredSymptoms && !symptoms.trim()) {
+        setError('Please select or describe your symptoms');
         return;
       }
 
-      if (symptoms.trim().length < 10) {
+      if (!hasStructuredSymptoms && symptoms.trim().length < 10) {
         setError('Please provide more details about your symptoms (at least 10 characters)');
         return;
       }
 
+      if (startedEarlier && startedAt > new Date()) {
+        setError('The start time can\'t be in the future');
+        return;
+      }
+
+      // Um único início por relatório: cada sintoma herda o onset do "When did it start?"
+      const onset = getSymptomOnset(!startedEarlier, daysAgo);
+      const reportSymptoms = structuredSymptoms.map(symptom => ({ ...symptom, onset }));
+
       const reportData = {
         protocolId,
-        dayNumber: currentDay,
+        dayNumber: reportDayNumber,
         title: title.trim() || 'Symptom Report',
-        symptoms: symptoms.trim(),
+        symptoms: buildSymptomsText(reportSymptoms, symptoms),
+        structuredSymptoms: reportSymptoms,
         severity,
-        isNow: true,
-        ...(description.trim() && { description: description.trim() })
+        isNow: !startedEarlier,
+        ...(startedEarlier && { reportTime: startedAt.toISOString() }),
+        ...(description.trim() && { description: description.trim() }),
+        attachments
       };
 
       logger.debug('Submetendo relatório de sintomas', { 
         protocolId, 
-        dayNumber: currentDay, 
-        severity 
+        dayNumber: reportDayNumber, 
+        isNow: !startedEarlier,
+        severity,
+        attachmentsCount: attachments.length
       });
 
       const response = await symptomReportsService.createSymptomReport(reportData);
@@ -78,12 +166,63 @@ const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, curren
       onClose();
     } catch (error) {
       logger.error('Erro ao submeter relatório de sintomas:', error);
+      if (error instanceof NetworkError && attachments.length > 0) {
+        setError('Attachments need an internet connection. Try again when you are back online.');
+        return;
+      }
       setError(error.message || 'Failed to submit symptom report. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const renderStartTime = () => (
+    <View>
+      <View style={styles.startToggle}>
+        {[false, true].map(earlier => (
+          <TouchableOpacity
+            key={String(earlier)}
+            style={[styles.startOption, startedEarlier === earlier && styles.startOptionSelected]}
+            onPress={() => setStartedEarlier(earlier)}
+            disabled={isSubmitting}
+          >
+            <Text style={[styles.startOptionText, startedEarlier === earlier && styles.startOptionTextSelected]}>
+              {earlier ? 'Earlier' : 'Right now'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {startedEarlier && (
+        <View style={styles.startPicker}>
+          <View style={styles.dateRow}>
+            <TouchableOpacity
+              style={[styles.dateButton, startDateKey <= minStartKey && styles.dateButtonDisabled]}
+              onPress={() => setStartDateKey(shiftDateKey(startDateKey, -1))}
+              disabled={isSubmitting || startDateKey <= minStartKey}
+            >
+              <Icon name="chevron-left" size={22} color="#FFFFFF" />
+            </TouchableOpacity>
+            <Text style={styles.dateText}>
+              {startDateKey === todayKey
+                ? 'Today'
+                : new Date(`${startDateKey}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+            </Text>
+            <TouchableOpacity
+              style={[styles.dateButton, startDateKey >= todayKey && styles.dateButtonDisabled]}
+              onPress={() => setStartDateKey(shiftDateKey(startDateKey, 1))}
+              disabled={isSubmitting || startDateKey >= todayKey}
+            >
+              <Icon name="chevron-right" size={22} color="#FFFFFF" />
+            </TouchableOpacity>
+          </View>
+          <TimeStepper label="Time" value={startTime} onChange={setStartTime} step={15} disabled={isSubmitting} />
+          <Text style={styles.startHint}>Protocol day {reportDayNumber}</Text>
+        </View>
+      )}
+    </View>
+  );
+
   const renderSeverityScale = () => {
     return (
       <View style={styles.severityContainer}>
@@ -145,7 +284,7 @@ const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, curren
             <View style={styles.headerInfo}>
               <Text style={styles.title}>Report Symptoms</Text>
               <Text style={styles.subtitle}>
-                {protocolName} • Day {currentDay}
+                {protocolName} • Day {reportDayNumber}
               </Text>
             </View>
             <TouchableOpacity onPress={onClose} style={styles.closeButton}>
@@ -171,16 +310,29 @@ const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, curren
               />
             </View>
 
+            {/* Symptom Picker */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>
+                Symptoms <Text style={styles.required}>*</Text>
+              </Text>
+              <SymptomPicker
+                catalogue={catalogue}
+                value={structuredSymptoms}
+                onChange={setStructuredSymptoms}
+                disabled={isSubmitting}
+              />
+            </View>
+
             {/* Symptoms Input */}
             <View style={styles.inputGroup}>
               <Text style={styles.inputLabel}>
-                Symptoms Description <Text style={styles.required}>*</Text>
+                {hasStructuredSymptoms ? 'Other Details (Optional)' : 'Or Describe Your Symptoms'}
               </Text>
               <TextInput
                 style={[styles.textInput, styles.textArea]}
                 value={symptoms}
                 onChangeText={setSymptoms}
-                placeholder="Describe your symptoms in detail..."
+                placeholder={hasStructuredSymptoms ? 'Anything else your doctor should know...' : 'Describe your symptoms in detail...'}
                 placeholderTextColor="#9CA3AF"
                 multiline
                 numberOfLines={4}
@@ -191,12 +343,29 @@ const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, curren
               </Text>
             </View>
 
+            {/* Start Time */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>When did it start?</Text>
+              {renderStartTime()}
+            </View>
+
             {/* Severity Scale */}
             <View style={styles.inputGroup}>
               <Text style={styles.inputLabel}>Severity Level</Text>
               {renderSeverityScale()}
             </View>
 
+            {/* Attachments */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Photos & Voice Notes (Optional)</Text>
+              <SymptomAttachmentsInput
+                attachments={attachments}
+                onChange={setAttachments}
+                disabled={isSubmitting}
+                onRecordingChange={setIsRecording}
+              />
+            </View>
+
             {/* Additional Notes */}
             <View style={styles.inputGroup}>
               <Text style={styles.inputLabel}>Additional Notes (Optional)</Text>
@@ -233,10 +402,10 @@ const SymptomReportModal = ({ visible, onClose, protocolId, protocolName, curren
             <TouchableOpacity
               style={[
                 styles.submitButton,
-                (!symptoms.trim() || isSubmitting) && styles.submitButtonDisabled
+                (!canSubmit || isSubmitting || isRecording) && styles.submitButtonDisabled
               ]}
               onPress={handleSubmit}
-              disabled={!symptoms.trim() || isSubmitting}
+              disabled={!canSubmit || isSubmitting || isRecording}
             >
               {isSubmitting ? (
                 <ActivityIndicator size="small" color="#FFFFFF" />
@@ -327,6 +496,59 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     marginTop: 4,
   },
+  startToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#0a0a0a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    padding: 4,
+  },
+  startOption: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  startOptionSelected: {
+    backgroundColor: '#0088FE',
+  },
+  startOptionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#cccccc',
+  },
+  startOptionTextSelected: {
+    color: '#FFFFFF',
+  },
+  startPicker: {
+    marginTop: 12,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  dateButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#252525',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dateButtonDisabled: {
+    opacity: 0.4,
+  },
+  dateText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+  startHint: {
+    fontSize: 13,
+    color: '#cccccc',
+  },
   severityContainer: {
     width: '100%',
     paddingVertical: 16,
@@ -0,0 +1,80 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { timeToMinutes, minutesToTime } from '../services/reminderService';
+
+// Seleção de horário em passos fixos, sem depender de um date picker nativo
+const TimeStepper = ({ label, value, onChange, step = 30, light = false, disabled = false }) => {
+  const shift = (delta) => onChange(minutesToTime(timeToMinutes(value) + delta));
+
+  return (
+    <View style={[styles.row, disabled && styles.disabled]}>
+      <Text style={[styles.label, light && styles.labelLight]}>{label}</Text>
+      <View style={styles.controls}>
+        <TouchableOpacity
+          style={[styles.button, light && styles.buttonLight]}
+          onPress={() => shift(-step)}
+          disabled={disabled}
+        >
+          <Icon name="minus" size={18} color={light ? '#18222A' : '#FFFFFF'} />
+        </TouchableOpacity>
+        <Text style={[styles.value, light && styles.valueLight]}>{value}</Text>
+        <TouchableOpacity
+          style={[styles.button, light && styles.buttonLight]}
+          onPress={() => shift(step)}
+          disabled={disabled}
+        >
+          <Icon name="plus" size={18} color={light ? '#18222A' : '#FFFFFF'} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  label: {
+    flex: 1,
+    fontSize: 15,
+    color: '#cccccc',
+  },
+  labelLight: {
+    color: '#18222A',
+    fontFamily: 'ManropeMedium',
+  },
+  controls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  button: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#252525',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonLight: {
+    backgroundColor: '#F3F4F6',
+  },
+  value: {
+    width: 64,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  valueLight: {
+    color: '#18222A',
+  },
+});
+
+export default TimeStepper;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Audio } from 'expo-av';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { formatPlaybackTime } from '../services/lessonProgressService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('VoiceNotePlayer');
+
+/**
+ * Reprodução de uma nota de voz (gravada no aparelho ou anexada a um relatório)
+ * O som só é carregado no primeiro toque, para listas com várias notas não abrirem todas de uma vez
+ */
+const VoiceNotePlayer = ({ uri, durationMs = null, variant = 'dark', onRemove }) => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const soundRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      soundRef.current?.unloadAsync().catch(() => {});
+      soundRef.current = null;
+    };
+  }, [uri]);
+
+  const handleStatus = (playbackStatus) => {
+    if (!playbackStatus.isLoaded) return;
+    setStatus(playbackStatus);
+
+    // Ao terminar volta para o início, pronto para tocar de novo
+    if (playbackStatus.didJustFinish) {
+      soundRef.current?.setPositionAsync(0).catch(() => {});
+    }
+  };
+
+  const togglePlayback = async () => {
+    try {
+      if (!soundRef.current) {
+        setLoading(true);
+        await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+        const { sound } = await Audio.Sound.createAsync({ uri }, { shouldPlay: true }, handleStatus);
+        soundRef.current = sound;
+        return;
+      }
+
+      if (status?.isPlaying) {
+        await soundRef.current.pauseAsync();
+      } else {
+        await soundRef.current.playAsync();
+      }
+    } catch (error) {
+      logger.error('Erro ao reproduzir nota de voz:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isDark = variant === 'dark';
+  const totalMs = status?.durationMillis || durationMs || 0;
+  const positionMs = status?.positionMillis || 0;
+  const progress = totalMs > 0 ? Math.min(1, positionMs / totalMs) : 0;
+
+  return (
+    <View style={[styles.container, isDark ? styles.containerDark : styles.containerLight]}>
+      <TouchableOpacity style={styles.playButton} onPress={togglePlayback} disabled={loading}>
+        {loading ? (
+          <ActivityIndicator size="small" color="#FFFFFF" />
+        ) : (
+          <Icon name={status?.isPlaying ? 'pause' : 'play'} size={18} color="#FFFFFF" />
+        )}
+      </TouchableOpacity>
+
+      <View style={styles.info}>
+        <View style={[styles.track, isDark ? styles.trackDark : styles.trackLight]}>
+          <View style={[styles.trackFill, { width: `${progress * 100}%` }]} />
+        </View>
+        <Text style={[styles.time, isDark ? styles.timeDark : styles.timeLight]}>
+          {status?.isPlaying || positionMs > 0
+            ? `${formatPlaybackTime(positionMs / 1000)} / ${formatPlaybackTime(totalMs / 1000)}`
+            : `Voice note${totalMs ? ` • ${formatPlaybackTime(totalMs / 1000)}` : ''}`}
+        </Text>
+      </View>
+
+      {onRemove && (
+        <TouchableOpacity onPress={onRemove} style={styles.removeButton}>
+          <Icon name="close" size={18} color={isDark ? '#cccccc' : '#6B7280'} />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  containerDark: {
+    backgroundColor: '#0a0a0a',
+    borderColor: '#252525',
+  },
+  containerLight: {
+    backgroundColor: '#F9FAFB',
+    borderColor: '#E5E7EB',
+  },
+  playButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#0088FE',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+  trackDark: {
+    backgroundColor: '#252525',
+  },
+  trackLight: {
+    backgroundColor: '#E5E7EB',
+  },
+  trackFill: {
+    height: '100%',
+    backgroundColor: '#0088FE',
+  },
+  time: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  timeDark: {
+    color: '#cccccc',
+  },
+  timeLight: {
+    color: '#6B7280',
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+});
+
+export default VoiceNotePlayer;
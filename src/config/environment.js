@@ -3,21 +3,20 @@
  * Este arquivo centraliza o acesso às variáveis de ambiente para evitar importações diretas
  * de @env em todos os arquivos
  */
-import { API_URL, JWT_SECRET } from '@env';
+import { API_URL } from '@env';
 import { createLogger } from '../utils/logUtils';
 
 const logger = createLogger('Environment');
 
 // Define valores padrão para desenvolvimento caso as variáveis não estejam definidas
+// Segredos de assinatura (ex.: JWT_SECRET) nunca devem ser expostos aqui: tudo neste objeto vai para o bundle
 const DEFAULT_ENV = {
   API_URL: 'https://app.cxlus.com',
-  JWT_SECRET: 'your-nextauth-secret',
 };
 
 // Valida e exporta as variáveis de ambiente
 export const ENV = {
   API_URL: API_URL || DEFAULT_ENV.API_URL,
-  JWT_SECRET: JWT_SECRET || DEFAULT_ENV.JWT_SECRET,
   // Adicione outras variáveis de ambiente aqui conforme necessário
 };
 
@@ -26,7 +25,6 @@ const validateEnvironment = () => {
   const missing = [];
   
   if (!ENV.API_URL) missing.push('API_URL');
-  if (!ENV.JWT_SECRET) missing.push('JWT_SECRET');
   
   if (missing.length > 0) {
     logger.warn(`Algumas variáveis de ambiente estão faltando: ${missing.join(', ')}. Usando valores padrão.`);
@@ -34,8 +32,6 @@ const validateEnvironment = () => {
   
   logger.info('Configuração de ambiente carregada', { 
     API_URL: ENV.API_URL,
-    // Não logar o JWT_SECRET completo por segurança
-    JWT_SECRET_SET: !!ENV.JWT_SECRET,
   });
 };
 
@@ -1,10 +1,17 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
-import { Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { login as authLogin, register as authRegister } from '../services/authService';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { Alert, AppState } from 'react-native';
+import { login as authLogin, register as authRegister, refreshToken } from '../services/authService';
 import * as userService from '../services/userService';
-import { isTokenValid, storeToken, getToken, removeToken } from '../utils/jwtUtils';
+import { isTokenValid, storeToken, getToken, removeToken, getRefreshToken, storeRefreshToken } from '../utils/jwtUtils';
 import tokenService from '../services/tokenService';
+import { startOfflineSync, stopOfflineSync } from '../services/apiClient';
+import { clearQueue } from '../services/offlineQueue';
+import appLockService, { DEFAULT_APP_LOCK_SETTINGS } from '../services/appLockService';
+import reminderService from '../services/reminderService';
+import notificationInboxService from '../services/notificationInboxService';
+import lessonProgressService from '../services/lessonProgressService';
+import checkinDraftService from '../services/checkinDraftService';
+import courseDownloadService from '../services/courseDownloadService';
 import { createLogger } from '../utils/logUtils';
 import { jwtDecode } from 'jwt-decode';
 
@@ -22,25 +29,49 @@ export const AuthProvider = ({ children }) => {
   const [authLoading, setAuthLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [authError, setAuthError] = useState(null);
+  const [appLockSettings, setAppLockSettings] = useState(DEFAULT_APP_LOCK_SETTINGS);
+  const [isLocked, setIsLocked] = useState(false);
+  const backgroundedAtRef = useRef(null);
 
   // Função para carregar o estado de autenticação inicial
   const loadAuthState = async () => {
     try {
       setAuthLoading(true);
-      const token = await getToken();
+      const lockSettings = await appLockService.getAppLockSettings();
+      setAppLockSettings(lockSettings);
       
-      if (token && isTokenValid(token)) {
+      let token = await getToken();
+      let tokenValid = token ? await isTokenValid() : false;
+      
+      // Token de acesso expirado: tentar renovar com o refresh token antes de exigir login
+      if (!tokenValid && (await getRefreshToken())) {
+        logger.info('Token expirado, tentando renovar sessão');
+        try {
+          token = await refreshToken();
+          tokenValid = !!token;
+        } catch (refreshError) {
+          logger.warn('Não foi possível renovar a sessão ao iniciar', refreshError);
+        }
+      }
+      
+      if (token && tokenValid) {
         logger.info('Token válido encontrado, restaurando sessão');
         setIsAuthenticated(true);
         
+        // Bloqueio no cold start: o navegador só é liberado após biometria/PIN
+        if (lockSettings.enabled) {
+          setIsLocked(true);
+        }
+        
         // Carregar dados do usuário se tiver token válido
         await fetchUserProfile();
       } else {
         logger.info('Token inválido ou ausente');
         setIsAuthenticated(false);
         setUser(null);
-        // Limpar token inválido do storage
+        // Limpar token inválido e o perfil em cache
         await removeToken();
+        await userService.clearCachedUserProfile();
       }
     } catch (error) {
       logger.error('Erro ao carregar estado de autenticação', error);
@@ -57,22 +88,49 @@ export const AuthProvider = ({ children }) => {
     loadAuthState();
   }, []);
 
-  // Iniciar ou parar o monitoramento de token baseado no estado de autenticação
+  // Iniciar ou parar o monitoramento de token e da fila offline baseado no estado de autenticação
   useEffect(() => {
     if (isAuthenticated) {
       logger.debug('Iniciando monitoramento de token');
       tokenService.startTokenRefreshMonitoring();
+      startOfflineSync();
     } else {
       logger.debug('Parando monitoramento de token');
       tokenService.stopTokenRefreshMonitoring();
+      stopOfflineSync();
     }
 
     return () => {
       logger.debug('Limpando monitoramento de token');
       tokenService.stopTokenRefreshMonitoring();
+      stopOfflineSync();
     };
   }, [isAuthenticated]);
 
+  // Bloquear o app ao voltar do background após o tempo configurado
+  useEffect(() => {
+    if (!isAuthenticated || !appLockSettings.enabled) {
+      return undefined;
+    }
+
+    const handleAppStateChange = (nextAppState) => {
+      if (nextAppState === 'background') {
+        backgroundedAtRef.current = Date.now();
+      } else if (nextAppState === 'active' && backgroundedAtRef.current) {
+        const elapsedMs = Date.now() - backgroundedAtRef.current;
+        backgroundedAtRef.current = null;
+
+        if (elapsedMs >= appLockSettings.lockAfterMinutes * 60 * 1000) {
+          logger.info('Bloqueando app após período em background', { elapsedMs });
+          setIsLocked(true);
+        }
+      }
+    };
+
+    const subscription = AppState.addEventListener('change', handleAppStateChange);
+    return () => subscription?.remove();
+  }, [isAuthenticated, appLockSettings.enabled, appLockSettings.lockAfterMinutes]);
+
   // Buscar perfil do usuário
   const fetchUserProfile = async () => {
     try {
@@ -87,6 +145,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Login rápido: guarda o refresh token atual (nunca a senha) atrás do prompt de biometria
+  const saveQuickLogin = async (email) => {
+    try {
+      return await appLockService.saveQuickLoginCredentials(email, await getRefreshToken());
+    } catch (error) {
+      logger.error('Erro ao salvar login rápido', error);
+      return false;
+    }
+  };
+
   // Login do usuário
   const login = async (email, password) => {
     try {
@@ -100,6 +168,14 @@ export const AuthProvider = ({ children }) => {
         logger.info('Login bem-sucedido');
         // O token já é armazenado pela função login do authService
         setIsAuthenticated(true);
+        setIsLocked(false);
+        await appLockService.resetFailedPinAttempts();
+        
+        // Com biometria ativa, guardar a sessão para o login rápido quando ela expirar
+        if (appLockSettings.enabled && appLockSettings.biometricsEnabled) {
+          await saveQuickLogin(email);
+        }
+        
         await fetchUserProfile();
         return true;
       } else {
@@ -115,7 +191,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Login direto com token (usado após registro)
-  const loginWithToken = async (token, userData = null) => {
+  const loginWithToken = async (token, userData = null, refreshTokenValue = null) => {
     try {
       logger.debug('Login com token');
       setAuthLoading(true);
@@ -123,9 +199,17 @@ export const AuthProvider = ({ children }) => {
 
       // Armazenar o token
       await storeToken(token);
+      if (refreshTokenValue) {
+        await storeRefreshToken(refreshTokenValue);
+      }
       
       // Definir como autenticado
       setIsAuthenticated(true);
+      await appLockService.resetFailedPinAttempts();
+      
+      if (refreshTokenValue && appLockSettings.enabled && appLockSettings.biometricsEnabled) {
+        await saveQuickLogin(userData?.email);
+      }
       
       // Se os dados do usuário foram fornecidos, usar eles, senão buscar
       if (userData) {
@@ -146,13 +230,71 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Login rápido por biometria: renova a sessão com o refresh token guardado no armazenamento seguro
+  const quickLogin = async () => {
+    const credentials = await appLockService.getQuickLoginCredentials();
+    
+    if (!credentials) {
+      logger.debug('Nenhuma credencial de login rápido disponível');
+      return false;
+    }
+    
+    const authenticated = await appLockService.authenticateWithBiometrics('Sign in to CXLUS');
+    if (!authenticated) {
+      return false;
+    }
+    
+    try {
+      setAuthLoading(true);
+      await storeRefreshToken(credentials.refreshToken);
+      const token = await refreshToken();
+      if (!token) {
+        // Refresh token expirado ou revogado: só resta o login com senha
+        logger.warn('Sessão do login rápido expirada, descartando credenciais');
+        await appLockService.clearQuickLoginCredentials();
+        await removeToken();
+        return false;
+      }
+      
+      logger.info('Login rápido bem-sucedido');
+      setIsAuthenticated(true);
+      setIsLocked(false);
+      await appLockService.resetFailedPinAttempts();
+      // O servidor pode ter rotacionado o refresh token
+      await saveQuickLogin(credentials.email);
+      await fetchUserProfile();
+      return true;
+    } catch (error) {
+      // Falha de rede: as credenciais continuam valendo para a próxima tentativa
+      logger.error('Erro no login rápido', error);
+      await removeToken();
+      return false;
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
   // Logout do usuário
-  const logout = async () => {
+  // keepQuickLogin mantém as credenciais de login rápido (usado quando a sessão expira)
+  const logout = async ({ keepQuickLogin = false } = {}) => {
     try {
       logger.debug('Iniciando logout');
       setAuthLoading(true);
       await removeToken();
+      await userService.clearCachedUserProfile();
+      // Ações offline pertencem à sessão encerrada
+      await clearQueue();
+      // Lembretes locais e a caixa de entrada mostram dados de saúde; não podem sobreviver à sessão
+      await reminderService.cancelAllReminders();
+      await notificationInboxService.clear();
+      await lessonProgressService.clear();
+      await courseDownloadService.clear();
+      await checkinDraftService.clear();
+      if (!keepQuickLogin) {
+        await appLockService.clearQuickLoginCredentials();
+      }
       setIsAuthenticated(false);
+      setIsLocked(false);
       setUser(null);
       logger.info('Logout realizado com sucesso');
     } catch (error) {
@@ -194,7 +336,7 @@ export const AuthProvider = ({ children }) => {
   const updateUserData = async (userData) => {
     try {
       setUser(userData);
-      await AsyncStorage.setItem('user_data', JSON.stringify(userData));
+      await userService.cacheUserProfile(userData);
     } catch (error) {
       console.error('Erro ao atualizar dados do usuário:', error);
     }
@@ -202,9 +344,70 @@ export const AuthProvider = ({ children }) => {
 
   const handleSessionExpired = useCallback(async () => {
     logger.warn('Sessão expirada detectada, fazendo logout automático');
-    await logout();
+    await logout({ keepQuickLogin: true });
   }, [logout]);
 
+  // Desbloquear o app por biometria
+  const unlockWithBiometrics = async () => {
+    if (!appLockSettings.biometricsEnabled) return false;
+    
+    const success = await appLockService.authenticateWithBiometrics();
+    if (success) {
+      logger.info('App desbloqueado por biometria');
+      setIsLocked(false);
+    }
+    return success;
+  };
+
+  // Desbloquear o app pelo PIN; esgotadas as tentativas, a sessão é encerrada
+  const unlockWithPin = async (pin) => {
+    const result = await appLockService.verifyPin(pin);
+    
+    if (result.valid) {
+      logger.info('App desbloqueado por PIN');
+      setIsLocked(false);
+    } else if (result.remainingAttempts === 0) {
+      logger.warn('Tentativas de PIN esgotadas, encerrando sessão');
+      // O próximo login começa com todas as tentativas
+      await appLockService.resetFailedPinAttempts();
+      await logout();
+    }
+    
+    return result;
+  };
+
+  // Ativar o bloqueio do app com PIN (e opcionalmente biometria)
+  const enableAppLock = async (pin, options = {}) => {
+    const settings = await appLockService.enableAppLock(pin, options);
+    setAppLockSettings(settings);
+    
+    if (settings.biometricsEnabled) {
+      await saveQuickLogin(user?.email);
+    }
+    return settings;
+  };
+
+  // Desativar o bloqueio do app
+  const disableAppLock = async () => {
+    const settings = await appLockService.disableAppLock();
+    setAppLockSettings(settings);
+    setIsLocked(false);
+    return settings;
+  };
+
+  // Alterar configurações do bloqueio (biometria, tempo em background)
+  const updateAppLockSettings = async (changes) => {
+    const settings = await appLockService.saveAppLockSettings(changes);
+    setAppLockSettings(settings);
+    
+    if (changes.biometricsEnabled === false) {
+      await appLockService.clearQuickLoginCredentials();
+    } else if (changes.biometricsEnabled && settings.enabled) {
+      await saveQuickLogin(user?.email);
+    }
+    return settings;
+  };
+
   // Valor do contexto
   const value = {
     user,
@@ -217,6 +420,14 @@ export const AuthProvider = ({ children }) => {
     updateUserData,
     refreshAuth: loadAuthState,
     handleSessionExpired,
+    quickLogin,
+    isLocked,
+    appLockSettings,
+    unlockWithBiometrics,
+    unlockWithPin,
+    enableAppLock,
+    disableAppLock,
+    updateAppLockSettings,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -1,6 +1,8 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo } from 'react';
 import { Alert, AppState } from 'react-native';
 import notificationService from '../services/notificationService';
+import reminderService from '../services/reminderService';
+import notificationInboxService from '../services/notificationInboxService';
 import { useAuth } from './AuthContext';
 import { createLogger } from '../utils/logUtils';
 
@@ -20,6 +22,7 @@ export const NotificationProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [retryAttempt, setRetryAttempt] = useState(0);
+  const [inbox, setInbox] = useState([]);
   const maxRetries = 3;
 
   const { user, isAuthenticated } = useAuth();
@@ -50,6 +53,12 @@ export const NotificationProvider = ({ children }) => {
         // Atualizar estatísticas
         await updateNotificationStats();
         
+        // Avançar a janela dos lembretes locais de protocolo e hábitos
+        reminderService.refreshAllReminders();
+        
+        // Guardar notificações recebidas com o app fechado que ainda estão na bandeja
+        notificationService.syncPresentedNotifications();
+        
         logger.info('Contexto de notificações inicializado com sucesso');
         setRetryAttempt(0); // Resetar tentativas após sucesso
       } else {
@@ -190,6 +199,27 @@ export const NotificationProvider = ({ children }) => {
     }
   }, []);
 
+  // Marcar notificação da caixa de entrada como lida
+  const markNotificationAsRead = useCallback(async (id) => {
+    await notificationInboxService.markAsRead(id);
+  }, []);
+
+  // Marcar todas as notificações como lidas
+  const markAllNotificationsAsRead = useCallback(async () => {
+    await notificationInboxService.markAllAsRead();
+  }, []);
+
+  // Remover notificação da caixa de entrada
+  const removeNotification = useCallback(async (id) => {
+    await notificationInboxService.removeNotification(id);
+  }, []);
+
+  // Abrir uma notificação da caixa de entrada: marca como lida e navega pelo payload (screen/url)
+  const openNotification = useCallback(async (notification) => {
+    await notificationInboxService.markAsRead(notification.id);
+    notificationService.handleNotificationPress({ data: notification.data });
+  }, []);
+
   // Reinicializar serviço
   const reinitialize = useCallback(async () => {
     logger.debug('Reinicializando serviço de notificações');
@@ -208,6 +238,19 @@ export const NotificationProvider = ({ children }) => {
     }
   }, [isAuthenticated, initializeNotifications]);
 
+  // Carregar e observar a caixa de entrada enquanto houver sessão
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setInbox([]);
+      return undefined;
+    }
+
+    notificationInboxService.getNotifications().then(setInbox);
+    return notificationInboxService.subscribe(setInbox);
+  }, [isAuthenticated]);
+
+  const unreadCount = useMemo(() => inbox.filter(item => !item.read).length, [inbox]);
+
   // Registrar dispositivo quando o usuário faz login
   useEffect(() => {
     if (isAuthenticated && isInitialized && !isRegistered && user?.email) {
@@ -235,8 +278,10 @@ export const NotificationProvider = ({ children }) => {
   useEffect(() => {
     const handleAppStateChange = (nextAppState) => {
       if (nextAppState === 'active' && isInitialized) {
-        // App voltou ao foreground, atualizar estatísticas
+        // App voltou ao foreground, atualizar estatísticas e lembretes locais
         updateNotificationStats();
+        reminderService.refreshAllReminders();
+        notificationService.syncPresentedNotifications();
       }
     };
 
@@ -253,6 +298,8 @@ export const NotificationProvider = ({ children }) => {
     notificationStats,
     loading,
     error,
+    inbox,
+    unreadCount,
 
     // Ações
     registerDevice,
@@ -261,6 +308,10 @@ export const NotificationProvider = ({ children }) => {
     cancelAllNotifications,
     updateNotificationStats,
     reinitialize,
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
+    removeNotification,
+    openNotification,
 
     // Informações úteis
     hasPermissions: isInitialized,
@@ -0,0 +1,76 @@
+/**
+ * Autenticação simulada para desenvolvimento
+ * Substitui o antigo generateJWT: gera tokens NÃO assinados (alg "none") para testar o app contra
+ * um servidor local de testes (API_URL do .env apontando para ele) que aceite esse formato.
+ * Não importe este módulo diretamente: use getMockAuth() do authService, que o remove do bundle de produção
+ */
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('MockAuth');
+
+if (!__DEV__) {
+  throw new Error('mockAuth só pode ser usado em desenvolvimento');
+}
+
+// Usuário padrão usado quando nenhum é informado
+const DEFAULT_MOCK_USER = {
+  id: 'mock-patient-1',
+  name: 'Paciente de Teste',
+  email: 'paciente@cxlus.local',
+  role: 'PATIENT'
+};
+
+// Codifica em base64url, preservando caracteres fora do Latin-1 (ex.: acentos em nomes)
+const base64UrlEncode = (value) =>
+  btoa(unescape(encodeURIComponent(JSON.stringify(value))))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * Gera um token JWT sem assinatura para o usuário informado
+ * @param {Object} user - Dados do usuário (id, name, email)
+ * @param {Object} options - Opções
+ * @param {number} options.expiresIn - Validade em segundos (padrão: 24 horas)
+ * @returns {string} Token no formato header.payload. (assinatura vazia)
+ */
+export const createMockToken = (user = DEFAULT_MOCK_USER, { expiresIn = 60 * 60 * 24 } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  const payload = {
+    id: user.id,
+    sub: user.id,
+    name: user.name,
+    email: user.email,
+    iat: now,
+    exp: now + expiresIn,
+    mock: true
+  };
+
+  return `${base64UrlEncode({ alg: 'none', typ: 'JWT' })}.${base64UrlEncode(payload)}.`;
+};
+
+/**
+ * Gera uma sessão completa no mesmo formato da resposta de /api/auth/mobile/login
+ * Use com loginWithToken(token, user, refreshToken) do AuthContext
+ * @param {Object} user - Dados do usuário (mesclados ao usuário padrão)
+ * @param {Object} options - Opções repassadas para createMockToken
+ * @returns {Object} { token, refreshToken, user }
+ */
+export const createMockSession = (user = {}, options = {}) => {
+  const sessionUser = { ...DEFAULT_MOCK_USER, ...user };
+
+  logger.warn('Criando sessão simulada (apenas desenvolvimento)', { userId: sessionUser.id });
+
+  return {
+    token: createMockToken(sessionUser, options),
+    refreshToken: `mock-refresh-${sessionUser.id}-${Date.now()}`,
+    user: sessionUser
+  };
+};
+
+export default {
+  DEFAULT_MOCK_USER,
+  createMockToken,
+  createMockSession
+};
@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Espera padrão quando o servidor não informa o Retry-After
+const DEFAULT_COOLDOWN_SECONDS = 60;
+
+/**
+ * Contagem regressiva para bloquear novas tentativas (ex.: após um RateLimitError)
+ * @returns {Object} { secondsLeft, isCoolingDown, startCooldown }
+ */
+export default function useRetryCooldown() {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (secondsLeft <= 0) return undefined;
+
+    const timer = setTimeout(() => setSecondsLeft(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
+  const startCooldown = useCallback((seconds) => {
+    setSecondsLeft(seconds || DEFAULT_COOLDOWN_SECONDS);
+  }, []);
+
+  return { secondsLeft, isCoolingDown: secondsLeft > 0, startCooldown };
+}
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useMemo } from 'react';
 import { NavigationContainer, DefaultTheme } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { View, StyleSheet } from 'react-native';
@@ -8,17 +8,24 @@ import WelcomeScreen from '../screens/WelcomeScreen';
 import LearnMoreScreen from '../screens/LearnMoreScreen';
 import LoginScreen from '../screens/LoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/ResetPasswordScreen';
+import VerifyEmailScreen from '../screens/VerifyEmailScreen';
 import LeadsScreen from '../screens/LeadsScreen';
 import ProtocolScreen from '../screens/ProtocolScreen';
 import SymptomReportsScreen from '../screens/SymptomReportsScreen';
 import PatientProfile from '../screens/PatientProfile';
 import NotificationTestScreen from '../screens/NotificationTestScreen';
+import NotificationInboxScreen from '../screens/NotificationInboxScreen';
 import CoursesScreen from '../screens/CoursesScreen';
 import CourseDetailScreen from '../screens/CourseDetailScreen';
+import CheckinHistoryScreen from '../screens/CheckinHistoryScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import FloatingTabNavigator from '../components/FloatingTabNavigator';
 import LoadingSpinner from '../components/LoadingSpinner';
+import AppLockOverlay from '../components/AppLockOverlay';
 import { useAuth } from '../contexts/AuthContext';
+import { navigationRef, createLinking, onNavigationReady, onNavigationUnmounted } from './RootNavigation';
 
 const Stack = createNativeStackNavigator();
 
@@ -37,146 +44,212 @@ const MyTheme = {
 };
 
 const AppNavigator = () => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, isLocked } = useAuth();
+
+  // Deep links (cxlus://protocol/:id/day/:day, cxlus://reset-password?token=...); ver RootNavigation.js
+  const linking = useMemo(() => createLinking(isAuthenticated), [isAuthenticated]);
+
+  // O NavigationContainer é desmontado enquanto a autenticação carrega
+  useEffect(() => {
+    if (loading) {
+      onNavigationUnmounted();
+    }
+  }, [loading]);
 
   if (loading) {
     return <LoadingSpinner />;
   }
 
   return (
-    <NavigationContainer theme={MyTheme}>
-      <Stack.Navigator 
-        initialRouteName={isAuthenticated ? "MainApp" : "Welcome"}
-        screenOptions={{
-          headerShown: false,
-          animation: 'slide_from_right',
-          gestureEnabled: true,
-          presentation: 'card',
-          cardOverlayEnabled: true,
-          animationTypeForReplace: isAuthenticated ? 'push' : 'pop',
-        }}
+    <View style={styles.container}>
+      <NavigationContainer
+        ref={navigationRef}
+        theme={MyTheme}
+        linking={linking}
+        onReady={() => onNavigationReady(isAuthenticated)}
       >
-        {!isAuthenticated ? (
-          // Telas de autenticação
-          <Stack.Group>
-            <Stack.Screen 
-              name="Welcome" 
-              component={WelcomeScreen} 
-            />
-            <Stack.Screen 
-              name="LearnMore" 
-              component={LearnMoreScreen} 
-            />
-            <Stack.Screen 
-              name="Login" 
-              component={LoginScreen} 
-            />
-            <Stack.Screen 
-              name="Register" 
-              component={RegisterScreen} 
-            />
-          </Stack.Group>
-        ) : (
-          // Telas do app
-          <Stack.Group>
-            <Stack.Screen 
-              name="MainApp" 
-              component={FloatingTabNavigator} 
-            />
+        <Stack.Navigator 
+          initialRouteName={isAuthenticated ? "MainApp" : "Welcome"}
+          screenOptions={{
+            headerShown: false,
+            animation: 'slide_from_right',
+            gestureEnabled: true,
+            presentation: 'card',
+            cardOverlayEnabled: true,
+            animationTypeForReplace: isAuthenticated ? 'push' : 'pop',
+          }}
+        >
+          {!isAuthenticated ? (
+            // Telas de autenticação
+            <Stack.Group>
+              <Stack.Screen 
+                name="Welcome" 
+                component={WelcomeScreen} 
+              />
+              <Stack.Screen 
+                name="LearnMore" 
+                component={LearnMoreScreen} 
+              />
+              <Stack.Screen 
+                name="Login" 
+                component={LoginScreen} 
+              />
+              <Stack.Screen 
+                name="Register" 
+                component={RegisterScreen} 
+              />
+              <Stack.Screen 
+                name="ForgotPassword" 
+                component={ForgotPasswordScreen} 
+              />
+              <Stack.Screen 
+                name="ResetPassword" 
+                component={ResetPasswordScreen} 
+              />
+              <Stack.Screen 
+                name="VerifyEmail" 
+                component={VerifyEmailScreen} 
+              />
+            </Stack.Group>
+          ) : (
+            // Telas do app
+            <Stack.Group>
+              <Stack.Screen 
+                name="MainApp" 
+                component={FloatingTabNavigator} 
+              />
             
-            <Stack.Screen 
-              name="Leads" 
-              component={LeadsScreen} 
-              options={{ 
-                title: 'Leads',
-                headerShown: true,
-                headerStyle: {
-                  backgroundColor: '#FFFFFF',
-                },
-                headerTitleStyle: {
-                  color: '#1F2937',
-                  fontWeight: '600',
-                },
-                headerShadowVisible: false,
-              }} 
-            />
-
-            <Stack.Screen 
-              name="Protocol" 
-              component={ProtocolScreen} 
-              options={{ 
-                headerShown: false,
-                animation: 'slide_from_right',
-              }} 
-            />
-
-            <Stack.Screen 
-              name="SymptomReports" 
-              component={SymptomReportsScreen} 
-              options={{ 
-                headerShown: false,
-                animation: 'slide_from_right',
-              }} 
-            />
-
-            <Stack.Screen 
-              name="PatientProfile" 
-              component={PatientProfile} 
-              options={{ 
-                headerShown: false,
-                animation: 'slide_from_right',
-              }} 
-            />
-
-            <Stack.Screen 
-              name="NotificationTest" 
-              component={NotificationTestScreen} 
-              options={{ 
-                title: 'Teste de Notificações',
-                headerShown: true,
-                headerStyle: {
-                  backgroundColor: '#2196F3',
-                },
-                headerTitleStyle: {
-                  color: '#FFFFFF',
-                  fontWeight: '600',
-                },
-                headerTintColor: '#FFFFFF',
-                headerShadowVisible: false,
-              }} 
-            />
-
-            <Stack.Screen 
-              name="Courses" 
-              component={CoursesScreen} 
-              options={{ 
-                headerShown: false,
-                animation: 'slide_from_right',
-              }} 
-            />
-
-            <Stack.Screen 
-              name="CourseDetail" 
-              component={CourseDetailScreen} 
-              options={{ 
-                headerShown: false,
-                animation: 'slide_from_right',
-              }} 
-            />
-
-            <Stack.Screen 
-              name="ProfileScreen" 
-              component={ProfileScreen} 
-              options={{ 
-                headerShown: false,
-                animation: 'slide_from_right',
-              }} 
-            />
-          </Stack.Group>
-        )}
-      </Stack.Navigator>
-    </NavigationContainer>
+              <Stack.Screen 
+                name="Leads" 
+                component={LeadsScreen} 
+                options={{ 
+                  title: 'Leads',
+                  headerShown: true,
+                  headerStyle: {
+                    backgroundColor: '#FFFFFF',
+                  },
+                  headerTitleStyle: {
+                    color: '#1F2937',
+                    fontWeight: '600',
+                  },
+                  headerShadowVisible: false,
+                }} 
+              />
+
+              <Stack.Screen 
+                name="Protocol" 
+                component={ProtocolScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="SymptomReports" 
+                component={SymptomReportsScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="PatientProfile" 
+                component={PatientProfile} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="NotificationInbox" 
+                component={NotificationInboxScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="NotificationTest" 
+                component={NotificationTestScreen} 
+                options={{ 
+                  title: 'Teste de Notificações',
+                  headerShown: true,
+                  headerStyle: {
+                    backgroundColor: '#2196F3',
+                  },
+                  headerTitleStyle: {
+                    color: '#FFFFFF',
+                    fontWeight: '600',
+                  },
+                  headerTintColor: '#FFFFFF',
+                  headerShadowVisible: false,
+                }} 
+              />
+
+              <Stack.Screen 
+                name="Courses" 
+                component={CoursesScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="CourseDetail" 
+                component={CourseDetailScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="CheckinHistory" 
+                component={CheckinHistoryScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              <Stack.Screen 
+                name="ProfileScreen" 
+                component={ProfileScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+
+              {/* Quem acabou de se cadastrar já está logado e ainda precisa abrir o link de verificação */}
+              <Stack.Screen 
+                name="VerifyEmail" 
+                component={VerifyEmailScreen} 
+                options={{ 
+                  headerShown: false,
+                  animation: 'slide_from_right',
+                }} 
+              />
+            </Stack.Group>
+          )}
+        </Stack.Navigator>
+      </NavigationContainer>
+
+      {/* Bloqueio do app: cobre o navegador sem desmontá-lo */}
+      {isAuthenticated && isLocked && <AppLockOverlay />}
+    </View>
   );
 };
 
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
+
 export default AppNavigator;
@@ -0,0 +1,223 @@
+/**
+ * Navegação fora dos componentes (notificações, deep links)
+ * Links e notificações que chegam antes da autenticação terminar ficam guardados
+ * e são abertos assim que o navegador autenticado estiver pronto
+ */
+import { Linking } from 'react-native';
+import {
+  createNavigationContainerRef,
+  getStateFromPath as defaultGetStateFromPath,
+  getActionFromState,
+} from '@react-navigation/native';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('RootNavigation');
+
+export const navigationRef = createNavigationContainerRef();
+
+export const LINKING_PREFIXES = ['cxlus://', 'https://app.cxlus.com/app'];
+
+// Rotas abertas sem login (links dos emails de autenticação)
+const PUBLIC_PATHS = ['reset-password', 'verify-email'];
+// Das rotas públicas, as que também abrem com sessão ativa (o cadastro já entra logado, sem email verificado)
+const SESSION_PUBLIC_PATHS = ['verify-email'];
+
+const linkingConfig = {
+  // Telas abertas por link ficam sobre a Home, para o botão voltar funcionar
+  initialRouteName: 'MainApp',
+  screens: {
+    Protocol: {
+      path: 'protocol/:protocolId/day/:day',
+      alias: ['protocol/:protocolId'],
+      parse: { day: Number },
+    },
+    CourseDetail: 'course/:courseId',
+    NotificationInbox: 'notifications',
+    ResetPassword: 'reset-password',
+    VerifyEmail: 'verify-email',
+  },
+};
+
+// Destino aguardando o app ficar pronto: { name, params } ou { url }
+let pendingTarget = null;
+// true quando o navegador montado é o das telas autenticadas
+let authenticatedNavigatorReady = false;
+// A URL inicial do sistema só deve ser aberta uma vez (o navegador remonta a cada login/logout)
+let initialUrlConsumed = false;
+
+const getPathFromUrl = (url) => {
+  const prefix = LINKING_PREFIXES.find(candidate => url.startsWith(candidate));
+  return prefix ? url.slice(prefix.length).replace(/^\/+/, '') : null;
+};
+
+const matchesPaths = (url, paths) => {
+  const path = getPathFromUrl(url) || '';
+  return paths.some(candidate => path.startsWith(candidate));
+};
+
+const isPublicUrl = (url) => matchesPaths(url, PUBLIC_PATHS);
+
+// Link público que não faz sentido com sessão ativa (ex.: redefinir senha)
+const isSignedOutOnlyUrl = (url) => isPublicUrl(url) && !matchesPaths(url, SESSION_PUBLIC_PATHS);
+
+// cxlus://checkin/:protocolId abre a tela do protocolo já com o check-in diário
+const getStateFromPath = (path, options) => {
+  const checkinMatch = path.match(/^\/*checkin\/([^/?#]+)\/?(?:\?(.*))?$/);
+
+  if (checkinMatch) {
+    const query = ['openCheckin=true', checkinMatch[2]].filter(Boolean).join('&');
+    return defaultGetStateFromPath(`protocol/${checkinMatch[1]}?${query}`, options);
+  }
+
+  return defaultGetStateFromPath(path, options);
+};
+
+const navigateToUrl = (url) => {
+  const path = getPathFromUrl(url);
+  const state = path !== null ? getStateFromPath(path, linkingConfig) : null;
+  const action = state ? getActionFromState(state, linkingConfig) : null;
+
+  if (!action) {
+    logger.warn('Link não reconhecido', { url });
+    return;
+  }
+
+  navigationRef.dispatch(action);
+};
+
+const canNavigate = () => authenticatedNavigatorReady && navigationRef.isReady();
+
+// Abre o destino guardado, se houver
+const flushPendingNavigation = () => {
+  if (!pendingTarget || !canNavigate()) return;
+
+  const target = pendingTarget;
+  pendingTarget = null;
+  logger.info('Abrindo destino pendente', target);
+
+  if (target.url) {
+    navigateToUrl(target.url);
+  } else {
+    navigationRef.navigate(target.name, target.params);
+  }
+};
+
+/**
+ * Informa que o NavigationContainer está pronto (chamado no onReady)
+ * @param {boolean} isAuthenticated - Se o navegador montado é o das telas autenticadas
+ */
+export const onNavigationReady = (isAuthenticated) => {
+  authenticatedNavigatorReady = isAuthenticated;
+  flushPendingNavigation();
+};
+
+/**
+ * Informa que o NavigationContainer foi desmontado (carregamento de autenticação)
+ */
+export const onNavigationUnmounted = () => {
+  authenticatedNavigatorReady = false;
+};
+
+/**
+ * Navega para uma tela; se o app ainda não estiver pronto, guarda o destino
+ * @param {string} name - Nome da tela
+ * @param {Object} params - Parâmetros da tela
+ */
+export const navigate = (name, params) => {
+  if (!canNavigate()) {
+    logger.debug('Navegação guardada até a autenticação terminar', { name });
+    pendingTarget = { name, params };
+    return;
+  }
+
+  navigationRef.navigate(name, params);
+};
+
+/**
+ * Abre um deep link (cxlus://...) dentro do app; se o app ainda não estiver pronto, guarda o link
+ * @param {string} url - URL do link
+ */
+export const openUrl = (url) => {
+  if (!getPathFromUrl(url)) {
+    logger.warn('Link com prefixo desconhecido', { url });
+    return;
+  }
+
+  if (isPublicUrl(url)) {
+    // Links de autenticação só fazem sentido sem sessão, exceto a verificação de email
+    if (authenticatedNavigatorReady && isSignedOutOnlyUrl(url)) {
+      logger.warn('Link de autenticação ignorado com sessão ativa', { url });
+    } else if (navigationRef.isReady()) {
+      navigateToUrl(url);
+    }
+    return;
+  }
+
+  if (!canNavigate()) {
+    logger.debug('Link guardado até a autenticação terminar', { url });
+    pendingTarget = { url };
+    return;
+  }
+
+  navigateToUrl(url);
+};
+
+/**
+ * Cria a configuração de linking do NavigationContainer
+ * Links de telas autenticadas recebidos sem sessão ficam pendentes até o login
+ * @param {boolean} isAuthenticated - Estado de autenticação no momento da montagem
+ * @returns {Object} Configuração de linking
+ */
+export const createLinking = (isAuthenticated) => ({
+  prefixes: LINKING_PREFIXES,
+  config: linkingConfig,
+  getStateFromPath,
+
+  async getInitialURL() {
+    if (initialUrlConsumed) return null;
+
+    const url = await Linking.getInitialURL();
+    initialUrlConsumed = true;
+
+    if (url && !isAuthenticated && !isPublicUrl(url)) {
+      logger.debug('Link inicial guardado até o login', { url });
+      pendingTarget = { url };
+      return null;
+    }
+
+    if (url && isAuthenticated && isSignedOutOnlyUrl(url)) {
+      logger.warn('Link de autenticação ignorado com sessão ativa', { url });
+      return null;
+    }
+
+    return url;
+  },
+
+  subscribe(listener) {
+    const subscription = Linking.addEventListener('url', ({ url }) => {
+      if (!isAuthenticated && !isPublicUrl(url)) {
+        logger.debug('Link guardado até o login', { url });
+        pendingTarget = { url };
+        return;
+      }
+
+      if (isAuthenticated && isSignedOutOnlyUrl(url)) {
+        logger.warn('Link de autenticação ignorado com sessão ativa', { url });
+        return;
+      }
+
+      listener(url);
+    });
+
+    return () => subscription.remove();
+  },
+});
+
+export default {
+  navigationRef,
+  navigate,
+  openUrl,
+  createLinking,
+  onNavigationReady,
+  onNavigationUnmounted
+};
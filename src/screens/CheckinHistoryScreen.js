@@ -0,0 +1,630 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+  Platform,
+  Image,
+  Dimensions,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { useRoute } from '@react-navigation/native';
+import { LineChart } from 'react-native-chart-kit';
+import dailyCheckinService, { isWithinEditWindow } from '../services/dailyCheckinService';
+import { subscribeToQueue } from '../services/offlineQueue';
+import DailyCheckinModal from '../components/DailyCheckinModal';
+import {
+  CHECKIN_QUESTION_TYPES,
+  formatAnswer,
+  getTrendSeries,
+} from '../utils/checkinQuestions';
+import { toLocalDateKey } from '../utils/dateUtils';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('CheckinHistoryScreen');
+const { width } = Dimensions.get('window');
+
+const QUEUE_SOURCE = 'CheckinHistoryScreen';
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const SERIES_COLORS = ['#1697F5', '#f59e0b', '#10B981', '#8B5CF6'];
+const CHART_WIDTH = width - 64;
+// Rótulos do eixo X: no máximo uns 6 para não sobrepor no mês inteiro
+const MAX_CHART_LABELS = 6;
+
+const DAY_STATUS = {
+  ANSWERED: 'ANSWERED',
+  QUEUED: 'QUEUED',
+  PENDING: 'PENDING',
+  MISSED: 'MISSED',
+  INACTIVE: 'INACTIVE',
+};
+
+const chartConfig = {
+  backgroundColor: '#1d1e24',
+  backgroundGradientFrom: '#1d1e24',
+  backgroundGradientTo: '#1d1e24',
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(22, 151, 245, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(148, 163, 184, ${opacity})`,
+  propsForDots: {
+    r: '3',
+  },
+  propsForLabels: {
+    fontSize: 10,
+  },
+};
+
+const hexToRgba = (hex, opacity) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+};
+
+const formatLongDate = (dateKey) => new Date(`${dateKey}T12:00:00`)
+  .toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+
+const CheckinHistoryScreen = ({ navigation }) => {
+  const route = useRoute();
+  const { protocolId, protocolName, startDate } = route.params || {};
+
+  const todayKey = toLocalDateKey(new Date());
+  const startKey = startDate ? toLocalDateKey(new Date(startDate)) : null;
+
+  const [selectedMonth, setSelectedMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [history, setHistory] = useState({ questions: [], checkins: [], editWindowDays: 0 });
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selectedDateKey, setSelectedDateKey] = useState(todayKey);
+  // Dia aberto no modal de check-in (preencher ou editar)
+  const [checkinDate, setCheckinDate] = useState(null);
+  // Dias salvos na fila offline, ainda não confirmados pela API
+  const [queuedDates, setQueuedDates] = useState([]);
+
+  const loadHistory = useCallback(async () => {
+    if (!protocolId) return;
+
+    const year = selectedMonth.getFullYear();
+    const month = selectedMonth.getMonth();
+    const monthStart = toLocalDateKey(new Date(year, month, 1));
+    const monthEnd = toLocalDateKey(new Date(year, month + 1, 0));
+    const from = startKey && startKey > monthStart ? startKey : monthStart;
+    const to = monthEnd < todayKey ? monthEnd : todayKey;
+
+    try {
+      const data = await dailyCheckinService.getCheckinHistory(protocolId, { from, to });
+      setHistory({
+        ...data,
+        questions: [...data.questions].sort((a, b) => a.order - b.order),
+      });
+    } catch (error) {
+      logger.error('Erro ao carregar histórico do check-in:', error);
+      Alert.alert('Erro', 'Não foi possível carregar o histórico do check-in.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [protocolId, selectedMonth, startKey, todayKey]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadHistory();
+  }, [loadHistory]);
+
+  // Resultados do reenvio da fila offline para check-ins feitos nesta tela
+  useEffect(() => {
+    const unsubscribe = subscribeToQueue(({ type, item }) => {
+      if (item.source !== QUEUE_SOURCE) return;
+
+      setQueuedDates(prev => prev.filter(dateKey => dateKey !== item.meta?.date));
+
+      if (type === 'conflict' || type === 'failed') {
+        logger.warn('Check-in offline não pôde ser sincronizado', { type, meta: item.meta });
+        Alert.alert(
+          'Sincronização',
+          'Não foi possível sincronizar um check-in feito offline. O histórico foi atualizado.'
+        );
+      }
+      loadHistory();
+    });
+
+    return unsubscribe;
+  }, [loadHistory]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadHistory();
+  };
+
+  const checkinsByDate = Object.fromEntries(history.checkins.map(checkin => [checkin.date, checkin]));
+
+  const getDayStatus = (dateKey) => {
+    if (dateKey > todayKey || (startKey && dateKey < startKey)) return DAY_STATUS.INACTIVE;
+    if (checkinsByDate[dateKey]) return DAY_STATUS.ANSWERED;
+    if (queuedDates.includes(dateKey)) return DAY_STATUS.QUEUED;
+    return dateKey === todayKey ? DAY_STATUS.PENDING : DAY_STATUS.MISSED;
+  };
+
+  const getMonthDays = () => {
+    const year = selectedMonth.getFullYear();
+    const month = selectedMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const firstDay = new Date(year, month, 1).getDay();
+
+    // Espaços vazios até o primeiro dia da semana do mês
+    const days = Array.from({ length: firstDay }, () => null);
+    for (let day = 1; day <= daysInMonth; day++) {
+      days.push(toLocalDateKey(new Date(year, month, day)));
+    }
+    return days;
+  };
+
+  const changeMonth = (direction) => {
+    const next = new Date(selectedMonth.getFullYear(), selectedMonth.getMonth() + direction, 1);
+    setSelectedMonth(next);
+    setSelectedDateKey(null);
+  };
+
+  const currentMonthKey = todayKey.slice(0, 7);
+  const selectedMonthKey = toLocalDateKey(selectedMonth).slice(0, 7);
+  const canGoBack = !startKey || selectedMonthKey > startKey.slice(0, 7);
+  const canGoForward = selectedMonthKey < currentMonthKey;
+
+  const handleCheckinComplete = (message, { queued = false } = {}) => {
+    if (queued) {
+      setQueuedDates(prev => [...new Set([...prev, checkinDate])]);
+      Alert.alert('Check-in', message);
+      return;
+    }
+
+    loadHistory();
+  };
+
+  const renderCalendar = () => {
+    const answeredCount = history.checkins.length;
+    const expectedCount = getMonthDays()
+      .filter(dateKey => dateKey && getDayStatus(dateKey) !== DAY_STATUS.INACTIVE)
+      .length;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.monthHeader}>
+          <TouchableOpacity onPress={() => changeMonth(-1)} disabled={!canGoBack} style={styles.monthButton}>
+            <Icon name="chevron-left" size={24} color={canGoBack ? '#f8fafc' : '#3f4046'} />
+          </TouchableOpacity>
+          <Text style={styles.monthTitle}>
+            {selectedMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+          </Text>
+          <TouchableOpacity onPress={() => changeMonth(1)} disabled={!canGoForward} style={styles.monthButton}>
+            <Icon name="chevron-right" size={24} color={canGoForward ? '#f8fafc' : '#3f4046'} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.weekRow}>
+          {WEEKDAY_LABELS.map((label, index) => (
+            <Text key={index} style={styles.weekdayLabel}>{label}</Text>
+          ))}
+        </View>
+
+        <View style={styles.daysGrid}>
+          {getMonthDays().map((dateKey, index) => {
+            if (!dateKey) return <View key={`empty-${index}`} style={styles.dayCell} />;
+
+            const status = getDayStatus(dateKey);
+            const isSelected = dateKey === selectedDateKey;
+
+            return (
+              <TouchableOpacity
+                key={dateKey}
+                style={styles.dayCell}
+                onPress={() => setSelectedDateKey(dateKey)}
+                disabled={status === DAY_STATUS.INACTIVE}
+              >
+                <View style={[
+                  styles.dayCircle,
+                  status === DAY_STATUS.ANSWERED && styles.dayAnswered,
+                  status === DAY_STATUS.QUEUED && styles.dayQueued,
+                  status === DAY_STATUS.MISSED && styles.dayMissed,
+                  status === DAY_STATUS.PENDING && styles.dayPending,
+                  isSelected && styles.daySelected,
+                ]}>
+                  <Text style={[
+                    styles.dayText,
+                    status === DAY_STATUS.INACTIVE && styles.dayTextInactive,
+                  ]}>
+                    {Number(dateKey.slice(8))}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <View style={styles.legend}>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendDot, styles.dayAnswered]} />
+            <Text style={styles.legendText}>Answered</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendDot, styles.dayMissed]} />
+            <Text style={styles.legendText}>Missed</Text>
+          </View>
+          <Text style={styles.legendSummary}>{answeredCount}/{expectedCount} days</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderAnswer = (question, stored) => {
+    if (question.type === CHECKIN_QUESTION_TYPES.PHOTO) {
+      return <Image source={{ uri: stored }} style={styles.answerPhoto} />;
+    }
+    return <Text style={styles.answerText}>{formatAnswer(question, stored)}</Text>;
+  };
+
+  const renderDayDetail = () => {
+    if (!selectedDateKey || getDayStatus(selectedDateKey) === DAY_STATUS.INACTIVE) return null;
+
+    const status = getDayStatus(selectedDateKey);
+    const checkin = checkinsByDate[selectedDateKey];
+    const editable = isWithinEditWindow(selectedDateKey, history.editWindowDays, todayKey);
+    const answeredQuestions = checkin
+      ? history.questions.filter(question => checkin.responses?.[question.id] !== undefined)
+      : [];
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{formatLongDate(selectedDateKey)}</Text>
+
+        {status === DAY_STATUS.QUEUED && (
+          <Text style={styles.mutedText}>Saved offline. It will sync when you are back online.</Text>
+        )}
+        {!checkin && status !== DAY_STATUS.QUEUED && (
+          <Text style={styles.mutedText}>No check-in for this day.</Text>
+        )}
+
+        {answeredQuestions.map(question => (
+          <View key={question.id} style={styles.answerRow}>
+            <Text style={styles.answerQuestion}>{question.question}</Text>
+            {renderAnswer(question, checkin.responses[question.id])}
+          </View>
+        ))}
+
+        {status !== DAY_STATUS.QUEUED && (editable ? (
+          <TouchableOpacity style={styles.editButton} onPress={() => setCheckinDate(selectedDateKey)}>
+            <Icon name={checkin ? 'pencil' : 'clipboard-text-outline'} size={18} color="#FFFFFF" />
+            <Text style={styles.editButtonText}>{checkin ? 'Edit check-in' : 'Fill in check-in'}</Text>
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.lockedRow}>
+            <Icon name="lock-outline" size={16} color="#64748b" />
+            <Text style={styles.lockedText}>
+              {history.editWindowDays > 0
+                ? `Check-ins can be changed up to ${history.editWindowDays} day${history.editWindowDays === 1 ? '' : 's'} back.`
+                : 'Only today\'s check-in can be changed.'}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderTrend = (question) => {
+    const trend = getTrendSeries(question, history.checkins);
+    if (!trend || trend.points.length < 2) return null;
+
+    const labelEvery = Math.ceil(trend.points.length / MAX_CHART_LABELS);
+    const unit = [...new Set(trend.series.map(item => item.unit))].join(' / ');
+    const hasLegend = trend.series.length > 1;
+
+    return (
+      <View key={question.id} style={styles.card}>
+        <Text style={styles.cardTitle}>{question.question}</Text>
+        {!!unit && <Text style={styles.mutedText}>{unit}</Text>}
+        <LineChart
+          data={{
+            labels: trend.points.map((point, index) => (index % labelEvery === 0 ? String(Number(point.date.slice(8))) : '')),
+            datasets: trend.series.map((item, seriesIndex) => ({
+              data: trend.points.map(point => point.values[seriesIndex]),
+              color: (opacity = 1) => hexToRgba(SERIES_COLORS[seriesIndex % SERIES_COLORS.length], opacity),
+            })),
+            ...(hasLegend && { legend: trend.series.map((item, index) => item.label || `Value ${index + 1}`) }),
+          }}
+          width={CHART_WIDTH}
+          height={180}
+          fromZero={question.type === CHECKIN_QUESTION_TYPES.SCALE}
+          chartConfig={chartConfig}
+          style={styles.chart}
+        />
+      </View>
+    );
+  };
+
+  const trendQuestions = history.questions.filter(question =>
+    question.type === CHECKIN_QUESTION_TYPES.SCALE || question.type === CHECKIN_QUESTION_TYPES.NUMBER
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="light" />
+
+      <View style={styles.header}>
+        <View style={styles.headerContent}>
+          <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+            <Icon name="arrow-left" size={24} color="#ffffff" />
+          </TouchableOpacity>
+          <View style={styles.headerInfo}>
+            <Text style={styles.headerTitle}>Check-in history</Text>
+            {!!protocolName && <Text style={styles.headerSubtitle} numberOfLines={1}>{protocolName}</Text>}
+          </View>
+        </View>
+      </View>
+
+      {loading && !refreshing ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#1697F5" />
+        </View>
+      ) : (
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollViewContent}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor="#1697F5" />
+          }
+        >
+          {renderCalendar()}
+          {renderDayDetail()}
+
+          {trendQuestions.length > 0 && (
+            <Text style={styles.sectionTitle}>Trends this month</Text>
+          )}
+          {trendQuestions.map(renderTrend)}
+        </ScrollView>
+      )}
+
+      <DailyCheckinModal
+        visible={!!checkinDate}
+        onClose={() => setCheckinDate(null)}
+        protocolId={protocolId}
+        date={checkinDate}
+        onComplete={handleCheckinComplete}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#16171b',
+  },
+  header: {
+    paddingTop: Platform.OS === 'ios' ? 56 : 36,
+    paddingBottom: 12,
+    paddingHorizontal: 16,
+    backgroundColor: '#16171b',
+    borderBottomWidth: 1,
+    borderBottomColor: '#1d1e24',
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+    backgroundColor: '#16171b',
+  },
+  scrollViewContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  card: {
+    backgroundColor: '#1d1e24',
+    borderRadius: 14,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  cardTitle: {
+    fontSize: 16,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginTop: 8,
+    marginBottom: 12,
+    fontFamily: 'ManropeBold',
+  },
+  mutedText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginBottom: 4,
+  },
+  monthHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  monthButton: {
+    padding: 4,
+  },
+  monthTitle: {
+    fontSize: 16,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+  },
+  weekRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  weekdayLabel: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#64748b',
+    fontFamily: 'ManropeMedium',
+  },
+  daysGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  dayCircle: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  dayAnswered: {
+    backgroundColor: 'rgba(74, 222, 128, 0.25)',
+  },
+  dayQueued: {
+    backgroundColor: 'rgba(245, 158, 11, 0.25)',
+  },
+  dayMissed: {
+    backgroundColor: 'rgba(239, 68, 68, 0.2)',
+  },
+  dayPending: {
+    borderColor: '#1697F5',
+  },
+  daySelected: {
+    borderColor: '#f8fafc',
+  },
+  dayText: {
+    fontSize: 13,
+    color: '#f8fafc',
+    fontFamily: 'ManropeMedium',
+  },
+  dayTextInactive: {
+    color: '#3f4046',
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+  },
+  legendSummary: {
+    flex: 1,
+    textAlign: 'right',
+    fontSize: 12,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+  },
+  answerRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#26272c',
+  },
+  answerQuestion: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginBottom: 4,
+  },
+  answerText: {
+    fontSize: 15,
+    color: '#f8fafc',
+    fontFamily: 'ManropeMedium',
+  },
+  answerPhoto: {
+    width: 96,
+    height: 96,
+    borderRadius: 8,
+    backgroundColor: '#26272c',
+  },
+  editButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#1697F5',
+    borderRadius: 10,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  editButtonText: {
+    fontSize: 15,
+    color: '#FFFFFF',
+    fontFamily: 'ManropeSemiBold',
+  },
+  lockedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 12,
+  },
+  lockedText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#64748b',
+    fontFamily: 'ManropeRegular',
+  },
+  chart: {
+    marginTop: 8,
+    borderRadius: 12,
+  },
+});
+
+export default CheckinHistoryScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   StyleSheet,
   Text,
@@ -19,29 +19,79 @@ import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
+import { ApiError, QueuedRequestError, InsufficientStorageError } from '../utils/errorHandler';
 import LoadingSpinner from '../components/LoadingSpinner';
+import LessonMediaPlayer from '../components/LessonMediaPlayer';
+import LessonDocumentViewer from '../components/LessonDocumentViewer';
+import QuizLesson from '../components/QuizLesson';
 import YoutubePlayer from 'react-native-youtube-iframe';
+import courseDownloadService, {
+  DOWNLOAD_STATUS,
+  isDownloadableLesson,
+} from '../services/courseDownloadService';
+import lessonProgressService, {
+  getCompletionThreshold,
+  formatPlaybackTime,
+} from '../services/lessonProgressService';
+import {
+  LESSON_CONTENT_TYPES,
+  getYoutubeVideoId,
+  getLessonMediaUrl,
+  getLessonContentType,
+  isPlayableContent,
+} from '../utils/lessonContent';
+import { getQuizStatus, getModuleLock } from '../utils/quizUtils';
+import { getUnlockDay, getUnlockState, formatUnlockCountdown } from '../utils/courseSchedule';
 
 const logger = createLogger('CourseDetailScreen');
 
 const { width, height } = Dimensions.get('window');
 
+// Intervalo entre leituras da posição do player
+const PROGRESS_POLL_INTERVAL_MS = 5000;
+
+// Origem usada para identificar, na fila offline, as conclusões feitas nesta tela
+const QUEUE_SOURCE = 'CourseDetailScreen';
+
+// Ícone e rótulo do botão de cada tipo de aula
+const LESSON_TYPE_ACTIONS = {
+  [LESSON_CONTENT_TYPES.YOUTUBE]: { icon: 'play-circle-outline', buttonIcon: 'play', label: 'Watch Lesson' },
+  [LESSON_CONTENT_TYPES.VIDEO]: { icon: 'play-circle-outline', buttonIcon: 'play', label: 'Watch Lesson' },
+  [LESSON_CONTENT_TYPES.AUDIO]: { icon: 'headphones', buttonIcon: 'headphones', label: 'Listen' },
+  [LESSON_CONTENT_TYPES.PDF]: { icon: 'file-pdf-box', buttonIcon: 'file-document-outline', label: 'Read Lesson' },
+  [LESSON_CONTENT_TYPES.TEXT]: { icon: 'text-box-outline', buttonIcon: 'file-document-outline', label: 'Read Lesson' },
+  [LESSON_CONTENT_TYPES.QUIZ]: { icon: 'help-circle-outline', buttonIcon: 'clipboard-text-outline', label: 'Start Quiz' },
+  [LESSON_CONTENT_TYPES.EXTERNAL]: { icon: 'open-in-new', buttonIcon: 'open-in-new', label: 'Open Link' },
+};
+
 const CourseDetailScreen = ({ route, navigation }) => {
-  const { courseId, courseTitle, isProtocolCourse, protocolCourseData } = route.params;
+  const { courseId, courseTitle, isProtocolCourse, protocolCourseData, resumeLessonId, currentDay: routeCurrentDay } = route.params;
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [course, setCourse] = useState(null);
   const [expandedModules, setExpandedModules] = useState({});
+  const [expandedQuizzes, setExpandedQuizzes] = useState({});
   const [completingLesson, setCompletingLesson] = useState(null);
   const [selectedLesson, setSelectedLesson] = useState(null);
   const [lessonModalVisible, setLessonModalVisible] = useState(false);
   const [fullscreenVideoVisible, setFullscreenVideoVisible] = useState(false);
   const [selectedVideoUrl, setSelectedVideoUrl] = useState(null);
+  const [selectedContentType, setSelectedContentType] = useState(null);
   const [videoLoading, setVideoLoading] = useState(true);
   const [playing, setPlaying] = useState(false);
   const [youtubePlayerRef, setYoutubePlayerRef] = useState(null);
+  const [lessonProgress, setLessonProgress] = useState({});
+  const [resumePosition, setResumePosition] = useState(0);
+  const [isOfflineCopy, setIsOfflineCopy] = useState(false);
+  const [download, setDownload] = useState(null);
+  const [activeDownload, setActiveDownload] = useState(null);
+  // Dia atual da prescrição: módulos com unlockDay posterior ficam bloqueados
+  const [currentDay, setCurrentDay] = useState(routeCurrentDay || null);
+  // Evita concluir a mesma aula duas vezes enquanto a requisição anterior não volta
+  const autoCompletingRef = useRef(null);
   
   // Animations
   const fadeAnim = useRef(new Animated.Value(1)).current;
@@ -49,8 +99,44 @@ const CourseDetailScreen = ({ route, navigation }) => {
 
   useEffect(() => {
     loadCourseDetails();
+    lessonProgressService.getCourseProgress(courseId).then(setLessonProgress);
+  }, [courseId]);
+
+  // Módulos baixados e progresso do download em andamento
+  useEffect(() => {
+    courseDownloadService.getDownloads().then(all => setDownload(all[courseId] || null));
+    setActiveDownload(courseDownloadService.getActiveDownloads()[courseId] || null);
+
+    return courseDownloadService.subscribe((event) => {
+      if (event.courseId !== courseId) return;
+
+      if (event.status === DOWNLOAD_STATUS.DOWNLOADING) {
+        setActiveDownload(event);
+        return;
+      }
+
+      setActiveDownload(null);
+      courseDownloadService.getDownloads().then(all => setDownload(all[courseId] || null));
+      if (event.status === DOWNLOAD_STATUS.COMPLETED && event.download) {
+        setCourse(prev => courseDownloadService.applyLocalMedia(event.download, prev));
+      }
+    });
   }, [courseId]);
 
+  // "Continuar assistindo" abre a tela já na aula em andamento
+  useEffect(() => {
+    if (!resumeLessonId || !course) return;
+
+    const module = course.modules?.find(m => m.lessons?.some(l => l.id === resumeLessonId));
+    const lesson = module?.lessons.find(l => l.id === resumeLessonId);
+
+    if (lesson) {
+      setExpandedModules(prev => ({ ...prev, [module.id]: true }));
+      handleLessonOpen(lesson);
+    }
+    navigation.setParams({ resumeLessonId: undefined });
+  }, [resumeLessonId, course]);
+
   useEffect(() => {
     if (!loading) {
       Animated.timing(fadeAnim, {
@@ -87,17 +173,22 @@ const CourseDetailScreen = ({ route, navigation }) => {
       
       let response;
       if (isProtocolCourse) {
-        response = await apiClient.get(`/api/v2/patients/protocols/${protocolCourseData.protocol?.id}/courses/${courseId}/modules`);
+        response = await apiClient.get(ENDPOINTS.courses.protocolModules(protocolCourseData.protocol?.id, courseId));
         if (response.success) {
-          setCourse(response.course);
+          setCourse(await courseDownloadService.withLocalMedia(courseId, response.course));
+          setIsOfflineCopy(false);
+          if (Number(response.currentDay) > 0) {
+            setCurrentDay(Number(response.currentDay));
+          }
           logger.info('Loaded protocol course modules');
         } else {
           throw new Error('Failed to load course details');
         }
       } else {
-        response = await apiClient.get(`/api/v2/patients/courses/${courseId}/modules`);
+        response = await apiClient.get(ENDPOINTS.courses.modules(courseId));
         if (response.success) {
-          setCourse(response.course);
+          setCourse(await courseDownloadService.withLocalMedia(courseId, response.course));
+          setIsOfflineCopy(false);
           logger.info('Loaded course modules');
         } else {
           throw new Error('Failed to load course details');
@@ -106,7 +197,16 @@ const CourseDetailScreen = ({ route, navigation }) => {
       
     } catch (error) {
       logger.error('Erro ao carregar detalhes do curso:', error);
-      Alert.alert('Erro', 'Não foi possível carregar os detalhes do curso. Tente novamente.');
+
+      // Sem conexão: usar a cópia baixada, se houver
+      const offlineCourse = await courseDownloadService.getOfflineCourse(courseId);
+      if (offlineCourse) {
+        logger.info('Usando cópia offline do curso', { courseId });
+        setCourse(offlineCourse);
+        setIsOfflineCopy(true);
+      } else {
+        Alert.alert('Erro', 'Não foi possível carregar os detalhes do curso. Tente novamente.');
+      }
     } finally {
       setLoading(false);
       setRefreshing(false);
@@ -118,24 +218,64 @@ const CourseDetailScreen = ({ route, navigation }) => {
     loadCourseDetails();
   };
 
-  const toggleModule = (moduleId) => {
+  const toggleModule = (moduleId, moduleLock = null, unlockState = null) => {
+    if (unlockState?.locked) {
+      Alert.alert(
+        'Módulo bloqueado',
+        unlockState.daysLeft === null
+          ? `Este módulo é liberado no dia ${unlockState.unlockDay} do protocolo. Abra o curso pela tela do seu protocolo.`
+          : unlockState.daysLeft === 1
+            ? `Este módulo será liberado amanhã, no dia ${unlockState.unlockDay} do protocolo.`
+            : `Este módulo será liberado no dia ${unlockState.unlockDay} do protocolo (faltam ${unlockState.daysLeft} dias).`
+      );
+      return;
+    }
+
+    if (moduleLock) {
+      Alert.alert(
+        'Módulo bloqueado',
+        `Seja aprovado no quiz "${moduleLock.lesson.title}" do módulo ${moduleLock.moduleIndex + 1} para liberar este conteúdo.`
+      );
+      return;
+    }
+
     setExpandedModules(prev => ({
       ...prev,
       [moduleId]: !prev[moduleId]
     }));
   };
 
-  const handleLessonComplete = async (lessonId) => {
+  // silent: conclusão automática pelo player, sem alerta e sem recarregar a tela por cima do vídeo
+  const handleLessonComplete = async (lessonId, { silent = false } = {}) => {
     try {
       setCompletingLesson(lessonId);
-      logger.debug('Marcando aula como concluída', { lessonId, courseId });
+      logger.debug('Marcando aula como concluída', { lessonId, courseId, silent });
       
-      const response = await apiClient.post(
-        `/api/v2/patients/protocols/${protocolCourseData.protocol?.id}/courses/${courseId}/lessons/${lessonId}/complete`,
-        {
-          watchTime: 300
-        }
-      );
+      // Tempo assistido registrado pelo player; 300s quando a aula é concluída manualmente
+      const watchTime = Math.round(lessonProgress[lessonId]?.position || 0) || 300;
+      const protocolId = protocolCourseData?.protocol?.id;
+
+      let response;
+      try {
+        // A rota de conclusão é do protocolo; cursos avulsos registram no progresso do curso
+        response = isProtocolCourse && protocolId
+          ? await apiClient.post(
+            ENDPOINTS.courses.completeLesson(protocolId, courseId, lessonId),
+            { watchTime },
+            { queue: { source: QUEUE_SOURCE, meta: { courseId, lessonId } } }
+          )
+          : await apiClient.post(
+            ENDPOINTS.courses.progress(courseId),
+            { type: 'LESSON_COMPLETED', protocolId: protocolId || null, lessonId, watchTime },
+            { queue: { source: QUEUE_SOURCE, meta: { courseId, lessonId } } }
+          );
+      } catch (error) {
+        if (!(error instanceof QueuedRequestError)) throw error;
+
+        // Sem conexão: concluir localmente; a fila offline envia quando a conexão voltar
+        logger.info('Conclusão da aula salva offline', { lessonId, courseId });
+        response = { success: true, queued: true, message: error.message };
+      }
       
       if (response.success) {
         logger.info('Aula marcada como concluída com sucesso', { 
@@ -143,8 +283,18 @@ const CourseDetailScreen = ({ route, navigation }) => {
           message: response.message 
         });
         
-        Alert.alert('Sucesso', response.message || 'Aula concluída com sucesso!');
-        await loadCourseDetails();
+        await lessonProgressService.markCompleted(courseId, lessonId);
+        await courseDownloadService.markLessonCompleted(courseId, lessonId);
+        setLessonProgress(prev => ({ ...prev, [lessonId]: { ...prev[lessonId], completed: true } }));
+        
+        markLessonCompletedLocally(lessonId);
+
+        if (!silent && response.queued) {
+          Alert.alert('Sem conexão', response.message);
+        } else if (!silent) {
+          Alert.alert('Sucesso', response.message || 'Aula concluída com sucesso!');
+          await loadCourseDetails();
+        }
       } else {
         throw new Error(response.message || 'Failed to complete lesson');
       }
@@ -169,27 +319,248 @@ const CourseDetailScreen = ({ route, navigation }) => {
         errorMessage = 'Esta aula já foi marcada como concluída.';
       }
       
-      Alert.alert('Erro', errorMessage);
+      if (!silent) {
+        Alert.alert('Erro', errorMessage);
+      }
     } finally {
       setCompletingLesson(null);
+      autoCompletingRef.current = null;
     }
   };
 
-  const handleVideoPress = async (lesson) => {
-    if (lesson.videoUrl) {
-      setSelectedLesson(lesson);
-      setSelectedVideoUrl(lesson.videoUrl);
-      setFullscreenVideoVisible(true);
-      setPlaying(false);
-      setVideoLoading(true);
-      
-      logger.debug('Opening video:', { 
-        videoUrl: lesson.videoUrl,
-        videoId: getYoutubeVideoId(lesson.videoUrl),
-        lessonTitle: lesson.title 
+  const markLessonCompletedLocally = (lessonId) => {
+    setCourse(prev => prev && {
+      ...prev,
+      modules: prev.modules?.map(module => ({
+        ...module,
+        lessons: module.lessons?.map(lesson => 
+          lesson.id === lessonId ? { ...lesson, completed: true } : lesson
+        )
+      }))
+    });
+    setSelectedLesson(prev => prev?.id === lessonId ? { ...prev, completed: true } : prev);
+  };
+
+  const getProgressContext = () => ({
+    courseId,
+    courseTitle: course?.title || courseTitle,
+    coverImage: course?.coverImage || null,
+    isProtocolCourse: !!isProtocolCourse,
+    protocolId: protocolCourseData?.protocol?.id || null,
+    protocolName: protocolCourseData?.protocol?.name || null,
+  });
+
+  // Guarda a posição da aula aberta e conclui ao atingir o percentual configurado
+  const recordPlaybackProgress = useCallback(async (position, duration) => {
+    if (!selectedLesson || !duration) return;
+
+    try {
+      const saved = await lessonProgressService.savePosition(getProgressContext(), selectedLesson, position, duration);
+      setLessonProgress(prev => ({ ...prev, [selectedLesson.id]: saved }));
+
+      const threshold = getCompletionThreshold(selectedLesson, course);
+      if (
+        saved.percent >= threshold &&
+        !selectedLesson.completed &&
+        !saved.completed &&
+        autoCompletingRef.current !== selectedLesson.id
+      ) {
+        logger.info('Percentual assistido atingido, concluindo aula', { lessonId: selectedLesson.id, percent: saved.percent, threshold });
+        autoCompletingRef.current = selectedLesson.id;
+        handleLessonComplete(selectedLesson.id, { silent: true });
+      }
+    } catch (error) {
+      logger.warn('Não foi possível salvar a posição da aula', error);
+    }
+  }, [selectedLesson, course, lessonProgress]);
+
+  // O player do YouTube não avisa a posição: ela é lida pelo ref
+  const trackPlaybackProgress = useCallback(async () => {
+    if (!youtubePlayerRef || !selectedLesson) return;
+
+    try {
+      const [position, duration] = await Promise.all([
+        youtubePlayerRef.getCurrentTime(),
+        youtubePlayerRef.getDuration(),
+      ]);
+      await recordPlaybackProgress(position, duration);
+    } catch (error) {
+      logger.warn('Não foi possível ler a posição do vídeo', error);
+    }
+  }, [youtubePlayerRef, selectedLesson, recordPlaybackProgress]);
+
+  useEffect(() => {
+    if (!fullscreenVideoVisible || !playing || !youtubePlayerRef) return undefined;
+
+    const interval = setInterval(trackPlaybackProgress, PROGRESS_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fullscreenVideoVisible, playing, youtubePlayerRef, trackPlaybackProgress]);
+
+  // Fecha o player guardando a última posição (o player nativo salva ao desmontar)
+  const closeVideo = async () => {
+    await trackPlaybackProgress();
+    setFullscreenVideoVisible(false);
+    setPlaying(false);
+  };
+
+  const openPlayer = (lesson, contentType) => {
+    const mediaUrl = getLessonMediaUrl(lesson);
+
+    setSelectedLesson(lesson);
+    setSelectedVideoUrl(mediaUrl);
+    setSelectedContentType(contentType);
+    setResumePosition(lessonProgressService.getResumePosition(lessonProgress[lesson.id]));
+    setFullscreenVideoVisible(true);
+    setPlaying(false);
+    setVideoLoading(contentType === LESSON_CONTENT_TYPES.YOUTUBE);
+
+    logger.debug('Opening media:', {
+      mediaUrl,
+      contentType,
+      lessonTitle: lesson.title
+    });
+  };
+
+  // Abre a aula conforme o tipo de conteúdo: player, leitura no app ou navegador
+  const handleLessonOpen = (lesson) => {
+    const contentType = getLessonContentType(lesson);
+
+    switch (contentType) {
+      case LESSON_CONTENT_TYPES.YOUTUBE:
+      case LESSON_CONTENT_TYPES.VIDEO:
+      case LESSON_CONTENT_TYPES.AUDIO:
+        openPlayer(lesson, contentType);
+        break;
+      case LESSON_CONTENT_TYPES.PDF:
+      case LESSON_CONTENT_TYPES.TEXT:
+        setSelectedLesson(lesson);
+        setSelectedContentType(contentType);
+        setLessonModalVisible(true);
+        break;
+      case LESSON_CONTENT_TYPES.QUIZ:
+        setExpandedQuizzes(prev => ({ ...prev, [lesson.id]: !prev[lesson.id] }));
+        break;
+      case LESSON_CONTENT_TYPES.EXTERNAL:
+        Linking.openURL(getLessonMediaUrl(lesson));
+        break;
+      default:
+        Alert.alert('Conteúdo não disponível', 'Esta aula não está disponível no momento.');
+    }
+  };
+
+  const handleMediaError = () => {
+    // Arquivos baixados não abrem no navegador: usar sempre a URL original
+    const remoteUrl = selectedLesson ? getLessonMediaUrl(selectedLesson, { remote: true }) : selectedVideoUrl;
+
+    Alert.alert(
+      'Erro na aula',
+      'Não foi possível reproduzir esta aula. Deseja abrir no navegador?',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Abrir no Navegador',
+          onPress: () => {
+            setFullscreenVideoVisible(false);
+            if (remoteUrl) {
+              Linking.openURL(remoteUrl);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const getLessonQuizStatus = (lesson) => getQuizStatus(lesson);
+
+  // Guarda a tentativa corrigida pelo servidor no quiz da aula (tentativas restantes e bloqueio dos módulos)
+  const applyQuizAttemptLocally = (lessonId, result) => {
+    const attempt = {
+      score: result.score,
+      passed: result.passed,
+      pendingReview: !!result.pendingReview && !result.passed,
+      submittedAt: new Date().toISOString()
+    };
+
+    setCourse(prev => prev && {
+      ...prev,
+      modules: prev.modules?.map(module => ({
+        ...module,
+        lessons: module.lessons?.map(lesson => {
+          if (lesson.id !== lessonId) return lesson;
+
+          const attempts = [...(lesson.quiz?.attempts || []), attempt];
+          return {
+            ...lesson,
+            quiz: { ...lesson.quiz, attempts, attemptsUsed: result.attemptsUsed ?? attempts.length }
+          };
+        })
+      }))
+    });
+  };
+
+  // Envia as respostas para o servidor, que corrige, controla as tentativas e devolve o resultado
+  // Sem conexão a tentativa não é guardada: a nota só existe depois da correção do servidor
+  const handleQuizSubmit = async (module, lesson, answers) => {
+    if (!getLessonQuizStatus(lesson).canAttempt) return null;
+
+    let result;
+    try {
+      const response = await apiClient.post(ENDPOINTS.courses.progress(courseId), {
+        type: 'QUIZ_ATTEMPT',
+        protocolId: protocolCourseData?.protocol?.id || null,
+        moduleId: module.id,
+        lessonId: lesson.id,
+        answers
       });
-    } else {
-      Alert.alert('Vídeo não disponível', 'Este vídeo não está disponível no momento.');
+
+      if (!response?.result) {
+        throw new Error('Resposta sem o resultado do quiz');
+      }
+      result = response.result;
+    } catch (error) {
+      logger.error('Erro ao enviar tentativa do quiz:', error);
+      Alert.alert(
+        'Erro',
+        error instanceof ApiError && error.status < 500
+          ? error.message
+          : 'Não foi possível enviar suas respostas. Verifique sua conexão e tente novamente.'
+      );
+      return null;
+    }
+
+    logger.info('Tentativa do quiz registrada', { lessonId: lesson.id, score: result.score, passed: result.passed });
+    applyQuizAttemptLocally(lesson.id, result);
+
+    // Tentativa esperando a revisão do médico não conclui a aula nem libera o próximo módulo
+    if (result.passed && !result.pendingReview) {
+      await courseDownloadService.markLessonCompleted(courseId, lesson.id);
+      markLessonCompletedLocally(lesson.id);
+    }
+
+    return result;
+  };
+
+  // Baixa as mídias de um módulo (ou do curso inteiro) para assistir sem conexão
+  const handleModuleDownload = async (module) => {
+    const isDownloaded = download?.downloadedModuleIds?.includes(module.id);
+
+    if (isDownloaded) {
+      Alert.alert(
+        'Disponível offline',
+        'Este módulo já está salvo no aparelho. Para liberar espaço, remova o curso baixado na tela de cursos.'
+      );
+      return;
+    }
+
+    try {
+      await courseDownloadService.downloadCourse(getProgressContext(), { moduleId: module.id });
+    } catch (error) {
+      Alert.alert(
+        'Erro no download',
+        error instanceof InsufficientStorageError
+          ? error.message
+          : 'Não foi possível baixar o módulo. Verifique sua conexão e tente novamente.'
+      );
     }
   };
 
@@ -216,19 +587,10 @@ const CourseDetailScreen = ({ route, navigation }) => {
     );
   };
 
-  const getYoutubeVideoId = (url) => {
-    if (!url) return null;
-    const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-    const match = url.match(regExp);
-    return (match && match[2].length === 11) ? match[2] : null;
-  };
-
+  // Aulas de leitura (PDF ou texto)
   const renderLessonModal = () => {
     if (!selectedLesson) return null;
 
-    const videoId = getYoutubeVideoId(selectedLesson.videoUrl);
-    const embedUrl = videoId ? `https://www.youtube.com/embed/${videoId}` : null;
-
     return (
       <Modal
         animationType="slide"
@@ -256,27 +618,14 @@ const CourseDetailScreen = ({ route, navigation }) => {
               </TouchableOpacity>
             </View>
 
-            <ScrollView style={styles.modalBody}>
-              {embedUrl && (
-                <View style={styles.videoContainer}>
-                  <View style={styles.videoWrapper}>
-                    <Image
-                      source={{ uri: `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg` }}
-                      style={styles.videoThumbnail}
-                      resizeMode="cover"
-                    />
-                    <TouchableOpacity
-                      style={styles.playButton}
-                      onPress={() => Linking.openURL(selectedLesson.videoUrl)}
-                    >
-                      <Icon name="play-circle" size={64} color="#FFFFFF" />
-                    </TouchableOpacity>
-                  </View>
-                </View>
-              )}
-
-              {selectedLesson.content && (
-                <Text style={styles.modalContent}>{selectedLesson.content}</Text>
+            <View style={styles.modalBody}>
+              {lessonModalVisible && (
+                <LessonDocumentViewer
+                  type={selectedContentType}
+                  url={getLessonMediaUrl(selectedLesson)}
+                  content={selectedLesson.content}
+                  style={styles.modalDocument}
+                />
               )}
 
               <TouchableOpacity
@@ -303,7 +652,7 @@ const CourseDetailScreen = ({ route, navigation }) => {
                   </>
                 )}
               </TouchableOpacity>
-            </ScrollView>
+            </View>
           </View>
         </View>
       </Modal>
@@ -311,14 +660,16 @@ const CourseDetailScreen = ({ route, navigation }) => {
   };
 
   const renderFullscreenVideoModal = () => {
-    const videoId = selectedVideoUrl ? getYoutubeVideoId(selectedVideoUrl) : null;
+    const isNativeMedia = selectedContentType === LESSON_CONTENT_TYPES.VIDEO ||
+      selectedContentType === LESSON_CONTENT_TYPES.AUDIO;
+    const videoId = !isNativeMedia && selectedVideoUrl ? getYoutubeVideoId(selectedVideoUrl) : null;
 
     return (
       <Modal
         animationType="none"
         transparent={false}
         visible={fullscreenVideoVisible}
-        onRequestClose={() => setFullscreenVideoVisible(false)}
+        onRequestClose={closeVideo}
         statusBarTranslucent={true}
       >
         <View style={styles.fullscreenContainer}>
@@ -327,10 +678,7 @@ const CourseDetailScreen = ({ route, navigation }) => {
           <Animated.View style={[styles.fullscreenHeader, { opacity: fadeAnim }]}>
             <TouchableOpacity
               style={styles.backButton}
-              onPress={() => {
-                setFullscreenVideoVisible(false);
-                setPlaying(false);
-              }}
+              onPress={closeVideo}
             >
               <Icon name="arrow-left" size={24} color="#FFFFFF" />
               <Text style={styles.backButtonText}>Back to Course</Text>
@@ -345,7 +693,22 @@ const CourseDetailScreen = ({ route, navigation }) => {
               </View>
             )}
             
-            {videoId ? (
+            {isNativeMedia && fullscreenVideoVisible ? (
+              <LessonMediaPlayer
+                uri={selectedVideoUrl}
+                type={selectedContentType}
+                title={selectedLesson?.title}
+                initialPosition={resumePosition}
+                onProgress={recordPlaybackProgress}
+                onEnded={() => {
+                  setFullscreenVideoVisible(false);
+                  if (!selectedLesson.completed && autoCompletingRef.current !== selectedLesson.id) {
+                    handleLessonComplete(selectedLesson.id);
+                  }
+                }}
+                onError={handleMediaError}
+              />
+            ) : videoId ? (
               <YoutubePlayer
                 ref={setYoutubePlayerRef}
                 height={height * 0.6}
@@ -369,32 +732,27 @@ const CourseDetailScreen = ({ route, navigation }) => {
                 onError={(error) => {
                   logger.error('YouTube player error:', error);
                   setVideoLoading(false);
-                  Alert.alert(
-                    'Erro no vídeo',
-                    'Não foi possível carregar o vídeo. Deseja abrir no navegador?',
-                    [
-                      { text: 'Cancelar', style: 'cancel' },
-                      { 
-                        text: 'Abrir no Navegador', 
-                        onPress: () => {
-                          setFullscreenVideoVisible(false);
-                          if (selectedVideoUrl) {
-                            Linking.openURL(selectedVideoUrl);
-                          }
-                        }
-                      }
-                    ]
-                  );
+                  handleMediaError();
                 }}
-                onStateChange={(event) => {
+                onChangeState={(event) => {
                   logger.debug('YouTube player state change:', event);
-                  if (event === 'ended') {
+                  if (event === 'playing') {
+                    setPlaying(true);
+                  } else if (event === 'paused') {
+                    // Pausar também guarda a posição, sem esperar o próximo ciclo
+                    setPlaying(false);
+                    trackPlaybackProgress();
+                  } else if (event === 'ended') {
+                    trackPlaybackProgress();
                     setPlaying(false);
                     setFullscreenVideoVisible(false);
-                    handleLessonComplete(selectedLesson.id);
+                    if (!selectedLesson.completed && autoCompletingRef.current !== selectedLesson.id) {
+                      handleLessonComplete(selectedLesson.id);
+                    }
                   }
                 }}
                 initialPlayerParams={{
+                  start: resumePosition,
                   preventFullScreen: false,
                   showClosedCaptions: true,
                   controls: true,
@@ -464,6 +822,17 @@ const CourseDetailScreen = ({ route, navigation }) => {
     );
   }
 
+  // Quiz não aprovado bloqueia os módulos seguintes
+  const moduleLocks = (course.modules || []).map((module, moduleIndex) =>
+    getModuleLock(course.modules, moduleIndex, lesson => getLessonQuizStatus(lesson).passed)
+  );
+
+  // Liberação gradual: módulo com unlockDay depois do dia atual da prescrição
+  const moduleUnlocks = (course.modules || []).map(module =>
+    getUnlockState(getUnlockDay(module), currentDay)
+  );
+  const lockedModules = moduleLocks.map((moduleLock, index) => !!moduleLock || moduleUnlocks[index].locked);
+
   return (
     <View style={styles.container}>
       <StatusBar style="light" />
@@ -528,6 +897,15 @@ const CourseDetailScreen = ({ route, navigation }) => {
         </View>
 
         <View style={styles.contentSection}>
+          {isOfflineCopy && (
+            <View style={styles.offlineBanner}>
+              <Icon name="cloud-off-outline" size={18} color="#f59e0b" />
+              <Text style={styles.offlineBannerText}>
+                You're offline. Showing the downloaded copy; completed lessons will sync when you reconnect.
+              </Text>
+            </View>
+          )}
+
           <View style={styles.statsRow}>
             <View style={styles.statItem}>
               <Icon name="book-open-variant" size={20} color="#1697F5" />
@@ -557,93 +935,160 @@ const CourseDetailScreen = ({ route, navigation }) => {
             <Text style={styles.modulesTitle}>Course Content</Text>
             
             {course?.modules?.map((module, moduleIndex) => (
-              <View key={module.id} style={styles.moduleCard}>
+              <View key={module.id} style={[styles.moduleCard, lockedModules[moduleIndex] && styles.moduleCardLocked]}>
                 <TouchableOpacity
                   style={styles.moduleHeader}
-                  onPress={() => toggleModule(module.id)}
+                  onPress={() => toggleModule(module.id, moduleLocks[moduleIndex], moduleUnlocks[moduleIndex])}
                 >
                   <View style={styles.moduleInfo}>
                     <Text style={styles.moduleTitle}>
                       {moduleIndex + 1}. {module.title}
                     </Text>
-                    <Text style={styles.moduleStats}>
-                      {module.lessons?.length || 0} lessons • {formatDuration(
-                        module.lessons?.reduce((total, lesson) => 
-                          total + (lesson.duration || 0), 0) || 0
-                      )}
-                    </Text>
+                    {moduleUnlocks[moduleIndex].locked ? (
+                      <Text style={styles.moduleLockedText}>
+                        {formatUnlockCountdown(moduleUnlocks[moduleIndex])}
+                      </Text>
+                    ) : moduleLocks[moduleIndex] ? (
+                      <Text style={styles.moduleLockedText}>
+                        Pass the quiz in module {moduleLocks[moduleIndex].moduleIndex + 1} to unlock
+                      </Text>
+                    ) : (
+                      <Text style={styles.moduleStats}>
+                        {module.lessons?.length || 0} lessons • {formatDuration(
+                          module.lessons?.reduce((total, lesson) => 
+                            total + (lesson.duration || 0), 0) || 0
+                        )}
+                      </Text>
+                    )}
                   </View>
+                  {!isOfflineCopy && !lockedModules[moduleIndex] && module.lessons?.some(isDownloadableLesson) && (
+                    <TouchableOpacity
+                      style={styles.moduleDownloadButton}
+                      onPress={() => handleModuleDownload(module)}
+                      disabled={!!activeDownload}
+                    >
+                      {activeDownload && (!activeDownload.moduleId || activeDownload.moduleId === module.id) ? (
+                        <Text style={styles.moduleDownloadProgress}>
+                          {Math.round((activeDownload.progress || 0) * 100)}%
+                        </Text>
+                      ) : (
+                        <Icon
+                          name={download?.downloadedModuleIds?.includes(module.id) ? 'cloud-check' : 'cloud-download-outline'}
+                          size={22}
+                          color={download?.downloadedModuleIds?.includes(module.id) ? '#4ade80' : '#94a3b8'}
+                        />
+                      )}
+                    </TouchableOpacity>
+                  )}
                   <Icon 
-                    name={expandedModules[module.id] ? "chevron-up" : "chevron-down"} 
+                    name={moduleUnlocks[moduleIndex].locked ? "lock-clock" : moduleLocks[moduleIndex] ? "lock-outline" : expandedModules[module.id] ? "chevron-up" : "chevron-down"} 
                     size={24} 
                     color="#94a3b8" 
                   />
                 </TouchableOpacity>
 
-                {expandedModules[module.id] && (
+                {expandedModules[module.id] && !lockedModules[moduleIndex] && (
                   <View style={styles.lessonsContainer}>
-                    {module.lessons?.map((lesson, lessonIndex) => (
-                      <View key={lesson.id} style={styles.lessonCard}>
-                        <View style={styles.lessonHeader}>
-                          <View style={styles.lessonInfo}>
-                            <Text style={styles.lessonTitle}>
-                              {moduleIndex + 1}.{lessonIndex + 1} {lesson.title}
-                            </Text>
-                            <View style={styles.lessonMeta}>
-                              <Icon name="clock-outline" size={14} color="#94a3b8" />
-                              <Text style={styles.lessonDuration}>
-                                {lesson.duration} min
+                    {module.lessons?.map((lesson, lessonIndex) => {
+                      const watched = lessonProgress[lesson.id];
+                      const contentType = getLessonContentType(lesson);
+                      const typeAction = LESSON_TYPE_ACTIONS[contentType];
+                      const lessonResumePosition = lesson.completed || !isPlayableContent(contentType)
+                        ? 0
+                        : lessonProgressService.getResumePosition(watched);
+                      const isQuiz = contentType === LESSON_CONTENT_TYPES.QUIZ;
+
+                      return (
+                        <View key={lesson.id} style={styles.lessonCard}>
+                          <View style={styles.lessonHeader}>
+                            <View style={styles.lessonInfo}>
+                              <Text style={styles.lessonTitle}>
+                                {moduleIndex + 1}.{lessonIndex + 1} {lesson.title}
                               </Text>
+                              <View style={styles.lessonMeta}>
+                                <Icon name={isQuiz ? "format-list-checks" : "clock-outline"} size={14} color="#94a3b8" />
+                                <Text style={styles.lessonDuration}>
+                                  {isQuiz ? `Quiz • ${lesson.quiz?.questions?.length || 0} questions` : `${lesson.duration} min`}
+                                </Text>
+                              </View>
                             </View>
+                            {lesson.completed ? (
+                              <Icon name="check-circle" size={20} color="#4ade80" />
+                            ) : typeAction ? (
+                              <Icon name={typeAction.icon} size={20} color="#1697F5" />
+                            ) : null}
                           </View>
-                          {lesson.completed ? (
-                            <Icon name="check-circle" size={20} color="#4ade80" />
-                          ) : lesson.videoUrl ? (
-                            <Icon name="play-circle-outline" size={20} color="#1697F5" />
-                          ) : null}
-                        </View>
 
-                        <View style={styles.lessonActions}>
-                          {lesson.videoUrl && (
-                            <TouchableOpacity
-                              style={styles.videoButton}
-                              onPress={() => handleVideoPress(lesson)}
-                            >
-                              <Icon name="play" size={16} color="#FFFFFF" />
-                              <Text style={styles.videoButtonText}>Watch Lesson</Text>
-                            </TouchableOpacity>
+                          {lessonResumePosition > 0 && (
+                            <View style={styles.lessonWatchProgress}>
+                              <View style={styles.lessonWatchBar}>
+                                <View style={[styles.lessonWatchFill, { width: `${watched.percent || 0}%` }]} />
+                              </View>
+                              <Text style={styles.lessonWatchText}>{watched.percent || 0}% watched</Text>
+                            </View>
                           )}
 
-                          <TouchableOpacity
-                            style={[
-                              styles.completeButton,
-                              lesson.completed && styles.completedButton,
-                              completingLesson === lesson.id && styles.completingButton
-                            ]}
-                            onPress={() => handleLessonComplete(lesson.id)}
-                            disabled={lesson.completed || completingLesson === lesson.id}
-                          >
-                            {completingLesson === lesson.id ? (
-                              <ActivityIndicator size="small" color="#FFFFFF" />
-                            ) : (
-                              <>
-                                <Icon 
-                                  name={lesson.completed ? "check" : "check-circle-outline"} 
-                                  size={16} 
-                                  color={lesson.completed ? "#FFFFFF" : "#94a3b8"} 
-                                />
-                                <Text style={[
-                                  styles.completeButtonText,
-                                  lesson.completed && styles.completedButtonText
-                                ]}>
-                                  {lesson.completed ? 'Completed' : 'Mark as Complete'}
+                          <View style={styles.lessonActions}>
+                            {typeAction && (
+                              <TouchableOpacity
+                                style={styles.videoButton}
+                                onPress={() => handleLessonOpen(lesson)}
+                              >
+                                <Icon name={typeAction.buttonIcon} size={16} color="#FFFFFF" />
+                                <Text style={styles.videoButtonText}>
+                                  {lessonResumePosition > 0
+                                    ? `Resume at ${formatPlaybackTime(lessonResumePosition)}`
+                                    : isQuiz && expandedQuizzes[lesson.id]
+                                      ? 'Hide Quiz'
+                                      : isQuiz && lesson.completed
+                                        ? 'View Result'
+                                        : typeAction.label}
                                 </Text>
-                              </>
+                              </TouchableOpacity>
+                            )}
+
+                            {/* Quiz só é concluído pela aprovação */}
+                            {!isQuiz && (
+                              <TouchableOpacity
+                                style={[
+                                  styles.completeButton,
+                                  lesson.completed && styles.completedButton,
+                                  completingLesson === lesson.id && styles.completingButton
+                                ]}
+                                onPress={() => handleLessonComplete(lesson.id)}
+                                disabled={lesson.completed || completingLesson === lesson.id}
+                              >
+                                {completingLesson === lesson.id ? (
+                                  <ActivityIndicator size="small" color="#FFFFFF" />
+                                ) : (
+                                  <>
+                                    <Icon 
+                                      name={lesson.completed ? "check" : "check-circle-outline"} 
+                                      size={16} 
+                                      color={lesson.completed ? "#FFFFFF" : "#94a3b8"} 
+                                    />
+                                    <Text style={[
+                                      styles.completeButtonText,
+                                      lesson.completed && styles.completedButtonText
+                                    ]}>
+                                      {lesson.completed ? 'Completed' : 'Mark as Complete'}
+                                    </Text>
+                                  </>
+                                )}
+                              </TouchableOpacity>
                             )}
-                          </TouchableOpacity>
+                          </View>
+
+                          {isQuiz && expandedQuizzes[lesson.id] && (
+                            <QuizLesson
+                              lesson={lesson}
+                              status={getLessonQuizStatus(lesson)}
+                              onSubmit={(answers) => handleQuizSubmit(module, lesson, answers)}
+                            />
+                          )}
                         </View>
-                      </View>
-                    ))}
+                      );
+                    })}
                   </View>
                 )}
               </View>
@@ -754,6 +1199,24 @@ const styles = StyleSheet.create({
     fontFamily: 'ManropeMedium',
     color: '#94a3b8',
   },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    gap: 10,
+  },
+  offlineBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#fbbf24',
+    fontFamily: 'ManropeMedium',
+    lineHeight: 18,
+  },
   contentSection: {
     padding: 24,
   },
@@ -802,9 +1265,29 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 16,
   },
+  moduleCardLocked: {
+    opacity: 0.6,
+  },
   moduleInfo: {
     flex: 1,
   },
+  moduleLockedText: {
+    fontSize: 14,
+    fontFamily: 'ManropeRegular',
+    color: '#f59e0b',
+  },
+  moduleDownloadButton: {
+    minWidth: 40,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  moduleDownloadProgress: {
+    fontSize: 12,
+    fontFamily: 'ManropeSemiBold',
+    color: '#1697F5',
+  },
   moduleTitle: {
     fontSize: 17,
     fontFamily: 'ManropeSemiBold',
@@ -840,6 +1323,29 @@ const styles = StyleSheet.create({
     color: '#f8fafc',
     marginBottom: 4,
   },
+  lessonWatchProgress: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    gap: 8,
+  },
+  lessonWatchBar: {
+    flex: 1,
+    height: 4,
+    backgroundColor: '#334155',
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+  lessonWatchFill: {
+    height: '100%',
+    backgroundColor: '#1697F5',
+    borderRadius: 2,
+  },
+  lessonWatchText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+  },
   lessonMeta: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -946,42 +1452,8 @@ const styles = StyleSheet.create({
   modalBody: {
     padding: 20,
   },
-  videoContainer: {
-    width: '100%',
-    marginBottom: 20,
-    borderRadius: 12,
-    overflow: 'hidden',
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.2,
-    shadowRadius: 4,
-  },
-  videoWrapper: {
-    width: '100%',
-    aspectRatio: 16 / 9,
-    backgroundColor: '#000',
-    position: 'relative',
-  },
-  videoThumbnail: {
-    width: '100%',
-    height: '100%',
-  },
-  playButton: {
-    position: 'absolute',
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
-    justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: 'rgba(0, 0, 0, 0.4)',
-  },
-  modalContent: {
-    fontSize: 16,
-    color: '#94a3b8',
-    lineHeight: 24,
-    fontFamily: 'ManropeRegular',
-    marginBottom: 20,
+  modalDocument: {
+    height: height * 0.55,
   },
   modalCompleteButton: {
     flexDirection: 'row',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   StyleSheet,
   Text,
@@ -17,10 +17,21 @@ import {
 import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
-import { useRoute } from '@react-navigation/native';
+import { useRoute, useFocusEffect } from '@react-navigation/native';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 import LoadingSpinner from '../components/LoadingSpinner';
+import lessonProgressService, { formatPlaybackTime } from '../services/lessonProgressService';
+import courseDownloadService, { DOWNLOAD_STATUS, formatBytes } from '../services/courseDownloadService';
+import reminderService from '../services/reminderService';
+import {
+  getUnlockDay,
+  getUnlockState,
+  formatUnlockCountdown,
+  getPendingUnlocks,
+} from '../utils/courseSchedule';
+import { InsufficientStorageError, NetworkError } from '../utils/errorHandler';
 
 const logger = createLogger('CoursesScreen');
 const { width } = Dimensions.get('window');
@@ -28,12 +39,19 @@ const { width } = Dimensions.get('window');
 const CoursesScreen = ({ navigation }) => {
   const { user } = useAuth();
   const route = useRoute();
-  const { protocolId, protocolName } = route.params || {};
+  const { protocolId, protocolName, prescriptionId, currentDay: routeCurrentDay } = route.params || {};
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [activeCourses, setActiveCourses] = useState([]);
   const [unavailableCourses, setUnavailableCourses] = useState([]);
   const [protocolCourses, setProtocolCourses] = useState([]);
+  // Dia atual da prescrição, usado na liberação gradual dos cursos do protocolo
+  const [currentDay, setCurrentDay] = useState(null);
+  const [continueWatching, setContinueWatching] = useState([]);
+  const [downloads, setDownloads] = useState({});
+  const [activeDownloads, setActiveDownloads] = useState({});
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [isOffline, setIsOffline] = useState(false);
   
   // Animações
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -42,6 +60,44 @@ const CoursesScreen = ({ navigation }) => {
     loadCourses();
   }, [protocolId]);
 
+  const loadDownloads = useCallback(async () => {
+    const [stored, usage] = await Promise.all([
+      courseDownloadService.getDownloads(),
+      courseDownloadService.getStorageUsage(),
+    ]);
+    setDownloads(stored);
+    setStorageUsage(usage);
+    return stored;
+  }, []);
+
+  // Posições salvas pelo player mudam a cada aula assistida; recarregar ao voltar para a tela
+  useFocusEffect(
+    useCallback(() => {
+      lessonProgressService.getContinueWatching().then(items => {
+        setContinueWatching(protocolId ? items.filter(item => item.protocolId === protocolId) : items);
+      });
+      loadDownloads();
+    }, [protocolId, loadDownloads])
+  );
+
+  // Progresso dos downloads (também os iniciados pelos módulos na tela do curso)
+  useEffect(() => {
+    setActiveDownloads(courseDownloadService.getActiveDownloads());
+
+    return courseDownloadService.subscribe((event) => {
+      if (event.status === DOWNLOAD_STATUS.DOWNLOADING) {
+        setActiveDownloads(prev => ({ ...prev, [event.courseId]: event }));
+        return;
+      }
+
+      setActiveDownloads(prev => {
+        const { [event.courseId]: finished, ...rest } = prev;
+        return rest;
+      });
+      loadDownloads();
+    });
+  }, [loadDownloads]);
+
   useEffect(() => {
     if (!loading) {
       Animated.timing(fadeAnim, {
@@ -52,16 +108,59 @@ const CoursesScreen = ({ navigation }) => {
     }
   }, [loading, fadeAnim]);
 
+  // Dia atual: resposta dos cursos, parâmetro da tela ou a própria prescrição (ex.: aberta por notificação)
+  const resolveCurrentDay = async (response) => {
+    const fromResponse = Number(response.currentDay ?? response.prescription?.current_day);
+    if (fromResponse > 0) return fromResponse;
+    if (Number(routeCurrentDay) > 0) return Number(routeCurrentDay);
+    if (!prescriptionId) return null;
+
+    try {
+      const prescriptionResponse = await apiClient.get(ENDPOINTS.prescriptions.detail(prescriptionId));
+      return prescriptionResponse.prescription?.current_day ?? null;
+    } catch (error) {
+      logger.warn('Could not load prescription day for course unlocking', { prescriptionId, error: error.message });
+      return null;
+    }
+  };
+
+  const syncUnlockNotifications = (courses, day) => {
+    if (!prescriptionId || !day) return;
+
+    reminderService.syncCourseUnlocks(prescriptionId, {
+      protocolId,
+      protocolName,
+      items: getPendingUnlocks(courses, day)
+    }).catch(error => {
+      logger.warn('Could not schedule course unlock notifications', error);
+    });
+  };
+
+  const getCourseUnlockState = (courseData) => {
+    const course = courseData.course || courseData;
+    return getUnlockState(getUnlockDay(courseData) || getUnlockDay(course), currentDay);
+  };
+
+  // Próximo módulo ainda bloqueado de um curso já liberado
+  const getNextModuleUnlock = (course) => (course.modules || [])
+    .map(module => getUnlockState(getUnlockDay(module), currentDay))
+    .filter(state => state.locked)
+    .sort((a, b) => a.unlockDay - b.unlockDay)[0] || null;
+
   const loadProtocolCourses = async () => {
     if (!protocolId) return;
 
     try {
       logger.debug('Loading protocol courses', { protocolId });
-      const response = await apiClient.get(`/api/v2/patients/protocols/${protocolId}/courses`);
+      const response = await apiClient.get(ENDPOINTS.courses.byProtocol(protocolId));
       
       if (response.success) {
+        const day = await resolveCurrentDay(response);
+        setCurrentDay(day);
         setProtocolCourses(response.courses || []);
-        logger.info(`Loaded ${response.courses?.length} protocol courses`);
+        logger.info(`Loaded ${response.courses?.length} protocol courses`, { currentDay: day });
+
+        syncUnlockNotifications(response.courses || [], day);
       } else {
         logger.warn('Unexpected protocol courses response format:', response);
         setProtocolCourses([]);
@@ -73,6 +172,9 @@ const CoursesScreen = ({ navigation }) => {
         data: error.response?.data
       });
       setProtocolCourses([]);
+
+      // Sem conexão: loadCourses recorre aos cursos baixados
+      if (error instanceof NetworkError) throw error;
       
       if (error.response?.status === 404) {
         Alert.alert('Error', 'Protocol not found or not active.');
@@ -85,12 +187,13 @@ const CoursesScreen = ({ navigation }) => {
   const loadCourses = async () => {
     try {
       setLoading(true);
+      setIsOffline(false);
       
       if (protocolId) {
         await loadProtocolCourses();
       } else {
         logger.debug('Loading available courses');
-        const response = await apiClient.get('/api/v2/patients/courses');
+        const response = await apiClient.get(ENDPOINTS.courses.list);
         logger.debug('API Response:', response);
         
         if (response.success) {
@@ -112,11 +215,18 @@ const CoursesScreen = ({ navigation }) => {
       setActiveCourses([]);
       setUnavailableCourses([]);
       setProtocolCourses([]);
-      Alert.alert(
-        'Error',
-        'Unable to load courses. Please try again later.',
-        [{ text: 'OK' }]
-      );
+
+      // Sem conexão: mostrar apenas os cursos baixados
+      const stored = await loadDownloads();
+      if (Object.keys(stored).length > 0) {
+        setIsOffline(true);
+      } else {
+        Alert.alert(
+          'Error',
+          'Unable to load courses. Please try again later.',
+          [{ text: 'OK' }]
+        );
+      }
     } finally {
       setLoading(false);
       setRefreshing(false);
@@ -143,6 +253,19 @@ const CoursesScreen = ({ navigation }) => {
       return;
     }
 
+    const unlockState = isProtocolCourse ? getCourseUnlockState(courseData) : null;
+    if (unlockState?.locked) {
+      Alert.alert(
+        'Curso bloqueado',
+        unlockState.daysLeft === null
+          ? `Este curso é liberado no dia ${unlockState.unlockDay} do protocolo.`
+          : unlockState.daysLeft === 1
+            ? `Este curso será liberado amanhã, no dia ${unlockState.unlockDay} do protocolo.`
+            : `Este curso será liberado no dia ${unlockState.unlockDay} do protocolo (faltam ${unlockState.daysLeft} dias).`
+      );
+      return;
+    }
+
     // Se o curso tem modal, mostrar informações do modal
     if (course.modalTitle) {
       Alert.alert(
@@ -180,10 +303,226 @@ const CoursesScreen = ({ navigation }) => {
       courseId: course.id,
       title: course.name || course.title,
       isProtocolCourse,
-      protocolCourseData: isProtocolCourse ? courseData : null
+      protocolCourseData: isProtocolCourse ? courseData : null,
+      currentDay: isProtocolCourse ? currentDay : null
     });
   };
 
+  const handleContinueWatchingPress = (item) => {
+    navigation.navigate('CourseDetail', {
+      courseId: item.courseId,
+      title: item.courseTitle,
+      isProtocolCourse: item.isProtocolCourse,
+      protocolCourseData: item.isProtocolCourse
+        ? { protocol: { id: item.protocolId, name: item.protocolName } }
+        : null,
+      resumeLessonId: item.lesson.id
+    });
+  };
+
+  const renderContinueWatching = () => (
+    <View style={styles.courseSection}>
+      <Text style={styles.sectionTitle}>Continue Watching</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {continueWatching.map(item => (
+          <TouchableOpacity
+            key={item.courseId}
+            style={styles.continueCard}
+            onPress={() => handleContinueWatchingPress(item)}
+            activeOpacity={0.8}
+          >
+            <View style={styles.continueImageContainer}>
+              {item.coverImage ? (
+                <Image source={{ uri: item.coverImage }} style={styles.courseImage} resizeMode="cover" />
+              ) : (
+                <View style={styles.placeholderImage}>
+                  <Icon name="play-circle" size={32} color="#9CA3AF" />
+                </View>
+              )}
+              <View style={styles.continuePlayIcon}>
+                <Icon name="play" size={20} color="#FFFFFF" />
+              </View>
+              <View style={styles.continueProgressBar}>
+                <View style={[styles.progressFill, { width: `${item.lesson.percent || 0}%` }]} />
+              </View>
+            </View>
+            <View style={styles.continueContent}>
+              <Text style={styles.continueLessonTitle} numberOfLines={1}>{item.lesson.title}</Text>
+              <Text style={styles.continueCourseTitle} numberOfLines={1}>{item.courseTitle}</Text>
+              <Text style={styles.continueTimeText}>
+                {formatPlaybackTime(item.lesson.position)} / {formatPlaybackTime(item.lesson.duration)}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  const getDownloadContext = (courseData) => {
+    const course = courseData.course || courseData;
+    const isProtocolCourse = !!courseData.course;
+
+    return {
+      courseId: course.id,
+      courseTitle: course.title || course.name,
+      coverImage: course.coverImage || null,
+      isProtocolCourse,
+      protocolId: isProtocolCourse ? courseData.protocol?.id || protocolId : null,
+      protocolName: isProtocolCourse ? courseData.protocol?.name || protocolName : null,
+    };
+  };
+
+  const handleDownloadCourse = async (courseData) => {
+    try {
+      await courseDownloadService.downloadCourse(getDownloadContext(courseData));
+    } catch (error) {
+      Alert.alert(
+        'Download failed',
+        error instanceof InsufficientStorageError
+          ? error.message
+          : 'Unable to download this course. Check your connection and try again.'
+      );
+    }
+  };
+
+  const handleRemoveDownload = (courseId, title) => {
+    Alert.alert(
+      'Remove download',
+      `Remove the offline copy of "${title}" from this device?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => courseDownloadService.removeDownload(courseId) }
+      ]
+    );
+  };
+
+  const handleDownloadedCoursePress = (download) => {
+    navigation.navigate('CourseDetail', {
+      courseId: download.courseId,
+      title: download.courseTitle,
+      isProtocolCourse: download.isProtocolCourse,
+      protocolCourseData: download.isProtocolCourse
+        ? { protocol: { id: download.protocolId, name: download.protocolName } }
+        : null
+    });
+  };
+
+  const renderStorageSummary = () => (
+    <View style={styles.storageCard}>
+      <Icon name="harddisk" size={20} color="#1697F5" />
+      <View style={styles.storageInfo}>
+        <Text style={styles.storageTitle}>
+          Offline storage: {formatBytes(storageUsage.usedBytes)} used
+        </Text>
+        {storageUsage.freeBytes !== null && (
+          <Text style={styles.storageText}>
+            {formatBytes(storageUsage.freeBytes)} free on this device
+            {storageUsage.totalBytes ? ` of ${formatBytes(storageUsage.totalBytes)}` : ''}
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+
+  // Estado do download do curso no card: baixar, progresso ou disponível offline
+  const renderDownloadRow = (courseData) => {
+    const context = getDownloadContext(courseData);
+    const active = activeDownloads[context.courseId];
+    const download = downloads[context.courseId];
+
+    if (active) {
+      const percent = Math.round((active.progress || 0) * 100);
+      return (
+        <View style={styles.downloadRow}>
+          <View style={styles.downloadProgressInfo}>
+            <View style={styles.progressBar}>
+              <View style={[styles.progressFill, { width: `${percent}%` }]} />
+            </View>
+            <Text style={styles.downloadProgressText}>
+              Downloading {active.completedFiles || 0}/{active.totalFiles || 0} files • {percent}%
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={styles.downloadIconButton}
+            onPress={() => courseDownloadService.cancelDownload(context.courseId)}
+          >
+            <Icon name="close-circle-outline" size={22} color="#94a3b8" />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (download) {
+      return (
+        <View style={styles.downloadRow}>
+          <Icon name="cloud-check" size={18} color="#4ade80" />
+          <Text style={[styles.downloadText, styles.downloadedText]}>
+            {download.isFullCourse ? 'Available offline' : 'Partially available offline'} • {formatBytes(download.sizeBytes)}
+          </Text>
+          {!download.isFullCourse && !isOffline && (
+            <TouchableOpacity style={styles.downloadIconButton} onPress={() => handleDownloadCourse(courseData)}>
+              <Icon name="cloud-download-outline" size={22} color="#1697F5" />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.downloadIconButton}
+            onPress={() => handleRemoveDownload(context.courseId, context.courseTitle)}
+          >
+            <Icon name="trash-can-outline" size={20} color="#94a3b8" />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <TouchableOpacity style={styles.downloadRow} onPress={() => handleDownloadCourse(courseData)}>
+        <Icon name="cloud-download-outline" size={18} color="#1697F5" />
+        <Text style={[styles.downloadText, styles.downloadActionText]}>Download for offline</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderOfflineCourses = () => {
+    const offlineCourses = Object.values(downloads)
+      .filter(download => !protocolId || download.protocolId === protocolId);
+
+    return (
+      <View style={styles.courseSection}>
+        <View style={styles.offlineBanner}>
+          <Icon name="cloud-off-outline" size={18} color="#f59e0b" />
+          <Text style={styles.offlineBannerText}>
+            You're offline. Only downloaded courses are available.
+          </Text>
+        </View>
+        <Text style={styles.sectionTitle}>Downloaded Courses</Text>
+        {offlineCourses.length === 0 ? (
+          <Text style={styles.emptyCoursesText}>No downloaded courses for this protocol.</Text>
+        ) : offlineCourses.map(download => (
+          <TouchableOpacity
+            key={download.courseId}
+            style={styles.courseCard}
+            onPress={() => handleDownloadedCoursePress(download)}
+            activeOpacity={0.8}
+          >
+            <View style={styles.courseContent}>
+              <Text style={styles.courseTitle} numberOfLines={2}>{download.courseTitle}</Text>
+              <Text style={styles.courseDescription} numberOfLines={1}>
+                {download.course?.modules?.length || 0} modules • {formatBytes(download.sizeBytes)}
+              </Text>
+              <View style={styles.downloadRow}>
+                <Icon name="cloud-check" size={18} color="#4ade80" />
+                <Text style={[styles.downloadText, styles.downloadedText]}>
+                  {download.isFullCourse ? 'Available offline' : 'Partially available offline'}
+                </Text>
+              </View>
+            </View>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
   const getTotalDuration = (course) => {
     return course.modules?.reduce((total, module) => 
       total + (module.lessons?.reduce((lessonTotal, lesson) => 
@@ -204,13 +543,16 @@ const CoursesScreen = ({ navigation }) => {
     const course = courseData.course || courseData;
     const isProtocolCourse = !!courseData.course;
     const progress = isProtocolCourse ? course.progress : null;
+    const unlockState = isProtocolCourse ? getCourseUnlockState(courseData) : null;
+    const isLocked = !!unlockState?.locked;
+    const nextModuleUnlock = isProtocolCourse && !isLocked ? getNextModuleUnlock(course) : null;
 
     return (
       <TouchableOpacity
         key={course.id}
         style={[
           styles.courseCard,
-          isUnavailable && styles.unavailableCourseCard
+          (isUnavailable || isLocked) && styles.unavailableCourseCard
         ]}
         onPress={() => handleCoursePress(courseData)}
         activeOpacity={0.8}
@@ -233,6 +575,12 @@ const CoursesScreen = ({ navigation }) => {
               <Text style={styles.unavailableBadgeText}>Indisponível</Text>
             </View>
           )}
+          {isLocked && (
+            <View style={[styles.unavailableBadge, styles.scheduledBadge]}>
+              <Icon name="lock-clock" size={12} color="#ffffff" />
+              <Text style={styles.unavailableBadgeText}>Dia {unlockState.unlockDay}</Text>
+            </View>
+          )}
           {isProtocolCourse && courseData.isRequired && (
             <View style={[styles.badge, styles.requiredBadge]}>
               <Text style={styles.badgeText}>Obrigatório</Text>
@@ -289,6 +637,19 @@ const CoursesScreen = ({ navigation }) => {
               </View>
             )}
           </View>
+          {/* Liberação gradual pelo dia do protocolo */}
+          {(isLocked || nextModuleUnlock) && (
+            <View style={styles.unlockRow}>
+              <Icon name="calendar-clock" size={16} color="#f59e0b" />
+              <Text style={styles.unlockText}>
+                {isLocked
+                  ? formatUnlockCountdown(unlockState)
+                  : `Next module: ${formatUnlockCountdown(nextModuleUnlock).toLowerCase()}`}
+              </Text>
+            </View>
+          )}
+          {/* Download offline */}
+          {!isUnavailable && !isLocked && renderDownloadRow(courseData)}
           {/* Botão de ação */}
           <TouchableOpacity
             style={styles.actionButton}
@@ -339,8 +700,18 @@ const CoursesScreen = ({ navigation }) => {
           />
         }
       >
-        {(protocolCourses.length > 0 || activeCourses.length > 0 || unavailableCourses.length > 0) ? (
+        {isOffline ? (
+          <Animated.View style={[styles.coursesContainer, { opacity: fadeAnim }]}>
+            {renderOfflineCourses()}
+          </Animated.View>
+        ) : (protocolCourses.length > 0 || activeCourses.length > 0 || unavailableCourses.length > 0) ? (
           <Animated.View style={[styles.coursesContainer, { opacity: fadeAnim }]}>
+            {/* Offline Storage Summary */}
+            {storageUsage?.courseCount > 0 && renderStorageSummary()}
+
+            {/* Continue Watching Section */}
+            {continueWatching.length > 0 && renderContinueWatching()}
+
             {/* Protocol Courses Section */}
             {protocolCourses.length > 0 && (
               <View style={styles.courseSection}>
@@ -442,6 +813,59 @@ const styles = StyleSheet.create({
     letterSpacing: 0.2,
     fontFamily: 'ManropeBold',
   },
+  continueCard: {
+    width: width * 0.6,
+    backgroundColor: '#1d1e24',
+    borderRadius: 12,
+    marginRight: 12,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  continueImageContainer: {
+    width: '100%',
+    aspectRatio: 16/9,
+    backgroundColor: '#26272c',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  continuePlayIcon: {
+    position: 'absolute',
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  continueProgressBar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  continueContent: {
+    padding: 12,
+  },
+  continueLessonTitle: {
+    fontSize: 15,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+  },
+  continueCourseTitle: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  continueTimeText: {
+    fontSize: 12,
+    color: '#64748b',
+    fontFamily: 'ManropeRegular',
+    marginTop: 6,
+  },
   courseCard: {
     backgroundColor: '#1d1e24',
     borderRadius: 14,
@@ -583,6 +1007,24 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     fontFamily: 'ManropeMedium',
   },
+  scheduledBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: '#f59e0b',
+  },
+  unlockRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 12,
+  },
+  unlockText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#f59e0b',
+    fontFamily: 'ManropeMedium',
+  },
   badge: {
     position: 'absolute',
     top: 8,
@@ -600,6 +1042,81 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     fontFamily: 'ManropeMedium',
   },
+  storageCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1d1e24',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.05)',
+    gap: 12,
+  },
+  storageInfo: {
+    flex: 1,
+  },
+  storageTitle: {
+    fontSize: 14,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+  },
+  storageText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  downloadRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#26272c',
+  },
+  downloadProgressInfo: {
+    flex: 1,
+  },
+  downloadText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+  },
+  downloadProgressText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+  },
+  downloadedText: {
+    color: '#4ade80',
+  },
+  downloadActionText: {
+    color: '#1697F5',
+    fontFamily: 'ManropeSemiBold',
+  },
+  downloadIconButton: {
+    padding: 4,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    gap: 10,
+  },
+  offlineBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#fbbf24',
+    fontFamily: 'ManropeMedium',
+    lineHeight: 18,
+  },
   emptyCourses: {
     flex: 1,
     justifyContent: 'center',
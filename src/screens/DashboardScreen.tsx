@@ -24,48 +24,10 @@ import userService from '../services/userService';
 import { showErrorAlert } from '../utils/errorHandler';
 import { createLogger } from '../utils/logUtils';
 import LoadingSpinner from '../components/LoadingSpinner';
+import type { DashboardData, Lead, Indication, UtmSource } from '../types/api';
 
 const logger = createLogger('DashboardScreen');
 
-// Interfaces
-interface Lead {
-  id: string;
-  name: string;
-  phone: string;
-  createdAt: string;
-  utmSource?: string;
-  utmMedium?: string;
-  indication?: {
-    name?: string;
-    slug: string;
-  };
-}
-
-interface Indication {
-  id: string;
-  slug: string;
-  name?: string;
-  _count: {
-    leads: number;
-    events: number;
-  };
-}
-
-interface UtmSource {
-  source: string;
-  count: number;
-}
-
-interface DashboardData {
-  totalLeads: number;
-  totalIndications: number;
-  totalClicks: number;
-  conversionRate: number;
-  recentLeads: Lead[];
-  topIndications: Indication[];
-  topSources: UtmSource[];
-}
-
 // Cores para os gráficos
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#A05195'];
 
@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { requestPasswordReset } from '../services/authService';
+import { RateLimitError, NetworkError } from '../utils/errorHandler';
+import useRetryCooldown from '../hooks/useRetryCooldown';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('ForgotPasswordScreen');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ForgotPasswordScreen = ({ navigation, route }) => {
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const { secondsLeft, isCoolingDown, startCooldown } = useRetryCooldown();
+
+  const handleSubmit = async () => {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (!EMAIL_REGEX.test(normalizedEmail)) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await requestPasswordReset(normalizedEmail);
+      setSent(true);
+      // Evitar reenvios em sequência enquanto o email ainda está chegando
+      startCooldown();
+    } catch (requestError) {
+      logger.error('Erro ao solicitar redefinição de senha:', requestError);
+
+      if (requestError instanceof RateLimitError) {
+        startCooldown(requestError.retryAfter);
+        setError('Too many requests. Please wait before trying again.');
+      } else if (requestError instanceof NetworkError) {
+        setError('Please check your internet connection and try again.');
+      } else {
+        setError('Unable to send the reset link at the moment. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitDisabled = loading || isCoolingDown;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <StatusBar style="light" />
+
+      <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+        <Icon name="arrow-left" size={24} color="#cccccc" />
+      </TouchableOpacity>
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Icon
+          name={sent ? 'email-check-outline' : 'lock-reset'}
+          size={56}
+          color="#61aed0"
+          style={styles.headerIcon}
+        />
+
+        <Text style={styles.title}>{sent ? 'Check your email' : 'Forgot Password'}</Text>
+        <Text style={styles.subtitle}>
+          {sent
+            ? `If an account exists for ${email.trim()}, you will receive a link to reset your password.`
+            : 'Enter the email linked to your account and we will send you a link to reset your password.'}
+        </Text>
+
+        {!sent && (
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Email</Text>
+            <View style={[styles.inputWrapper, error && styles.inputError]}>
+              <Icon name="email" size={20} color="#cccccc" style={styles.inputIcon} />
+              <TextInput
+                style={styles.input}
+                placeholder="Your email address"
+                placeholderTextColor="#888888"
+                value={email}
+                onChangeText={(text) => {
+                  setEmail(text);
+                  setError(null);
+                }}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoComplete="email"
+                autoCorrect={false}
+                onSubmitEditing={handleSubmit}
+              />
+            </View>
+          </View>
+        )}
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, submitDisabled && styles.primaryButtonDisabled]}
+          onPress={handleSubmit}
+          disabled={submitDisabled}
+        >
+          {loading ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <Text style={styles.primaryButtonText}>
+              {isCoolingDown
+                ? `Try again in ${secondsLeft}s`
+                : sent ? 'Resend Link' : 'Send Reset Link'}
+            </Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={() => navigation.navigate('Login')} style={styles.linkButton}>
+          <Text style={styles.linkText}>Back to Sign In</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0a',
+  },
+  backButton: {
+    position: 'absolute',
+    top: Platform.OS === 'ios' ? 60 : 40,
+    left: 20,
+    zIndex: 1,
+    padding: 8,
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  headerIcon: {
+    alignSelf: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#ffffff',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#cccccc',
+    textAlign: 'center',
+    marginBottom: 32,
+    lineHeight: 24,
+  },
+  inputContainer: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#3a3a3a',
+    paddingHorizontal: 16,
+    height: 56,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#ffffff',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#61aed0',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginTop: 20,
+    padding: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#61aed0',
+    fontWeight: '600',
+  },
+});
+
+export default ForgotPasswordScreen;
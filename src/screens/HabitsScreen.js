@@ -13,15 +13,42 @@ import {
   Platform,
   RefreshControl,
   Image,
+  Switch,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
-import habitService from '../services/habitService';
+import habitService, {
+  HABIT_DAY_STATUS,
+  HABIT_FREQUENCIES,
+  DEFAULT_HABIT_CATEGORIES,
+  withReferencedDefaultCategories,
+  getHabitSchedule,
+  describeHabitSchedule,
+  getHabitGoal,
+  formatGoalValue,
+} from '../services/habitService';
+import reminderService from '../services/reminderService';
+import TimeStepper from '../components/TimeStepper';
+import HabitScheduleForm from '../components/HabitScheduleForm';
+import HabitGoalForm from '../components/HabitGoalForm';
+import HabitStatsModal from '../components/HabitStatsModal';
+import HabitCategoriesModal from '../components/HabitCategoriesModal';
+import { subscribeToQueue } from '../services/offlineQueue';
+import { toLocalDateKey } from '../utils/dateUtils';
+import { QueuedRequestError } from '../utils/errorHandler';
 import { createLogger } from '../utils/logUtils';
 import LoadingSpinner from '../components/LoadingSpinner';
 const logger = createLogger('HabitsScreen');
+
+// Origem usada para identificar, na fila offline, as ações feitas nesta tela
+const QUEUE_SOURCE = 'HabitsScreen';
+
+const EMPTY_GOAL_FORM = { enabled: false, target: '', unit: '', step: '' };
+
+// Aceita vírgula como separador decimal
+const parseNumber = (text) => Number(String(text).replace(',', '.'));
 const { width, height } = Dimensions.get('window');
 
 const HabitsScreen = () => {
@@ -45,6 +72,18 @@ const HabitsScreen = () => {
   const [newHabitCategory, setNewHabitCategory] = useState('personal');
   const [editHabitTitle, setEditHabitTitle] = useState('');
   const [editHabitCategory, setEditHabitCategory] = useState('personal');
+  const [newHabitSchedule, setNewHabitSchedule] = useState(getHabitSchedule(null));
+  const [newHabitReminder, setNewHabitReminder] = useState(null);
+  const [editHabitSchedule, setEditHabitSchedule] = useState(getHabitSchedule(null));
+  const [editHabitReminder, setEditHabitReminder] = useState(null);
+  const [newHabitGoal, setNewHabitGoal] = useState(EMPTY_GOAL_FORM);
+  const [editHabitGoal, setEditHabitGoal] = useState(EMPTY_GOAL_FORM);
+
+  // Registro do valor de um dia (hábitos com meta numérica): { habit, date, value }
+  const [valueEntry, setValueEntry] = useState(null);
+
+  // Estatísticas de um hábito: { habit, stats, loading }
+  const [statsView, setStatsView] = useState(null);
   
   // Loading states
   const [creatingHabit, setCreatingHabit] = useState(false);
@@ -52,11 +91,16 @@ const HabitsScreen = () => {
   const [deletingHabit, setDeletingHabit] = useState(false);
   const [updatingProgress, setUpdatingProgress] = useState({});
 
-  const categories = [
-    { id: 'personal', name: 'Personal', color: '#1697F5' },
-    { id: 'health', name: 'Health', color: '#4ade80' },
-    { id: 'work', name: 'Work', color: '#f59e0b' },
-  ];
+  // Lembrete diário de hábitos
+  const [reminderModalVisible, setReminderModalVisible] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(null);
+  const [savingReminder, setSavingReminder] = useState(false);
+
+  // Categorias do usuário (as padrão até carregar ou se a API falhar)
+  const [loadedCategories, setCategories] = useState(DEFAULT_HABIT_CATEGORIES);
+  const [categoriesModalVisible, setCategoriesModalVisible] = useState(false);
+  // Hábitos antigos ainda em uma categoria padrão não podem cair em "Other"
+  const categories = withReferencedDefaultCategories(loadedCategories, habits);
 
   const getDaysInMonth = (date) => {
     const year = date.getFullYear();
@@ -102,6 +146,8 @@ const HabitsScreen = () => {
       const habitsData = await habitService.getHabits(month);
       setHabits(habitsData);
       logger.info('Hábitos carregados', { count: habitsData.length });
+
+      syncReminders(habitsData);
     } catch (error) {
       logger.error('Erro ao carregar hábitos:', error);
       Alert.alert('Erro', 'Não foi possível carregar os hábitos. Tente novamente.');
@@ -110,9 +156,52 @@ const HabitsScreen = () => {
     }
   };
 
+  const loadCategories = async () => {
+    try {
+      setCategories(await habitService.getCategories());
+    } catch (error) {
+      logger.warn('Usando categorias padrão', error);
+    }
+  };
+
+  const getDefaultCategoryId = () => categories[0]?.id || DEFAULT_HABIT_CATEGORIES[0].id;
+
+  const openAddModal = () => {
+    // A categoria escolhida antes pode ter sido apagada
+    if (!categories.some(category => category.id === newHabitCategory)) {
+      setNewHabitCategory(getDefaultCategoryId());
+    }
+    setAddModalVisible(true);
+  };
+
+  // Lembretes dependem da agenda e do horário de cada hábito; reagendar a cada mudança na lista
+  const syncReminders = (habitsList) => {
+    reminderService.syncHabitReminders(habitsList).catch(reminderError => {
+      logger.warn('Não foi possível agendar o lembrete de hábitos', reminderError);
+    });
+  };
+
+  const openReminderModal = async () => {
+    setReminderSettings(await reminderService.getHabitSettings());
+    setReminderModalVisible(true);
+  };
+
+  const saveReminderSettings = async () => {
+    try {
+      setSavingReminder(true);
+      await reminderService.saveHabitSettings(reminderSettings);
+      setReminderModalVisible(false);
+    } catch (error) {
+      logger.error('Erro ao salvar lembrete de hábitos:', error);
+      Alert.alert('Erro', 'Não foi possível salvar o lembrete. Tente novamente.');
+    } finally {
+      setSavingReminder(false);
+    }
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadHabits();
+    await Promise.all([loadHabits(), loadCategories()]);
     setRefreshing(false);
   };
 
@@ -120,6 +209,28 @@ const HabitsScreen = () => {
     loadHabits();
   }, [selectedMonth]);
 
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  // Resultados do reenvio da fila offline para marcações feitas nesta tela
+  useEffect(() => {
+    const unsubscribe = subscribeToQueue(({ type, item }) => {
+      if (item.source !== QUEUE_SOURCE) return;
+
+      if (type === 'conflict' || type === 'failed') {
+        logger.warn('Marcação offline não pôde ser sincronizada', { type, meta: item.meta });
+        Alert.alert(
+          'Sincronização',
+          'Não foi possível sincronizar uma marcação feita offline. Os hábitos foram atualizados.'
+        );
+        loadHabits();
+      }
+    });
+
+    return unsubscribe;
+  }, [selectedMonth]);
+
   const formatDate = (date) => {
     return date.toISOString().split('T')[0];
   };
@@ -129,8 +240,77 @@ const HabitsScreen = () => {
     return date.toDateString() === today.toDateString();
   };
 
-  const isHabitCompletedOnDate = (habit, date) => {
-    return habitService.isHabitCompletedOnDate(habit.progress, formatDate(date));
+  const getHabitDayStatus = (habit, date) => {
+    return habitService.getHabitDayStatus(habit, date);
+  };
+
+  // Agenda enviada à API; "a cada N dias" conta a partir da data de início (data local)
+  const buildSchedulePayload = (schedule) => {
+    if (schedule.frequency === HABIT_FREQUENCIES.WEEKDAYS && schedule.weekdays.length === 0) {
+      Alert.alert('Erro', 'Selecione pelo menos um dia da semana.');
+      return null;
+    }
+
+    return {
+      ...schedule,
+      startDate: schedule.startDate || toLocalDateKey(new Date())
+    };
+  };
+
+  // Meta enviada à API: null para hábitos de marcar/desmarcar
+  const buildGoalPayload = (form) => {
+    if (!form.enabled) return { goal: null };
+
+    const target = parseNumber(form.target);
+    if (!(target > 0)) {
+      Alert.alert('Erro', 'Informe um valor de meta maior que zero.');
+      return null;
+    }
+
+    const step = parseNumber(form.step);
+    return {
+      goal: {
+        target,
+        unit: form.unit.trim(),
+        ...(step > 0 ? { step } : {})
+      }
+    };
+  };
+
+  const toGoalForm = (habit) => {
+    if (!habit.goal?.target) return EMPTY_GOAL_FORM;
+
+    return {
+      enabled: true,
+      target: String(habit.goal.target),
+      unit: habit.goal.unit || '',
+      step: habit.goal.step ? String(habit.goal.step) : ''
+    };
+  };
+
+  // Atualiza (ou cria) o registro do dia no estado local
+  const applyLocalProgress = (habitId, dateStr, changes) => {
+    setHabits(prevHabits => 
+      prevHabits.map(habit => {
+        if (habit.id === habitId) {
+          const existingProgress = habit.progress.find(p => p.date === dateStr);
+          if (existingProgress) {
+            return {
+              ...habit,
+              progress: habit.progress.map(p => 
+                p.date === dateStr ? { ...p, ...changes } : p
+              )
+            };
+          } else {
+            return {
+              ...habit,
+              progress: [...habit.progress, { date: dateStr, ...changes }]
+            };
+          }
+        }
+        return habit;
+      })
+    );
   };
 
   const toggleHabitProgress = async (habitId, date) => {
@@ -138,30 +318,23 @@ const HabitsScreen = () => {
       setUpdatingProgress(prev => ({ ...prev, [habitId]: true }));
       
       const dateStr = formatDate(date);
-      const response = await habitService.updateProgress(habitId, dateStr);
+      let response;
+      
+      try {
+        response = await habitService.updateProgress(habitId, dateStr, {
+          queue: { source: QUEUE_SOURCE, meta: { habitId, date: dateStr } }
+        });
+      } catch (error) {
+        if (!(error instanceof QueuedRequestError)) throw error;
+        
+        // Sem conexão: inverter a marcação localmente até a fila sincronizar
+        const habit = habits.find(h => h.id === habitId);
+        response = { isChecked: !habitService.isHabitCompletedOnDate(habit?.progress, dateStr) };
+        logger.info('Marcação salva offline', { habitId, date: dateStr });
+      }
       
       // Atualizar o estado local
-      setHabits(prevHabits => 
-        prevHabits.map(habit => {
-          if (habit.id === habitId) {
-            const existingProgress = habit.progress.find(p => p.date === dateStr);
-            if (existingProgress) {
-              return {
-                ...habit,
-                progress: habit.progress.map(p => 
-                  p.date === dateStr ? { ...p, isChecked: response.isChecked } : p
-                )
-              };
-            } else {
-              return {
-                ...habit,
-                progress: [...habit.progress, { date: dateStr, isChecked: response.isChecked }]
-              };
-            }
-          }
-          return habit;
-        })
-      );
+      applyLocalProgress(habitId, dateStr, { isChecked: response.isChecked });
       
       logger.info('Progresso atualizado', { habitId, date: dateStr, isChecked: response.isChecked });
     } catch (error) {
@@ -172,24 +345,100 @@ const HabitsScreen = () => {
     }
   };
 
+  // Hábitos com meta: registra o total do dia; concluído ao atingir a meta
+  const saveHabitValue = async (habit, date, value) => {
+    const goal = getHabitGoal(habit);
+    const dateStr = formatDate(date);
+    const total = Math.max(0, Math.round(value * 100) / 100);
+
+    try {
+      setUpdatingProgress(prev => ({ ...prev, [habit.id]: true }));
+      let response;
+
+      try {
+        response = await habitService.setProgressValue(habit.id, dateStr, total, {
+          queue: { source: QUEUE_SOURCE, meta: { habitId: habit.id, date: dateStr, value: total } }
+        });
+      } catch (error) {
+        if (!(error instanceof QueuedRequestError)) throw error;
+
+        response = {};
+        logger.info('Valor salvo offline', { habitId: habit.id, date: dateStr, value: total });
+      }
+
+      applyLocalProgress(habit.id, dateStr, {
+        value: response.value ?? total,
+        isChecked: response.isChecked ?? total >= goal.target
+      });
+      return true;
+    } catch (error) {
+      logger.error('Erro ao registrar valor do hábito:', error);
+      Alert.alert('Erro', 'Não foi possível registrar o valor. Tente novamente.');
+      return false;
+    } finally {
+      setUpdatingProgress(prev => ({ ...prev, [habit.id]: false }));
+    }
+  };
+
+  const handleDayPress = (habit, date) => {
+    if (!getHabitGoal(habit)) {
+      toggleHabitProgress(habit.id, date);
+      return;
+    }
+
+    const current = habitService.getProgressValue(habit.progress, formatDate(date));
+    setValueEntry({ habit, date, value: current ? formatGoalValue(current) : '' });
+  };
+
+  const confirmValueEntry = async () => {
+    const value = parseNumber(valueEntry.value || 0);
+    if (Number.isNaN(value) || value < 0) {
+      Alert.alert('Erro', 'Informe um valor válido.');
+      return;
+    }
+
+    if (await saveHabitValue(valueEntry.habit, valueEntry.date, value)) {
+      setValueEntry(null);
+    }
+  };
+
+  const shiftEntryValue = (delta) => {
+    setValueEntry(prev => ({
+      ...prev,
+      value: formatGoalValue(Math.max(0, (parseNumber(prev.value) || 0) + delta))
+    }));
+  };
+
   const createHabit = async () => {
     if (!newHabitTitle.trim()) {
       Alert.alert('Erro', 'Por favor, insira um título para o hábito.');
       return;
     }
 
+    const schedule = buildSchedulePayload(newHabitSchedule);
+    const goalPayload = buildGoalPayload(newHabitGoal);
+    if (!schedule || !goalPayload) return;
+
     try {
       setCreatingHabit(true);
       const habitData = {
         title: newHabitTitle.trim(),
-        category: newHabitCategory
+        category: newHabitCategory,
+        schedule,
+        reminderTime: newHabitReminder,
+        ...goalPayload
       };
       
       const newHabit = await habitService.createHabit(habitData);
-      setHabits(prev => [...prev, newHabit]);
+      const updatedHabits = [...habits, newHabit];
+      setHabits(updatedHabits);
+      syncReminders(updatedHabits);
       
       setNewHabitTitle('');
-      setNewHabitCategory('personal');
+      setNewHabitCategory(getDefaultCategoryId());
+      setNewHabitSchedule(getHabitSchedule(null));
+      setNewHabitReminder(null);
+      setNewHabitGoal(EMPTY_GOAL_FORM);
       setAddModalVisible(false);
       
       logger.info('Hábito criado com sucesso', { habitId: newHabit.id });
@@ -207,20 +456,29 @@ const HabitsScreen = () => {
       return;
     }
 
+    const schedule = buildSchedulePayload(editHabitSchedule);
+    const goalPayload = buildGoalPayload(editHabitGoal);
+    if (!schedule || !goalPayload) return;
+
     try {
       setUpdatingHabit(true);
       const habitData = {
         title: editHabitTitle.trim(),
-        category: editHabitCategory
+        category: editHabitCategory,
+        schedule,
+        reminderTime: editHabitReminder,
+        ...goalPayload
       };
       
       const updatedHabit = await habitService.updateHabit(selectedHabit.id, habitData);
-      setHabits(prev => prev.map(h => h.id === selectedHabit.id ? updatedHabit : h));
+      const updatedHabits = habits.map(h => h.id === selectedHabit.id ? updatedHabit : h);
+      setHabits(updatedHabits);
+      syncReminders(updatedHabits);
       
       setEditModalVisible(false);
       setSelectedHabit(null);
       setEditHabitTitle('');
-      setEditHabitCategory('personal');
+      setEditHabitCategory(getDefaultCategoryId());
       
       logger.info('Hábito atualizado com sucesso', { habitId: updatedHabit.id });
     } catch (error) {
@@ -237,13 +495,15 @@ const HabitsScreen = () => {
     try {
       setDeletingHabit(true);
       await habitService.deleteHabit(selectedHabit.id);
-      setHabits(prev => prev.filter(h => h.id !== selectedHabit.id));
+      const updatedHabits = habits.filter(h => h.id !== selectedHabit.id);
+      setHabits(updatedHabits);
+      syncReminders(updatedHabits);
       
       setDeleteModalVisible(false);
       setEditModalVisible(false);
       setSelectedHabit(null);
       setEditHabitTitle('');
-      setEditHabitCategory('personal');
+      setEditHabitCategory(getDefaultCategoryId());
       
       logger.info('Hábito deletado com sucesso', { habitId: selectedHabit.id });
     } catch (error) {
@@ -258,9 +518,33 @@ const HabitsScreen = () => {
     setSelectedHabit(habit);
     setEditHabitTitle(habit.title);
     setEditHabitCategory(habit.category);
+    setEditHabitSchedule(getHabitSchedule(habit));
+    setEditHabitReminder(habit.reminderTime || null);
+    setEditHabitGoal(toGoalForm(habit));
     setEditModalVisible(true);
   };
 
+  const openStatsModal = async (habit) => {
+    setStatsView({ habit, stats: null, loading: true });
+
+    try {
+      // Sequências e taxas usam os últimos meses, não só o mês exibido
+      const habitsWithHistory = await habitService.getHabitsWithHistory(3);
+      const habitWithHistory = habitsWithHistory.find(item => item.id === habit.id) || habit;
+
+      setStatsView(prev => prev?.habit.id === habit.id
+        ? { habit, stats: habitService.getHabitStats(habitWithHistory), loading: false }
+        : prev);
+    } catch (error) {
+      logger.error('Erro ao carregar estatísticas do hábito:', error);
+      // Sem conexão, calcula com o histórico já carregado do mês (dias anteriores a ele não contam)
+      const historyFrom = new Date(selectedMonth.getFullYear(), selectedMonth.getMonth(), 1).toISOString();
+      setStatsView(prev => prev?.habit.id === habit.id
+        ? { habit, stats: habitService.getHabitStats({ ...habit, historyFrom }), loading: false }
+        : prev);
+    }
+  };
+
   const openDeleteModal = () => {
     setDeleteModalVisible(true);
   };
@@ -270,7 +554,10 @@ const HabitsScreen = () => {
     setDeleteModalVisible(false);
     setSelectedHabit(null);
     setEditHabitTitle('');
-    setEditHabitCategory('personal');
+    setEditHabitCategory(getDefaultCategoryId());
+    setEditHabitSchedule(getHabitSchedule(null));
+    setEditHabitReminder(null);
+    setEditHabitGoal(EMPTY_GOAL_FORM);
   };
 
   const changeMonth = (direction) => {
@@ -285,12 +572,52 @@ const HabitsScreen = () => {
 
   const getCategoryName = (categoryId) => {
     const category = categories.find(c => c.id === categoryId);
-    return category ? category.name : 'Pessoal';
+    return category ? category.name : 'Other';
   };
 
   const getCategoryColor = (categoryId) => {
     const category = categories.find(c => c.id === categoryId);
-    return category ? category.color : '#1697F5';
+    return category ? category.color : '#94a3b8';
+  };
+
+  // Progresso de hoje em hábitos com meta: barra e stepper
+  const renderGoalTracker = (habit) => {
+    const goal = getHabitGoal(habit);
+    // Meia-noite local, como as datas da grade: à noite new Date() já cai no dia seguinte em UTC
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const value = habitService.getProgressValue(habit.progress, formatDate(today));
+    const percent = Math.min(100, Math.round((value / goal.target) * 100));
+    const isUpdating = updatingProgress[habit.id];
+
+    return (
+      <View style={styles.goalTracker}>
+        <TouchableOpacity
+          style={styles.goalStepButton}
+          onPress={() => saveHabitValue(habit, today, value - goal.step)}
+          disabled={isUpdating || value <= 0}
+        >
+          <Icon name="minus" size={18} color="#FFFFFF" />
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.goalInfo} onPress={() => handleDayPress(habit, today)} disabled={isUpdating}>
+          <Text style={styles.goalValueText}>
+            {formatGoalValue(value)} / {formatGoalValue(goal.target)} {goal.unit}
+          </Text>
+          <View style={styles.goalBar}>
+            <View style={[styles.goalBarFill, { width: `${percent}%` }, percent >= 100 && styles.goalBarFillDone]} />
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.goalStepButton}
+          onPress={() => saveHabitValue(habit, today, value + goal.step)}
+          disabled={isUpdating}
+        >
+          <Icon name="plus" size={18} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+    );
   };
 
   const stats = habitService.calculateStats(habits);
@@ -316,7 +643,19 @@ const HabitsScreen = () => {
               />
             </View>
             <TouchableOpacity
-              onPress={() => setAddModalVisible(true)}
+              onPress={() => setCategoriesModalVisible(true)}
+              style={styles.addButton}
+            >
+              <Icon name="tag-multiple-outline" size={24} color="#FFFFFF" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={openReminderModal}
+              style={styles.addButton}
+            >
+              <Icon name="bell-outline" size={24} color="#FFFFFF" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={openAddModal}
               style={styles.addButton}
             >
               <Icon name="plus" size={24} color="#FFFFFF" />
@@ -343,6 +682,22 @@ const HabitsScreen = () => {
         {/* Habits List */}
         <View style={styles.habitsSection}>
           <Text style={styles.sectionTitle}>Your Habits</Text>
+          {habits.length > 0 && (
+            <View style={styles.legendRow}>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, styles.progressDayCompleted]} />
+                <Text style={styles.legendText}>Done</Text>
+              </View>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, styles.progressDayMissed]} />
+                <Text style={styles.legendText}>Missed</Text>
+              </View>
+              <View style={styles.legendItem}>
+                <View style={[styles.legendDot, styles.progressDayNotDue]} />
+                <Text style={styles.legendText}>Not scheduled</Text>
+              </View>
+            </View>
+          )}
           
                       {habits.length === 0 ? (
               <View style={styles.emptyState}>
@@ -353,7 +708,7 @@ const HabitsScreen = () => {
                 </Text>
                 <TouchableOpacity
                   style={styles.emptyStateButton}
-                  onPress={() => setAddModalVisible(true)}
+                  onPress={openAddModal}
                 >
                   <Text style={styles.emptyStateButtonText}>Add First Habit</Text>
                 </TouchableOpacity>
@@ -364,9 +719,30 @@ const HabitsScreen = () => {
                 <View style={styles.habitHeader}>
                   <View style={styles.habitInfo}>
                     <Text style={styles.habitTitle}>{habit.title}</Text>
+                    <View style={styles.habitScheduleRow}>
+                      <Icon name="calendar-sync" size={14} color="#94a3b8" />
+                      <Text style={styles.habitScheduleText}>
+                        {describeHabitSchedule(getHabitSchedule(habit))}
+                      </Text>
+                      {!!habit.reminderTime && (
+                        <>
+                          <Icon name="bell-outline" size={14} color="#94a3b8" />
+                          <Text style={styles.habitScheduleText}>{habit.reminderTime}</Text>
+                        </>
+                      )}
+                    </View>
+                    <View style={[styles.categoryBadge, { backgroundColor: getCategoryColor(habit.category) }]}>
+                      <Text style={styles.categoryText}>{getCategoryName(habit.category)}</Text>
+                    </View>
                   </View>
                   
                   <View style={styles.habitActions}>
+                    <TouchableOpacity
+                      onPress={() => openStatsModal(habit)}
+                      style={styles.actionButton}
+                    >
+                      <Icon name="chart-bar" size={20} color="#7F8589" />
+                    </TouchableOpacity>
                     <TouchableOpacity
                       onPress={() => openEditModal(habit)}
                       style={styles.actionButton}
@@ -376,11 +752,17 @@ const HabitsScreen = () => {
                   </View>
                 </View>
 
+                {getHabitGoal(habit) && renderGoalTracker(habit)}
+
                 {/* Progress for current month */}
                 <View style={styles.habitProgress}>
                   <View style={styles.progressGrid}>
                     {days.filter(day => day.isCurrentMonth).map((day, index) => {
-                      const isCompleted = isHabitCompletedOnDate(habit, day.date);
+                      const dayStatus = getHabitDayStatus(habit, day.date);
+                      const isCompleted = dayStatus === HABIT_DAY_STATUS.COMPLETED;
+                      // Meta numérica com parte do valor registrada no dia
+                      const isPartial = !isCompleted &&
+                        habitService.getProgressValue(habit.progress, formatDate(day.date)) > 0;
                       const isUpdating = updatingProgress[habit.id];
                       
                       return (
@@ -388,10 +770,13 @@ const HabitsScreen = () => {
                           key={index}
                           style={[
                             styles.progressDay,
+                            dayStatus === HABIT_DAY_STATUS.NOT_DUE && styles.progressDayNotDue,
+                            dayStatus === HABIT_DAY_STATUS.MISSED && styles.progressDayMissed,
+                            isPartial && styles.progressDayPartial,
                             isCompleted && styles.progressDayCompleted,
                             isToday(day.date) && styles.progressDayToday
                           ]}
-                          onPress={() => toggleHabitProgress(habit.id, day.date)}
+                          onPress={() => handleDayPress(habit, day.date)}
                           disabled={isUpdating}
                         >
                           {isUpdating ? (
@@ -399,7 +784,11 @@ const HabitsScreen = () => {
                           ) : isCompleted ? (
                             <Icon name="check" size={16} color="#83ead4" />
                           ) : (
-                            <Text style={styles.progressDayText}>
+                            <Text style={[
+                              styles.progressDayText,
+                              dayStatus === HABIT_DAY_STATUS.NOT_DUE && styles.progressDayTextNotDue,
+                              dayStatus === HABIT_DAY_STATUS.MISSED && styles.progressDayTextMissed
+                            ]}>
                               {day.date.getDate()}
                             </Text>
                           )}
@@ -433,7 +822,7 @@ const HabitsScreen = () => {
               </TouchableOpacity>
             </View>
 
-            <View style={styles.modalBody}>
+            <ScrollView style={styles.modalScroll} contentContainerStyle={styles.modalBody}>
               <View style={styles.inputGroup}>
                 <Text style={styles.inputLabel}>Habit name</Text>
                 <TextInput
@@ -468,7 +857,16 @@ const HabitsScreen = () => {
                   ))}
                 </View>
               </View>
-            </View>
+
+              <HabitGoalForm value={newHabitGoal} onChange={setNewHabitGoal} />
+
+              <HabitScheduleForm
+                schedule={newHabitSchedule}
+                onChange={setNewHabitSchedule}
+                reminderTime={newHabitReminder}
+                onReminderTimeChange={setNewHabitReminder}
+              />
+            </ScrollView>
 
             <View style={styles.modalFooter}>
               <TouchableOpacity
@@ -516,7 +914,7 @@ const HabitsScreen = () => {
               </TouchableOpacity>
             </View>
 
-            <View style={styles.modalBody}>
+            <ScrollView style={styles.modalScroll} contentContainerStyle={styles.modalBody}>
               <View style={styles.inputGroup}>
                 <Text style={styles.inputLabel}>Nome do hábito</Text>
                 <TextInput
@@ -551,7 +949,16 @@ const HabitsScreen = () => {
                   ))}
                 </View>
               </View>
-            </View>
+
+              <HabitGoalForm value={editHabitGoal} onChange={setEditHabitGoal} />
+
+              <HabitScheduleForm
+                schedule={editHabitSchedule}
+                onChange={setEditHabitSchedule}
+                reminderTime={editHabitReminder}
+                onReminderTimeChange={setEditHabitReminder}
+              />
+            </ScrollView>
 
             <View style={styles.modalFooter}>
               <TouchableOpacity
@@ -589,6 +996,166 @@ const HabitsScreen = () => {
         </View>
       </Modal>
 
+      {/* Habit Reminder Modal */}
+      <Modal
+        visible={reminderModalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setReminderModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Daily Reminder</Text>
+              <TouchableOpacity
+                onPress={() => setReminderModalVisible(false)}
+                style={styles.closeButton}
+              >
+                <Icon name="close" size={24} color="#7F8589" />
+              </TouchableOpacity>
+            </View>
+
+            {reminderSettings && (
+              <View style={styles.modalBody}>
+                <View style={styles.reminderSwitchRow}>
+                  <Text style={styles.inputLabel}>Remind me about my habits</Text>
+                  <Switch
+                    value={reminderSettings.enabled}
+                    onValueChange={value => setReminderSettings(prev => ({ ...prev, enabled: value }))}
+                    trackColor={{ false: '#E5E7EB', true: '#1697F5' }}
+                  />
+                </View>
+
+                <TimeStepper
+                  label="Time"
+                  value={reminderSettings.time}
+                  onChange={value => setReminderSettings(prev => ({ ...prev, time: value }))}
+                  disabled={!reminderSettings.enabled}
+                  light
+                />
+              </View>
+            )}
+
+            <View style={styles.modalFooter}>
+              <TouchableOpacity
+                style={styles.cancelButton}
+                onPress={() => setReminderModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancelar</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={styles.confirmButton}
+                onPress={saveReminderSettings}
+                disabled={savingReminder}
+              >
+                {savingReminder ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={styles.confirmButtonText}>Salvar</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Habit Value Modal */}
+      <Modal
+        visible={!!valueEntry}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => setValueEntry(null)}
+      >
+        {valueEntry && (
+          <View style={styles.modalOverlay}>
+            <View style={styles.modalContent}>
+              <View style={styles.modalHeader}>
+                <View>
+                  <Text style={styles.modalTitle}>{valueEntry.habit.title}</Text>
+                  <Text style={styles.valueEntryDate}>
+                    {valueEntry.date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => setValueEntry(null)}
+                  style={styles.closeButton}
+                >
+                  <Icon name="close" size={24} color="#7F8589" />
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.modalBody}>
+                <View style={styles.valueEntryRow}>
+                  <TouchableOpacity
+                    style={styles.valueEntryButton}
+                    onPress={() => shiftEntryValue(-getHabitGoal(valueEntry.habit).step)}
+                  >
+                    <Icon name="minus" size={20} color="#18222A" />
+                  </TouchableOpacity>
+                  <TextInput
+                    style={styles.valueEntryInput}
+                    value={valueEntry.value}
+                    onChangeText={text => setValueEntry(prev => ({ ...prev, value: text }))}
+                    placeholder="0"
+                    placeholderTextColor="#7F8589"
+                    keyboardType="decimal-pad"
+                    selectTextOnFocus
+                  />
+                  <TouchableOpacity
+                    style={styles.valueEntryButton}
+                    onPress={() => shiftEntryValue(getHabitGoal(valueEntry.habit).step)}
+                  >
+                    <Icon name="plus" size={20} color="#18222A" />
+                  </TouchableOpacity>
+                </View>
+                <Text style={styles.valueEntryGoal}>
+                  Goal: {formatGoalValue(getHabitGoal(valueEntry.habit).target)} {getHabitGoal(valueEntry.habit).unit}
+                </Text>
+              </View>
+
+              <View style={styles.modalFooter}>
+                <TouchableOpacity
+                  style={styles.cancelButton}
+                  onPress={() => setValueEntry(null)}
+                >
+                  <Text style={styles.cancelButtonText}>Cancelar</Text>
+                </TouchableOpacity>
+                
+                <TouchableOpacity
+                  style={styles.confirmButton}
+                  onPress={confirmValueEntry}
+                  disabled={updatingProgress[valueEntry.habit.id]}
+                >
+                  {updatingProgress[valueEntry.habit.id] ? (
+                    <ActivityIndicator size="small" color="#FFFFFF" />
+                  ) : (
+                    <Text style={styles.confirmButtonText}>Salvar</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        )}
+      </Modal>
+
+      <HabitCategoriesModal
+        visible={categoriesModalVisible}
+        categories={categories}
+        habits={habits}
+        onClose={() => setCategoriesModalVisible(false)}
+        onCategoriesChange={setCategories}
+        onHabitsChange={loadHabits}
+      />
+
+      <HabitStatsModal
+        visible={!!statsView}
+        habit={statsView?.habit}
+        stats={statsView?.stats}
+        loading={statsView?.loading}
+        onClose={() => setStatsView(null)}
+      />
+
       {/* Delete Confirmation Modal */}
       <Modal
         visible={deleteModalVisible}
@@ -903,8 +1470,42 @@ const styles = StyleSheet.create({
     color: '#f8fafc',
     fontFamily: 'ManropeBold',
   },
+  habitScheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 4,
+  },
+  habitScheduleText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginRight: 8,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    gap: 16,
+    marginBottom: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  legendDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+  },
   categoryBadge: {
     alignSelf: 'flex-start',
+    marginTop: 6,
     paddingHorizontal: 8,
     paddingVertical: 4,
     borderRadius: 12,
@@ -923,6 +1524,44 @@ const styles = StyleSheet.create({
   habitProgress: {
     paddingTop: 12,
   },
+  goalTracker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 4,
+  },
+  goalStepButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'rgba(22, 151, 245, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  goalInfo: {
+    flex: 1,
+  },
+  goalValueText: {
+    fontSize: 15,
+    color: '#f8fafc',
+    fontFamily: 'ManropeSemiBold',
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  goalBar: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    overflow: 'hidden',
+  },
+  goalBarFill: {
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: '#1697F5',
+  },
+  goalBarFillDone: {
+    backgroundColor: '#4ade80',
+  },
   progressTitle: {
     fontSize: 14,
     color: '#94a3b8',
@@ -948,6 +1587,19 @@ const styles = StyleSheet.create({
     backgroundColor: '#1697F5',
     borderColor: '#1697F5',
   },
+  progressDayMissed: {
+    borderColor: 'rgba(239, 68, 68, 0.6)',
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+  },
+  progressDayPartial: {
+    borderColor: 'rgba(22, 151, 245, 0.6)',
+    backgroundColor: 'rgba(22, 151, 245, 0.2)',
+  },
+  progressDayNotDue: {
+    borderStyle: 'dashed',
+    borderColor: 'rgba(255, 255, 255, 0.12)',
+    backgroundColor: 'transparent',
+  },
   progressDayToday: {
     borderColor: '#1697F5',
     borderWidth: 2,
@@ -957,6 +1609,12 @@ const styles = StyleSheet.create({
     color: '#94a3b8',
     fontFamily: 'ManropeRegular',
   },
+  progressDayTextNotDue: {
+    color: '#4b5563',
+  },
+  progressDayTextMissed: {
+    color: '#f87171',
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
@@ -987,12 +1645,59 @@ const styles = StyleSheet.create({
   closeButton: {
     padding: 4,
   },
+  modalScroll: {
+    flexShrink: 1,
+  },
+  valueEntryDate: {
+    fontSize: 13,
+    color: '#7F8589',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  valueEntryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 16,
+  },
+  valueEntryButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  valueEntryInput: {
+    minWidth: 100,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 22,
+    textAlign: 'center',
+    color: '#18222A',
+    fontFamily: 'ManropeSemiBold',
+  },
+  valueEntryGoal: {
+    fontSize: 14,
+    color: '#7F8589',
+    fontFamily: 'ManropeRegular',
+    textAlign: 'center',
+    marginTop: 12,
+  },
   modalBody: {
     padding: 20,
   },
   inputGroup: {
     marginBottom: 16,
   },
+  reminderSwitchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
   inputLabel: {
     fontSize: 14,
     color: '#18222A',
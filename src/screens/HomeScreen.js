@@ -19,11 +19,13 @@ import { useNavigation } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
+import { useNotifications } from '../contexts/NotificationContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 import { AuthError } from '../utils/errorHandler';
 import LoadingSpinner from '../components/LoadingSpinner';
-import habitService from '../services/habitService';
+import habitService, { HABIT_DAY_STATUS } from '../services/habitService';
 
 const logger = createLogger('HomeScreen');
 const { width, height } = Dimensions.get('window');
@@ -31,6 +33,7 @@ const { width, height } = Dimensions.get('window');
 const HomeScreen = () => {
   const navigation = useNavigation();
   const { user, logout, isAuthenticated, handleSessionExpired } = useAuth();
+  const { unreadCount } = useNotifications();
   const [protocols, setProtocols] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -74,7 +77,7 @@ const HomeScreen = () => {
   const loadUserProfile = async () => {
     try {
       logger.debug('Carregando perfil do usuário');
-      const response = await apiClient.get('/api/patient/profile');
+      const response = await apiClient.get(ENDPOINTS.profile.patient);
       setUserProfile(response.user);
       logger.info('Perfil do usuário carregado com sucesso');
     } catch (error) {
@@ -91,7 +94,7 @@ const HomeScreen = () => {
       setLoading(true);
       logger.debug('Loading patient prescriptions');
       
-      const response = await apiClient.get('/api/v2/patients/prescriptions');
+      const response = await apiClient.get(ENDPOINTS.prescriptions.list);
       
       if (response.success) {
         // Map the prescriptions to match the expected format
@@ -140,9 +143,8 @@ const HomeScreen = () => {
 
   const loadHabits = async () => {
     try {
-      const currentDate = new Date();
-      const month = currentDate.toISOString();
-      const habitsData = await habitService.getHabits(month);
+      // Histórico do mês anterior para as sequências do resumo
+      const habitsData = await habitService.getHabitsWithHistory(2);
       setHabits(habitsData);
     } catch (error) {
       logger.error('Erro ao carregar hábitos:', error);
@@ -161,12 +163,69 @@ const HomeScreen = () => {
   };
 
   const getPendingHabits = () => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = new Date();
     return habits
-      .filter(habit => !habit.progress.some(p => p.date === today && p.isChecked))
+      .filter(habit => habitService.getHabitDayStatus(habit, today) === HABIT_DAY_STATUS.PENDING)
       .slice(0, 3);
   };
 
+  const renderHabitsSummary = () => {
+    if (habits.length === 0) return null;
+
+    const summary = habitService.getHabitsSummary(habits);
+    const pendingHabits = getPendingHabits();
+
+    return (
+      <TouchableOpacity
+        style={styles.habitsCard}
+        activeOpacity={0.8}
+        onPress={() => navigation.navigate('MainApp', { screen: 'Habits' })}
+      >
+        <View style={styles.habitsCardHeader}>
+          <Text style={styles.habitsCardTitle}>Today's Habits</Text>
+          <Icon name="chevron-right" size={20} color="#1697F5" />
+        </View>
+
+        <View style={styles.habitsStats}>
+          <View style={styles.habitsStat}>
+            <Text style={styles.habitsStatValue}>
+              {summary.today.completed}/{summary.today.total}
+            </Text>
+            <Text style={styles.habitsStatLabel}>Done today</Text>
+          </View>
+          <View style={styles.habitsStat}>
+            <View style={styles.habitsStreakRow}>
+              <Icon name="fire" size={18} color="#f59e0b" />
+              <Text style={styles.habitsStatValue}>{summary.bestStreak?.streak || 0}</Text>
+            </View>
+            <Text style={styles.habitsStatLabel} numberOfLines={1}>
+              {summary.bestStreak?.streak ? summary.bestStreak.title : 'Best streak'}
+            </Text>
+          </View>
+          <View style={styles.habitsStat}>
+            <Text style={styles.habitsStatValue}>
+              {summary.weekRate === null ? '—' : `${summary.weekRate}%`}
+            </Text>
+            <Text style={styles.habitsStatLabel}>Last 7 days</Text>
+          </View>
+        </View>
+
+        {pendingHabits.length > 0 ? (
+          <View style={styles.habitsPending}>
+            {pendingHabits.map(habit => (
+              <View key={habit.id} style={styles.habitsPendingItem}>
+                <Icon name="checkbox-blank-circle-outline" size={16} color="#94a3b8" />
+                <Text style={styles.habitsPendingText} numberOfLines={1}>{habit.title}</Text>
+              </View>
+            ))}
+          </View>
+        ) : summary.today.total > 0 && (
+          <Text style={styles.habitsAllDone}>All habits done for today!</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
     await Promise.all([
@@ -265,7 +324,7 @@ const HomeScreen = () => {
       
       // Use the correct endpoint structure
       await apiClient.post(
-        `/api/protocols/assignments/${protocol.id}/start`
+        ENDPOINTS.assignments.start(protocol.id)
       );
       
       await loadProtocols();
@@ -319,7 +378,7 @@ const HomeScreen = () => {
       
       // Use the correct endpoint structure
       await apiClient.post(
-        `/api/protocols/${selectedProtocol.protocol.id}/prescriptions/${selectedProtocol.id}/start`
+        ENDPOINTS.assignments.startPrescription(selectedProtocol.protocol.id, selectedProtocol.id)
       );
       
       await loadProtocols();
@@ -566,6 +625,17 @@ const HomeScreen = () => {
               <Text style={styles.welcomeText}>Welcome back,</Text>
               <Text style={styles.userName}>{user?.name}</Text>
             </View>
+            <TouchableOpacity
+              style={styles.inboxButton}
+              onPress={() => navigation.navigate('NotificationInbox')}
+            >
+              <Icon name={unreadCount > 0 ? 'bell-badge-outline' : 'bell-outline'} size={24} color="#f8fafc" />
+              {unreadCount > 0 && (
+                <View style={styles.inboxBadge}>
+                  <Text style={styles.inboxBadgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+                </View>
+              )}
+            </TouchableOpacity>
             <View style={styles.logoContainer}>
           <Image 
             source={require('../../assets/logo.png')} 
@@ -580,6 +650,9 @@ const HomeScreen = () => {
       
         {/* Main Content */}
         <View style={styles.mainContent}>
+          {/* Habits Summary */}
+          {renderHabitsSummary()}
+
           {/* Original Protocols Section */}
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>Your Protocols</Text>
@@ -643,6 +716,27 @@ const styles = StyleSheet.create({
     color: '#f8fafc',
     fontFamily: 'ManropeBold',
   },
+  inboxButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  inboxBadge: {
+    position: 'absolute',
+    top: 2,
+    right: 0,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: '#EF4444',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  inboxBadgeText: {
+    fontSize: 10,
+    color: '#FFFFFF',
+    fontFamily: 'ManropeBold',
+  },
   logoContainer: {
     width: 40,
     height: 40,
@@ -695,6 +789,74 @@ const styles = StyleSheet.create({
     minHeight: 600,
     paddingBottom: 120,
   },
+  habitsCard: {
+    backgroundColor: '#26272c',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 24,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  habitsCardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  habitsCardTitle: {
+    fontSize: 16,
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+  },
+  habitsStats: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  habitsStat: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: '#1d1e24',
+  },
+  habitsStreakRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  habitsStatValue: {
+    fontSize: 18,
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+  },
+  habitsStatLabel: {
+    fontSize: 12,
+    color: '#94a3b8',
+    fontFamily: 'ManropeMedium',
+    marginTop: 2,
+    paddingHorizontal: 4,
+  },
+  habitsPending: {
+    marginTop: 12,
+    gap: 6,
+  },
+  habitsPendingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  habitsPendingText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#cbd5e1',
+    fontFamily: 'ManropeRegular',
+  },
+  habitsAllDone: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#4ade80',
+    fontFamily: 'ManropeMedium',
+  },
   sectionHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
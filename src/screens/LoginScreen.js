@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   StyleSheet,
   Text,
@@ -18,13 +18,43 @@ import { useNavigation } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import appLockService from '../services/appLockService';
 
 const LoginScreen = () => {
   const navigation = useNavigation();
-  const { login } = useAuth();
+  const { login, quickLogin } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  const [quickLoginAvailable, setQuickLoginAvailable] = useState(false);
+
+  // Login rápido: disponível quando há credenciais salvas e biometria no aparelho
+  useEffect(() => {
+    const checkQuickLogin = async () => {
+      const credentials = await appLockService.getQuickLoginCredentials();
+      if (credentials && await appLockService.isBiometricsAvailable()) {
+        if (credentials.email) setEmail(credentials.email);
+        setQuickLoginAvailable(true);
+      }
+    };
+
+    checkQuickLogin();
+  }, []);
+
+  const handleQuickLogin = async () => {
+    try {
+      setLoading(true);
+      const success = await quickLogin();
+
+      if (!success) {
+        Alert.alert('Error', 'Unable to sign in with biometrics. Please use your password.');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to login');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleLogin = async () => {
     if (!email || !password) {
@@ -94,6 +124,13 @@ const LoginScreen = () => {
                 secureTextEntry
               />
 
+              <TouchableOpacity
+                style={styles.forgotPasswordButton}
+                onPress={() => navigation.navigate('ForgotPassword', { email: email.trim() })}
+              >
+                <Text style={styles.forgotPasswordText}>Forgot password?</Text>
+              </TouchableOpacity>
+
               <TouchableOpacity
                 style={styles.loginButton}
                 onPress={handleLogin}
@@ -102,6 +139,16 @@ const LoginScreen = () => {
                 <Text style={styles.loginButtonText}>Login</Text>
               </TouchableOpacity>
 
+              {quickLoginAvailable && (
+                <TouchableOpacity
+                  style={styles.quickLoginButton}
+                  onPress={handleQuickLogin}
+                  activeOpacity={0.9}
+                >
+                  <Text style={styles.quickLoginButtonText}>Login with biometrics</Text>
+                </TouchableOpacity>
+              )}
+
               <TouchableOpacity
                 style={styles.registerButton}
                 onPress={handleRegister}
@@ -162,6 +209,17 @@ const styles = StyleSheet.create({
     borderColor: '#E5E7EB',
     fontFamily: 'ManropeRegular',
   },
+  forgotPasswordButton: {
+    alignSelf: 'flex-end',
+    marginTop: -8,
+    marginBottom: 8,
+    paddingVertical: 4,
+  },
+  forgotPasswordText: {
+    color: '#1697F5',
+    fontSize: 14,
+    fontFamily: 'ManropeMedium',
+  },
   loginButton: {
     backgroundColor: '#1697F5',
     paddingVertical: 16,
@@ -174,6 +232,19 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontFamily: 'ManropeSemiBold',
   },
+  quickLoginButton: {
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 12,
+    borderWidth: 1,
+    borderColor: '#1697F5',
+  },
+  quickLoginButtonText: {
+    color: '#1697F5',
+    fontSize: 16,
+    fontFamily: 'ManropeSemiBold',
+  },
   registerButton: {
     marginTop: 24,
     alignItems: 'center',
@@ -0,0 +1,283 @@
+import React from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+  Platform,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { StatusBar } from 'expo-status-bar';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { useNotifications } from '../contexts/NotificationContext';
+
+// Ícone da notificação pelo tipo enviado no payload
+const getNotificationIcon = (data = {}) => {
+  switch (data.type) {
+    case 'doctor_message': return 'message-text-outline';
+    case 'symptom_report_reviewed': return 'clipboard-check-outline';
+    case 'protocol_assigned': return 'clipboard-plus-outline';
+    default: return 'bell-outline';
+  }
+};
+
+const formatReceivedAt = (dateString) => {
+  try {
+    const date = new Date(dateString);
+    const diffMinutes = Math.floor((Date.now() - date.getTime()) / 60000);
+
+    if (diffMinutes < 1) return 'Just now';
+    if (diffMinutes < 60) return `${diffMinutes}m ago`;
+    if (diffMinutes < 24 * 60) return `${Math.floor(diffMinutes / 60)}h ago`;
+
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  } catch {
+    return '';
+  }
+};
+
+const NotificationInboxScreen = () => {
+  const navigation = useNavigation();
+  const {
+    inbox,
+    unreadCount,
+    openNotification,
+    markAllNotificationsAsRead,
+    removeNotification,
+  } = useNotifications();
+
+  const handleLongPress = (notification) => {
+    Alert.alert(
+      notification.title,
+      'Remove this notification from your inbox?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => removeNotification(notification.id) }
+      ]
+    );
+  };
+
+  const renderNotification = ({ item }) => {
+    const hasTarget = !!(item.data?.screen || item.data?.url);
+
+    return (
+      <TouchableOpacity
+        style={[styles.notificationCard, !item.read && styles.notificationCardUnread]}
+        onPress={() => openNotification(item)}
+        onLongPress={() => handleLongPress(item)}
+        activeOpacity={0.8}
+      >
+        <View style={[styles.iconContainer, !item.read && styles.iconContainerUnread]}>
+          <Icon
+            name={getNotificationIcon(item.data)}
+            size={20}
+            color={item.read ? '#94a3b8' : '#1697F5'}
+          />
+        </View>
+
+        <View style={styles.notificationContent}>
+          <View style={styles.notificationHeader}>
+            <Text
+              style={[styles.notificationTitle, !item.read && styles.notificationTitleUnread]}
+              numberOfLines={1}
+            >
+              {item.title}
+            </Text>
+            {!item.read && <View style={styles.unreadDot} />}
+          </View>
+          {!!item.body && (
+            <Text style={styles.notificationBody} numberOfLines={3}>
+              {item.body}
+            </Text>
+          )}
+          <Text style={styles.notificationTime}>{formatReceivedAt(item.receivedAt)}</Text>
+        </View>
+
+        {hasTarget && <Icon name="chevron-right" size={20} color="#94a3b8" />}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="light" />
+
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Icon name="arrow-left" size={24} color="#f8fafc" />
+        </TouchableOpacity>
+
+        <View style={styles.headerInfo}>
+          <Text style={styles.headerTitle}>Notifications</Text>
+          <Text style={styles.headerSubtitle}>
+            {unreadCount > 0 ? `${unreadCount} unread` : 'All caught up'}
+          </Text>
+        </View>
+
+        {unreadCount > 0 && (
+          <TouchableOpacity onPress={markAllNotificationsAsRead} style={styles.markAllButton}>
+            <Text style={styles.markAllText}>Mark all read</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={inbox}
+        keyExtractor={item => item.id}
+        renderItem={renderNotification}
+        contentContainerStyle={inbox.length === 0 ? styles.emptyList : styles.list}
+        ListEmptyComponent={(
+          <View style={styles.emptyState}>
+            <Icon name="bell-off-outline" size={64} color="#1697F5" />
+            <Text style={styles.emptyStateTitle}>No notifications</Text>
+            <Text style={styles.emptyStateText}>
+              Messages from your doctor and protocol updates will appear here
+            </Text>
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#16171b',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: Platform.OS === 'ios' ? 60 : 40,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  backButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 22,
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginTop: 2,
+  },
+  markAllButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  markAllText: {
+    fontSize: 14,
+    color: '#1697F5',
+    fontFamily: 'ManropeSemiBold',
+  },
+  list: {
+    padding: 20,
+    paddingBottom: 80,
+  },
+  emptyList: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  notificationCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(30, 41, 59, 0.5)',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  notificationCardUnread: {
+    backgroundColor: 'rgba(22, 151, 245, 0.1)',
+    borderColor: 'rgba(22, 151, 245, 0.3)',
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(148, 163, 184, 0.15)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  iconContainerUnread: {
+    backgroundColor: 'rgba(22, 151, 245, 0.2)',
+  },
+  notificationContent: {
+    flex: 1,
+    marginRight: 8,
+  },
+  notificationHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  notificationTitle: {
+    flex: 1,
+    fontSize: 16,
+    color: '#cbd5e1',
+    fontFamily: 'ManropeMedium',
+  },
+  notificationTitleUnread: {
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#1697F5',
+    marginLeft: 8,
+  },
+  notificationBody: {
+    fontSize: 14,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    marginTop: 4,
+    lineHeight: 20,
+  },
+  notificationTime: {
+    fontSize: 12,
+    color: '#64748b',
+    fontFamily: 'ManropeRegular',
+    marginTop: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyStateTitle: {
+    fontSize: 18,
+    color: '#f8fafc',
+    fontFamily: 'ManropeBold',
+    marginTop: 16,
+  },
+  emptyStateText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    fontFamily: 'ManropeRegular',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
+
+export default NotificationInboxScreen;
@@ -18,6 +18,7 @@ import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { AuthError } from '../utils/errorHandler';
@@ -66,7 +67,7 @@ const PatientProfile = () => {
       setLoading(true);
       logger.debug('Carregando perfil do paciente');
       
-      const response = await apiClient.get('/api/patient/profile');
+      const response = await apiClient.get(ENDPOINTS.profile.patient);
       setProfile(response.user);
       logger.info('Perfil do paciente carregado com sucesso');
       
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   StyleSheet,
   View,
@@ -9,15 +9,107 @@ import {
   Alert,
   ActivityIndicator,
   Platform,
+  Switch,
+  Modal,
+  TextInput,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import appLockService, { LOCK_AFTER_OPTIONS, PIN_LENGTH } from '../services/appLockService';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('ProfileScreen');
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, logout } = useAuth();
+  const {
+    user,
+    logout,
+    appLockSettings,
+    enableAppLock,
+    disableAppLock,
+    updateAppLockSettings,
+  } = useAuth();
   const [loading, setLoading] = useState(false);
+  const [biometricsAvailable, setBiometricsAvailable] = useState(false);
+  const [pinModalVisible, setPinModalVisible] = useState(false);
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [savingPin, setSavingPin] = useState(false);
+
+  useEffect(() => {
+    appLockService.isBiometricsAvailable().then(setBiometricsAvailable);
+  }, []);
+
+  const openPinModal = () => {
+    setNewPin('');
+    setConfirmPin('');
+    setPinError('');
+    setPinModalVisible(true);
+  };
+
+  // Ativar o bloqueio (ou trocar o PIN, se já estiver ativo)
+  const handleSavePin = async () => {
+    if (newPin.length < PIN_LENGTH) {
+      setPinError(`PIN must have at least ${PIN_LENGTH} digits`);
+      return;
+    }
+    if (newPin !== confirmPin) {
+      setPinError('PINs do not match');
+      return;
+    }
+
+    try {
+      setSavingPin(true);
+      let message = 'PIN saved.';
+      if (appLockSettings.enabled) {
+        await appLockService.setPin(newPin);
+      } else {
+        await enableAppLock(newPin, { biometricsEnabled: biometricsAvailable });
+        // Sem armazenamento seguro o login rápido não é ativado
+        const quickLoginEnabled = biometricsAvailable && !!(await appLockService.getQuickLoginCredentials());
+        message = quickLoginEnabled
+          ? 'App lock enabled. When your session expires you can sign in again with biometrics.'
+          : 'App lock enabled.';
+      }
+      setPinModalVisible(false);
+      Alert.alert('App Lock', message);
+    } catch (error) {
+      logger.error('Erro ao salvar PIN:', error);
+      setPinError(error.message || 'Unable to save PIN');
+    } finally {
+      setSavingPin(false);
+    }
+  };
+
+  const handleToggleAppLock = (value) => {
+    if (value) {
+      openPinModal();
+      return;
+    }
+
+    Alert.alert(
+      'Disable App Lock',
+      'Your health data will be visible to anyone using this phone while you are signed in.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Disable', style: 'destructive', onPress: () => disableAppLock() }
+      ]
+    );
+  };
+
+  const handleToggleBiometrics = async (value) => {
+    if (value) {
+      // Confirmar que a biometria funciona antes de ativá-la
+      const success = await appLockService.authenticateWithBiometrics('Confirm to enable biometrics');
+      if (!success) return;
+    }
+    await updateAppLockSettings({ biometricsEnabled: value });
+  };
+
+  const formatLockAfter = (minutes) => (minutes === 0 ? 'Immediately' : `${minutes} min`);
 
   const handleLogout = async () => {
     try {
@@ -94,6 +186,66 @@ const ProfileScreen = ({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* App Lock Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>App Lock</Text>
+
+          <View style={styles.menuItem}>
+            <Icon name="lock-outline" size={24} color="#61aed0" />
+            <Text style={styles.menuItemText}>Require PIN to open app</Text>
+            <Switch
+              value={appLockSettings.enabled}
+              onValueChange={handleToggleAppLock}
+              trackColor={{ false: '#333333', true: '#61aed0' }}
+            />
+          </View>
+
+          {appLockSettings.enabled && (
+            <>
+              {biometricsAvailable && (
+                <View style={styles.menuItem}>
+                  <Icon name="fingerprint" size={24} color="#61aed0" />
+                  <Text style={styles.menuItemText}>Unlock with biometrics</Text>
+                  <Switch
+                    value={appLockSettings.biometricsEnabled}
+                    onValueChange={handleToggleBiometrics}
+                    trackColor={{ false: '#333333', true: '#61aed0' }}
+                  />
+                </View>
+              )}
+
+              <TouchableOpacity style={styles.menuItem} onPress={openPinModal}>
+                <Icon name="form-textbox-password" size={24} color="#61aed0" />
+                <Text style={styles.menuItemText}>Change PIN</Text>
+                <Icon name="chevron-right" size={24} color="#666666" />
+              </TouchableOpacity>
+
+              <Text style={styles.lockAfterLabel}>Lock after leaving the app</Text>
+              <View style={styles.lockAfterOptions}>
+                {LOCK_AFTER_OPTIONS.map(minutes => (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={[
+                      styles.lockAfterOption,
+                      appLockSettings.lockAfterMinutes === minutes && styles.lockAfterOptionSelected
+                    ]}
+                    onPress={() => updateAppLockSettings({ lockAfterMinutes: minutes })}
+                  >
+                    <Text
+                      style={[
+                        styles.lockAfterOptionText,
+                        appLockSettings.lockAfterMinutes === minutes && styles.lockAfterOptionTextSelected
+                      ]}
+                    >
+                      {formatLockAfter(minutes)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+        </View>
+
         {/* Support Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Support</Text>
@@ -117,6 +269,68 @@ const ProfileScreen = ({ navigation }) => {
           <Text style={styles.logoutText}>Logout</Text>
         </TouchableOpacity>
       </ScrollView>
+
+      {/* PIN Setup Modal */}
+      <Modal
+        visible={pinModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setPinModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {appLockSettings.enabled ? 'Change PIN' : 'Set up App Lock'}
+            </Text>
+            <Text style={styles.modalSubtitle}>
+              Choose a PIN with at least {PIN_LENGTH} digits. It is used when biometrics are unavailable.
+            </Text>
+
+            <TextInput
+              style={styles.pinInput}
+              value={newPin}
+              onChangeText={text => setNewPin(text.replace(/\D/g, ''))}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={8}
+              placeholder="New PIN"
+              placeholderTextColor="#666666"
+            />
+            <TextInput
+              style={styles.pinInput}
+              value={confirmPin}
+              onChangeText={text => setConfirmPin(text.replace(/\D/g, ''))}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={8}
+              placeholder="Confirm PIN"
+              placeholderTextColor="#666666"
+            />
+
+            {pinError ? <Text style={styles.pinErrorText}>{pinError}</Text> : null}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={styles.modalCancelButton}
+                onPress={() => setPinModalVisible(false)}
+              >
+                <Text style={styles.modalCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalSaveButton, savingPin && styles.modalButtonDisabled]}
+                onPress={handleSavePin}
+                disabled={savingPin}
+              >
+                {savingPin ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={styles.modalSaveText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -222,6 +436,108 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#FF3B30',
   },
+  lockAfterLabel: {
+    fontSize: 14,
+    color: '#999999',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  lockAfterOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  lockAfterOption: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#333333',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  lockAfterOptionSelected: {
+    backgroundColor: '#61aed0',
+    borderColor: '#61aed0',
+  },
+  lockAfterOptionText: {
+    fontSize: 14,
+    color: '#cccccc',
+  },
+  lockAfterOptionTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  modalContent: {
+    backgroundColor: '#151515',
+    borderRadius: 16,
+    padding: 24,
+    borderWidth: 1,
+    borderColor: '#252525',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginBottom: 8,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#999999',
+    marginBottom: 20,
+  },
+  pinInput: {
+    backgroundColor: '#0a0a0a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#252525',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    color: '#FFFFFF',
+    fontSize: 18,
+    letterSpacing: 6,
+    marginBottom: 12,
+  },
+  pinErrorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  modalCancelButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    marginRight: 8,
+  },
+  modalCancelText: {
+    color: '#999999',
+    fontSize: 16,
+  },
+  modalSaveButton: {
+    backgroundColor: '#61aed0',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  modalButtonDisabled: {
+    opacity: 0.6,
+  },
+  modalSaveText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
 });
 
 export default ProfileScreen; 
\ No newline at end of file
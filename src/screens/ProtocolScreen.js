@@ -20,15 +20,25 @@ import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 import { isConnected } from '../utils/connectivityUtils';
 import { getToken, isTokenValid } from '../utils/jwtUtils';
 import DailyCheckinModal from '../components/DailyCheckinModal';
+import ReminderSettingsModal from '../components/ReminderSettingsModal';
+import reminderService from '../services/reminderService';
 import SymptomReportModal from '../components/SymptomReportModal';
+import HabitTemplatesModal from '../components/HabitTemplatesModal';
+import habitService from '../services/habitService';
 import dailyCheckinService from '../services/dailyCheckinService';
+import { subscribeToQueue } from '../services/offlineQueue';
+import { QueuedRequestError } from '../utils/errorHandler';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const logger = createLogger('ProtocolScreen');
+
+// Origem usada para identificar, na fila offline, as ações feitas nesta tela
+const QUEUE_SOURCE = 'ProtocolScreen';
 const { width, height } = Dimensions.get('window');
 
 const ProtocolScreen = () => {
@@ -55,9 +65,12 @@ const ProtocolScreen = () => {
   const [hasCheckinToday, setHasCheckinToday] = useState(false);
   const [loadingCheckinStatus, setLoadingCheckinStatus] = useState(false);
   const [symptomReportModalVisible, setSymptomReportModalVisible] = useState(false);
+  const [reminderModalVisible, setReminderModalVisible] = useState(false);
   const [startProtocolModalVisible, setStartProtocolModalVisible] = useState(false);
   const [assignment, setAssignment] = useState(null);
   const [startingProtocol, setStartingProtocol] = useState(false);
+  // Hábitos recomendados oferecidos logo após iniciar a prescrição
+  const [habitTemplates, setHabitTemplates] = useState([]);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [referralModalVisible, setReferralModalVisible] = useState(false);
   const [referralForm, setReferralForm] = useState({
@@ -145,7 +158,7 @@ const ProtocolScreen = () => {
       logger.debug('Verificando status do check-in');
 
       // Verificar status do check-in
-      const response = await apiClient.get(`/api/protocols/assignments/${protocolId}/checkin/status`);
+      const response = await apiClient.get(ENDPOINTS.assignments.checkinStatus(protocolId));
 
       logger.debug('Resposta do status do check-in:', response);
       setHasCheckinToday(response?.hasCheckinToday || false);
@@ -159,7 +172,15 @@ const ProtocolScreen = () => {
     }
   };
 
-  const handleCheckinComplete = async () => {
+  const handleCheckinComplete = async (message, { queued = false } = {}) => {
+    if (queued) {
+      // Check-in salvo na fila offline: não há como recarregar dados do servidor agora
+      setHasCheckinToday(true);
+      setCheckinModalVisible(false);
+      showToast('Check-in saved offline. It will sync when you are back online.', 'success');
+      return;
+    }
+
     try {
       logger.debug('Check-in concluído, recarregando dados');
       
@@ -198,6 +219,36 @@ const ProtocolScreen = () => {
     }
   };
 
+  /**
+   * Oferece os hábitos recomendados do protocolo; devolve false se não houver nenhum
+   * A resposta do start pode já trazer os modelos, senão eles são buscados
+   */
+  const offerHabitTemplates = async (startResponse = null) => {
+    try {
+      const templates = startResponse?.habitTemplates || await habitService.getHabitTemplates(protocolId);
+      if (templates.length === 0) return false;
+
+      setHabitTemplates(templates);
+      return true;
+    } catch (error) {
+      logger.warn('Não foi possível carregar os hábitos recomendados', error);
+      return false;
+    }
+  };
+
+  const handleHabitTemplatesClose = (result) => {
+    setHabitTemplates([]);
+    if (!result) return;
+
+    if (result.created.length > 0) {
+      showToast(`${result.created.length} habit${result.created.length === 1 ? '' : 's'} added to your list!`, 'success');
+    } else if (result.failed > 0) {
+      showToast('Unable to add the recommended habits.', 'error');
+    } else {
+      showToast('These habits are already on your list.', 'success');
+    }
+  };
+
   const handleStartProtocol = async () => {
     if (!protocol) {
       Alert.alert('Error', 'Protocol not found.');
@@ -212,7 +263,7 @@ const ProtocolScreen = () => {
       });
 
       // Use the new endpoint structure
-      const response = await apiClient.post(`/api/v2/patients/prescriptions/${protocol.id}/start`);
+      const response = await apiClient.post(ENDPOINTS.prescriptions.start(protocol.id));
       
       if (response.success) {
         logger.info('Protocol started successfully', response);
@@ -236,7 +287,10 @@ const ProtocolScreen = () => {
         
         await loadProtocolAssignment();
         
-        Alert.alert('Success', 'Protocol started successfully!');
+        const offeredHabits = await offerHabitTemplates(response);
+        if (!offeredHabits) {
+          Alert.alert('Success', 'Protocol started successfully!');
+        }
       }
     } catch (error) {
       logger.error('Error starting protocol:', error);
@@ -281,7 +335,7 @@ const ProtocolScreen = () => {
       logger.debug('Iniciando protocolo');
 
       // Iniciar protocolo
-      await apiClient.post(`/api/protocols/assignments/${protocolId}/start`);
+      await apiClient.post(ENDPOINTS.assignments.start(protocolId));
 
       // Recarregar protocolo e progresso
       await loadProtocolDetails();
@@ -308,6 +362,37 @@ const ProtocolScreen = () => {
     }
   }, [protocolId]);
       
+  // O check-in de hoje pode ter sido feito ou editado pelo histórico: atualizar o status ao voltar
+  useEffect(() => {
+    return navigation.addListener('focus', () => {
+      if (protocolId) loadCheckinStatus();
+    });
+  }, [navigation, protocolId]);
+
+  // Resultados do reenvio da fila offline para ações feitas nesta tela
+  useEffect(() => {
+    const unsubscribe = subscribeToQueue(({ type, item }) => {
+      if (item.source !== QUEUE_SOURCE) return;
+
+      if (type === 'replayed') {
+        logger.info('Ação offline sincronizada', { endpoint: item.endpoint });
+        loadProtocolProgress();
+      } else if (type === 'conflict' || type === 'failed') {
+        logger.warn('Ação offline não pôde ser sincronizada', { type, endpoint: item.endpoint });
+        showToast(
+          type === 'conflict'
+            ? 'An offline change conflicted with newer data and was discarded.'
+            : 'An offline change could not be synced.',
+          'error'
+        );
+        loadProtocolProgress();
+        loadCheckinStatus();
+      }
+    });
+
+    return unsubscribe;
+  }, [protocol?.id]);
+
   // Efeito separado para atualizar o currentDayIndex quando o protocol mudar
   useEffect(() => {
     if (protocol?.protocol?.days) {
@@ -316,6 +401,37 @@ const ProtocolScreen = () => {
       }
   }, [protocol]);
 
+  // Deep link / notificação: abrir o dia pedido (cxlus://protocol/:id/day/:day) ou o check-in diário
+  useEffect(() => {
+    const { day, openCheckin } = route.params || {};
+    if (!protocol?.protocol?.days || (!day && !openCheckin)) return;
+
+    if (day) {
+      const targetDay = protocol.protocol.days.find(d => d.dayNumber === Number(day));
+      if (targetDay) {
+        handleDayPress(targetDay);
+      } else {
+        logger.warn('Dia do link não encontrado no protocolo', { day });
+      }
+    }
+
+    if (openCheckin === true || openCheckin === 'true') {
+      setCheckinModalVisible(true);
+    }
+
+    // Consumir os parâmetros para não reabrir ao recarregar o protocolo
+    navigation.setParams({ day: undefined, openCheckin: undefined });
+  }, [protocol, route.params?.day, route.params?.openCheckin]);
+
+  // Prescrição iniciada na lista de protocolos: oferecer os hábitos recomendados aqui
+  useEffect(() => {
+    if (!route.params?.offerHabits) return;
+
+    const { habitTemplates: templatesFromStart } = route.params;
+    navigation.setParams({ offerHabits: undefined, habitTemplates: undefined });
+    offerHabitTemplates({ habitTemplates: templatesFromStart });
+  }, [route.params?.offerHabits]);
+
   // Efeito para recarregar o progresso quando o protocolo mudar
   useEffect(() => {
     if (protocol?.protocol?.id) {
@@ -365,7 +481,7 @@ const ProtocolScreen = () => {
       queryParams.append('end_date', today.toISOString().split('T')[0]);
 
       const response = await apiClient.get(
-        `/api/v2/patients/prescriptions/${protocol.id}?${queryParams.toString()}`
+        `${ENDPOINTS.prescriptions.detail(protocol.id)}?${queryParams.toString()}`
       );
 
       if (response.success) {
@@ -407,7 +523,7 @@ const ProtocolScreen = () => {
       logger.debug('Recarregando detalhes do protocolo');
       
       // Buscar protocolo atualizado usando o endpoint correto
-      const updatedProtocol = await apiClient.get(`/api/protocols/assignments/${protocolId}`);
+      const updatedProtocol = await apiClient.get(ENDPOINTS.assignments.detail(protocolId));
       
       if (updatedProtocol) {
         setProtocol(updatedProtocol);
@@ -421,7 +537,7 @@ const ProtocolScreen = () => {
         // Recarregar progresso usando o endpoint correto
         if (updatedProtocol.protocolId && updatedProtocol.prescription?.id) {
           const progressResponse = await apiClient.get(
-            `/api/protocols/${updatedProtocol.protocolId}/prescriptions/${updatedProtocol.prescription.id}/progress`
+            ENDPOINTS.assignments.prescriptionProgress(updatedProtocol.protocolId, updatedProtocol.prescription.id)
           );
           
           logger.debug('Progress response on reload:', { 
@@ -970,7 +1086,7 @@ const ProtocolScreen = () => {
         });
 
         const response = await apiClient.get(
-          `/api/v2/patients/prescriptions/${protocolId}?${queryParams.toString()}`
+          `${ENDPOINTS.prescriptions.detail(protocolId)}?${queryParams.toString()}`
         );
 
         if (!response.success) {
@@ -1019,6 +1135,11 @@ const ProtocolScreen = () => {
         // Update states with protocol data
         setProtocol(mappedProtocol);
 
+        // Reagendar lembretes locais (cancelados se a prescrição não estiver mais ativa)
+        reminderService.syncProtocolReminders(mappedProtocol).catch(reminderError => {
+          logger.warn('Não foi possível agendar os lembretes do protocolo', reminderError);
+        });
+
         // Map progress data if we have days
         if (mappedProtocol.protocol.days) {
           const progressMap = {};
@@ -1126,7 +1247,7 @@ const ProtocolScreen = () => {
 
       logger.debug('Request data for referral:', requestData);
 
-      const response = await apiClient.post('/api/v2/patients/referrals', requestData);
+      const response = await apiClient.post(ENDPOINTS.referrals.fromProtocol, requestData);
 
       logger.debug('Referral API response:', response);
 
@@ -1192,9 +1313,24 @@ const ProtocolScreen = () => {
       });
 
       // Atualizar status da tarefa na API
-      await apiClient.post(`/api/protocols/prescriptions/${protocol.prescription.id}/tasks/${taskId}/complete`, {
-        isCompleted
-      });
+      try {
+        await apiClient.post(ENDPOINTS.assignments.completeTask(protocol.prescription.id, taskId), {
+          isCompleted
+        }, { queue: { source: QUEUE_SOURCE, meta: { taskId } } });
+      } catch (error) {
+        if (!(error instanceof QueuedRequestError)) throw error;
+
+        // Sem conexão: refletir a mudança localmente e deixar a fila sincronizar depois
+        setProgress(prev => ({
+          ...prev,
+          [taskId]: {
+            ...prev[taskId],
+            isCompleted
+          }
+        }));
+        showToast('Saved offline. It will sync when you are back online.', 'success');
+        return;
+      }
 
       // Recarregar progresso
       await loadProtocolDetails();
@@ -1249,7 +1385,9 @@ const ProtocolScreen = () => {
         });
 
         response = await apiClient.post(
-          `/api/v2/patients/prescriptions/${protocol.id}/progress/${taskProgress.progressId}/toggle`
+          ENDPOINTS.prescriptions.toggleProgress(protocol.id, taskProgress.progressId),
+          undefined,
+          { queue: { source: QUEUE_SOURCE, meta: { taskId: task.id } } }
         );
       } else {
         // Create new progress
@@ -1265,8 +1403,9 @@ const ProtocolScreen = () => {
         logger.debug('Criando novo progresso:', requestData);
 
         response = await apiClient.post(
-          `/api/v2/patients/prescriptions/${protocol.id}/progress`,
-          requestData
+          ENDPOINTS.prescriptions.progress(protocol.id),
+          requestData,
+          { queue: { source: QUEUE_SOURCE, meta: { taskId: task.id } } }
         );
       }
 
@@ -1312,6 +1451,26 @@ const ProtocolScreen = () => {
         throw new Error('Failed to update task status');
       }
     } catch (error) {
+      if (error instanceof QueuedRequestError) {
+        // Sem conexão: alternar o status localmente até a fila sincronizar
+        setProgress(prevProgress => {
+          const current = prevProgress[task.id];
+          const status = current?.status === 'COMPLETED' ? 'PENDING' : 'COMPLETED';
+
+          return {
+            ...prevProgress,
+            [task.id]: {
+              ...current,
+              taskId: task.id,
+              status,
+              isCompleted: status === 'COMPLETED'
+            }
+          };
+        });
+        showToast('Saved offline. It will sync when you are back online.', 'success');
+        return;
+      }
+
       logger.error('Erro ao atualizar status da tarefa:', error);
       showToast(
         error.response?.data?.message || error.message || 'Failed to update task status',
@@ -1359,6 +1518,15 @@ const ProtocolScreen = () => {
           <Text style={styles.headerSubtitle}>{protocol?.protocol?.doctor?.name || ''}</Text>
         </View>
 
+        {protocol?.status === 'ACTIVE' && (
+          <TouchableOpacity
+            onPress={() => setReminderModalVisible(true)}
+            style={styles.reminderIconButton}
+          >
+            <Icon name="bell-outline" size={22} color="#FFFFFF" />
+          </TouchableOpacity>
+        )}
+
         <View style={styles.logoContainer}>
           <Image 
             source={require('../../assets/logo.png')} 
@@ -1524,6 +1692,18 @@ const ProtocolScreen = () => {
           )}
         </TouchableOpacity>
 
+        <TouchableOpacity
+          style={styles.checkinHistoryLink}
+          onPress={() => navigation.navigate('CheckinHistory', {
+            protocolId: protocol?.protocol?.id,
+            protocolName: protocol?.protocol?.name,
+            startDate: protocol?.startDate
+          })}
+        >
+          <Icon name="calendar-check-outline" size={16} color="#1697F5" />
+          <Text style={styles.checkinHistoryLinkText}>Check-in history</Text>
+        </TouchableOpacity>
+
         <View style={styles.daysSection}>
           <Text style={styles.sectionTitle}>Tasks</Text>
           
@@ -1630,7 +1810,9 @@ const ProtocolScreen = () => {
             style={styles.floatingNavButton}
             onPress={() => navigation.navigate('Courses', { 
               protocolId: protocol?.protocol?.id,
-              protocolName: protocol?.protocol?.name
+              protocolName: protocol?.protocol?.name,
+              prescriptionId: protocol?.id,
+              currentDay: protocol?.currentDay
             })}
           >
             <Icon name="book-open-variant" size={22} color="#ffffff" />
@@ -1756,6 +1938,21 @@ const ProtocolScreen = () => {
         onComplete={handleCheckinComplete}
       />
       
+      {/* Reminder Settings Modal */}
+      <ReminderSettingsModal
+        visible={reminderModalVisible}
+        onClose={() => setReminderModalVisible(false)}
+        protocol={protocol}
+      />
+
+      <HabitTemplatesModal
+        visible={habitTemplates.length > 0}
+        templates={habitTemplates}
+        prescriptionId={protocolId}
+        protocolName={protocol?.protocol?.name}
+        onClose={handleHabitTemplatesClose}
+      />
+      
       {/* Symptom Report Modal */}
       <SymptomReportModal
         visible={symptomReportModalVisible}
@@ -1763,6 +1960,8 @@ const ProtocolScreen = () => {
         protocolId={protocol?.protocol?.id}
         protocolName={protocol?.protocol?.name}
         currentDay={protocol?.protocol?.days[currentDayIndex]?.dayNumber || 1}
+        protocolStartDate={protocol?.startDate}
+        protocolDuration={protocol?.protocol?.duration}
         onComplete={handleSymptomReportComplete}
       />
       
@@ -1931,6 +2130,10 @@ const styles = StyleSheet.create({
     flex: 1,
     marginLeft: 12,
   },
+  reminderIconButton: {
+    padding: 8,
+    marginRight: 4,
+  },
   headerTitle: {
     fontSize: 18,
     color: '#f8fafc',
@@ -2159,6 +2362,21 @@ const styles = StyleSheet.create({
   checkinButtonTextCompleted: {
     color: '#4ade80',
   },
+  checkinHistoryLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    marginHorizontal: 20,
+    marginTop: -12,
+    marginBottom: 16,
+    padding: 4,
+  },
+  checkinHistoryLinkText: {
+    fontSize: 14,
+    color: '#1697F5',
+    marginLeft: 6,
+    fontFamily: 'ManropeMedium',
+  },
   // Modal styles
   modalOverlay: {
     flex: 1,
@@ -19,6 +19,7 @@ import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 import { AuthError } from '../utils/errorHandler';
 import LoadingSpinner from '../components/LoadingSpinner';
@@ -65,7 +66,7 @@ const ProtocolsScreen = () => {
       setLoading(true);
       logger.debug('Loading patient prescriptions');
       
-      const response = await apiClient.get('/api/v2/patients/prescriptions');
+      const response = await apiClient.get(ENDPOINTS.prescriptions.list);
       
       if (response.success) {
         // Map the prescriptions to match the expected format
@@ -161,10 +162,15 @@ const ProtocolsScreen = () => {
       });
       
       // Use the new endpoint structure
-      await apiClient.post(`/api/v2/patients/prescriptions/${protocol.id}/start`);
+      const response = await apiClient.post(ENDPOINTS.prescriptions.start(protocol.id));
       
       await loadProtocols();
-      navigation.navigate('Protocol', { protocolId: protocol.id });
+      // A tela do protocolo oferece os hábitos recomendados da prescrição
+      navigation.navigate('Protocol', {
+        protocolId: protocol.id,
+        offerHabits: true,
+        habitTemplates: response?.habitTemplates
+      });
       logger.info('Protocol started successfully');
     } catch (error) {
       logger.error('Error starting protocol:', error);
@@ -212,7 +218,7 @@ const ProtocolsScreen = () => {
       });
       
       await apiClient.post(
-        `/api/protocols/${selectedProtocol.protocol.id}/prescriptions/${selectedProtocol.id}/start`
+        ENDPOINTS.assignments.startPrescription(selectedProtocol.protocol.id, selectedProtocol.id)
       );
       
       await loadProtocols();
@@ -18,6 +18,7 @@ import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 
 const logger = createLogger('ReferralsScreen');
@@ -58,7 +59,7 @@ const ReferralsScreen = () => {
       setLoading(true);
       logger.debug('Loading referrals data');
       
-      const response = await apiClient.get('/api/referrals/patient');
+      const response = await apiClient.get(ENDPOINTS.referrals.patient);
       setData(response);
       logger.info('Referrals data loaded successfully');
       
@@ -94,7 +95,7 @@ const ReferralsScreen = () => {
         notes: notes.trim() || null,
       };
 
-      await apiClient.post('/api/referrals/create', referralData);
+      await apiClient.post(ENDPOINTS.referrals.create, referralData);
       
       logger.info('Referral created successfully');
       Alert.alert('Success', 'Referral created successfully!');
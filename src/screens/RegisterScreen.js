@@ -17,6 +17,7 @@ import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../services/apiClient';
+import { ENDPOINTS } from '../services/endpoints';
 import { createLogger } from '../utils/logUtils';
 
 const logger = createLogger('RegisterScreen');
@@ -107,7 +108,7 @@ const RegisterScreen = ({ navigation }) => {
       setLoading(true);
       logger.debug('Iniciando registro de usuário', { email: formData.email });
 
-      const response = await apiClient.post('/api/auth/mobile/register', {
+      const response = await apiClient.post(ENDPOINTS.auth.register, {
         name: formData.name.trim(),
         email: formData.email.toLowerCase().trim(),
         password: formData.password,
@@ -117,7 +118,7 @@ const RegisterScreen = ({ navigation }) => {
       logger.info('Registro realizado com sucesso', { userId: response.user?.id });
 
       // Fazer login automático após registro usando o token retornado
-      await loginWithToken(response.token, response.user);
+      await loginWithToken(response.token, response.user, response.refreshToken);
 
       Alert.alert(
         'Success!',
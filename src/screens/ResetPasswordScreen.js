@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { resetPassword } from '../services/authService';
+import { RateLimitError, ExpiredTokenError, NetworkError } from '../utils/errorHandler';
+import useRetryCooldown from '../hooks/useRetryCooldown';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('ResetPasswordScreen');
+
+// Aberta pelo link do email: cxlus://reset-password?token=...
+const ResetPasswordScreen = ({ navigation, route }) => {
+  const token = route.params?.token;
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [linkExpired, setLinkExpired] = useState(!token);
+  const { secondsLeft, isCoolingDown, startCooldown } = useRetryCooldown();
+
+  const handleSubmit = async () => {
+    if (password.length < 6) {
+      setError('Password must have at least 6 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await resetPassword(token, password);
+
+      Alert.alert(
+        'Password Updated',
+        'Your password has been changed. You can now sign in with your new password.',
+        [{ text: 'OK', onPress: () => navigation.navigate('Login') }]
+      );
+    } catch (resetError) {
+      logger.error('Erro ao redefinir senha:', resetError);
+
+      if (resetError instanceof ExpiredTokenError) {
+        setLinkExpired(true);
+      } else if (resetError instanceof RateLimitError) {
+        startCooldown(resetError.retryAfter);
+        setError('Too many attempts. Please wait before trying again.');
+      } else if (resetError instanceof NetworkError) {
+        setError('Please check your internet connection and try again.');
+      } else {
+        setError('Unable to reset your password at the moment. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (linkExpired) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <StatusBar style="light" />
+        <Icon name="link-off" size={56} color="#EF4444" style={styles.headerIcon} />
+        <Text style={styles.title}>Link Expired</Text>
+        <Text style={styles.subtitle}>
+          This password reset link has expired or was already used. Request a new one to continue.
+        </Text>
+
+        <TouchableOpacity
+          style={styles.primaryButton}
+          onPress={() => navigation.replace('ForgotPassword')}
+        >
+          <Text style={styles.primaryButtonText}>Request New Link</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={() => navigation.navigate('Login')} style={styles.linkButton}>
+          <Text style={styles.linkText}>Back to Sign In</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const submitDisabled = loading || isCoolingDown;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <StatusBar style="light" />
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Icon name="lock-reset" size={56} color="#61aed0" style={styles.headerIcon} />
+        <Text style={styles.title}>Reset Password</Text>
+        <Text style={styles.subtitle}>Choose a new password for your account</Text>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>New Password</Text>
+          <View style={[styles.inputWrapper, error && styles.inputError]}>
+            <Icon name="lock" size={20} color="#cccccc" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Create a password"
+              placeholderTextColor="#888888"
+              value={password}
+              onChangeText={(text) => {
+                setPassword(text);
+                setError(null);
+              }}
+              secureTextEntry={!showPassword}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TouchableOpacity onPress={() => setShowPassword(!showPassword)} style={styles.eyeIcon}>
+              <Icon name={showPassword ? 'eye-off' : 'eye'} size={20} color="#cccccc" />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Confirm Password</Text>
+          <View style={[styles.inputWrapper, error && styles.inputError]}>
+            <Icon name="lock-check" size={20} color="#cccccc" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Confirm your password"
+              placeholderTextColor="#888888"
+              value={confirmPassword}
+              onChangeText={(text) => {
+                setConfirmPassword(text);
+                setError(null);
+              }}
+              secureTextEntry={!showPassword}
+              autoCapitalize="none"
+              autoCorrect={false}
+              onSubmitEditing={handleSubmit}
+            />
+          </View>
+        </View>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, submitDisabled && styles.primaryButtonDisabled]}
+          onPress={handleSubmit}
+          disabled={submitDisabled}
+        >
+          {loading ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <Text style={styles.primaryButtonText}>
+              {isCoolingDown ? `Try again in ${secondsLeft}s` : 'Update Password'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0a',
+  },
+  centered: {
+    justifyContent: 'center',
+    padding: 20,
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  headerIcon: {
+    alignSelf: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#ffffff',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#cccccc',
+    textAlign: 'center',
+    marginBottom: 32,
+    lineHeight: 24,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#3a3a3a',
+    paddingHorizontal: 16,
+    height: 56,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#ffffff',
+  },
+  eyeIcon: {
+    padding: 4,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#61aed0',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginTop: 20,
+    padding: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#61aed0',
+    fontWeight: '600',
+  },
+});
+
+export default ResetPasswordScreen;
@@ -9,11 +9,15 @@ import {
   RefreshControl,
   Platform,
   Dimensions,
+  Image,
+  Modal,
 } from 'react-native';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
-import symptomReportsService from '../services/symptomReportsService';
+import symptomReportsService, { ATTACHMENT_KINDS, getAttachmentKind } from '../services/symptomReportsService';
+import VoiceNotePlayer from '../components/VoiceNotePlayer';
+import { describeSymptomDetails } from '../utils/symptomCatalogue';
 import { createLogger } from '../utils/logUtils';
 import LoadingSpinner from '../components/LoadingSpinner';
 
@@ -32,6 +36,11 @@ const SymptomReportsScreen = () => {
     hasMore: false
   });
   const [filter, setFilter] = useState('ALL'); // ALL, PENDING, REVIEWED
+  const [viewMode, setViewMode] = useState('LIST'); // LIST, TIMELINE
+  // Dia aberto na linha do tempo: { protocolId, dayNumber }
+  const [selectedDay, setSelectedDay] = useState(null);
+  // Foto aberta em tela cheia
+  const [previewImage, setPreviewImage] = useState(null);
 
   useFocusEffect(
     useCallback(() => {
@@ -175,6 +184,137 @@ const SymptomReportsScreen = () => {
     );
   };
 
+  // Relatórios agrupados por protocolo e por dia; cada dia guarda a maior severidade
+  const getTimelineGroups = () => {
+    const groups = {};
+
+    reports.forEach(report => {
+      const protocolId = report.protocol?.id || 'unknown';
+      if (!groups[protocolId]) {
+        groups[protocolId] = {
+          protocolId,
+          name: report.protocol?.name || 'Protocol',
+          totalDays: report.protocol?.duration || 0,
+          days: {},
+        };
+      }
+
+      const group = groups[protocolId];
+      const day = group.days[report.dayNumber] || { dayNumber: report.dayNumber, maxSeverity: 0, reports: [] };
+      day.reports.push(report);
+      day.maxSeverity = Math.max(day.maxSeverity, report.severity);
+      group.days[report.dayNumber] = day;
+      group.totalDays = Math.max(group.totalDays, report.dayNumber);
+    });
+
+    return Object.values(groups).map(group => ({
+      ...group,
+      days: Object.fromEntries(Object.entries(group.days).map(([dayNumber, day]) => [
+        dayNumber,
+        { ...day, reports: [...day.reports].sort((a, b) => new Date(a.reportTime) - new Date(b.reportTime)) }
+      ])),
+    }));
+  };
+
+  const renderTimeline = () => {
+    const groups = getTimelineGroups();
+
+    return groups.map(group => {
+      const daysWithReports = Object.keys(group.days).map(Number);
+      // Sem dia escolhido neste protocolo, abre o último dia com relatórios
+      const activeDay = selectedDay?.protocolId === group.protocolId && group.days[selectedDay.dayNumber]
+        ? selectedDay.dayNumber
+        : Math.max(...daysWithReports);
+      const dayReports = group.days[activeDay]?.reports || [];
+
+      return (
+        <View key={group.protocolId} style={styles.timelineGroup}>
+          <Text style={styles.timelineProtocol}>{group.name}</Text>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.timelineStrip}>
+            {Array.from({ length: group.totalDays }, (_, index) => index + 1).map(dayNumber => {
+              const day = group.days[dayNumber];
+              const isActive = dayNumber === activeDay;
+
+              return (
+                <TouchableOpacity
+                  key={dayNumber}
+                  style={[
+                    styles.timelineDay,
+                    day && { backgroundColor: getSeverityColor(day.maxSeverity) },
+                    isActive && styles.timelineDayActive
+                  ]}
+                  onPress={() => setSelectedDay({ protocolId: group.protocolId, dayNumber })}
+                  disabled={!day}
+                >
+                  <Text style={[styles.timelineDayText, day && styles.timelineDayTextFilled]}>
+                    {dayNumber}
+                  </Text>
+                  {day?.reports.length > 1 && (
+                    <Text style={styles.timelineDayCount}>×{day.reports.length}</Text>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.timelineLegend}>
+            {[2, 5, 7, 10].map(severity => (
+              <View key={severity} style={styles.timelineLegendItem}>
+                <View style={[styles.timelineLegendDot, { backgroundColor: getSeverityColor(severity) }]} />
+                <Text style={styles.timelineLegendText}>{getSeverityText(severity)}</Text>
+              </View>
+            ))}
+          </View>
+
+          <Text style={styles.timelineDayTitle}>
+            Day {activeDay} • {dayReports.length} report{dayReports.length !== 1 ? 's' : ''}
+          </Text>
+          {dayReports.map(report => (
+            <View key={report.id} style={styles.timelineEntry}>
+              <View style={styles.timelineRail}>
+                <View style={[styles.timelineNode, { backgroundColor: getSeverityColor(report.severity) }]} />
+                <View style={styles.timelineLine} />
+              </View>
+              <View style={styles.timelineEntryContent}>
+                {renderReportCard(report)}
+              </View>
+            </View>
+          ))}
+        </View>
+      );
+    });
+  };
+
+  const renderAttachments = (attachments) => {
+    const images = (attachments || []).filter(attachment => getAttachmentKind(attachment) === ATTACHMENT_KINDS.IMAGE);
+    const voiceNotes = (attachments || []).filter(attachment => getAttachmentKind(attachment) === ATTACHMENT_KINDS.AUDIO);
+    if (images.length === 0 && voiceNotes.length === 0) return null;
+
+    return (
+      <View style={styles.attachmentsContainer}>
+        {images.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.thumbnails}>
+            {images.map(image => (
+              <TouchableOpacity key={image.id} onPress={() => setPreviewImage(image.fileUrl)}>
+                <Image source={{ uri: image.fileUrl }} style={styles.thumbnail} />
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+        {voiceNotes.map(note => (
+          <View key={note.id} style={styles.voiceNote}>
+            <VoiceNotePlayer
+              uri={note.fileUrl}
+              durationMs={note.duration ? note.duration * 1000 : null}
+              variant="light"
+            />
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   const renderReportCard = (report) => {
     return (
       <View key={report.id} style={styles.reportCard}>
@@ -212,6 +352,20 @@ const SymptomReportsScreen = () => {
           </View>
         </View>
 
+        {/* Structured Symptoms (relatórios antigos só têm o texto) */}
+        {report.structuredSymptoms?.length > 0 && (
+          <View style={styles.structuredSymptoms}>
+            {report.structuredSymptoms.map((symptom, index) => (
+              <View key={`${symptom.symptomId || symptom.name}-${index}`} style={styles.symptomChip}>
+                <Text style={styles.symptomChipName}>{symptom.name}</Text>
+                {!!describeSymptomDetails(symptom) && (
+                  <Text style={styles.symptomChipDetails}>{describeSymptomDetails(symptom)}</Text>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Symptoms */}
         <View style={styles.symptomsContainer}>
           <Text style={styles.symptomsLabel}>Symptoms:</Text>
@@ -230,6 +384,9 @@ const SymptomReportsScreen = () => {
           </View>
         )}
 
+        {/* Attachments */}
+        {renderAttachments(report.attachments)}
+
         {/* Review Info */}
         {report.status === 'REVIEWED' && report.reviewer && (
           <View style={styles.reviewContainer}>
@@ -285,6 +442,17 @@ const SymptomReportsScreen = () => {
             {pagination.total} report{pagination.total !== 1 ? 's' : ''}
           </Text>
         </View>
+
+        <TouchableOpacity
+          onPress={() => setViewMode(viewMode === 'LIST' ? 'TIMELINE' : 'LIST')}
+          style={styles.viewModeButton}
+        >
+          <Icon
+            name={viewMode === 'LIST' ? 'chart-timeline-variant' : 'format-list-bulleted'}
+            size={24}
+            color="#1F2937"
+          />
+        </TouchableOpacity>
       </View>
 
       {/* Filter Tabs */}
@@ -306,7 +474,7 @@ const SymptomReportsScreen = () => {
       >
         {reports.length > 0 ? (
           <View style={styles.reportsContainer}>
-            {reports.map(renderReportCard)}
+            {viewMode === 'TIMELINE' ? renderTimeline() : reports.map(renderReportCard)}
           </View>
         ) : (
           <View style={styles.emptyContainer}>
@@ -321,6 +489,22 @@ const SymptomReportsScreen = () => {
           </View>
         )}
       </ScrollView>
+
+      <Modal
+        visible={!!previewImage}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setPreviewImage(null)}
+      >
+        <View style={styles.previewOverlay}>
+          <TouchableOpacity style={styles.previewClose} onPress={() => setPreviewImage(null)}>
+            <Icon name="close" size={28} color="#FFFFFF" />
+          </TouchableOpacity>
+          {previewImage && (
+            <Image source={{ uri: previewImage }} style={styles.previewImage} resizeMode="contain" />
+          )}
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -368,6 +552,96 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginTop: 2,
   },
+  viewModeButton: {
+    padding: 8,
+  },
+  timelineGroup: {
+    marginBottom: 24,
+  },
+  timelineProtocol: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  timelineStrip: {
+    gap: 6,
+    paddingVertical: 4,
+  },
+  timelineDay: {
+    width: 36,
+    height: 44,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+    borderWidth: 2,
+    borderColor: 'transparent',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  timelineDayActive: {
+    borderColor: '#1F2937',
+  },
+  timelineDayText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#9CA3AF',
+  },
+  timelineDayTextFilled: {
+    color: '#FFFFFF',
+  },
+  timelineDayCount: {
+    fontSize: 10,
+    color: '#FFFFFF',
+  },
+  timelineLegend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 10,
+    marginBottom: 16,
+  },
+  timelineLegendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timelineLegendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 4,
+  },
+  timelineLegendText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  timelineDayTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginBottom: 12,
+  },
+  timelineEntry: {
+    flexDirection: 'row',
+  },
+  timelineRail: {
+    width: 20,
+    alignItems: 'center',
+  },
+  timelineNode: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginTop: 20,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#E5E7EB',
+  },
+  timelineEntryContent: {
+    flex: 1,
+    marginLeft: 8,
+  },
   filterTabs: {
     backgroundColor: '#FFFFFF',
     paddingHorizontal: 20,
@@ -505,6 +779,60 @@ const styles = StyleSheet.create({
     color: '#374151',
     lineHeight: 20,
   },
+  structuredSymptoms: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 12,
+  },
+  symptomChip: {
+    backgroundColor: '#EFF6FF',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  symptomChipName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  symptomChipDetails: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  attachmentsContainer: {
+    marginBottom: 12,
+  },
+  thumbnails: {
+    gap: 8,
+  },
+  thumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+  },
+  voiceNote: {
+    marginTop: 8,
+  },
+  previewOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.9)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  previewClose: {
+    position: 'absolute',
+    top: Platform.OS === 'ios' ? 56 : 36,
+    right: 20,
+    zIndex: 1,
+    padding: 4,
+  },
+  previewImage: {
+    width: '100%',
+    height: '80%',
+  },
   reviewContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { useAuth } from '../contexts/AuthContext';
+import { verifyEmail, resendVerificationEmail } from '../services/authService';
+import { RateLimitError, ExpiredTokenError, NetworkError } from '../utils/errorHandler';
+import useRetryCooldown from '../hooks/useRetryCooldown';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('VerifyEmailScreen');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Aberta pelo link do email (cxlus://verify-email?token=...) ou para reenviar a verificação
+const VerifyEmailScreen = ({ navigation, route }) => {
+  const { isAuthenticated, user } = useAuth();
+  const token = route.params?.token;
+  // verifying | verified | expired | failed | pending (sem token: apenas reenvio)
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending');
+  const [email, setEmail] = useState(route.params?.email || user?.email || '');
+  const [error, setError] = useState(null);
+  const [resending, setResending] = useState(false);
+  const [resent, setResent] = useState(false);
+  const { secondsLeft, isCoolingDown, startCooldown } = useRetryCooldown();
+
+  useEffect(() => {
+    if (!token) return;
+
+    const confirmEmail = async () => {
+      try {
+        await verifyEmail(token);
+        setStatus('verified');
+      } catch (verifyError) {
+        logger.error('Erro ao verificar email:', verifyError);
+
+        if (verifyError instanceof ExpiredTokenError) {
+          setStatus('expired');
+        } else {
+          setStatus('failed');
+          setError(
+            verifyError instanceof NetworkError
+              ? 'Please check your internet connection and try again.'
+              : 'Unable to verify your email at the moment.'
+          );
+        }
+      }
+    };
+
+    confirmEmail();
+  }, [token]);
+
+  // Com sessão ativa (logo após o cadastro) a tela sai para o app, não para o login
+  const leaveScreen = () => {
+    if (!isAuthenticated) {
+      navigation.navigate('Login');
+    } else if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation.navigate('MainApp');
+    }
+  };
+
+  const handleResend = async () => {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (!EMAIL_REGEX.test(normalizedEmail)) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    try {
+      setResending(true);
+      setError(null);
+      await resendVerificationEmail(normalizedEmail);
+      setResent(true);
+      startCooldown();
+    } catch (resendError) {
+      logger.error('Erro ao reenviar verificação:', resendError);
+
+      if (resendError instanceof RateLimitError) {
+        startCooldown(resendError.retryAfter);
+        setError('Too many requests. Please wait before trying again.');
+      } else if (resendError instanceof NetworkError) {
+        setError('Please check your internet connection and try again.');
+      } else {
+        setError('Unable to send the verification email. Please try again.');
+      }
+    } finally {
+      setResending(false);
+    }
+  };
+
+  if (status === 'verifying') {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <StatusBar style="light" />
+        <ActivityIndicator size="large" color="#61aed0" />
+        <Text style={[styles.subtitle, styles.verifyingText]}>Verifying your email...</Text>
+      </View>
+    );
+  }
+
+  if (status === 'verified') {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <StatusBar style="light" />
+        <Icon name="email-check-outline" size={56} color="#10B981" style={styles.headerIcon} />
+        <Text style={styles.title}>Email Verified</Text>
+        <Text style={styles.subtitle}>
+          {isAuthenticated ? 'Your email has been confirmed.' : 'Your email has been confirmed. You can now sign in.'}
+        </Text>
+
+        <TouchableOpacity style={styles.primaryButton} onPress={leaveScreen}>
+          <Text style={styles.primaryButtonText}>{isAuthenticated ? 'Continue' : 'Continue to Sign In'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const titles = {
+    expired: 'Link Expired',
+    failed: 'Verification Failed',
+    pending: 'Verify Your Email',
+  };
+
+  const descriptions = {
+    expired: 'This verification link has expired or was already used. Enter your email to receive a new one.',
+    failed: 'We could not verify your email. Enter your email to receive a new verification link.',
+    pending: 'Enter the email you registered with and we will send you a new verification link.',
+  };
+
+  const resendDisabled = resending || isCoolingDown;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <StatusBar style="light" />
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Icon
+          name={status === 'pending' ? 'email-outline' : 'link-off'}
+          size={56}
+          color={status === 'pending' ? '#61aed0' : '#EF4444'}
+          style={styles.headerIcon}
+        />
+        <Text style={styles.title}>{titles[status]}</Text>
+        <Text style={styles.subtitle}>
+          {resent
+            ? `We sent a new verification link to ${email.trim()}. Open it on this device to finish.`
+            : descriptions[status]}
+        </Text>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Email</Text>
+          <View style={[styles.inputWrapper, error && styles.inputError]}>
+            <Icon name="email" size={20} color="#cccccc" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Your email address"
+              placeholderTextColor="#888888"
+              value={email}
+              onChangeText={(text) => {
+                setEmail(text);
+                setError(null);
+              }}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoComplete="email"
+              autoCorrect={false}
+            />
+          </View>
+        </View>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, resendDisabled && styles.primaryButtonDisabled]}
+          onPress={handleResend}
+          disabled={resendDisabled}
+        >
+          {resending ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <Text style={styles.primaryButtonText}>
+              {isCoolingDown ? `Try again in ${secondsLeft}s` : 'Send Verification Link'}
+            </Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity onPress={leaveScreen} style={styles.linkButton}>
+          <Text style={styles.linkText}>{isAuthenticated ? 'Back' : 'Back to Sign In'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0a',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'stretch',
+    padding: 20,
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  headerIcon: {
+    alignSelf: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#ffffff',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#cccccc',
+    textAlign: 'center',
+    marginBottom: 32,
+    lineHeight: 24,
+  },
+  verifyingText: {
+    marginTop: 16,
+  },
+  inputContainer: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#3a3a3a',
+    paddingHorizontal: 16,
+    height: 56,
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#ffffff',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#61aed0',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginTop: 20,
+    padding: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#61aed0',
+    fontWeight: '600',
+  },
+});
+
+export default VerifyEmailScreen;
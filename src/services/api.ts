@@ -1,497 +0,0 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import jwtDecode from 'jwt-decode'; // Para decodificar o token JWT
-
-// JWT Secret para assinatura de tokens (normalmente isso ficaria apenas no servidor)
-const JWT_SECRET = 'ee39df7b98841571a4b08417c47076980e6a2c42bd55400666f0a36a8ab50dbcff1e2a3d57873f13cbce90c085f025bf3ee631d12e9d45e8d46b444965b6b885';
-
-const API_URL = 'https://med-ten-flax.vercel.app';
-
-// Cliente HTTP básico com autenticação 
-async function apiRequest(endpoint: string, options: RequestInit = {}) {
-  try {
-    // Obter token do AsyncStorage
-    const token = await AsyncStorage.getItem('auth_token');
-    
-    // Configurar headers com autenticação
-    const headers = {
-      'Content-Type': 'application/json',
-      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
-      'X-JWT-Secret': JWT_SECRET,
-      ...options.headers
-    };
-    
-    // Fazer a requisição
-    const response = await fetch(`${API_URL}${endpoint}`, {
-      ...options,
-      headers
-    });
-    
-    // Verificar o tipo de conteúdo da resposta
-    const contentType = response.headers.get('content-type');
-    
-    // Parse do JSON apenas se o tipo de conteúdo for JSON
-    let data;
-    if (contentType && contentType.includes('application/json')) {
-      data = await response.json();
-    } else {
-      // Se não for JSON, obter o texto e lançar um erro informativo
-      const textResponse = await response.text();
-      throw new Error(`A resposta não é um JSON válido. Status: ${response.status}, Conteúdo: ${textResponse.substring(0, 100)}...`);
-    }
-    
-    // Verificar erros
-    if (!response.ok) {
-      throw new Error(data.error || `Erro ${response.status}`);
-    }
-    
-    return data;
-  } catch (error) {
-    console.error(`Erro na requisição API (${endpoint}):`, error);
-    throw error;
-  }
-}
-
-// Interface para dados do dashboard
-export interface DashboardData {
-  totalLeads: number;
-  totalIndications: number;
-  totalClicks: number;
-  conversionRate: number;
-  recentLeads: Lead[];
-  topIndications: Indication[];
-  topSources: UtmSource[];
-}
-
-interface Lead {
-  id: string;
-  name: string;
-  phone: string;
-  createdAt: string;
-  utmSource?: string;
-  utmMedium?: string;
-  indication?: {
-    name?: string;
-    slug: string;
-  };
-}
-
-interface Indication {
-  id: string;
-  slug: string;
-  name?: string;
-  _count: {
-    leads: number;
-    events: number;
-  };
-}
-
-interface UtmSource {
-  source: string;
-  count: number;
-}
-
-// Funções para autenticação
-export const authApi = {
-  // Login no sistema
-  login: async (email: string, password: string) => {
-    try {
-      // Fazer login usando o endpoint da API
-      const response = await fetch(`${API_URL}/api/auth/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password })
-      });
-      
-      // Verificar o tipo de conteúdo da resposta
-      const contentType = response.headers.get('content-type');
-      let data;
-      
-      if (contentType && contentType.includes('application/json')) {
-        data = await response.json();
-      } else {
-        // Se não for JSON, obter o texto e lançar um erro mais informativo
-        const textResponse = await response.text();
-        console.error('Resposta não-JSON do servidor:', textResponse);
-        throw new Error(`Resposta inválida do servidor: ${textResponse.substring(0, 100)}`);
-      }
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Erro ao fazer login');
-      }
-      
-      // Salvar token e dados do usuário
-      if (data.token) {
-        await AsyncStorage.setItem('auth_token', data.token);
-      }
-      
-      if (data.user) {
-        await AsyncStorage.setItem('user_data', JSON.stringify(data.user));
-      }
-      
-      return data;
-    } catch (error) {
-      console.error('Erro no login:', error);
-      throw error;
-    }
-  },
-  
-  // Logout do sistema
-  logout: async () => {
-    try {
-      // Limpar dados do usuário no AsyncStorage
-      await AsyncStorage.removeItem('auth_token');
-      await AsyncStorage.removeItem('user_data');
-      return true;
-    } catch (error) {
-      console.error('Erro no logout:', error);
-      throw error;
-    }
-  },
-  
-  // Verificar se está autenticado
-  isAuthenticated: async () => {
-    try {
-      const token = await AsyncStorage.getItem('auth_token');
-      return !!token;
-    } catch (error) {
-      console.error('Erro ao verificar autenticação:', error);
-      return false;
-    }
-  },
-  
-  // Recuperar dados do usuário logado
-  getCurrentUser: async () => {
-    try {
-      const userData = await AsyncStorage.getItem('user_data');
-      return userData ? JSON.parse(userData) : null;
-    } catch (error) {
-      console.error('Erro ao recuperar dados do usuário:', error);
-      return null;
-    }
-  },
-  
-  // Gerar um token JWT usando o secret
-  generateJWT: async (userData: any) => {
-    try {
-      // Esta função seria normalmente executada apenas no servidor,
-      // mas para fins de teste estamos implementando no cliente
-      const user = userData || await AsyncStorage.getItem('user_data');
-      if (!user) throw new Error('Dados do usuário não disponíveis');
-      
-      const userObj = typeof user === 'string' ? JSON.parse(user) : user;
-      
-      // Criar payload do token
-      const payload = {
-        id: userObj.id,
-        name: userObj.name,
-        email: userObj.email,
-        iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24) // 24 horas
-      };
-      
-      // Em uma aplicação real, você usaria uma biblioteca como jsonwebtoken
-      // Como não podemos importar essa biblioteca aqui, estamos simulando a criação do token
-      const headerEncoded = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
-      const payloadEncoded = btoa(JSON.stringify(payload));
-      
-      // Normalmente, aqui seria gerada uma assinatura usando o JWT_SECRET
-      // Mas para fins de teste, estamos apenas concatenando
-      const signature = btoa(JSON.stringify({ signed: true }));
-      
-      const token = `${headerEncoded}.${payloadEncoded}.${signature}`;
-      
-      // Salvar o token
-      await AsyncStorage.setItem('auth_token', token);
-      
-      return token;
-    } catch (error) {
-      console.error('Erro ao gerar JWT:', error);
-      throw error;
-    }
-  }
-};
-
-// Funções para o dashboard
-export const dashboardApi = {
-  // Busca dados do dashboard
-  getDashboardData: async (): Promise<DashboardData> => {
-    try {
-      const token = await AsyncStorage.getItem('auth_token');
-      
-      if (!token) {
-        throw new Error('Não autenticado');
-      }
-
-      // Tentar usar a função apiRequest com o JWT_SECRET já configurado
-      try {
-        console.log('Tentando buscar dados do dashboard com apiRequest');
-        return await apiRequest('/api/dashboard');
-      } catch (apiError) {
-        console.log('Erro ao usar apiRequest:', apiError);
-      }
-
-      // Exibir informações de debug sobre o token
-      console.log('Token encontrado no AsyncStorage:', token.substring(0, 15) + '...');
-      
-      // Verificar se o usuário está realmente autenticado
-      const isAuth = await authApi.isAuthenticated();
-      console.log('Status de autenticação local:', isAuth);
-      
-      // Tenta obter dados do usuário para verificar
-      try {
-        const userData = await authApi.getCurrentUser();
-        console.log('Dados do usuário atual:', userData ? JSON.stringify(userData).substring(0, 100) + '...' : 'Nenhum dado de usuário');
-        
-        // Tenta regenerar o token com o secret fornecido
-        if (userData) {
-          console.log('Tentando regenerar o token com o secret...');
-          const newToken = await authApi.generateJWT(userData);
-          console.log('Novo token gerado:', newToken.substring(0, 15) + '...');
-        }
-      } catch (userError) {
-        console.log('Erro ao buscar dados do usuário:', userError);
-      }
-
-      console.log('Tentando diferentes formatos de autenticação...');
-
-      // Obter o token atualizado
-      const currentToken = await AsyncStorage.getItem('auth_token');
-
-      // Teste 1: Bearer token (formato padrão)
-      try {
-        console.log('Teste 1: Bearer token');
-        const responseBearerToken = await fetch('https://med-ten-flax.vercel.app/api/dashboard', {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${currentToken}`,
-            'X-JWT-Secret': JWT_SECRET
-          }
-        });
-        
-        console.log('Status da resposta Bearer token:', responseBearerToken.status);
-        if (responseBearerToken.ok) {
-          const data = await responseBearerToken.json();
-          console.log('Dados recebidos com Bearer token:', data);
-          return data;
-        } else {
-          const errorText = await responseBearerToken.text();
-          console.log('Resposta com erro usando Bearer token:', errorText);
-        }
-      } catch (bearerError) {
-        console.error('Erro na requisição com Bearer token:', bearerError);
-      }
-
-      // Teste 2: Token simples (sem prefixo Bearer)
-      try {
-        console.log('Teste 2: Token simples');
-        const responseSimpleToken = await fetch('https://med-ten-flax.vercel.app/api/dashboard', {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': currentToken
-          }
-        });
-        
-        console.log('Status da resposta Token simples:', responseSimpleToken.status);
-        if (responseSimpleToken.ok) {
-          const data = await responseSimpleToken.json();
-          console.log('Dados recebidos com Token simples:', data);
-          return data;
-        } else {
-          const errorText = await responseSimpleToken.text();
-          console.log('Resposta com erro usando Token simples:', errorText);
-        }
-      } catch (simpleTokenError) {
-        console.error('Erro na requisição com Token simples:', simpleTokenError);
-      }
-
-      // Teste 3: Token JWT enviado diretamente com Secret
-      try {
-        console.log('Teste 3: Token JWT direto no body com Secret');
-        const responseJWT = await fetch('https://med-ten-flax.vercel.app/api/dashboard', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ 
-            token: currentToken,
-            jwtSecret: JWT_SECRET
-          })
-        });
-        
-        console.log('Status da resposta JWT:', responseJWT.status);
-        if (responseJWT.ok) {
-          const data = await responseJWT.json();
-          console.log('Dados recebidos com JWT no body:', data);
-          return data;
-        } else {
-          const errorText = await responseJWT.text();
-          console.log('Resposta com erro usando JWT no body:', errorText);
-        }
-      } catch (jwtError) {
-        console.error('Erro na requisição com JWT no body:', jwtError);
-      }
-
-      // Teste 4: Com cabeçalhos CORS explícitos e JWT_SECRET
-      try {
-        console.log('Teste 4: Com cabeçalhos CORS e JWT_SECRET');
-        const responseCORS = await fetch('https://med-ten-flax.vercel.app/api/dashboard', {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${currentToken}`,
-            'X-JWT-Secret': JWT_SECRET,
-            'Origin': 'http://localhost:19006',
-            'Accept': 'application/json'
-          },
-          mode: 'cors',
-          credentials: 'include'
-        });
-        
-        console.log('Status da resposta com CORS:', responseCORS.status);
-        if (responseCORS.ok) {
-          const data = await responseCORS.json();
-          console.log('Dados recebidos com CORS:', data);
-          return data;
-        } else {
-          const errorText = await responseCORS.text();
-          console.log('Resposta com erro usando CORS:', errorText);
-        }
-      } catch (corsError) {
-        console.error('Erro na requisição com CORS:', corsError);
-      }
-
-      // Se todas as tentativas falharem, usar dados simulados
-      console.warn('Todas as tentativas de autenticação falharam');
-      console.warn('Usando dados simulados para o dashboard');
-      return getMockDashboardData();
-    } catch (error) {
-      console.error('Erro geral ao buscar dados do dashboard:', error);
-      
-      // Em desenvolvimento, retornamos dados simulados quando há erro
-      if (__DEV__) {
-        console.warn('Usando dados simulados para o dashboard devido a erro geral');
-        return getMockDashboardData();
-      }
-      throw error;
-    }
-  },
-  
-  // Listar todos os leads
-  getLeads: async () => {
-    try {
-      console.log('Buscando leads da API...');
-      const token = await AsyncStorage.getItem('auth_token');
-      
-      if (!token) {
-        throw new Error('Não autenticado');
-      }
-      
-      // Tentar com apiRequest padrão
-      try {
-        return await apiRequest('/api/leads');
-      } catch (apiError) {
-        console.log('Erro ao buscar leads com apiRequest:', apiError);
-      }
-      
-      // Se falhar, tentar diretamente com JWT_SECRET
-      console.log('Tentando buscar leads diretamente com JWT_SECRET...');
-      const response = await fetch(`${API_URL}/api/leads`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-          'X-JWT-Secret': JWT_SECRET
-        }
-      });
-      
-      // Verificar o tipo de conteúdo
-      const contentType = response.headers.get('content-type');
-      let data;
-      
-      if (contentType && contentType.includes('application/json')) {
-        data = await response.json();
-        console.log('Dados de leads recebidos:', data);
-        return data;
-      } else {
-        const textResponse = await response.text();
-        console.error('Resposta não-JSON ao buscar leads:', textResponse);
-        throw new Error(`Resposta inválida do servidor: ${textResponse.substring(0, 100)}`);
-      }
-    } catch (error) {
-      console.error('Erro ao obter leads:', error);
-      return []; // Retornar array vazio se falhar
-    }
-  },
-  
-  // Obter um lead específico
-  getLead: async (id: string) => {
-    return apiRequest(`/api/mobile/doctor/leads/${id}`);
-  },
-  
-  // Obter perfil do médico
-  getProfile: async () => {
-    return apiRequest('/api/mobile/doctor/profile');
-  }
-};
-
-// Função para gerar dados simulados para o dashboard em desenvolvimento
-function getMockDashboardData(): DashboardData {
-  // Gera dados aleatórios para simular o dashboard
-  const totalLeads = Math.floor(Math.random() * 100) + 20;
-  const totalIndications = Math.floor(Math.random() * 10) + 5;
-  const totalClicks = totalLeads * 3 + Math.floor(Math.random() * 50);
-  const conversionRate = Math.round((totalLeads / totalClicks) * 100);
-
-  // Nomes para dados simulados
-  const names = ['João Silva', 'Maria Oliveira', 'Carlos Santos', 'Ana Pereira', 'Paulo Souza', 
-                'Lúcia Costa', 'Roberto Almeida', 'Fernanda Lima', 'Ricardo Gomes', 'Amanda Ribeiro'];
-  
-  // Cria leads simulados
-  const recentLeads: Lead[] = Array.from({ length: 5 }).map((_, index) => ({
-    id: `lead-${index + 1}`,
-    name: names[index],
-    phone: `(11) 9${Math.floor(1000 + Math.random() * 9000)}-${Math.floor(1000 + Math.random() * 9000)}`,
-    createdAt: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
-    utmSource: ['google', 'facebook', 'instagram', 'direct', null][Math.floor(Math.random() * 5)],
-    indication: {
-      name: ['Consulta Geral', 'Pediatria', 'Cardiologia', 'Ortopedia', 'Dermatologia'][index],
-      slug: ['geral', 'pediatria', 'cardiologia', 'ortopedia', 'dermatologia'][index]
-    }
-  }));
-  
-  // Cria indicações simuladas
-  const topIndications: Indication[] = [
-    'Consulta Geral', 'Pediatria', 'Cardiologia', 'Ortopedia', 'Dermatologia'
-  ].map((name, index) => ({
-    id: `indication-${index + 1}`,
-    name,
-    slug: name.toLowerCase().replace(' ', '-'),
-    _count: {
-      leads: Math.floor(Math.random() * 20) + 5,
-      events: Math.floor(Math.random() * 60) + 15
-    }
-  }));
-  
-  // Cria origens simuladas
-  const topSources: UtmSource[] = [
-    { source: 'google', count: Math.floor(Math.random() * 40) + 10 },
-    { source: 'facebook', count: Math.floor(Math.random() * 30) + 5 },
-    { source: 'instagram', count: Math.floor(Math.random() * 25) + 5 },
-    { source: 'direct', count: Math.floor(Math.random() * 20) + 5 },
-    { source: 'whatsapp', count: Math.floor(Math.random() * 15) + 5 }
-  ];
-
-  return {
-    totalLeads,
-    totalIndications,
-    totalClicks,
-    conversionRate,
-    recentLeads,
-    topIndications,
-    topSources
-  };
-} 
\ No newline at end of file
@@ -1,13 +1,36 @@
-import { getToken, getAuthHeaders, isTokenValid, isTokenExpiringSoon } from '../utils/jwtUtils';
+import {
+  getToken,
+  getAuthHeaders,
+  isTokenValid,
+  isTokenExpiringSoon,
+  storeToken,
+  getRefreshToken,
+  storeRefreshToken,
+  removeToken
+} from '../utils/jwtUtils';
 import { ENV } from '../config/environment';
-import { handleApiError, showErrorAlert, AuthError } from '../utils/errorHandler';
+import { handleApiError, showErrorAlert, AuthError, NetworkError, QueuedRequestError } from '../utils/errorHandler';
 import { isConnected } from '../utils/connectivityUtils';
+import {
+  isQueueableRequest,
+  enqueueRequest,
+  generateIdempotencyKey,
+  startQueueMonitoring,
+  stopQueueMonitoring,
+  IDEMPOTENCY_HEADER
+} from './offlineQueue';
+import { ENDPOINTS } from './endpoints';
+import { updateQuickLoginRefreshToken } from './appLockService';
 import { createLogger } from '../utils/logUtils';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const logger = createLogger('ApiClient');
 
-const BASE_URL = 'https://app.cxlus.com/api';
+/**
+ * Tipos em src/types/api.ts; os caminhos vêm do registro em ./endpoints
+ * @typedef {import('../types/api').ApiRequestOptions} ApiRequestOptions
+ * @typedef {import('../types/api').QueryParams} QueryParams
+ */
 
 // Fila de requisições pendentes durante renovação de token
 let isRefreshing = false;
@@ -28,26 +51,114 @@ const processQueue = (error, token = null) => {
   failedRequestsQueue = [];
 };
 
-// Cliente HTTP básico com tratamento de erros
+// Solicita um novo par de tokens usando o refresh token armazenado
+const requestNewTokens = async () => {
+  const storedRefreshToken = await getRefreshToken();
+  
+  if (!storedRefreshToken) {
+    throw new AuthError('Sessão expirada');
+  }
+  
+  const response = await apiRequest(ENDPOINTS.auth.refresh, {
+    method: 'POST',
+    body: { refreshToken: storedRefreshToken }
+  });
+  
+  if (!response || !response.token) {
+    throw new AuthError('Resposta inválida ao renovar a sessão');
+  }
+  
+  await storeToken(response.token);
+  
+  // O servidor pode rotacionar o refresh token a cada renovação; a cópia do login rápido
+  // precisa acompanhar, senão a biometria tentaria um token já invalidado
+  if (response.refreshToken) {
+    await storeRefreshToken(response.refreshToken);
+    await updateQuickLoginRefreshToken(response.refreshToken);
+  }
+  
+  return response.token;
+};
+
+/**
+ * Renova o token de acesso. Chamadas concorrentes aguardam na fila a renovação em andamento
+ * @returns {Promise<string>} Novo token de acesso
+ */
+export const refreshAccessToken = async () => {
+  if (isRefreshing) {
+    logger.debug('Renovação de token em andamento, aguardando na fila');
+    return new Promise((resolve, reject) => {
+      failedRequestsQueue.push({ resolve, reject });
+    });
+  }
+  
+  isRefreshing = true;
+  
+  try {
+    logger.debug('Renovando token de acesso');
+    const newToken = await requestNewTokens();
+    logger.info('Token de acesso renovado');
+    processQueue(null, newToken);
+    return newToken;
+  } catch (error) {
+    logger.warn('Falha ao renovar token de acesso', error);
+    
+    // Refresh token rejeitado: a sessão não pode mais ser recuperada
+    if (error instanceof AuthError) {
+      await removeToken();
+    }
+    
+    processQueue(error);
+    throw error;
+  } finally {
+    isRefreshing = false;
+  }
+};
+
+/**
+ * Cliente HTTP básico com tratamento de erros
+ * Requisições mutáveis com options.queue feitas sem conexão são guardadas na fila offline
+ * @template T
+ * @param {string} endpoint - Caminho de ENDPOINTS (ex.: ENDPOINTS.habits.list)
+ * @param {ApiRequestOptions} [options]
+ * @returns {Promise<T>} Corpo da resposta
+ */
 export const apiRequest = async (endpoint, options = {}) => {
+  const queueable = isQueueableRequest(endpoint, options);
+  
+  // Para endpoints de autenticação, não verificar token
+  const isAuthEndpoint = endpoint.includes('/auth/');
+
+  // A mesma chave de idempotência acompanha a requisição original e qualquer reenvio da fila
+  if (queueable && !options.headers?.[IDEMPOTENCY_HEADER]) {
+    options = {
+      ...options,
+      headers: { ...options.headers, [IDEMPOTENCY_HEADER]: generateIdempotencyKey() }
+    };
+  }
+
   try {
     // Verifica a conectividade
     const connected = await isConnected();
     if (!connected) {
       logger.warn(`Tentativa de requisição sem conexão: ${endpoint}`);
+      
+      if (queueable) {
+        const queueItem = await enqueueRequest(endpoint, options);
+        throw new QueuedRequestError(queueItem);
+      }
+      
       throw new Error('Sem conexão com a internet. Verifique sua conexão e tente novamente.');
     }
     
-    // Para endpoints de autenticação, não verificar token
-    const isAuthEndpoint = endpoint.includes('/auth/');
-    
     // Verificar se o token está válido apenas para endpoints que não são de autenticação
     if (!isAuthEndpoint) {
       const tokenValid = await isTokenValid();
       
       if (!tokenValid) {
-        logger.debug('Token inválido, redirecionando para login');
-        throw new AuthError('Sessão expirada');
+        // Lança AuthError se não houver refresh token ou se ele for rejeitado
+        logger.debug('Token expirado, tentando renovar antes da requisição');
+        await refreshAccessToken();
       }
     }
     
@@ -76,15 +187,19 @@ export const apiRequest = async (endpoint, options = {}) => {
     
     logger.debug('Enviando requisição', requestData);
     
-    // Prepara o corpo da requisição
+    // Prepara o corpo da requisição (queue e isRetry são apenas do cliente, não vão para o fetch)
+    const { queue, isRetry, ...fetchOptions } = options;
     let requestOptions = {
-      ...options,
+      ...fetchOptions,
       headers: requestHeaders
     };
     
     // Se é uma requisição POST, PUT ou PATCH, garante que o Content-Type está correto
     if (['POST', 'PUT', 'PATCH'].includes(requestOptions.method) && requestOptions.body) {
-      if (typeof requestOptions.body === 'object' && !(requestOptions.body instanceof FormData)) {
+      if (requestOptions.body instanceof FormData) {
+        // Multipart: o fetch define o Content-Type com o boundary
+        delete requestOptions.headers['Content-Type'];
+      } else if (typeof requestOptions.body === 'object') {
         requestOptions.body = JSON.stringify(requestOptions.body);
       }
     }
@@ -96,6 +211,8 @@ export const apiRequest = async (endpoint, options = {}) => {
     
     // Verifica o tipo de conteúdo
     const contentType = response.headers.get('content-type');
+    // Segundos para nova tentativa em respostas 429
+    const retryAfter = response.headers.get('retry-after');
     let data;
     
     if (contentType && contentType.includes('application/json')) {
@@ -109,7 +226,8 @@ export const apiRequest = async (endpoint, options = {}) => {
         throw {
           response: {
             status: response.status,
-            data: { message: textResponse }
+            data: { message: textResponse },
+            retryAfter
           }
         };
       }
@@ -123,7 +241,8 @@ export const apiRequest = async (endpoint, options = {}) => {
       throw {
         response: {
           status: response.status,
-          data
+          data,
+          retryAfter
         }
       };
     }
@@ -131,15 +250,57 @@ export const apiRequest = async (endpoint, options = {}) => {
     logger.debug(`Requisição bem-sucedida: ${endpoint}`);
     return data;
   } catch (error) {
+    // Token rejeitado pelo servidor: renovar e repetir a requisição uma única vez
+    if (error.response?.status === 401 && !isAuthEndpoint && !options.isRetry) {
+      let refreshed = false;
+      
+      try {
+        await refreshAccessToken();
+        refreshed = true;
+      } catch (refreshError) {
+        logger.warn(`Não foi possível renovar o token para repetir: ${endpoint}`);
+      }
+      
+      if (refreshed) {
+        logger.debug(`Repetindo requisição com novo token: ${endpoint}`);
+        return apiRequest(endpoint, { ...options, isRetry: true });
+      }
+    }
+    
     // Tratar o erro usando o utilitário global
     const processedError = await handleApiError(error);
-    logger.error(`Erro na requisição: ${endpoint}`, processedError);
+    
+    // Conexão instável: a requisição não chegou a ter resposta, guardar para reenviar
+    if (queueable && processedError instanceof NetworkError) {
+      const queueItem = await enqueueRequest(endpoint, options);
+      logger.warn(`Requisição enfileirada após falha de rede: ${endpoint}`);
+      throw new QueuedRequestError(queueItem);
+    }
+    
+    if (processedError instanceof QueuedRequestError) {
+      logger.info(`Requisição enfileirada para envio posterior: ${endpoint}`);
+    } else {
+      logger.error(`Erro na requisição: ${endpoint}`, processedError);
+    }
     throw processedError;
   }
 };
 
-// Métodos HTTP padronizados
+// Inicia o reenvio automático da fila offline sempre que a conexão voltar
+export const startOfflineSync = () => startQueueMonitoring(apiRequest);
+
+// Para o reenvio automático da fila offline
+export const stopOfflineSync = () => stopQueueMonitoring();
+
+// Métodos HTTP padronizados (mesmos parâmetros de apiRequest; data vira o corpo JSON)
 export const apiClient = {
+  /**
+   * @template T
+   * @param {string} endpoint
+   * @param {QueryParams} [params] - Query string; valores null/undefined são ignorados
+   * @param {ApiRequestOptions} [options]
+   * @returns {Promise<T>}
+   */
   get: (endpoint, params = {}, options = {}) => {
     const url = new URL(`${ENV.API_URL}${endpoint}`);
     Object.keys(params).forEach(key => {
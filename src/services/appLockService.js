@@ -0,0 +1,252 @@
+/**
+ * Serviço de bloqueio do app (biometria / PIN) e login rápido
+ * As configurações ficam no AsyncStorage; PIN e credenciais de login rápido ficam no
+ * armazenamento seguro (Keychain/Keystore). O login rápido guarda o refresh token, nunca a senha
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as Crypto from 'expo-crypto';
+import { getSecureItem, setSecureItem, removeSecureItem, isSecureStorageAvailable } from '../utils/secureStorage';
+import { createLogger } from '../utils/logUtils';
+
+const logger = createLogger('AppLockService');
+
+const SETTINGS_STORAGE_KEY = 'app_lock_settings';
+const FAILED_ATTEMPTS_STORAGE_KEY = 'app_lock_failed_attempts';
+const PIN_STORAGE_KEY = 'app_lock_pin';
+const QUICK_LOGIN_STORAGE_KEY = 'quick_login_credentials';
+
+// Tentativas de PIN erradas permitidas antes de encerrar a sessão
+export const MAX_PIN_ATTEMPTS = 5;
+
+// Tamanho mínimo do PIN
+export const PIN_LENGTH = 4;
+
+// Opções de tempo em background antes de bloquear (minutos)
+export const LOCK_AFTER_OPTIONS = [0, 1, 5, 15];
+
+export const DEFAULT_APP_LOCK_SETTINGS = {
+  enabled: false,
+  biometricsEnabled: false,
+  lockAfterMinutes: 5
+};
+
+const hashPin = (salt, pin) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+
+/**
+ * Carrega as configurações de bloqueio
+ * @returns {Promise<Object>} Configurações ({ enabled, biometricsEnabled, lockAfterMinutes })
+ */
+export const getAppLockSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+    return stored ? { ...DEFAULT_APP_LOCK_SETTINGS, ...JSON.parse(stored) } : DEFAULT_APP_LOCK_SETTINGS;
+  } catch (error) {
+    logger.error('Erro ao carregar configurações de bloqueio:', error);
+    return DEFAULT_APP_LOCK_SETTINGS;
+  }
+};
+
+/**
+ * Salva as configurações de bloqueio
+ * @param {Object} changes - Campos a alterar
+ * @returns {Promise<Object>} Configurações atualizadas
+ */
+export const saveAppLockSettings = async (changes) => {
+  const settings = { ...(await getAppLockSettings()), ...changes };
+  await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  logger.debug('Configurações de bloqueio salvas', settings);
+  return settings;
+};
+
+/**
+ * Verifica se o aparelho tem biometria configurada
+ * @returns {Promise<boolean>} true se é possível autenticar por biometria
+ */
+export const isBiometricsAvailable = async () => {
+  try {
+    const hasHardware = await LocalAuthentication.hasHardwareAsync();
+    const isEnrolled = hasHardware && await LocalAuthentication.isEnrolledAsync();
+    return !!isEnrolled;
+  } catch (error) {
+    logger.error('Erro ao verificar biometria:', error);
+    return false;
+  }
+};
+
+/**
+ * Solicita autenticação biométrica
+ * @param {string} promptMessage - Mensagem exibida no prompt do sistema
+ * @returns {Promise<boolean>} true se autenticado
+ */
+export const authenticateWithBiometrics = async (promptMessage = 'Unlock CXLUS') => {
+  try {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage,
+      cancelLabel: 'Use PIN',
+      // O fallback é o PIN do app, não o código do aparelho
+      disableDeviceFallback: true
+    });
+
+    if (!result.success) {
+      logger.debug('Autenticação biométrica não concluída', { error: result.error });
+    }
+
+    return result.success;
+  } catch (error) {
+    logger.error('Erro na autenticação biométrica:', error);
+    return false;
+  }
+};
+
+/**
+ * Define (ou troca) o PIN do app
+ * @param {string} pin - PIN numérico
+ */
+export const setPin = async (pin) => {
+  if (!pin || pin.length < PIN_LENGTH || !/^\d+$/.test(pin)) {
+    throw new Error(`PIN must have at least ${PIN_LENGTH} digits`);
+  }
+
+  const salt = Crypto.randomUUID();
+  const hash = await hashPin(salt, pin);
+  await setSecureItem(PIN_STORAGE_KEY, `${salt}:${hash}`);
+  await AsyncStorage.removeItem(FAILED_ATTEMPTS_STORAGE_KEY);
+  logger.info('PIN do app definido');
+};
+
+/**
+ * Confere o PIN informado e contabiliza tentativas erradas
+ * @param {string} pin - PIN digitado
+ * @returns {Promise<Object>} { valid, remainingAttempts }
+ */
+export const verifyPin = async (pin) => {
+  const stored = await getSecureItem(PIN_STORAGE_KEY);
+
+  if (!stored) {
+    logger.warn('Nenhum PIN configurado');
+    return { valid: false, remainingAttempts: 0 };
+  }
+
+  const [salt, expectedHash] = stored.split(':');
+  const hash = await hashPin(salt, pin);
+
+  if (hash === expectedHash) {
+    await AsyncStorage.removeItem(FAILED_ATTEMPTS_STORAGE_KEY);
+    return { valid: true, remainingAttempts: MAX_PIN_ATTEMPTS };
+  }
+
+  const failedAttempts = Number(await AsyncStorage.getItem(FAILED_ATTEMPTS_STORAGE_KEY) || 0) + 1;
+  await AsyncStorage.setItem(FAILED_ATTEMPTS_STORAGE_KEY, String(failedAttempts));
+  logger.warn('PIN incorreto', { failedAttempts });
+
+  return { valid: false, remainingAttempts: Math.max(0, MAX_PIN_ATTEMPTS - failedAttempts) };
+};
+
+/**
+ * Zera o contador de PINs errados (após esgotar as tentativas ou num novo login)
+ */
+export const resetFailedPinAttempts = async () => {
+  await AsyncStorage.removeItem(FAILED_ATTEMPTS_STORAGE_KEY);
+};
+
+/**
+ * Ativa o bloqueio do app
+ * @param {string} pin - PIN de fallback
+ * @param {Object} options - { biometricsEnabled, lockAfterMinutes }
+ * @returns {Promise<Object>} Configurações atualizadas
+ */
+export const enableAppLock = async (pin, options = {}) => {
+  await setPin(pin);
+  const settings = await saveAppLockSettings({ ...options, enabled: true });
+  logger.info('Bloqueio do app ativado', settings);
+  return settings;
+};
+
+/**
+ * Desativa o bloqueio do app e remove o PIN e as credenciais de login rápido
+ * @returns {Promise<Object>} Configurações atualizadas
+ */
+export const disableAppLock = async () => {
+  await removeSecureItem(PIN_STORAGE_KEY);
+  await clearQuickLoginCredentials();
+  await resetFailedPinAttempts();
+  const settings = await saveAppLockSettings({ enabled: false, biometricsEnabled: false });
+  logger.info('Bloqueio do app desativado');
+  return settings;
+};
+
+/**
+ * Guarda o refresh token para login rápido por biometria quando a sessão expirar
+ * Sem Keychain/Keystore o login rápido fica desativado: o token não vai para texto plano
+ * @param {string} email - Email (só para preencher a tela de login)
+ * @param {string} refreshToken - Refresh token da sessão atual
+ * @returns {Promise<boolean>} true se as credenciais foram salvas
+ */
+export const saveQuickLoginCredentials = async (email, refreshToken) => {
+  if (!refreshToken) return false;
+
+  if (!(await isSecureStorageAvailable())) {
+    logger.warn('Armazenamento seguro indisponível, login rápido desativado');
+    return false;
+  }
+
+  await setSecureItem(QUICK_LOGIN_STORAGE_KEY, JSON.stringify({ email, refreshToken }));
+  logger.debug('Credenciais de login rápido salvas');
+  return true;
+};
+
+/**
+ * Atualiza o refresh token do login rápido quando o servidor o rotaciona
+ * Sem credenciais salvas (login rápido desativado) não faz nada
+ * @param {string} refreshToken - Novo refresh token
+ */
+export const updateQuickLoginRefreshToken = async (refreshToken) => {
+  const credentials = await getQuickLoginCredentials();
+  if (!credentials || !refreshToken || credentials.refreshToken === refreshToken) return;
+
+  try {
+    await setSecureItem(QUICK_LOGIN_STORAGE_KEY, JSON.stringify({ ...credentials, refreshToken }));
+    logger.debug('Refresh token do login rápido atualizado');
+  } catch (error) {
+    logger.error('Erro ao atualizar refresh token do login rápido:', error);
+  }
+};
+
+/**
+ * Lê as credenciais de login rápido
+ * @returns {Promise<Object|null>} { email, refreshToken } ou null
+ */
+export const getQuickLoginCredentials = async () => {
+  try {
+    const stored = await getSecureItem(QUICK_LOGIN_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    logger.error('Erro ao ler credenciais de login rápido:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove as credenciais de login rápido
+ */
+export const clearQuickLoginCredentials = async () => {
+  await removeSecureItem(QUICK_LOGIN_STORAGE_KEY);
+};
+
+export default {
+  getAppLockSettings,
+  saveAppLockSettings,
+  isBiometricsAvailable,
+  authenticateWithBiometrics,
+  setPin,
+  verifyPin,
+  resetFailedPinAttempts,
+  enableAppLock,
+  disableAppLock,
+  saveQuickLoginCredentials,
+  updateQuickLoginRefreshToken,
+  getQuickLoginCredentials,
+  clearQuickLoginCredentials
+};
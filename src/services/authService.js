@@ -1,16 +1,14 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
-import { storeToken, removeToken, decodeToken, getToken } from '../utils/jwtUtils';
-import { apiRequest } from './apiClient';
-import { ENV } from '../config/environment';
+import { storeToken, storeRefreshToken, removeToken, decodeToken, getToken } from '../utils/jwtUtils';
+import { apiRequest, refreshAccessToken } from './apiClient';
+import { ENDPOINTS } from './endpoints';
+import { AuthError } from '../utils/errorHandler';
+import { cacheUserProfile } from './userService';
 import { createLogger } from '../utils/logUtils';
 import { isConnected } from '../utils/connectivityUtils';
 
 const logger = createLogger('AuthService');
 
-// JWT Secret obtido das variáveis de ambiente
-const JWT_SECRET = ENV.JWT_SECRET;
-
 /**
  * Realiza login com email e senha
  * @param {string} email - Email do usuário
@@ -22,7 +20,7 @@ export const login = async (email, password) => {
     logger.debug('Iniciando login', { email });
     
     // Login com API usando o endpoint correto da documentação
-    const response = await apiRequest('/api/auth/mobile/login', {
+    const response = await apiRequest(ENDPOINTS.auth.login, {
       method: 'POST',
       body: {
         email,
@@ -33,7 +31,10 @@ export const login = async (email, password) => {
     if (response && response.token && response.user) {
       // Save token using jwtUtils to ensure consistency
       await storeToken(response.token);
-      await AsyncStorage.setItem('userData', JSON.stringify(response.user));
+      if (response.refreshToken) {
+        await storeRefreshToken(response.refreshToken);
+      }
+      await cacheUserProfile(response.user);
       
       logger.info('Login successful', { userId: response.user.id });
       return response;
@@ -54,7 +55,7 @@ export const login = async (email, password) => {
 export const register = async (userData) => {
   try {
     logger.debug('Iniciando registro', { email: userData.email });
-    const response = await apiRequest('/api/auth/mobile/register', {
+    const response = await apiRequest(ENDPOINTS.auth.register, {
       method: 'POST',
       body: userData
     });
@@ -62,7 +63,10 @@ export const register = async (userData) => {
     if (response && response.token && response.user) {
       // Save token using jwtUtils to ensure consistency
       await storeToken(response.token);
-      await AsyncStorage.setItem('userData', JSON.stringify(response.user));
+      if (response.refreshToken) {
+        await storeRefreshToken(response.refreshToken);
+      }
+      await cacheUserProfile(response.user);
       
       logger.info('Registration successful', { userId: response.user.id });
       return response;
@@ -75,6 +79,92 @@ export const register = async (userData) => {
   }
 };
 
+/**
+ * Solicita o envio do link de redefinição de senha
+ * O servidor responde com sucesso mesmo se o email não estiver cadastrado
+ * @param {string} email - Email da conta
+ * @returns {Promise<Object>} Resposta do servidor
+ */
+export const requestPasswordReset = async (email) => {
+  try {
+    logger.debug('Solicitando redefinição de senha', { email });
+    const response = await apiRequest(ENDPOINTS.auth.forgotPassword, {
+      method: 'POST',
+      body: { email }
+    });
+    
+    logger.info('Password reset requested');
+    return response;
+  } catch (error) {
+    logger.error('Password reset request error', error);
+    throw error;
+  }
+};
+
+/**
+ * Define uma nova senha usando o token recebido por email
+ * @param {string} token - Token de redefinição (vindo do deep link)
+ * @param {string} password - Nova senha
+ * @returns {Promise<Object>} Resposta do servidor
+ */
+export const resetPassword = async (token, password) => {
+  try {
+    logger.debug('Redefinindo senha');
+    const response = await apiRequest(ENDPOINTS.auth.resetPassword, {
+      method: 'POST',
+      body: { token, password }
+    });
+    
+    logger.info('Password reset successful');
+    return response;
+  } catch (error) {
+    logger.error('Password reset error', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirma o email do usuário usando o token recebido por email
+ * @param {string} token - Token de verificação (vindo do deep link)
+ * @returns {Promise<Object>} Resposta do servidor
+ */
+export const verifyEmail = async (token) => {
+  try {
+    logger.debug('Verificando email');
+    const response = await apiRequest(ENDPOINTS.auth.verifyEmail, {
+      method: 'POST',
+      body: { token }
+    });
+    
+    logger.info('Email verified');
+    return response;
+  } catch (error) {
+    logger.error('Email verification error', error);
+    throw error;
+  }
+};
+
+/**
+ * Reenvia o email de verificação
+ * @param {string} email - Email da conta
+ * @returns {Promise<Object>} Resposta do servidor
+ */
+export const resendVerificationEmail = async (email) => {
+  try {
+    logger.debug('Reenviando email de verificação', { email });
+    const response = await apiRequest(ENDPOINTS.auth.resendVerification, {
+      method: 'POST',
+      body: { email }
+    });
+    
+    logger.info('Verification email resent');
+    return response;
+  } catch (error) {
+    logger.error('Resend verification error', error);
+    throw error;
+  }
+};
+
 /**
  * Valida token com o servidor
  * @param {string} token - Token JWT para validar
@@ -84,7 +174,7 @@ export const validateToken = async (token) => {
   try {
     logger.debug('Validando token com servidor');
     
-    const response = await apiRequest('/api/auth/mobile/validate', {
+    const response = await apiRequest(ENDPOINTS.auth.validate, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`
@@ -110,7 +200,7 @@ export const checkAuth = async (navigation) => {
     const token = await getToken();
     
     if (!token) {
-      console.log('Token não encontrado no AsyncStorage');
+      console.log('Token não encontrado');
       if (navigation) {
         navigation.reset({
           index: 0,
@@ -171,55 +261,39 @@ export const verifyTokenWithServer = async (token, navigation) => {
   }
 };
 
-// Tenta renovar o token
-export const refreshToken = async (oldToken, navigation) => {
+/**
+ * Renova o token de acesso usando o refresh token armazenado
+ * Requisições feitas durante a renovação aguardam na fila do apiClient
+ * @returns {Promise<string|null>} Novo token, ou null se a sessão não puder ser renovada
+ */
+export const refreshToken = async () => {
   try {
-    console.log('Tentando renovar o token...');
-    
-    // Por enquanto, vamos usar a validação do token
-    // Se a API não tiver endpoint de refresh, podemos implementar depois
-    const response = await validateToken(oldToken);
-    
-    if (response && response.valid) {
-      console.log('Token ainda válido');
-      return oldToken;
+    logger.debug('Tentando renovar o token');
+    const newToken = await refreshAccessToken();
+    logger.info('Token renovado com sucesso');
+    return newToken;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      // Refresh token ausente ou rejeitado: o usuário precisa fazer login novamente
+      logger.warn('Não foi possível renovar o token', error);
+      return null;
     }
     
-    // Se não conseguir validar, remove o token
-    console.log('Não foi possível renovar o token');
-    handleAuthFailure(navigation);
-    return null;
-  } catch (error) {
-    console.error('Error renewing token:', error);
+    logger.error('Error renewing token', error);
     throw error;
   }
 };
 
-// Função para gerar um token JWT
-export const generateJWT = (userData) => {
-  try {
-    // Esta função seria normalmente executada apenas no servidor
-    // Aqui é apenas para testes/demonstração
-    
-    const payload = {
-      id: userData.id,
-      name: userData.name,
-      email: userData.email,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24) // 24 horas
-    };
-    
-    // Esta implementação é simplificada e não segura para produção
-    // Normalmente seria feita no servidor com uma biblioteca como jsonwebtoken
-    const headerEncoded = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
-    const payloadEncoded = btoa(JSON.stringify(payload));
-    const signature = btoa(JWT_SECRET.substring(0, 10)); // Simulação de assinatura
-    
-    return `${headerEncoded}.${payloadEncoded}.${signature}`;
-  } catch (error) {
-    console.error('Error generating JWT:', error);
-    throw error;
+/**
+ * Carrega o módulo de autenticação simulada (src/dev/mockAuth.js)
+ * Disponível apenas em desenvolvimento; em builds de produção o require é removido do bundle
+ * @returns {Object|null} Módulo de mock auth ou null em produção
+ */
+export const getMockAuth = () => {
+  if (__DEV__) {
+    return require('../dev/mockAuth').default;
   }
+  return null;
 };
 
 // Função para tratar falha de autenticação
@@ -0,0 +1,108 @@
+/**
+ * Rascunhos do check-in diário
+ * Guarda no AsyncStorage as respostas ainda não enviadas de cada protocolo e dia, para que um
+ * questionário longo sobreviva ao app ir para o fundo ou ser encerrado pelo sistema
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../utils/logUtils';
+import { createSerialQueue } from '../utils/serialQueue';
+
+const logger = createLogger('CheckinDraftService');
+
+const DRAFTS_STORAGE_KEY = 'checkin_drafts';
+
+// Rascunhos mais antigos que isso já saíram da janela de edição de qualquer protocolo
+const MAX_DRAFT_AGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getDraftKey = (protocolId, date) => `${protocolId}:${date}`;
+
+class CheckinDraftService {
+  constructor() {
+    // Escritas serializadas: o modal salva a cada resposta alterada
+    this.runExclusive = createSerialQueue();
+  }
+
+  async readAll() {
+    try {
+      const stored = await AsyncStorage.getItem(DRAFTS_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      logger.error('Erro ao ler rascunhos do check-in:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Rascunho de um dia
+   * @param {string} protocolId - ID do protocolo
+   * @param {string} date - Dia no formato YYYY-MM-DD
+   * @returns {Promise<Object|null>} { responses, currentQuestionIndex, updatedAt } ou null
+   */
+  async getDraft(protocolId, date) {
+    const all = await this.readAll();
+    return all[getDraftKey(protocolId, date)] || null;
+  }
+
+  /**
+   * Salva o rascunho de um dia (respostas no formato da tela)
+   * @param {string} protocolId - ID do protocolo
+   * @param {string} date - Dia no formato YYYY-MM-DD
+   * @param {Object} draft - { responses, currentQuestionIndex }
+   */
+  async saveDraft(protocolId, date, draft) {
+    try {
+      await this.runExclusive(async () => {
+        const all = await this.readAll();
+        const cutoff = Date.now() - MAX_DRAFT_AGE_DAYS * DAY_MS;
+
+        // Aproveita a escrita para descartar rascunhos esquecidos
+        const kept = Object.fromEntries(
+          Object.entries(all).filter(([, item]) => new Date(item.updatedAt).getTime() >= cutoff)
+        );
+        kept[getDraftKey(protocolId, date)] = { ...draft, updatedAt: new Date().toISOString() };
+
+        await AsyncStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(kept));
+      });
+    } catch (error) {
+      logger.error('Erro ao salvar rascunho do check-in:', error);
+    }
+  }
+
+  /**
+   * Apaga o rascunho de um dia (check-in enviado ou descartado)
+   * @param {string} protocolId - ID do protocolo
+   * @param {string} date - Dia no formato YYYY-MM-DD
+   */
+  async clearDraft(protocolId, date) {
+    try {
+      await this.runExclusive(async () => {
+        const all = await this.readAll();
+        const key = getDraftKey(protocolId, date);
+        if (!all[key]) return;
+
+        delete all[key];
+        await AsyncStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(all));
+      });
+    } catch (error) {
+      logger.error('Erro ao apagar rascunho do check-in:', error);
+    }
+  }
+
+  /**
+   * Apaga todos os rascunhos (usado no logout)
+   */
+  async clear() {
+    try {
+      await this.runExclusive(() => AsyncStorage.removeItem(DRAFTS_STORAGE_KEY));
+      logger.info('Rascunhos do check-in limpos');
+    } catch (error) {
+      logger.error('Erro ao limpar rascunhos do check-in:', error);
+    }
+  }
+}
+
+// Criar instância singleton
+const checkinDraftService = new CheckinDraftService();
+
+export default checkinDraftService;
@@ -0,0 +1,429 @@
+/**
+ * Downloads de cursos para uso offline
+ * Guarda no aparelho os módulos do curso (metadados e textos das aulas) e as mídias que não são do YouTube,
+ * para que o paciente continue as aulas sem conexão
+ */
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
+import { createLogger } from '../utils/logUtils';
+import { createSerialQueue } from '../utils/serialQueue';
+import { InsufficientStorageError } from '../utils/errorHandler';
+import { LESSON_CONTENT_TYPES, getLessonMediaUrl, getLessonContentType } from '../utils/lessonContent';
+
+const logger = createLogger('CourseDownloadService');
+
+const DOWNLOADS_STORAGE_KEY = 'course_downloads';
+const DOWNLOADS_DIRECTORY = `${FileSystem.documentDirectory}course-downloads/`;
+
+// Espaço livre mantido no aparelho; o download para antes de passar deste limite
+export const MIN_FREE_SPACE_BYTES = 200 * 1024 * 1024;
+
+export const DOWNLOAD_STATUS = {
+  DOWNLOADING: 'downloading',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FILE_EXTENSIONS = {
+  [LESSON_CONTENT_TYPES.VIDEO]: 'mp4',
+  [LESSON_CONTENT_TYPES.AUDIO]: 'mp3',
+  [LESSON_CONTENT_TYPES.PDF]: 'pdf',
+};
+
+/**
+ * Formata bytes como KB/MB/GB
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string} Tamanho formatado
+ */
+export const formatBytes = (bytes) => {
+  const value = Math.max(0, bytes || 0);
+  if (value < 1024 * 1024) return `${Math.round(value / 1024)} KB`;
+  if (value < 1024 * 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(value / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+/**
+ * Se a mídia da aula pode ser guardada como arquivo
+ * YouTube e streams HLS (.m3u8, uma playlist de segmentos) continuam só online;
+ * no Android o PDF é exibido pelo visualizador do Google Docs, que não lê arquivos locais
+ * @param {Object} lesson - Aula
+ * @returns {boolean}
+ */
+export const isDownloadableLesson = (lesson) => {
+  const contentType = getLessonContentType(lesson);
+  const url = getLessonMediaUrl(lesson, { remote: true });
+
+  if (!url || !FILE_EXTENSIONS[contentType]) return false;
+  if (/\.m3u8($|[?#])/i.test(url)) return false;
+  if (contentType === LESSON_CONTENT_TYPES.PDF && Platform.OS === 'android') return false;
+
+  return true;
+};
+
+const getFileExtension = (lesson) => {
+  const match = getLessonMediaUrl(lesson, { remote: true }).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : FILE_EXTENSIONS[getLessonContentType(lesson)];
+};
+
+class CourseDownloadService {
+  constructor() {
+    this.listeners = [];
+    // Downloads em andamento: { [courseId]: { resumable, cancelled, progress } }
+    this.active = {};
+    this.runExclusive = createSerialQueue();
+  }
+
+  async readAll() {
+    try {
+      const stored = await AsyncStorage.getItem(DOWNLOADS_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      logger.error('Erro ao ler downloads:', error);
+      return {};
+    }
+  }
+
+  updateDownload(courseId, changeDownload) {
+    return this.runExclusive(async () => {
+      const all = await this.readAll();
+      const updated = changeDownload(all[courseId] || null);
+
+      if (updated) {
+        all[courseId] = { ...updated, updatedAt: new Date().toISOString() };
+      } else {
+        delete all[courseId];
+      }
+
+      await AsyncStorage.setItem(DOWNLOADS_STORAGE_KEY, JSON.stringify(all));
+      return all[courseId] || null;
+    });
+  }
+
+  /**
+   * Registra um listener de progresso
+   * @param {Function} listener - Recebe { courseId, status, progress, completedFiles, totalFiles, moduleId }
+   * @returns {Function} Função para remover o listener
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('Erro em listener de download:', error);
+      }
+    });
+  }
+
+  /**
+   * Progresso dos downloads em andamento
+   * @returns {Object} { [courseId]: { status, progress, completedFiles, totalFiles, moduleId } }
+   */
+  getActiveDownloads() {
+    return Object.fromEntries(
+      Object.entries(this.active).map(([courseId, task]) => [courseId, task.progress])
+    );
+  }
+
+  /**
+   * Cursos guardados no aparelho
+   * @returns {Promise<Object>} { [courseId]: download }
+   */
+  async getDownloads() {
+    return this.readAll();
+  }
+
+  /**
+   * Curso guardado, com as aulas apontando para os arquivos locais
+   * @param {string} courseId - ID do curso
+   * @returns {Promise<Object|null>} Curso no mesmo formato da API ou null
+   */
+  async getOfflineCourse(courseId) {
+    const all = await this.readAll();
+    const download = all[courseId];
+    return download?.course ? this.applyLocalMedia(download, download.course) : null;
+  }
+
+  /**
+   * Aponta as aulas de um curso carregado da API para as mídias já baixadas
+   * @param {Object} download - Registro do download
+   * @param {Object} course - Curso
+   * @returns {Object} Curso com lesson.localUri nas aulas baixadas
+   */
+  applyLocalMedia(download, course) {
+    if (!download?.files || !course) return course;
+
+    return {
+      ...course,
+      modules: course.modules?.map(module => ({
+        ...module,
+        lessons: module.lessons?.map(lesson => (
+          download.files[lesson.id]
+            ? { ...lesson, localUri: download.files[lesson.id].uri }
+            : lesson
+        ))
+      }))
+    };
+  }
+
+  /**
+   * Curso carregado da API combinado com as mídias baixadas (se houver)
+   * @param {string} courseId - ID do curso
+   * @param {Object} course - Curso retornado pela API
+   * @returns {Promise<Object>} Curso
+   */
+  async withLocalMedia(courseId, course) {
+    const all = await this.readAll();
+    return this.applyLocalMedia(all[courseId], course);
+  }
+
+  /**
+   * Uso de armazenamento pelos downloads e espaço livre no aparelho
+   * @returns {Promise<Object>} { usedBytes, freeBytes, totalBytes, courseCount }
+   */
+  async getStorageUsage() {
+    const all = await this.readAll();
+    const usedBytes = Object.values(all).reduce((total, download) => total + (download.sizeBytes || 0), 0);
+
+    let freeBytes = null;
+    let totalBytes = null;
+    try {
+      [freeBytes, totalBytes] = await Promise.all([
+        FileSystem.getFreeDiskStorageAsync(),
+        FileSystem.getTotalDiskCapacityAsync(),
+      ]);
+    } catch (error) {
+      logger.warn('Não foi possível ler o espaço livre do aparelho', error);
+    }
+
+    return { usedBytes, freeBytes, totalBytes, courseCount: Object.keys(all).length };
+  }
+
+  async ensureFreeSpace() {
+    const freeBytes = await FileSystem.getFreeDiskStorageAsync();
+    if (freeBytes < MIN_FREE_SPACE_BYTES) {
+      throw new InsufficientStorageError(freeBytes);
+    }
+  }
+
+  async fetchCourse({ courseId, isProtocolCourse, protocolId }) {
+    const endpoint = isProtocolCourse
+      ? ENDPOINTS.courses.protocolModules(protocolId, courseId)
+      : ENDPOINTS.courses.modules(courseId);
+
+    const response = await apiClient.get(endpoint);
+    if (!response.success || !response.course) {
+      throw new Error('Failed to load course modules');
+    }
+    return response.course;
+  }
+
+  setProgress(courseId, progress) {
+    const task = this.active[courseId];
+    if (!task) return;
+
+    task.progress = { ...task.progress, ...progress };
+    this.notify({ courseId, ...task.progress });
+  }
+
+  /**
+   * Baixa um curso inteiro ou um módulo
+   * Os metadados e textos de todos os módulos são guardados; as mídias, só do que foi pedido
+   * @param {Object} context - { courseId, courseTitle, coverImage, isProtocolCourse, protocolId, protocolName }
+   * @param {Object} [options]
+   * @param {string} [options.moduleId] - Baixa apenas as mídias deste módulo
+   * @returns {Promise<Object>} Registro do download
+   */
+  async downloadCourse(context, { moduleId = null } = {}) {
+    const { courseId } = context;
+
+    if (this.active[courseId]) {
+      logger.warn('Download já em andamento', { courseId });
+      return null;
+    }
+
+    this.active[courseId] = {
+      resumable: null,
+      cancelled: false,
+      progress: { status: DOWNLOAD_STATUS.DOWNLOADING, progress: 0, completedFiles: 0, totalFiles: 0, moduleId }
+    };
+    this.notify({ courseId, ...this.active[courseId].progress });
+
+    const courseDirectory = `${DOWNLOADS_DIRECTORY}${courseId}/`;
+
+    try {
+      await this.ensureFreeSpace();
+
+      const course = await this.fetchCourse(context);
+      const modules = (course.modules || []).filter(module => !moduleId || module.id === moduleId);
+      const lessons = modules
+        .flatMap(module => module.lessons || [])
+        .filter(isDownloadableLesson);
+
+      logger.info('Iniciando download do curso', { courseId, moduleId, files: lessons.length });
+
+      await FileSystem.makeDirectoryAsync(courseDirectory, { intermediates: true });
+
+      const stored = (await this.readAll())[courseId];
+      const files = { ...(stored?.files || {}) };
+      let completedFiles = 0;
+
+      this.setProgress(courseId, { totalFiles: lessons.length });
+
+      for (const lesson of lessons) {
+        if (this.active[courseId]?.cancelled) break;
+
+        const mediaUrl = getLessonMediaUrl(lesson, { remote: true });
+
+        // Arquivo já baixado da mesma URL
+        if (files[lesson.id]?.sourceUrl === mediaUrl) {
+          const info = await FileSystem.getInfoAsync(files[lesson.id].uri);
+          if (info.exists) {
+            completedFiles += 1;
+            this.setProgress(courseId, { completedFiles, progress: completedFiles / lessons.length });
+            continue;
+          }
+        }
+
+        await this.ensureFreeSpace();
+
+        const fileUri = `${courseDirectory}${lesson.id}.${getFileExtension(lesson)}`;
+        const resumable = FileSystem.createDownloadResumable(mediaUrl, fileUri, {}, ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+          const fileProgress = totalBytesExpectedToWrite > 0 ? totalBytesWritten / totalBytesExpectedToWrite : 0;
+          this.setProgress(courseId, { progress: (completedFiles + fileProgress) / lessons.length });
+        });
+        this.active[courseId].resumable = resumable;
+
+        const result = await resumable.downloadAsync();
+        // Cancelado durante o download
+        if (!result) break;
+        if (result.status >= 400) {
+          throw new Error(`Download failed with status ${result.status}`);
+        }
+
+        const info = await FileSystem.getInfoAsync(result.uri);
+        files[lesson.id] = {
+          uri: result.uri,
+          sourceUrl: mediaUrl,
+          sizeBytes: info.size || 0,
+          moduleId: modules.find(module => module.lessons?.some(l => l.id === lesson.id))?.id || null,
+        };
+
+        completedFiles += 1;
+        this.setProgress(courseId, { completedFiles, progress: completedFiles / lessons.length });
+      }
+
+      const cancelled = this.active[courseId]?.cancelled;
+      const downloadedModuleIds = cancelled
+        ? stored?.downloadedModuleIds || []
+        : [...new Set([...(stored?.downloadedModuleIds || []), ...modules.map(module => module.id)])];
+
+      const download = await this.updateDownload(courseId, () => ({
+        ...context,
+        course,
+        files,
+        downloadedModuleIds,
+        isFullCourse: !cancelled && (!moduleId || downloadedModuleIds.length >= (course.modules?.length || 0)),
+        sizeBytes: Object.values(files).reduce((total, file) => total + (file.sizeBytes || 0), 0),
+        downloadedAt: stored?.downloadedAt || new Date().toISOString(),
+      }));
+
+      const status = cancelled ? DOWNLOAD_STATUS.CANCELLED : DOWNLOAD_STATUS.COMPLETED;
+      logger.info('Download do curso finalizado', { courseId, moduleId, status, sizeBytes: download.sizeBytes });
+
+      delete this.active[courseId];
+      this.notify({ courseId, moduleId, status, progress: cancelled ? 0 : 1, download });
+      return download;
+    } catch (error) {
+      logger.error('Erro ao baixar curso:', { courseId, moduleId, error: error.message });
+
+      delete this.active[courseId];
+      this.notify({ courseId, moduleId, status: DOWNLOAD_STATUS.FAILED, progress: 0, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela o download em andamento (os arquivos já concluídos são mantidos)
+   * @param {string} courseId - ID do curso
+   */
+  async cancelDownload(courseId) {
+    const task = this.active[courseId];
+    if (!task) return;
+
+    task.cancelled = true;
+    try {
+      await task.resumable?.cancelAsync();
+    } catch (error) {
+      logger.warn('Erro ao cancelar download', error);
+    }
+  }
+
+  /**
+   * Remove o curso baixado e seus arquivos
+   * @param {string} courseId - ID do curso
+   */
+  async removeDownload(courseId) {
+    await this.cancelDownload(courseId);
+
+    try {
+      await FileSystem.deleteAsync(`${DOWNLOADS_DIRECTORY}${courseId}/`, { idempotent: true });
+    } catch (error) {
+      logger.warn('Erro ao apagar arquivos do curso', error);
+    }
+
+    await this.updateDownload(courseId, () => null);
+    logger.info('Download do curso removido', { courseId });
+    this.notify({ courseId, status: null, progress: 0 });
+  }
+
+  /**
+   * Marca a aula como concluída na cópia offline do curso
+   * O envio ao servidor fica com a fila offline (offlineQueue)
+   * @param {string} courseId - ID do curso
+   * @param {string} lessonId - ID da aula
+   */
+  async markLessonCompleted(courseId, lessonId) {
+    await this.updateDownload(courseId, (download) => download && {
+      ...download,
+      course: {
+        ...download.course,
+        modules: download.course.modules?.map(module => ({
+          ...module,
+          lessons: module.lessons?.map(lesson =>
+            lesson.id === lessonId ? { ...lesson, completed: true } : lesson
+          )
+        }))
+      }
+    });
+  }
+
+  /**
+   * Apaga todos os cursos baixados (usado no logout)
+   */
+  async clear() {
+    try {
+      await Promise.all(Object.keys(this.active).map(courseId => this.cancelDownload(courseId)));
+      await FileSystem.deleteAsync(DOWNLOADS_DIRECTORY, { idempotent: true });
+      await this.runExclusive(() => AsyncStorage.removeItem(DOWNLOADS_STORAGE_KEY));
+      logger.info('Downloads de cursos apagados');
+    } catch (error) {
+      logger.error('Erro ao apagar downloads de cursos:', error);
+    }
+  }
+}
+
+// Criar instância singleton
+const courseDownloadService = new CourseDownloadService();
+
+export default courseDownloadService;
@@ -1,17 +1,43 @@
 import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
 import { createLogger } from '../utils/logUtils';
 
 const logger = createLogger('DailyCheckinService');
 
+/**
+ * @typedef {import('../types/api').CheckinQuestionsResponse} CheckinQuestionsResponse
+ * @typedef {import('../types/api').CheckinSubmitResponse} CheckinSubmitResponse
+ * @typedef {import('../types/api').CheckinAnswer} CheckinAnswer
+ * @typedef {import('../types/api').CheckinHistoryResponse} CheckinHistoryResponse
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Se o check-in de um dia ainda pode ser preenchido ou editado pelo paciente
+ * A janela é definida pelo médico no protocolo (0 = só o dia de hoje); a API valida de novo ao salvar
+ * @param {string} dateKey - Dia no formato YYYY-MM-DD
+ * @param {number} editWindowDays - Dias para trás que o paciente pode editar
+ * @param {string} todayKey - Hoje no formato YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isWithinEditWindow = (dateKey, editWindowDays, todayKey) => {
+  if (dateKey > todayKey) return false;
+  const daysAgo = Math.round((new Date(`${todayKey}T12:00:00`) - new Date(`${dateKey}T12:00:00`)) / DAY_MS);
+  return daysAgo <= (editWindowDays || 0);
+};
+
 class DailyCheckinService {
-  // Buscar perguntas e status do check-in
+  /**
+   * Buscar perguntas e status do check-in
+   * @param {string} protocolId - ID do protocolo (não da prescrição)
+   * @param {string} [date] - Data no formato YYYY-MM-DD (padrão: hoje no servidor)
+   * @returns {Promise<Pick<CheckinQuestionsResponse, 'questions' | 'hasCheckinToday' | 'existingResponses' | 'date'>>}
+   */
   async getCheckinData(protocolId, date = null) {
     try {
-      const dateParam = date ? `&date=${date}` : '';
-      const url = `/api/v2/patients/checkin-questions?protocolId=${protocolId}${dateParam}`;
-      
       logger.debug('Buscando dados do check-in', { protocolId, date });
-      const response = await apiClient.get(url);
+      const response = await apiClient.get(ENDPOINTS.checkins.questions, { protocolId, date });
       
       logger.info('Dados do check-in carregados', { 
         questionsCount: response.questions?.length || 0,
@@ -30,21 +56,97 @@ class DailyCheckinService {
     }
   }
 
-  // Submeter respostas do check-in
-  async submitCheckin(protocolId, responses) {
+  /**
+   * Buscar os check-ins de um período
+   * @param {string} protocolId - ID do protocolo (não da prescrição)
+   * @param {Object} range - Período
+   * @param {string} range.from - Data inicial (YYYY-MM-DD)
+   * @param {string} range.to - Data final (YYYY-MM-DD)
+   * @returns {Promise<Pick<CheckinHistoryResponse, 'questions' | 'checkins' | 'editWindowDays'>>}
+   */
+  async getCheckinHistory(protocolId, { from, to }) {
+    try {
+      logger.debug('Buscando histórico do check-in', { protocolId, from, to });
+      const response = await apiClient.get(ENDPOINTS.checkins.history, { protocolId, from, to });
+
+      logger.info('Histórico do check-in carregado', {
+        checkinsCount: response.checkins?.length || 0,
+        editWindowDays: response.editWindowDays
+      });
+
+      return {
+        questions: response.questions || [],
+        checkins: response.checkins || [],
+        editWindowDays: response.editWindowDays || 0
+      };
+    } catch (error) {
+      logger.error('Erro ao buscar histórico do check-in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar a foto de uma pergunta do tipo PHOTO
+   * Upload multipart não entra na fila offline: sem conexão o erro sobe para a tela
+   * @param {string} protocolId - ID do protocolo
+   * @param {string} questionId - ID da pergunta
+   * @param {Object} photo - Foto local ({ uri, fileName, mimeType })
+   * @returns {Promise<string>} URL da foto, usada como resposta da pergunta
+   */
+  async uploadPhoto(protocolId, questionId, photo) {
+    try {
+      logger.debug('Enviando foto do check-in', { protocolId, questionId });
+
+      const formData = new FormData();
+      formData.append('protocolId', protocolId);
+      formData.append('questionId', questionId);
+      formData.append('file', {
+        uri: photo.uri,
+        name: photo.fileName || `checkin-${questionId}-${Date.now()}.jpg`,
+        type: photo.mimeType || 'image/jpeg'
+      });
+
+      const response = await apiClient.post(ENDPOINTS.checkins.attachments, formData);
+      const fileUrl = response.attachment?.fileUrl || response.fileUrl;
+
+      if (!response.success || !fileUrl) {
+        throw new Error(response.error || 'Erro ao enviar a foto');
+      }
+
+      logger.info('Foto do check-in enviada', { questionId });
+      return fileUrl;
+    } catch (error) {
+      logger.error('Erro ao enviar foto do check-in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submeter respostas do check-in
+   * @param {string} protocolId - ID do protocolo
+   * @param {CheckinAnswer[]} responses - Respostas
+   * @param {import('../types/api').ApiRequestOptions & { date?: string }} [options] - date (YYYY-MM-DD) para
+   *   preencher ou editar um dia anterior; o resto é repassado ao apiClient (ex.: queue para a fila offline)
+   * @returns {Promise<Pick<CheckinSubmitResponse, 'success' | 'message' | 'responses'>>}
+   */
+  async submitCheckin(protocolId, responses, options = {}) {
+    const { date, ...requestOptions } = options;
+
     try {
       logger.debug('Submetendo check-in', { 
         protocolId, 
+        date,
         responsesCount: responses.length 
       });
       
-      const response = await apiClient.post('/api/v2/patients/checkin-responses', {
+      const response = await apiClient.post(ENDPOINTS.checkins.responses, {
         protocolId,
+        ...(date && { date }),
         responses: responses.map(r => ({
           questionId: r.questionId,
           answer: r.answer
         }))
-      });
+      }, requestOptions);
       
       logger.info('Check-in submetido com sucesso', {
         isUpdate: response.isUpdate,
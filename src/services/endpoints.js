@@ -0,0 +1,108 @@
+/**
+ * Registro único dos endpoints da API
+ * Telas e serviços não devem montar caminhos "/api/..." diretamente; rotas com parâmetros são funções
+ */
+
+const encode = (value) => encodeURIComponent(String(value));
+
+export const ENDPOINTS = {
+  auth: {
+    login: '/api/auth/mobile/login',
+    register: '/api/auth/mobile/register',
+    refresh: '/api/auth/mobile/refresh',
+    validate: '/api/auth/mobile/validate',
+    forgotPassword: '/api/auth/mobile/forgot-password',
+    resetPassword: '/api/auth/mobile/reset-password',
+    verifyEmail: '/api/auth/mobile/verify-email',
+    resendVerification: '/api/auth/mobile/resend-verification',
+  },
+
+  profile: {
+    user: '/api/user/profile',
+    patient: '/api/patient/profile',
+    summary: '/api/patient/summary',
+  },
+
+  // Prescrições do paciente (API v2)
+  prescriptions: {
+    list: '/api/v2/patients/prescriptions',
+    detail: (prescriptionId) => `/api/v2/patients/prescriptions/${encode(prescriptionId)}`,
+    start: (prescriptionId) => `/api/v2/patients/prescriptions/${encode(prescriptionId)}/start`,
+    progress: (prescriptionId) => `/api/v2/patients/prescriptions/${encode(prescriptionId)}/progress`,
+    toggleProgress: (prescriptionId, progressId) =>
+      `/api/v2/patients/prescriptions/${encode(prescriptionId)}/progress/${encode(progressId)}/toggle`,
+    // Hábitos recomendados pelo médico no protocolo da prescrição
+    habitTemplates: (prescriptionId) => `/api/v2/patients/prescriptions/${encode(prescriptionId)}/habit-templates`,
+  },
+
+  // Rotas anteriores à API v2, ainda usadas por algumas telas
+  assignments: {
+    list: '/api/protocols/assignments',
+    detail: (assignmentId) => `/api/protocols/assignments/${encode(assignmentId)}`,
+    start: (assignmentId) => `/api/protocols/assignments/${encode(assignmentId)}/start`,
+    checkinStatus: (assignmentId) => `/api/protocols/assignments/${encode(assignmentId)}/checkin/status`,
+    startPrescription: (protocolId, prescriptionId) =>
+      `/api/protocols/${encode(protocolId)}/prescriptions/${encode(prescriptionId)}/start`,
+    prescriptionProgress: (protocolId, prescriptionId) =>
+      `/api/protocols/${encode(protocolId)}/prescriptions/${encode(prescriptionId)}/progress`,
+    completeTask: (prescriptionId, taskId) =>
+      `/api/protocols/prescriptions/${encode(prescriptionId)}/tasks/${encode(taskId)}/complete`,
+  },
+
+  checkins: {
+    questions: '/api/v2/patients/checkin-questions',
+    responses: '/api/v2/patients/checkin-responses',
+    // Check-ins de um período com a janela de edição definida pelo médico
+    history: '/api/v2/patients/checkin-responses/history',
+    // Fotos das perguntas do tipo PHOTO (multipart, enviadas antes das respostas)
+    attachments: '/api/v2/patients/checkin-attachments',
+  },
+
+  courses: {
+    list: '/api/v2/patients/courses',
+    modules: (courseId) => `/api/v2/patients/courses/${encode(courseId)}/modules`,
+    byProtocol: (protocolId) => `/api/v2/patients/protocols/${encode(protocolId)}/courses`,
+    protocolModules: (protocolId, courseId) =>
+      `/api/v2/patients/protocols/${encode(protocolId)}/courses/${encode(courseId)}/modules`,
+    completeLesson: (protocolId, courseId, lessonId) =>
+      `/api/v2/patients/protocols/${encode(protocolId)}/courses/${encode(courseId)}/lessons/${encode(lessonId)}/complete`,
+    // Resultados de quizzes e demais eventos de progresso do curso
+    progress: (courseId) => `/api/v2/patients/courses/${encode(courseId)}/progress`,
+  },
+
+  habits: {
+    list: '/api/mobile/habits',
+    detail: (habitId) => `/api/mobile/habits/${encode(habitId)}`,
+    progress: '/api/mobile/habits/progress',
+    categories: '/api/mobile/habits/categories',
+    category: (categoryId) => `/api/mobile/habits/categories/${encode(categoryId)}`,
+    categoriesOrder: '/api/mobile/habits/categories/order',
+  },
+
+  symptomReports: {
+    list: '/api/mobile/symptom-reports',
+    // Catálogo de sintomas do protocolo (busca e mapa do corpo no relatório)
+    catalogue: '/api/mobile/symptom-catalogue',
+  },
+
+  referrals: {
+    patient: '/api/referrals/patient',
+    create: '/api/referrals/create',
+    fromProtocol: '/api/v2/patients/referrals',
+  },
+
+  leads: {
+    list: '/api/leads',
+    detail: (leadId) => `/api/leads/${encode(leadId)}`,
+    notes: (leadId) => `/api/leads/${encode(leadId)}/notes`,
+  },
+
+  indications: {
+    list: '/api/indications',
+    detail: (slug) => `/api/indications/${encode(slug)}`,
+    stats: '/api/indications/stats',
+    generateLink: '/api/indications/generate-link',
+  },
+};
+
+export default ENDPOINTS;
@@ -1,23 +1,172 @@
 import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
 import { createLogger } from '../utils/logUtils';
+import { toLocalDateKey } from '../utils/dateUtils';
 
 const logger = createLogger('HabitService');
 
+/**
+ * @typedef {import('../types/api').Habit} Habit
+ * @typedef {import('../types/api').HabitInput} HabitInput
+ * @typedef {import('../types/api').HabitProgress} HabitProgress
+ * @typedef {import('../types/api').HabitSchedule} HabitSchedule
+ * @typedef {import('../types/api').HabitGoal} HabitGoal
+ * @typedef {import('../types/api').HabitCategory} HabitCategory
+ * @typedef {import('../types/api').HabitTemplate} HabitTemplate
+ */
+
+// Frequências de um hábito; hábitos sem schedule são diários
+export const HABIT_FREQUENCIES = {
+  DAILY: 'DAILY',
+  TIMES_PER_WEEK: 'TIMES_PER_WEEK',
+  WEEKDAYS: 'WEEKDAYS',
+  EVERY_N_DAYS: 'EVERY_N_DAYS',
+};
+
+// Situação de um dia na grade do hábito
+export const HABIT_DAY_STATUS = {
+  COMPLETED: 'completed',
+  // Previsto para hoje (ou semana ainda em andamento, na meta semanal) e não feito
+  PENDING: 'pending',
+  MISSED: 'missed',
+  NOT_DUE: 'not_due',
+  UPCOMING: 'upcoming',
+};
+
+export const DEFAULT_HABIT_SCHEDULE = { frequency: HABIT_FREQUENCIES.DAILY };
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Categorias de quem ainda não criou as próprias (ids usados pelos hábitos antigos)
+// isLocal: só existem no aparelho; antes de qualquer edição são criadas na API (saveLocalCategories)
+export const DEFAULT_HABIT_CATEGORIES = [
+  { id: 'personal', name: 'Personal', color: '#1697F5', order: 0, isLocal: true },
+  { id: 'health', name: 'Health', color: '#4ade80', order: 1, isLocal: true },
+  { id: 'work', name: 'Work', color: '#f59e0b', order: 2, isLocal: true },
+];
+
+// Paleta oferecida ao criar/editar uma categoria
+export const HABIT_CATEGORY_COLORS = [
+  '#1697F5', '#4ade80', '#f59e0b', '#ef4444', '#8B5CF6', '#ec4899', '#14b8a6', '#94a3b8',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limite de dias percorridos no cálculo das sequências (histórico carregado é de poucos meses)
+const MAX_HISTORY_DAYS = 366;
+
+// Mesma chave de data usada no progresso enviado à API
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// startDate da agenda é uma data local (YYYY-MM-DD); new Date('YYYY-MM-DD') seria meia-noite UTC,
+// que no Brasil cai no dia anterior. Agendas antigas podem trazer um timestamp completo
+const parseScheduleDate = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value)
+);
+
+/**
+ * Agenda do hábito com valores padrão preenchidos
+ * @param {Habit} habit - Hábito
+ * @returns {HabitSchedule} { frequency, timesPerWeek, weekdays, intervalDays, startDate }
+ */
+export const getHabitSchedule = (habit) => {
+  const schedule = { ...DEFAULT_HABIT_SCHEDULE, ...habit?.schedule };
+
+  return {
+    ...schedule,
+    timesPerWeek: Math.min(7, Math.max(1, Number(schedule.timesPerWeek) || 3)),
+    weekdays: Array.isArray(schedule.weekdays) ? schedule.weekdays : [],
+    intervalDays: Math.max(2, Number(schedule.intervalDays) || 2),
+    // Hábitos antigos contam a partir do dia (local) de criação; a API espera YYYY-MM-DD
+    startDate: schedule.startDate || (habit?.createdAt ? toLocalDateKey(new Date(habit.createdAt)) : null),
+  };
+};
+
+/**
+ * Acrescenta as categorias padrão que algum hábito ainda usa e que não estão na lista
+ * (hábitos antigos continuam com 'personal', 'health' ou 'work' depois que o usuário cria as próprias)
+ * @param {HabitCategory[]} categories - Categorias carregadas
+ * @param {Habit[]} habits - Hábitos do usuário
+ * @returns {HabitCategory[]}
+ */
+export const withReferencedDefaultCategories = (categories, habits) => {
+  const missing = DEFAULT_HABIT_CATEGORIES.filter(defaultCategory =>
+    !categories.some(category => category.id === defaultCategory.id) &&
+    (habits || []).some(habit => habit.category === defaultCategory.id)
+  );
+  return missing.length > 0 ? [...categories, ...missing] : categories;
+};
+
+/**
+ * Meta numérica do hábito (ex.: 2 L de água, 8000 passos); null para hábitos de marcar/desmarcar
+ * @param {Habit} habit - Hábito
+ * @returns {Object|null} { target, unit, step }
+ */
+export const getHabitGoal = (habit) => {
+  const target = Number(habit?.goal?.target);
+  if (!(target > 0)) return null;
+
+  return {
+    target,
+    unit: habit.goal.unit || '',
+    step: Number(habit.goal.step) > 0 ? Number(habit.goal.step) : getDefaultGoalStep(target),
+  };
+};
+
+/**
+ * Passo sugerido para o stepper de uma meta (8000 passos → 100, 8 h → 0.5)
+ * @param {number} target - Valor da meta
+ * @returns {number}
+ */
+export const getDefaultGoalStep = (target) => {
+  if (target >= 100) return Math.pow(10, Math.floor(Math.log10(target)) - 1);
+  return target >= 10 ? 1 : 0.5;
+};
+
+/**
+ * Formata um valor da meta sem casas decimais desnecessárias (1.5, 8000)
+ * @param {number} value - Valor
+ * @returns {string}
+ */
+export const formatGoalValue = (value) => String(Math.round((Number(value) || 0) * 100) / 100);
+
+/**
+ * Descrição curta da agenda (ex.: "3x per week", "Mon, Wed, Fri")
+ * @param {HabitSchedule} schedule - Agenda (ver getHabitSchedule)
+ * @returns {string}
+ */
+export const describeHabitSchedule = (schedule) => {
+  switch (schedule?.frequency) {
+    case HABIT_FREQUENCIES.TIMES_PER_WEEK:
+      return `${schedule.timesPerWeek}x per week`;
+    case HABIT_FREQUENCIES.WEEKDAYS:
+      return schedule.weekdays.length
+        ? [...schedule.weekdays].sort().map(day => WEEKDAY_LABELS[day]).join(', ')
+        : 'No days selected';
+    case HABIT_FREQUENCIES.EVERY_N_DAYS:
+      return `Every ${schedule.intervalDays} days`;
+    default:
+      return 'Every day';
+  }
+};
+
 class HabitService {
   /**
    * Listar hábitos do usuário
    * @param {string} month - Mês para filtrar (formato ISO)
-   * @returns {Promise<Array>} Lista de hábitos
+   * @returns {Promise<Habit[]>} Lista de hábitos
    */
   async getHabits(month = null) {
     try {
-      let url = '/api/mobile/habits';
-      if (month) {
-        url += `?month=${month}`;
-      }
-      
       logger.debug('Buscando hábitos', { month });
-      const response = await apiClient.get(url);
+      const response = await apiClient.get(ENDPOINTS.habits.list, { month });
       
       if (response.success && Array.isArray(response.habits)) {
         logger.info('Hábitos carregados com sucesso', { 
@@ -35,18 +184,293 @@ class HabitService {
     }
   }
 
+  /**
+   * Listar hábitos com o progresso dos últimos meses (usado nas estatísticas e sequências)
+   * A API devolve o progresso mês a mês; os meses são buscados em paralelo e unidos por hábito
+   * @param {number} months - Quantidade de meses, contando o atual
+   * @returns {Promise<Habit[]>} Hábitos do mês atual com o progresso de todo o período; historyFrom
+   * marca o primeiro dia buscado, antes dele não há como saber se o hábito foi feito
+   */
+  async getHabitsWithHistory(months = 3) {
+    const now = new Date();
+    // Meio do mês, para a data em ISO não cair no mês vizinho pelo fuso horário
+    const monthDates = Array.from({ length: months }, (_, index) =>
+      new Date(now.getFullYear(), now.getMonth() - index, 15)
+    );
+    const historyFrom = new Date(now.getFullYear(), now.getMonth() - (months - 1), 1).toISOString();
+
+    const [current, ...previous] = await Promise.all(
+      monthDates.map(monthDate => this.getHabits(monthDate.toISOString()))
+    );
+
+    return current.map(habit => {
+      const progressByDate = {};
+      [habit, ...previous.map(list => list.find(item => item.id === habit.id))]
+        .filter(Boolean)
+        .forEach(item => (item.progress || []).forEach(entry => {
+          if (!progressByDate[entry.date]) progressByDate[entry.date] = entry;
+        }));
+
+      return { ...habit, progress: Object.values(progressByDate), historyFrom };
+    });
+  }
+
+  /**
+   * Listar categorias de hábitos do usuário, na ordem escolhida por ele
+   * @returns {Promise<HabitCategory[]>} Categorias (as padrão enquanto o usuário não tiver nenhuma)
+   */
+  async getCategories() {
+    try {
+      logger.debug('Buscando categorias de hábitos');
+      const response = await apiClient.get(ENDPOINTS.habits.categories);
+
+      if (response.success && Array.isArray(response.categories) && response.categories.length > 0) {
+        return [...response.categories].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+      }
+
+      return DEFAULT_HABIT_CATEGORIES;
+    } catch (error) {
+      logger.error('Erro ao carregar categorias de hábitos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Criar categoria de hábitos (entra no fim da lista)
+   * @param {Object} categoryData - { name, color, order }
+   * @returns {Promise<HabitCategory>} Categoria criada
+   */
+  async createCategory(categoryData) {
+    try {
+      logger.debug('Criando categoria de hábitos', categoryData);
+
+      const response = await apiClient.post(ENDPOINTS.habits.categories, categoryData);
+
+      if (response.success && response.category) {
+        logger.info('Categoria criada com sucesso', { categoryId: response.category.id });
+        return response.category;
+      } else {
+        logger.error('Erro na resposta da API ao criar categoria', response);
+        throw new Error(response.error || 'Erro ao criar categoria');
+      }
+    } catch (error) {
+      logger.error('Erro ao criar categoria:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria na API as categorias que só existem no aparelho (isLocal) e move para elas os hábitos
+   * que usavam o id local; chamado antes da primeira edição para nunca enviar ids inexistentes
+   * Cada categoria criada é repassada a onProgress, então uma nova chamada depois de uma falha
+   * no meio retoma de onde parou: a categoria já criada (mesmo nome) é reaproveitada, não duplicada
+   * @param {HabitCategory[]} categories - Categorias na ordem atual
+   * @param {Habit[]} habits - Hábitos do usuário
+   * @param {Function} [onProgress] - Recebe a lista atualizada após cada categoria criada
+   * @returns {Promise<Object>} { categories, savedIds: { [idLocal]: idDaApi }, movedHabits }
+   */
+  async saveLocalCategories(categories, habits, onProgress) {
+    let saved = [...categories];
+    const savedIds = {};
+    let movedHabits = 0;
+
+    for (const [order, category] of categories.entries()) {
+      if (!category.isLocal) continue;
+
+      const name = category.name.trim().toLowerCase();
+      let created = saved.find(item => !item.isLocal && item.name.trim().toLowerCase() === name);
+
+      if (created) {
+        saved = saved.filter(item => item.id !== category.id);
+      } else {
+        created = await this.createCategory({ name: category.name, color: category.color, order });
+        saved = saved.map(item => (item.id === category.id ? created : item));
+        onProgress?.(saved);
+      }
+      savedIds[category.id] = created.id;
+
+      for (const habit of (habits || []).filter(item => item.category === category.id)) {
+        await this.updateHabit(habit.id, {
+          title: habit.title,
+          category: created.id,
+          schedule: habit.schedule,
+          reminderTime: habit.reminderTime ?? null,
+          goal: habit.goal ?? null
+        });
+        movedHabits++;
+      }
+    }
+
+    logger.info('Categorias padrão salvas na API', { movedHabits });
+    return { categories: saved, savedIds, movedHabits };
+  }
+
+  /**
+   * Renomear/recolorir categoria de hábitos
+   * @param {string} categoryId - ID da categoria
+   * @param {Object} categoryData - { name, color }
+   * @returns {Promise<HabitCategory>} Categoria atualizada
+   */
+  async updateCategory(categoryId, categoryData) {
+    try {
+      logger.debug('Atualizando categoria de hábitos', { categoryId, categoryData });
+
+      const response = await apiClient.put(ENDPOINTS.habits.category(categoryId), categoryData);
+
+      if (response.success && response.category) {
+        logger.info('Categoria atualizada com sucesso', { categoryId });
+        return response.category;
+      } else {
+        logger.error('Erro na resposta da API ao atualizar categoria', response);
+        throw new Error(response.error || 'Erro ao atualizar categoria');
+      }
+    } catch (error) {
+      logger.error('Erro ao atualizar categoria:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletar categoria de hábitos (a tela só permite apagar categorias sem hábitos)
+   * @param {string} categoryId - ID da categoria
+   * @returns {Promise<boolean>} Sucesso da operação
+   */
+  async deleteCategory(categoryId) {
+    try {
+      logger.debug('Deletando categoria de hábitos', { categoryId });
+
+      const response = await apiClient.delete(ENDPOINTS.habits.category(categoryId));
+
+      if (response.success) {
+        logger.info('Categoria deletada com sucesso', { categoryId });
+        return true;
+      } else {
+        logger.error('Erro na resposta da API ao deletar categoria', response);
+        throw new Error(response.error || 'Erro ao deletar categoria');
+      }
+    } catch (error) {
+      logger.error('Erro ao deletar categoria:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Salvar a ordem das categorias
+   * @param {string[]} categoryIds - IDs na nova ordem
+   * @returns {Promise<boolean>} Sucesso da operação
+   */
+  async reorderCategories(categoryIds) {
+    try {
+      logger.debug('Reordenando categorias de hábitos', { categoryIds });
+
+      const response = await apiClient.put(ENDPOINTS.habits.categoriesOrder, { categoryIds });
+
+      if (response.success) {
+        logger.info('Ordem das categorias salva', { count: categoryIds.length });
+        return true;
+      } else {
+        logger.error('Erro na resposta da API ao reordenar categorias', response);
+        throw new Error(response.error || 'Erro ao reordenar categorias');
+      }
+    } catch (error) {
+      logger.error('Erro ao reordenar categorias:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hábitos recomendados pelo médico no protocolo de uma prescrição
+   * @param {string} prescriptionId - ID da prescrição
+   * @returns {Promise<HabitTemplate[]>} Modelos de hábito
+   */
+  async getHabitTemplates(prescriptionId) {
+    try {
+      logger.debug('Buscando hábitos recomendados do protocolo', { prescriptionId });
+      const response = await apiClient.get(ENDPOINTS.prescriptions.habitTemplates(prescriptionId));
+
+      return response.success && Array.isArray(response.habitTemplates) ? response.habitTemplates : [];
+    } catch (error) {
+      logger.error('Erro ao carregar hábitos recomendados:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Criar hábitos a partir dos modelos do protocolo
+   * Modelos já adicionados antes (mesmo templateId ou mesmo título) são ignorados; a categoria do modelo
+   * é procurada entre as do usuário pelo id ou pelo nome, senão o hábito fica na primeira categoria
+   * @param {HabitTemplate[]} templates - Modelos escolhidos
+   * @param {string} prescriptionId - ID da prescrição de origem
+   * @returns {Promise<Object>} { created: Habit[], skipped: number, failed: number }
+   */
+  async addHabitsFromTemplates(templates, prescriptionId) {
+    const [existingHabits, categories] = await Promise.all([
+      this.getHabits(),
+      this.getCategories().catch(() => DEFAULT_HABIT_CATEGORIES)
+    ]);
+
+    const existingTitles = existingHabits.map(habit => habit.title.trim().toLowerCase());
+    const existingTemplateIds = existingHabits.map(habit => habit.templateId).filter(Boolean);
+
+    const resolveCategory = (template) => {
+      const categoryName = (template.categoryName || template.category || '').toLowerCase();
+      const category = categories.find(item => item.id === template.category) ||
+        categories.find(item => item.name.toLowerCase() === categoryName) ||
+        categories[0];
+      return category.id;
+    };
+
+    const result = { created: [], skipped: 0, failed: 0 };
+
+    // Um por vez: a API de hábitos não tem criação em lote
+    for (const template of templates) {
+      if (existingTemplateIds.includes(template.id) ||
+          existingTitles.includes(template.title.trim().toLowerCase())) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        const habit = await this.createHabit({
+          title: template.title,
+          category: resolveCategory(template),
+          schedule: template.schedule || undefined,
+          reminderTime: template.reminderTime || null,
+          goal: template.goal || null,
+          templateId: template.id,
+          prescriptionId
+        });
+        result.created.push(habit);
+      } catch (error) {
+        result.failed++;
+      }
+    }
+
+    logger.info('Hábitos do protocolo adicionados', {
+      prescriptionId,
+      created: result.created.length,
+      skipped: result.skipped,
+      failed: result.failed
+    });
+
+    return result;
+  }
+
   /**
    * Criar novo hábito
-   * @param {Object} habitData - Dados do hábito
+   * @param {HabitInput} habitData - Dados do hábito
    * @param {string} habitData.title - Título do hábito
-   * @param {string} habitData.category - Categoria (personal, health, work)
-   * @returns {Promise<Object>} Hábito criado
+   * @param {string} habitData.category - ID da categoria (ver getCategories)
+   * @param {HabitSchedule} [habitData.schedule] - Agenda (padrão: diário)
+   * @param {string|null} [habitData.reminderTime] - Horário do lembrete próprio (HH:mm)
+   * @param {HabitGoal|null} [habitData.goal] - Meta numérica ({ target, unit, step }); null para marcar/desmarcar
+   * @returns {Promise<Habit>} Hábito criado
    */
   async createHabit(habitData) {
     try {
       logger.debug('Criando hábito', habitData);
       
-      const response = await apiClient.post('/api/mobile/habits', habitData);
+      const response = await apiClient.post(ENDPOINTS.habits.list, habitData);
       
       if (response.success && response.habit) {
         logger.info('Hábito criado com sucesso', { 
@@ -67,16 +491,19 @@ class HabitService {
   /**
    * Atualizar hábito existente
    * @param {string} habitId - ID do hábito
-   * @param {Object} habitData - Dados atualizados
+   * @param {HabitInput} habitData - Dados atualizados
    * @param {string} habitData.title - Novo título
    * @param {string} habitData.category - Nova categoria
-   * @returns {Promise<Object>} Hábito atualizado
+   * @param {HabitSchedule} [habitData.schedule] - Nova agenda
+   * @param {string|null} [habitData.reminderTime] - Novo horário do lembrete (null remove)
+   * @param {HabitGoal|null} [habitData.goal] - Nova meta numérica
+   * @returns {Promise<Habit>} Hábito atualizado
    */
   async updateHabit(habitId, habitData) {
     try {
       logger.debug('Atualizando hábito', { habitId, habitData });
       
-      const response = await apiClient.put(`/api/mobile/habits/${habitId}`, habitData);
+      const response = await apiClient.put(ENDPOINTS.habits.detail(habitId), habitData);
       
       if (response.success && response.habit) {
         logger.info('Hábito atualizado com sucesso', { 
@@ -103,7 +530,7 @@ class HabitService {
     try {
       logger.debug('Deletando hábito', { habitId });
       
-      const response = await apiClient.delete(`/api/mobile/habits/${habitId}`);
+      const response = await apiClient.delete(ENDPOINTS.habits.detail(habitId));
       
       if (response.success) {
         logger.info('Hábito deletado com sucesso', { habitId });
@@ -120,18 +547,20 @@ class HabitService {
 
   /**
    * Atualizar progresso do hábito (marcar/desmarcar)
+   * Hábitos com meta numérica usam setProgressValue
    * @param {string} habitId - ID do hábito
    * @param {string} date - Data no formato YYYY-MM-DD
+   * @param {Object} options - Opções repassadas ao apiClient (ex.: queue para a fila offline)
    * @returns {Promise<Object>} Resultado da operação
    */
-  async updateProgress(habitId, date) {
+  async updateProgress(habitId, date, options = {}) {
     try {
       logger.debug('Atualizando progresso do hábito', { habitId, date });
       
-      const response = await apiClient.post('/api/mobile/habits/progress', {
+      const response = await apiClient.post(ENDPOINTS.habits.progress, {
         habitId,
         date
-      });
+      }, options);
       
       if (response.success) {
         logger.info('Progresso atualizado com sucesso', { 
@@ -151,22 +580,332 @@ class HabitService {
     }
   }
 
+  /**
+   * Registrar o valor do dia em um hábito com meta numérica
+   * O valor é o total do dia (não um incremento), para o reenvio da fila offline não somar duas vezes
+   * @param {string} habitId - ID do hábito
+   * @param {string} date - Data no formato YYYY-MM-DD
+   * @param {number} value - Total do dia
+   * @param {Object} options - Opções repassadas ao apiClient (ex.: queue para a fila offline)
+   * @returns {Promise<Object>} Resultado da operação ({ isChecked, value })
+   */
+  async setProgressValue(habitId, date, value, options = {}) {
+    try {
+      logger.debug('Registrando valor do hábito', { habitId, date, value });
+      
+      const response = await apiClient.post(ENDPOINTS.habits.progress, {
+        habitId,
+        date,
+        value
+      }, options);
+      
+      if (response.success) {
+        logger.info('Valor do hábito registrado', { 
+          habitId,
+          date,
+          value: response.value ?? value,
+          isChecked: response.isChecked 
+        });
+        return response;
+      } else {
+        logger.error('Erro na resposta da API ao registrar valor', response);
+        throw new Error(response.error || 'Erro ao registrar valor do hábito');
+      }
+    } catch (error) {
+      logger.error('Erro ao registrar valor do hábito:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Valor registrado em uma data (hábitos com meta numérica)
+   * @param {HabitProgress[]} progress - Array de progresso do hábito
+   * @param {string} date - Data no formato YYYY-MM-DD
+   * @returns {number} Valor do dia (0 sem registro)
+   */
+  getProgressValue(progress, date) {
+    if (!progress || !Array.isArray(progress)) return 0;
+
+    const dayProgress = progress.find(p => p.date === date);
+    return Number(dayProgress?.value) || 0;
+  }
+
   /**
    * Verificar se um hábito foi completado em uma data específica
-   * @param {Array} progress - Array de progresso do hábito
+   * Com meta numérica, completo é atingir a meta atual (vale mesmo depois de a meta ser editada)
+   * @param {HabitProgress[]} progress - Array de progresso do hábito
    * @param {string} date - Data no formato YYYY-MM-DD
+   * @param {Object|null} [goal] - Meta do hábito (getHabitGoal)
    * @returns {boolean} Se o hábito foi completado
    */
-  isHabitCompletedOnDate(progress, date) {
+  isHabitCompletedOnDate(progress, date, goal = null) {
     if (!progress || !Array.isArray(progress)) return false;
+
+    if (goal) {
+      return this.getProgressValue(progress, date) >= goal.target;
+    }
     
     const dayProgress = progress.find(p => p.date === date);
     return dayProgress ? dayProgress.isChecked : false;
   }
 
+  /**
+   * Verificar se o hábito está previsto para uma data pela sua agenda
+   * Na meta semanal todos os dias são possíveis; getHabitDayStatus decide pela contagem da semana
+   * @param {Habit} habit - Hábito
+   * @param {Date} date - Data
+   * @returns {boolean} Se o hábito deve ser feito nessa data
+   */
+  isHabitDueOnDate(habit, date) {
+    const schedule = getHabitSchedule(habit);
+
+    // Dias anteriores ao início da agenda não contam
+    if (schedule.startDate && daysBetween(parseScheduleDate(schedule.startDate), date) < 0) {
+      return false;
+    }
+
+    switch (schedule.frequency) {
+      case HABIT_FREQUENCIES.WEEKDAYS:
+        return schedule.weekdays.includes(date.getDay());
+      case HABIT_FREQUENCIES.EVERY_N_DAYS:
+        return !schedule.startDate || daysBetween(parseScheduleDate(schedule.startDate), date) % schedule.intervalDays === 0;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Quantidade de dias concluídos na semana (domingo a sábado) de uma data
+   * @param {Habit} habit - Hábito
+   * @param {Date} date - Data dentro da semana
+   * @returns {number}
+   */
+  getWeekCompletions(habit, date) {
+    const weekStart = startOfDay(date);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    const goal = getHabitGoal(habit);
+
+    let completions = 0;
+    for (let offset = 0; offset < 7; offset++) {
+      const day = new Date(weekStart);
+      day.setDate(weekStart.getDate() + offset);
+      if (this.isHabitCompletedOnDate(habit.progress, toDateKey(day), goal)) completions++;
+    }
+    return completions;
+  }
+
+  /**
+   * Situação do hábito em um dia, diferenciando "não previsto" de "perdido"
+   * Na meta semanal (N vezes por semana), os dias só contam como perdidos depois que a semana
+   * termina sem atingir a meta; atingida a meta, os demais dias ficam como não previstos
+   * @param {Habit} habit - Hábito
+   * @param {Date} date - Data
+   * @param {Date} today - Data de referência (padrão: hoje)
+   * @returns {string} Um dos valores de HABIT_DAY_STATUS
+   */
+  getHabitDayStatus(habit, date, today = new Date()) {
+    if (this.isHabitCompletedOnDate(habit.progress, toDateKey(date), getHabitGoal(habit))) {
+      return HABIT_DAY_STATUS.COMPLETED;
+    }
+
+    if (!this.isHabitDueOnDate(habit, date)) {
+      return HABIT_DAY_STATUS.NOT_DUE;
+    }
+
+    const offset = daysBetween(today, date);
+    const schedule = getHabitSchedule(habit);
+
+    if (schedule.frequency === HABIT_FREQUENCIES.TIMES_PER_WEEK) {
+      if (this.getWeekCompletions(habit, date) >= schedule.timesPerWeek) {
+        return HABIT_DAY_STATUS.NOT_DUE;
+      }
+
+      const weekEnd = startOfDay(date);
+      weekEnd.setDate(weekEnd.getDate() + (6 - weekEnd.getDay()));
+      if (daysBetween(today, weekEnd) >= 0) {
+        return offset > 0 ? HABIT_DAY_STATUS.UPCOMING : HABIT_DAY_STATUS.PENDING;
+      }
+      return HABIT_DAY_STATUS.MISSED;
+    }
+
+    if (offset > 0) return HABIT_DAY_STATUS.UPCOMING;
+    return offset === 0 ? HABIT_DAY_STATUS.PENDING : HABIT_DAY_STATUS.MISSED;
+  }
+
+  /**
+   * Primeiro dia considerado nas estatísticas: início da agenda ou o registro mais antigo,
+   * nunca antes do primeiro dia de histórico carregado (sem progresso, esses dias seriam perdidos)
+   * @param {Habit} habit - Hábito
+   * @param {Date} today - Data de referência
+   * @returns {Date}
+   */
+  getHistoryStart(habit, today) {
+    const schedule = getHabitSchedule(habit);
+    const candidates = (habit.progress || []).map(entry => new Date(`${entry.date}T12:00:00`));
+    if (schedule.startDate) candidates.push(parseScheduleDate(schedule.startDate));
+
+    let limit = startOfDay(today);
+    limit.setDate(limit.getDate() - MAX_HISTORY_DAYS);
+    if (habit.historyFrom) {
+      const historyFrom = startOfDay(new Date(habit.historyFrom));
+      if (historyFrom > limit) limit = historyFrom;
+    }
+
+    const earliest = candidates.length
+      ? new Date(Math.min(...candidates.map(date => date.getTime())))
+      : startOfDay(today);
+    return startOfDay(earliest < limit ? limit : earliest);
+  }
+
+  /**
+   * Taxa de conclusão (%) de um período; null quando nada estava previsto
+   * Meta semanal: cada semana encerrada (ou já cumprida) vale min(feitos, meta) / meta
+   * Demais agendas: dias feitos / dias previstos (hoje só conta se já foi feito)
+   * @param {Habit} habit - Hábito
+   * @param {Date} from - Início do período
+   * @param {Date} to - Fim do período
+   * @param {Date} today - Data de referência
+   * @returns {number|null}
+   */
+  getCompletionRate(habit, from, to, today = new Date()) {
+    const schedule = getHabitSchedule(habit);
+    const end = daysBetween(today, to) > 0 ? startOfDay(today) : startOfDay(to);
+    // Dias antes do início do hábito não contam como perdidos
+    const historyStart = this.getHistoryStart(habit, today);
+    const begin = daysBetween(historyStart, from) < 0 ? historyStart : startOfDay(from);
+
+    if (schedule.frequency === HABIT_FREQUENCIES.TIMES_PER_WEEK) {
+      let done = 0;
+      let expected = 0;
+      const weekStart = new Date(begin);
+      weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+
+      for (; daysBetween(weekStart, end) >= 0; weekStart.setDate(weekStart.getDate() + 7)) {
+        const completions = Math.min(this.getWeekCompletions(habit, weekStart), schedule.timesPerWeek);
+        const weekEnded = daysBetween(today, weekStart) + 6 < 0;
+        if (!weekEnded && completions < schedule.timesPerWeek) continue;
+
+        done += completions;
+        expected += schedule.timesPerWeek;
+      }
+
+      return expected > 0 ? Math.round((done / expected) * 100) : null;
+    }
+
+    let completed = 0;
+    let due = 0;
+    for (const day = new Date(begin); daysBetween(day, end) >= 0; day.setDate(day.getDate() + 1)) {
+      const status = this.getHabitDayStatus(habit, day, today);
+      if (status === HABIT_DAY_STATUS.COMPLETED) completed++;
+      if (status === HABIT_DAY_STATUS.COMPLETED || status === HABIT_DAY_STATUS.MISSED) due++;
+    }
+
+    return due > 0 ? Math.round((completed / due) * 100) : null;
+  }
+
+  /**
+   * Estatísticas de um hábito a partir do histórico de progresso
+   * Dias fora da agenda não quebram a sequência; hoje ainda pendente também não
+   * @param {Habit} habit - Hábito (com o histórico de getHabitsWithHistory)
+   * @param {Date} today - Data de referência (padrão: hoje)
+   * @returns {Object} { currentStreak, longestStreak, weekRate, monthRate, weeklyRates, monthlyRates, bestWeekday }
+   */
+  getHabitStats(habit, today = new Date()) {
+    const start = this.getHistoryStart(habit, today);
+    const todayStart = startOfDay(today);
+
+    let longestStreak = 0;
+    let runningStreak = 0;
+    const weekdayTotals = WEEKDAY_LABELS.map(() => ({ completed: 0, due: 0 }));
+
+    for (const day = new Date(start); daysBetween(day, todayStart) >= 0; day.setDate(day.getDate() + 1)) {
+      const status = this.getHabitDayStatus(habit, day, today);
+
+      if (status === HABIT_DAY_STATUS.COMPLETED) {
+        runningStreak++;
+        longestStreak = Math.max(longestStreak, runningStreak);
+        weekdayTotals[day.getDay()].completed++;
+        weekdayTotals[day.getDay()].due++;
+      } else if (status === HABIT_DAY_STATUS.MISSED) {
+        runningStreak = 0;
+        weekdayTotals[day.getDay()].due++;
+      }
+    }
+
+    // Semanas de domingo a sábado, da mais antiga para a atual
+    const weeklyRates = Array.from({ length: 8 }, (_, index) => {
+      const weekStart = new Date(todayStart);
+      weekStart.setDate(weekStart.getDate() - weekStart.getDay() - (7 - index) * 7);
+      const weekEnd = new Date(weekStart);
+      weekEnd.setDate(weekEnd.getDate() + 6);
+
+      return {
+        label: `${weekStart.getDate()}/${weekStart.getMonth() + 1}`,
+        rate: this.getCompletionRate(habit, weekStart, weekEnd, today)
+      };
+    });
+
+    const monthlyRates = Array.from({ length: 3 }, (_, index) => {
+      const monthStart = new Date(todayStart.getFullYear(), todayStart.getMonth() - 2 + index, 1);
+      const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+
+      return {
+        label: monthStart.toLocaleDateString('en-US', { month: 'short' }),
+        rate: this.getCompletionRate(habit, monthStart, monthEnd, today)
+      };
+    });
+
+    const weekdayRates = weekdayTotals.map((totals, weekday) => ({
+      weekday,
+      label: WEEKDAY_LABELS[weekday],
+      rate: totals.due > 0 ? Math.round((totals.completed / totals.due) * 100) : null,
+      completed: totals.completed
+    }));
+
+    const bestWeekday = weekdayRates
+      .filter(item => item.rate !== null && item.completed > 0)
+      .sort((a, b) => b.rate - a.rate || b.completed - a.completed)[0] || null;
+
+    return {
+      currentStreak: runningStreak,
+      longestStreak,
+      weekRate: weeklyRates[weeklyRates.length - 1].rate,
+      monthRate: monthlyRates[monthlyRates.length - 1].rate,
+      weeklyRates,
+      monthlyRates,
+      weekdayRates,
+      bestWeekday
+    };
+  }
+
+  /**
+   * Resumo de todos os hábitos para a Home: hoje, maior sequência atual e taxa dos últimos 7 dias
+   * @param {Habit[]} habits - Hábitos (com histórico)
+   * @param {Date} today - Data de referência
+   * @returns {Object} { today: { total, completed, completionRate }, bestStreak, weekRate }
+   */
+  getHabitsSummary(habits, today = new Date()) {
+    const lastWeekStart = startOfDay(today);
+    lastWeekStart.setDate(lastWeekStart.getDate() - 6);
+
+    const streaks = (habits || []).map(habit => ({
+      title: habit.title,
+      streak: this.getHabitStats(habit, today).currentStreak
+    }));
+    const rates = (habits || [])
+      .map(habit => this.getCompletionRate(habit, lastWeekStart, today, today))
+      .filter(rate => rate !== null);
+
+    return {
+      today: this.calculateStats(habits, toDateKey(today)),
+      bestStreak: streaks.sort((a, b) => b.streak - a.streak)[0] || null,
+      weekRate: rates.length ? Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null
+    };
+  }
+
   /**
    * Calcular estatísticas dos hábitos
-   * @param {Array} habits - Lista de hábitos
+   * @param {Habit[]} habits - Lista de hábitos
    * @param {string} date - Data para calcular (padrão: hoje)
    * @returns {Object} Estatísticas
    */
@@ -176,10 +915,12 @@ class HabitService {
     }
 
     const targetDate = date || new Date().toISOString().split('T')[0];
-    const total = habits.length;
-    const completed = habits.filter(habit => 
-      this.isHabitCompletedOnDate(habit.progress, targetDate)
-    ).length;
+    // Apenas os hábitos previstos para o dia (ou já feitos nele) entram na conta
+    const dayStatuses = habits.map(habit =>
+      this.getHabitDayStatus(habit, new Date(`${targetDate}T12:00:00`))
+    );
+    const total = dayStatuses.filter(status => status !== HABIT_DAY_STATUS.NOT_DUE).length;
+    const completed = dayStatuses.filter(status => status === HABIT_DAY_STATUS.COMPLETED).length;
     
     const completionRate = total > 0 ? Math.round((completed / total) * 100) : 0;
     
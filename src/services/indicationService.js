@@ -1,11 +1,15 @@
 import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
+
+/** @typedef {import('../types/api').Indication} Indication */
 
 // Service for indication manipulation
 const indicationService = {
   // List all indications
+  /** @returns {Promise<Indication[]>} */
   getIndications: async (withStats = false, period = 'month') => {
     try {
-      return await apiClient.get('/api/indications', { withStats, period });
+      return await apiClient.get(ENDPOINTS.indications.list, { withStats, period });
     } catch (error) {
       console.error('Error listing indications:', error);
       return [];
@@ -15,7 +19,7 @@ const indicationService = {
   // Create a new indication
   createIndication: async (data) => {
     try {
-      return await apiClient.post('/api/indications', data);
+      return await apiClient.post(ENDPOINTS.indications.list, data);
     } catch (error) {
       console.error('Error creating indication:', error);
       throw error;
@@ -25,7 +29,7 @@ const indicationService = {
   // Get indication details
   getIndication: async (slug) => {
     try {
-      return await apiClient.get(`/api/indications/${slug}`);
+      return await apiClient.get(ENDPOINTS.indications.detail(slug));
     } catch (error) {
       console.error(`Error fetching indication ${slug}:`, error);
       throw error;
@@ -35,7 +39,7 @@ const indicationService = {
   // Update an indication
   updateIndication: async (slug, data) => {
     try {
-      return await apiClient.put(`/api/indications/${slug}`, data);
+      return await apiClient.put(ENDPOINTS.indications.detail(slug), data);
     } catch (error) {
       console.error(`Error updating indication ${slug}:`, error);
       throw error;
@@ -45,7 +49,7 @@ const indicationService = {
   // Get indication statistics
   getIndicationStats: async (period = 'month') => {
     try {
-      return await apiClient.get('/api/indications/stats', { period });
+      return await apiClient.get(ENDPOINTS.indications.stats, { period });
     } catch (error) {
       console.error('Error fetching indication statistics:', error);
       return {
@@ -65,7 +69,7 @@ const indicationService = {
   // Generate indication link
   generateIndicationLink: async (data) => {
     try {
-      return await apiClient.post('/api/indications/generate-link', data);
+      return await apiClient.post(ENDPOINTS.indications.generateLink, data);
     } catch (error) {
       console.error('Error generating indication link:', error);
       throw error;
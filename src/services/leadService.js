@@ -1,11 +1,14 @@
 import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
+
+/** @typedef {import('../types/api').Lead} Lead */
 
 // Serviço para manipulação de leads
 const leadService = {
   // Listar todos os leads com filtragem e paginação
   getLeads: async (filters = {}) => {
     try {
-      return await apiClient.get('/api/leads', filters);
+      return await apiClient.get(ENDPOINTS.leads.list, filters);
     } catch (error) {
       console.error('Erro ao listar leads:', error);
       return { data: [], pagination: { page: 1, limit: 10, total: 0, totalPages: 0 } };
@@ -13,9 +16,10 @@ const leadService = {
   },
   
   // Buscar um lead específico
+  /** @returns {Promise<Lead>} */
   getLead: async (id) => {
     try {
-      return await apiClient.get(`/api/leads/${id}`);
+      return await apiClient.get(ENDPOINTS.leads.detail(id));
     } catch (error) {
       console.error(`Erro ao buscar lead ${id}:`, error);
       throw error;
@@ -25,7 +29,7 @@ const leadService = {
   // Atualizar um lead
   updateLead: async (id, data) => {
     try {
-      return await apiClient.patch(`/api/leads/${id}`, data);
+      return await apiClient.patch(ENDPOINTS.leads.detail(id), data);
     } catch (error) {
       console.error(`Erro ao atualizar lead ${id}:`, error);
       throw error;
@@ -35,7 +39,7 @@ const leadService = {
   // Remover um lead
   deleteLead: async (id) => {
     try {
-      return await apiClient.delete(`/api/leads/${id}`);
+      return await apiClient.delete(ENDPOINTS.leads.detail(id));
     } catch (error) {
       console.error(`Erro ao remover lead ${id}:`, error);
       throw error;
@@ -45,7 +49,7 @@ const leadService = {
   // Atualizar status de múltiplos leads
   updateLeadsStatus: async (ids, status) => {
     try {
-      return await apiClient.put('/api/leads', { ids, status });
+      return await apiClient.put(ENDPOINTS.leads.list, { ids, status });
     } catch (error) {
       console.error('Erro ao atualizar status de leads:', error);
       throw error;
@@ -55,7 +59,7 @@ const leadService = {
   // Obter anotações médicas de um lead
   getLeadNotes: async (id) => {
     try {
-      return await apiClient.get(`/api/leads/${id}/notes`);
+      return await apiClient.get(ENDPOINTS.leads.notes(id));
     } catch (error) {
       console.error(`Erro ao buscar anotações do lead ${id}:`, error);
       throw error;
@@ -65,7 +69,7 @@ const leadService = {
   // Adicionar/atualizar anotações médicas
   updateLeadNotes: async (id, notes) => {
     try {
-      return await apiClient.post(`/api/leads/${id}/notes`, { medicalNotes: notes });
+      return await apiClient.post(ENDPOINTS.leads.notes(id), { medicalNotes: notes });
     } catch (error) {
       console.error(`Erro ao atualizar anotações do lead ${id}:`, error);
       throw error;
@@ -0,0 +1,191 @@
+/**
+ * Progresso de reprodução das aulas
+ * Guarda a posição assistida de cada aula no AsyncStorage para retomar o vídeo,
+ * concluir a aula automaticamente e montar o "continuar assistindo" da tela de cursos
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../utils/logUtils';
+import { createSerialQueue } from '../utils/serialQueue';
+
+const logger = createLogger('LessonProgressService');
+
+const PROGRESS_STORAGE_KEY = 'lesson_progress';
+
+// Percentual assistido que conclui a aula, quando o curso/aula não define o próprio
+export const DEFAULT_COMPLETION_THRESHOLD = 90;
+
+// Abaixo disso não vale retomar; perto do fim o vídeo recomeça do zero
+const MIN_RESUME_SECONDS = 10;
+const RESUME_END_MARGIN_SECONDS = 15;
+
+// Quantidade de cursos mostrados em "continuar assistindo"
+const MAX_CONTINUE_WATCHING = 5;
+
+/**
+ * Percentual que conclui uma aula (campo completionThreshold da aula ou do curso, 1-100)
+ * @param {Object} lesson - Aula
+ * @param {Object} course - Curso
+ * @returns {number} Percentual
+ */
+export const getCompletionThreshold = (lesson, course) => {
+  const threshold = Number(lesson?.completionThreshold ?? course?.completionThreshold);
+  return threshold > 0 && threshold <= 100 ? threshold : DEFAULT_COMPLETION_THRESHOLD;
+};
+
+/**
+ * Formata segundos como m:ss (ou h:mm:ss)
+ * @param {number} totalSeconds - Segundos
+ * @returns {string} Tempo formatado
+ */
+export const formatPlaybackTime = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+    : `${minutes}:${rest}`;
+};
+
+class LessonProgressService {
+  constructor() {
+    // Escritas serializadas: o player salva a posição a cada poucos segundos
+    this.runExclusive = createSerialQueue();
+  }
+
+  async readAll() {
+    try {
+      const stored = await AsyncStorage.getItem(PROGRESS_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      logger.error('Erro ao ler progresso das aulas:', error);
+      return {};
+    }
+  }
+
+  updateCourse(courseId, changeCourse) {
+    return this.runExclusive(async () => {
+      const all = await this.readAll();
+      const updated = changeCourse(all[courseId] || { lessons: {} });
+      all[courseId] = { ...updated, updatedAt: new Date().toISOString() };
+      await AsyncStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(all));
+      return all[courseId];
+    });
+  }
+
+  /**
+   * Progresso guardado das aulas de um curso
+   * @param {string} courseId - ID do curso
+   * @returns {Promise<Object>} { [lessonId]: { position, duration, percent, completed, updatedAt } }
+   */
+  async getCourseProgress(courseId) {
+    const all = await this.readAll();
+    return all[courseId]?.lessons || {};
+  }
+
+  /**
+   * Posição para retomar a aula (0 se não houver progresso útil)
+   * @param {Object} lessonProgress - Progresso guardado da aula
+   * @returns {number} Segundos
+   */
+  getResumePosition(lessonProgress) {
+    if (!lessonProgress || lessonProgress.completed) return 0;
+
+    const { position = 0, duration = 0 } = lessonProgress;
+    if (position < MIN_RESUME_SECONDS) return 0;
+    if (duration && position > duration - RESUME_END_MARGIN_SECONDS) return 0;
+
+    return Math.floor(position);
+  }
+
+  /**
+   * Salva a posição atual de uma aula
+   * @param {Object} context - { courseId, courseTitle, coverImage, isProtocolCourse, protocolId, protocolName }
+   * @param {Object} lesson - Aula ({ id, title })
+   * @param {number} position - Posição atual em segundos
+   * @param {number} duration - Duração total em segundos
+   * @returns {Promise<Object>} Progresso atualizado da aula
+   */
+  async savePosition(context, lesson, position, duration) {
+    const { courseId, ...courseInfo } = context;
+
+    const course = await this.updateCourse(courseId, (stored) => {
+      const previous = stored.lessons[lesson.id] || {};
+      const percent = duration > 0 ? Math.min(100, Math.round((position / duration) * 100)) : 0;
+
+      return {
+        ...stored,
+        ...courseInfo,
+        lastLessonId: lesson.id,
+        lessons: {
+          ...stored.lessons,
+          [lesson.id]: {
+            ...previous,
+            title: lesson.title,
+            position,
+            duration,
+            // O maior percentual assistido vale para a conclusão, mesmo voltando o vídeo
+            percent: Math.max(previous.percent || 0, percent),
+            updatedAt: new Date().toISOString()
+          }
+        }
+      };
+    });
+
+    return course.lessons[lesson.id];
+  }
+
+  /**
+   * Marca a aula como concluída (não aparece mais em "continuar assistindo")
+   * @param {string} courseId - ID do curso
+   * @param {string} lessonId - ID da aula
+   */
+  async markCompleted(courseId, lessonId) {
+    await this.updateCourse(courseId, (stored) => ({
+      ...stored,
+      lessons: {
+        ...stored.lessons,
+        [lessonId]: { ...stored.lessons[lessonId], completed: true }
+      }
+    }));
+  }
+
+  /**
+   * Cursos com uma aula começada e não concluída, do mais recente para o mais antigo
+   * @returns {Promise<Array>} [{ courseId, courseTitle, coverImage, isProtocolCourse, protocolId, protocolName, lesson }]
+   */
+  async getContinueWatching() {
+    const all = await this.readAll();
+
+    return Object.entries(all)
+      .map(([courseId, course]) => {
+        const lessonId = course.lastLessonId;
+        const lesson = lessonId ? course.lessons?.[lessonId] : null;
+        if (!lesson || !this.getResumePosition(lesson)) return null;
+
+        const { lessons, lastLessonId, ...courseInfo } = course;
+        return { ...courseInfo, courseId, lesson: { id: lessonId, ...lesson } };
+      })
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, MAX_CONTINUE_WATCHING);
+  }
+
+  /**
+   * Apaga todo o progresso guardado (usado no logout)
+   */
+  async clear() {
+    try {
+      await this.runExclusive(() => AsyncStorage.removeItem(PROGRESS_STORAGE_KEY));
+      logger.info('Progresso das aulas limpo');
+    } catch (error) {
+      logger.error('Erro ao limpar progresso das aulas:', error);
+    }
+  }
+}
+
+// Criar instância singleton
+const lessonProgressService = new LessonProgressService();
+
+export default lessonProgressService;
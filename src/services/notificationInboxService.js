@@ -0,0 +1,173 @@
+/**
+ * Caixa de entrada de notificações
+ * Guarda no AsyncStorage as notificações recebidas (FCM e Expo) para que continuem
+ * disponíveis no app depois de removidas da bandeja do sistema
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../utils/logUtils';
+import { createSerialQueue } from '../utils/serialQueue';
+
+const logger = createLogger('NotificationInboxService');
+
+const INBOX_STORAGE_KEY = 'notification_inbox';
+
+// Notificações mais antigas são descartadas além deste limite
+const MAX_INBOX_ITEMS = 100;
+
+// Lembretes locais (reminderService) e notificações de teste não vão para a caixa de entrada
+const IGNORED_TYPES = ['protocol_reminder', 'checkin_reminder', 'habit_reminder'];
+
+const shouldStore = (data = {}) => !data.test && !IGNORED_TYPES.includes(data.type);
+
+class NotificationInboxService {
+  constructor() {
+    this.listeners = [];
+    // Escritas são serializadas para duas notificações simultâneas não se sobrescreverem
+    this.runExclusive = createSerialQueue();
+  }
+
+  async readInbox() {
+    try {
+      const stored = await AsyncStorage.getItem(INBOX_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      logger.error('Erro ao ler caixa de entrada:', error);
+      return [];
+    }
+  }
+
+  async writeInbox(items) {
+    await AsyncStorage.setItem(INBOX_STORAGE_KEY, JSON.stringify(items));
+    this.notify(items);
+    return items;
+  }
+
+  // Aplica uma alteração na lista guardada e avisa os listeners
+  update(changeItems) {
+    return this.runExclusive(async () => {
+      const items = await this.readInbox();
+      const updated = changeItems(items);
+      return updated === items ? items : this.writeInbox(updated);
+    });
+  }
+
+  notify(items) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(items);
+      } catch (error) {
+        logger.error('Erro em listener da caixa de entrada:', error);
+      }
+    });
+  }
+
+  /**
+   * Observa mudanças na caixa de entrada
+   * @param {Function} listener - Recebe a lista atualizada
+   * @returns {Function} Função para cancelar a inscrição
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Lista as notificações guardadas, da mais recente para a mais antiga
+   * @returns {Promise<Array>} Notificações
+   */
+  async getNotifications() {
+    return this.readInbox();
+  }
+
+  /**
+   * Guarda uma notificação recebida; notificações já guardadas (mesmo id) são ignoradas
+   * @param {Object} notification - { id, title, body, data, source, receivedAt }
+   * @param {Object} options - { read: marcar como lida (ex.: aberta pela bandeja) }
+   * @returns {Promise<Array>} Lista atualizada
+   */
+  async addNotification(notification, { read = false } = {}) {
+    if (!notification?.id || !shouldStore(notification.data)) {
+      return this.readInbox();
+    }
+
+    return this.update(items => {
+      const existing = items.find(item => item.id === notification.id);
+
+      if (existing) {
+        // A mesma notificação chega por mais de um listener (ex.: recebida e depois tocada)
+        if (!read || existing.read) return items;
+        return items.map(item => item.id === notification.id ? { ...item, read: true } : item);
+      }
+
+      const entry = {
+        id: notification.id,
+        title: notification.title || 'Nova notificação',
+        body: notification.body || '',
+        data: notification.data || {},
+        source: notification.source || 'expo',
+        receivedAt: notification.receivedAt || new Date().toISOString(),
+        read,
+      };
+
+      logger.debug('Notificação guardada na caixa de entrada', { id: entry.id, source: entry.source });
+
+      return [entry, ...items]
+        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+        .slice(0, MAX_INBOX_ITEMS);
+    });
+  }
+
+  /**
+   * Marca uma notificação como lida
+   * @param {string} id - ID da notificação
+   * @returns {Promise<Array>} Lista atualizada
+   */
+  async markAsRead(id) {
+    return this.update(items => {
+      if (!items.some(item => item.id === id && !item.read)) return items;
+      return items.map(item => item.id === id ? { ...item, read: true } : item);
+    });
+  }
+
+  /**
+   * Marca todas as notificações como lidas
+   * @returns {Promise<Array>} Lista atualizada
+   */
+  async markAllAsRead() {
+    return this.update(items => {
+      if (!items.some(item => !item.read)) return items;
+      return items.map(item => ({ ...item, read: true }));
+    });
+  }
+
+  /**
+   * Remove uma notificação da caixa de entrada
+   * @param {string} id - ID da notificação
+   * @returns {Promise<Array>} Lista atualizada
+   */
+  async removeNotification(id) {
+    return this.update(items => items.filter(item => item.id !== id));
+  }
+
+  /**
+   * Apaga a caixa de entrada (usado no logout)
+   */
+  async clear() {
+    try {
+      await this.runExclusive(async () => {
+        await AsyncStorage.removeItem(INBOX_STORAGE_KEY);
+        this.notify([]);
+      });
+      logger.info('Caixa de entrada limpa');
+    } catch (error) {
+      logger.error('Erro ao limpar caixa de entrada:', error);
+    }
+  }
+}
+
+// Criar instância singleton
+const notificationInboxService = new NotificationInboxService();
+
+export default notificationInboxService;
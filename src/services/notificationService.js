@@ -14,9 +14,37 @@ import { Platform, Alert } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { createLogger } from '../utils/logUtils';
 import apiClient from './apiClient';
+import notificationInboxService from './notificationInboxService';
+import { navigate, openUrl } from '../navigation/RootNavigation';
 
 const logger = createLogger('NotificationService');
 
+// Converte uma mensagem do FCM para o formato da caixa de entrada
+const fromRemoteMessage = (remoteMessage) => ({
+  id: remoteMessage.messageId,
+  title: remoteMessage.notification?.title,
+  body: remoteMessage.notification?.body,
+  data: remoteMessage.data || {},
+  source: 'fcm',
+  receivedAt: remoteMessage.sentTime ? new Date(remoteMessage.sentTime).toISOString() : undefined,
+});
+
+// Converte uma notificação do Expo para o formato da caixa de entrada
+// Mensagens do FCM reexibidas em foreground carregam o messageId em data.inboxId
+const fromExpoNotification = (notification) => {
+  const { content, identifier } = notification.request;
+  const { inboxId, ...data } = content.data || {};
+
+  return {
+    id: inboxId || identifier,
+    title: content.title,
+    body: content.body,
+    data,
+    source: inboxId ? 'fcm' : 'expo',
+    receivedAt: notification.date ? new Date(notification.date).toISOString() : undefined,
+  };
+};
+
 // Configurar como as notificações devem ser apresentadas
 Notifications.setNotificationHandler({
   handleNotification: async () => ({
@@ -175,13 +203,14 @@ class NotificationService {
     // Listener para mensagens em foreground
     onMessage(this.messaging, async (remoteMessage) => {
       logger.info('Mensagem recebida em foreground', remoteMessage);
+      await notificationInboxService.addNotification(fromRemoteMessage(remoteMessage));
       
       // Mostrar notificação local quando o app está em foreground
       await Notifications.scheduleNotificationAsync({
         content: {
           title: remoteMessage.notification?.title || 'Nova notificação',
           body: remoteMessage.notification?.body || 'Você tem uma nova mensagem',
-          data: remoteMessage.data || {},
+          data: { ...(remoteMessage.data || {}), inboxId: remoteMessage.messageId },
         },
         trigger: null, // Mostrar imediatamente
       });
@@ -190,6 +219,7 @@ class NotificationService {
     // Listener para quando o app é aberto através de uma notificação
     onNotificationOpenedApp(this.messaging, (remoteMessage) => {
       logger.info('App aberto através de notificação', remoteMessage);
+      notificationInboxService.addNotification(fromRemoteMessage(remoteMessage), { read: true });
       this.handleNotificationPress(remoteMessage);
     });
 
@@ -198,6 +228,7 @@ class NotificationService {
       .then((remoteMessage) => {
         if (remoteMessage) {
           logger.info('App iniciado através de notificação', remoteMessage);
+          notificationInboxService.addNotification(fromRemoteMessage(remoteMessage), { read: true });
           this.handleNotificationPress(remoteMessage);
         }
       });
@@ -205,28 +236,66 @@ class NotificationService {
     // Listeners do Expo Notifications
     Notifications.addNotificationReceivedListener((notification) => {
       logger.debug('Notificação recebida (Expo)', notification);
+      notificationInboxService.addNotification(fromExpoNotification(notification));
     });
 
     Notifications.addNotificationResponseReceivedListener((response) => {
       logger.debug('Resposta de notificação recebida (Expo)', response);
+      notificationInboxService.addNotification(fromExpoNotification(response.notification), { read: true });
       this.handleNotificationPress(response.notification.request.content);
     });
   }
 
+  // Guardar na caixa de entrada as notificações que chegaram com o app em background
+  // e ainda estão na bandeja do sistema
+  async syncPresentedNotifications() {
+    try {
+      const presented = await Notifications.getPresentedNotificationsAsync();
+      for (const notification of presented) {
+        await notificationInboxService.addNotification(fromExpoNotification(notification));
+      }
+    } catch (error) {
+      logger.error('Erro ao sincronizar notificações da bandeja', error);
+    }
+  }
+
   // Lidar com o toque na notificação
+  // Payload: { url: 'cxlus://...' } ou { screen, params } (params pode vir como JSON, já que o FCM só envia strings)
+  // Se a autenticação ainda estiver carregando, o destino fica guardado no RootNavigation
   handleNotificationPress(notificationData) {
     logger.debug('Processando toque na notificação', notificationData);
     
-    // Aqui você pode implementar navegação baseada no tipo de notificação
     const { data } = notificationData;
     
-    if (data?.screen) {
-      // Navegar para uma tela específica
+    if (data?.url) {
+      logger.info('Abrindo link da notificação:', data.url);
+      openUrl(data.url);
+    } else if (data?.screen) {
       logger.info('Navegando para tela:', data.screen);
-      // Implementar navegação aqui se necessário
+      navigate(data.screen, this.parseNotificationParams(data));
     }
   }
 
+  // Extrair os parâmetros de navegação do payload da notificação
+  parseNotificationParams(data) {
+    if (typeof data.params === 'string') {
+      try {
+        return JSON.parse(data.params);
+      } catch (error) {
+        logger.warn('Parâmetros da notificação inválidos', data.params);
+        return {};
+      }
+    }
+    
+    if (data.params) {
+      return data.params;
+    }
+    
+    // Sem "params": os demais campos do payload viram parâmetros da tela
+    const { screen, ...params } = data;
+    return params;
+  }
+
   // Registrar token do dispositivo no servidor com retry e exponential backoff
   async registerDeviceToken(userId = null, email = null) {
     return this.retryOperation(async () => {
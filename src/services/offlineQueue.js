@@ -0,0 +1,297 @@
+/**
+ * Fila offline de requisições (outbox)
+ * Persiste chamadas mutáveis (POST/PUT/PATCH/DELETE) no AsyncStorage quando não há conexão
+ * e as reenvia, em ordem, assim que o NetInfo indicar que a conectividade voltou
+ * Só entram na fila as chamadas que pedem (options.queue com { source, meta }) e tratam
+ * QueuedRequestError: conclusão de tarefas, progresso de hábitos, check-in e conclusão de aulas
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { createLogger } from '../utils/logUtils';
+import { ApiError, AuthError, NetworkError } from '../utils/errorHandler';
+
+const logger = createLogger('OfflineQueue');
+
+// Chave usada para persistir a fila no AsyncStorage
+const QUEUE_STORAGE_KEY = 'offline_request_queue';
+
+// Número máximo de tentativas para erros de servidor (5xx) antes de descartar o item
+const MAX_ATTEMPTS = 5;
+
+// Métodos que podem ser enfileirados
+const QUEUEABLE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Status HTTP tratados como conflito (o estado no servidor mudou desde a ação offline)
+const CONFLICT_STATUSES = [409, 412];
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+let listeners = [];
+let netInfoUnsubscribe = null;
+let isReplaying = false;
+
+// Serializa leituras/escritas da fila para evitar que duas operações sobrescrevam uma à outra
+let storageLock = Promise.resolve();
+
+const withQueue = (operation) => {
+  const run = storageLock.then(async () => {
+    const queue = await readQueue();
+    const result = await operation(queue);
+    if (result && result.queue) {
+      await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(result.queue));
+    }
+    return result ? result.value : undefined;
+  });
+
+  // Mantém a corrente viva mesmo se uma operação falhar
+  storageLock = run.catch(() => {});
+  return run;
+};
+
+const readQueue = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    logger.error('Erro ao ler fila offline:', error);
+    return [];
+  }
+};
+
+const notify = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error('Erro em listener da fila offline:', error);
+    }
+  });
+};
+
+const isReachable = (state) =>
+  !!state.isConnected && (state.isInternetReachable === true || state.isInternetReachable === null);
+
+/**
+ * Gera uma chave de idempotência para que o servidor ignore reenvios duplicados
+ * @returns {string} Chave única
+ */
+export const generateIdempotencyKey = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Verifica se uma requisição pode ser guardada na fila offline
+ * Opt-in: sem options.queue a chamada falha com NetworkError e a tela mostra o erro
+ * @param {string} endpoint - Endpoint da requisição
+ * @param {Object} options - Opções passadas para apiRequest
+ * @returns {boolean} true se a requisição pode ser enfileirada
+ */
+export const isQueueableRequest = (endpoint, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+
+  if (!QUEUEABLE_METHODS.includes(method)) return false;
+  if (!options.queue || typeof options.queue !== 'object') return false;
+  if (endpoint.includes('/auth/')) return false;
+  if (typeof FormData !== 'undefined' && options.body instanceof FormData) return false;
+
+  return true;
+};
+
+/**
+ * Adiciona uma requisição ao final da fila offline
+ * @param {string} endpoint - Endpoint da requisição
+ * @param {Object} options - Opções passadas para apiRequest
+ * @param {Object} [options.queue] - Metadados da fila ({ source, meta })
+ * @returns {Promise<Object>} Item enfileirado
+ */
+export const enqueueRequest = async (endpoint, options = {}) => {
+  const queueOptions = typeof options.queue === 'object' && options.queue ? options.queue : {};
+
+  const item = {
+    id: generateIdempotencyKey(),
+    idempotencyKey: options.headers?.[IDEMPOTENCY_HEADER] || generateIdempotencyKey(),
+    endpoint,
+    method: (options.method || 'POST').toUpperCase(),
+    body: options.body ?? null,
+    source: queueOptions.source || null,
+    meta: queueOptions.meta || null,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    lastAttemptAt: null,
+    lastError: null
+  };
+
+  await withQueue(queue => ({ queue: [...queue, item] }));
+
+  logger.info('Requisição adicionada à fila offline', {
+    endpoint,
+    method: item.method,
+    source: item.source
+  });
+  notify({ type: 'queued', item });
+
+  return item;
+};
+
+/**
+ * Lista as requisições pendentes na fila
+ * @param {string} [source] - Filtra pela tela de origem
+ * @returns {Promise<Array>} Itens pendentes, em ordem
+ */
+export const getQueuedRequests = async (source = null) => {
+  const queue = await withQueue(queue => ({ value: queue }));
+  return source ? queue.filter(item => item.source === source) : queue;
+};
+
+/**
+ * Remove um item da fila
+ * @param {string} id - ID do item
+ */
+export const removeQueuedRequest = async (id) => {
+  await withQueue(queue => ({ queue: queue.filter(item => item.id !== id) }));
+};
+
+/**
+ * Limpa toda a fila (usado no logout)
+ */
+export const clearQueue = async () => {
+  await withQueue(() => ({ queue: [] }));
+  logger.debug('Fila offline limpa');
+};
+
+/**
+ * Registra um listener para eventos da fila
+ * Eventos: queued, replayed, conflict, failed, retry
+ * @param {Function} listener - Recebe { type, item, response?, error? }
+ * @returns {Function} Função para cancelar o registro
+ */
+export const subscribeToQueue = (listener) => {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter(l => l !== listener);
+  };
+};
+
+const updateItem = (id, changes) =>
+  withQueue(queue => ({
+    queue: queue.map(item => (item.id === id ? { ...item, ...changes } : item))
+  }));
+
+/**
+ * Reenvia os itens da fila em ordem. Para no primeiro erro transitório para preservar a ordem
+ * @param {Function} sendRequest - Função com a assinatura de apiRequest(endpoint, options)
+ */
+export const replayQueue = async (sendRequest) => {
+  if (isReplaying) {
+    logger.debug('Reenvio da fila já em andamento');
+    return;
+  }
+
+  isReplaying = true;
+
+  try {
+    let queue = await getQueuedRequests();
+    if (queue.length > 0) {
+      logger.info(`Reenviando fila offline: ${queue.length} pendentes`);
+    }
+
+    while (queue.length > 0) {
+      const item = queue[0];
+      const attemptAt = new Date().toISOString();
+
+      try {
+        const response = await sendRequest(item.endpoint, {
+          method: item.method,
+          ...(item.body !== null && { body: item.body }),
+          headers: { [IDEMPOTENCY_HEADER]: item.idempotencyKey },
+          queue: false
+        });
+
+        await removeQueuedRequest(item.id);
+        logger.info('Item da fila reenviado com sucesso', { endpoint: item.endpoint });
+        notify({ type: 'replayed', item, response });
+      } catch (error) {
+        if (error instanceof NetworkError || error instanceof AuthError) {
+          // Sem conexão ou sessão expirada: mantém o item e tenta novamente mais tarde
+          await updateItem(item.id, { lastAttemptAt: attemptAt, lastError: error.message });
+          logger.warn('Reenvio da fila interrompido', { reason: error.name });
+          return;
+        }
+
+        const status = error instanceof ApiError ? error.status : null;
+
+        if (CONFLICT_STATUSES.includes(status)) {
+          await removeQueuedRequest(item.id);
+          logger.warn('Conflito ao reenviar item da fila', { endpoint: item.endpoint, status });
+          notify({ type: 'conflict', item, error });
+        } else if (status && status < 500) {
+          await removeQueuedRequest(item.id);
+          logger.error('Item da fila rejeitado pelo servidor', { endpoint: item.endpoint, status });
+          notify({ type: 'failed', item, error });
+        } else {
+          const attempts = item.attempts + 1;
+
+          if (attempts >= MAX_ATTEMPTS) {
+            await removeQueuedRequest(item.id);
+            logger.error('Item da fila descartado após tentativas máximas', {
+              endpoint: item.endpoint,
+              attempts
+            });
+            notify({ type: 'failed', item: { ...item, attempts }, error });
+          } else {
+            await updateItem(item.id, { attempts, lastAttemptAt: attemptAt, lastError: error.message });
+            logger.warn('Falha temporária ao reenviar item da fila', { endpoint: item.endpoint, attempts });
+            notify({ type: 'retry', item: { ...item, attempts }, error });
+            return;
+          }
+        }
+      }
+
+      queue = await getQueuedRequests();
+    }
+  } finally {
+    isReplaying = false;
+  }
+};
+
+/**
+ * Inicia o monitoramento de conectividade para reenviar a fila automaticamente
+ * @param {Function} sendRequest - Função com a assinatura de apiRequest(endpoint, options)
+ */
+export const startQueueMonitoring = (sendRequest) => {
+  stopQueueMonitoring();
+
+  netInfoUnsubscribe = NetInfo.addEventListener(state => {
+    if (isReachable(state)) {
+      replayQueue(sendRequest);
+    }
+  });
+
+  // Tentar esvaziar o que ficou pendente de uma sessão anterior
+  replayQueue(sendRequest);
+
+  logger.debug('Monitoramento da fila offline iniciado');
+};
+
+/**
+ * Para o monitoramento de conectividade da fila
+ */
+export const stopQueueMonitoring = () => {
+  if (netInfoUnsubscribe) {
+    netInfoUnsubscribe();
+    netInfoUnsubscribe = null;
+    logger.debug('Monitoramento da fila offline parado');
+  }
+};
+
+export default {
+  isQueueableRequest,
+  enqueueRequest,
+  getQueuedRequests,
+  removeQueuedRequest,
+  clearQueue,
+  subscribeToQueue,
+  replayQueue,
+  startQueueMonitoring,
+  stopQueueMonitoring,
+  generateIdempotencyKey
+};
@@ -0,0 +1,531 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import habitService, { HABIT_FREQUENCIES, getHabitSchedule } from './habitService';
+import { createLogger } from '../utils/logUtils';
+import { createSerialQueue } from '../utils/serialQueue';
+
+const logger = createLogger('ReminderService');
+
+const SETTINGS_STORAGE_KEY = 'reminder_settings';
+const PLANS_STORAGE_KEY = 'reminder_plans';
+const HABITS_STORAGE_KEY = 'reminder_habits';
+const UNLOCKS_STORAGE_KEY = 'reminder_unlocks';
+
+// Prefixo dos identificadores das notificações locais criadas por este serviço
+const IDENTIFIER_PREFIX = 'reminder';
+
+// Dias à frente agendados a cada sincronização (o app reagenda ao abrir)
+const SCHEDULE_HORIZON_DAYS = 7;
+
+// O iOS mantém no máximo 64 notificações pendentes por app e descarta as excedentes sem aviso;
+// o limite vale para protocolos, hábitos e avisos de liberação juntos, com folga para as imediatas
+const MAX_SCHEDULED_NOTIFICATIONS = 60;
+
+// Horário do aviso de curso/módulo liberado no dia de liberação
+const COURSE_UNLOCK_TIME = '09:00';
+
+export const DEFAULT_PROTOCOL_REMINDER_SETTINGS = {
+  enabled: true,
+  // Horário de cada sessão do dia, pela ordem das sessões
+  sessionTimes: ['08:00', '13:00', '19:00'],
+  checkinEnabled: true,
+  checkinTime: '20:00',
+  // Lembretes que caem no silêncio são adiados para o fim do período
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00'
+  }
+};
+
+export const DEFAULT_HABIT_REMINDER_SETTINGS = {
+  enabled: true,
+  time: '09:00'
+};
+
+/**
+ * Converte "HH:mm" em minutos desde a meia-noite
+ * @param {string} time - Horário no formato HH:mm
+ * @returns {number} Minutos
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Converte minutos desde a meia-noite em "HH:mm" (com volta no fim do dia)
+ * @param {number} totalMinutes - Minutos
+ * @returns {string} Horário no formato HH:mm
+ */
+export const minutesToTime = (totalMinutes) => {
+  const normalized = ((totalMinutes % 1440) + 1440) % 1440;
+  const hours = String(Math.floor(normalized / 60)).padStart(2, '0');
+  const minutes = String(normalized % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+const atTime = (date, time) => {
+  const minutes = timeToMinutes(time);
+  const result = new Date(date);
+  result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return result;
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const isInQuietHours = (date, quietHours) => {
+  if (!quietHours?.enabled) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+
+  // Período pode atravessar a meia-noite (ex.: 22:00 às 07:00)
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const deferPastQuietHours = (date, quietHours) => {
+  if (!isInQuietHours(date, quietHours)) return date;
+
+  const deferred = atTime(date, quietHours.end);
+  if (deferred <= date) {
+    deferred.setDate(deferred.getDate() + 1);
+  }
+  return deferred;
+};
+
+// Dados mínimos da prescrição guardados para reagendar sem depender da tela do protocolo
+const buildProtocolPlan = (protocol) => ({
+  prescriptionId: protocol.id,
+  name: protocol.protocol?.name || 'Protocol',
+  status: protocol.status,
+  startDate: protocol.startDate,
+  days: (protocol.protocol?.days || []).map(day => ({
+    dayNumber: day.dayNumber,
+    sessions: (day.sessions || []).map(session => ({
+      title: session.title,
+      taskCount: session.tasks?.length || 0
+    }))
+  }))
+});
+
+class ReminderService {
+  constructor() {
+    // Sincronizações são serializadas para o cancelamento de uma não apagar o agendamento de outra
+    this.runExclusive = createSerialQueue();
+  }
+
+  async readJson(key, fallback) {
+    try {
+      const stored = await AsyncStorage.getItem(key);
+      return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+      logger.error(`Erro ao ler ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  async getAllSettings() {
+    return this.readJson(SETTINGS_STORAGE_KEY, { protocols: {}, habits: DEFAULT_HABIT_REMINDER_SETTINGS });
+  }
+
+  /**
+   * Configurações de lembrete de uma prescrição
+   * @param {string} prescriptionId - ID da prescrição
+   * @returns {Promise<Object>} Configurações (ver DEFAULT_PROTOCOL_REMINDER_SETTINGS)
+   */
+  async getProtocolSettings(prescriptionId) {
+    const settings = await this.getAllSettings();
+    const stored = settings.protocols?.[prescriptionId] || {};
+
+    return {
+      ...DEFAULT_PROTOCOL_REMINDER_SETTINGS,
+      ...stored,
+      quietHours: { ...DEFAULT_PROTOCOL_REMINDER_SETTINGS.quietHours, ...stored.quietHours }
+    };
+  }
+
+  /**
+   * Salva as configurações de lembrete de uma prescrição e reagenda seus lembretes
+   * @param {string} prescriptionId - ID da prescrição
+   * @param {Object} changes - Campos a alterar
+   * @returns {Promise<Object>} Configurações atualizadas
+   */
+  async saveProtocolSettings(prescriptionId, changes) {
+    const settings = await this.getAllSettings();
+    const updated = { ...(await this.getProtocolSettings(prescriptionId)), ...changes };
+
+    settings.protocols = { ...settings.protocols, [prescriptionId]: updated };
+    await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    logger.debug('Configurações de lembrete salvas', { prescriptionId });
+
+    await this.runExclusive(() => this.scheduleAll());
+
+    return updated;
+  }
+
+  /**
+   * Configurações do lembrete diário de hábitos
+   * @returns {Promise<Object>} { enabled, time }
+   */
+  async getHabitSettings() {
+    const settings = await this.getAllSettings();
+    return { ...DEFAULT_HABIT_REMINDER_SETTINGS, ...settings.habits };
+  }
+
+  /**
+   * Salva as configurações do lembrete de hábitos e reagenda
+   * @param {Object} changes - Campos a alterar
+   * @returns {Promise<Object>} Configurações atualizadas
+   */
+  async saveHabitSettings(changes) {
+    const settings = await this.getAllSettings();
+    const updated = { ...(await this.getHabitSettings()), ...changes };
+
+    settings.habits = updated;
+    await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+
+    await this.runExclusive(() => this.scheduleAll());
+
+    return updated;
+  }
+
+  /**
+   * Atualiza os lembretes de uma prescrição a partir dos dados carregados no ProtocolScreen
+   * Prescrições que deixaram de estar ativas (concluídas, pausadas) têm os lembretes cancelados
+   * @param {Object} protocol - Prescrição mapeada (ver ProtocolScreen.loadProtocolDetails)
+   * @returns {Promise<number>} Quantidade de notificações agendadas (todas as fontes)
+   */
+  async syncProtocolReminders(protocol) {
+    if (!protocol?.id) return 0;
+
+    const plan = buildProtocolPlan(protocol);
+    const plans = await this.readJson(PLANS_STORAGE_KEY, {});
+
+    if (plan.status === 'ACTIVE') {
+      plans[plan.prescriptionId] = plan;
+    } else {
+      delete plans[plan.prescriptionId];
+    }
+    await AsyncStorage.setItem(PLANS_STORAGE_KEY, JSON.stringify(plans));
+
+    return this.runExclusive(() => this.scheduleAll());
+  }
+
+  /**
+   * Atualiza os avisos de conteúdo liberado de uma prescrição a partir dos cursos carregados no CoursesScreen
+   * O dia de cada liberação é contado a partir do início da prescrição, como nos lembretes do protocolo
+   * @param {string} prescriptionId - ID da prescrição
+   * @param {Object} target - { protocolId, protocolName, items: [{ key, title, courseId, unlockDay }] }
+   * @returns {Promise<number>} Quantidade de notificações agendadas (todas as fontes)
+   */
+  async syncCourseUnlocks(prescriptionId, { protocolId, protocolName, items }) {
+    if (!prescriptionId) return 0;
+
+    const unlocks = await this.readJson(UNLOCKS_STORAGE_KEY, {});
+    unlocks[prescriptionId] = { protocolId, protocolName, items: items || [] };
+    await AsyncStorage.setItem(UNLOCKS_STORAGE_KEY, JSON.stringify(unlocks));
+
+    return this.runExclusive(() => this.scheduleAll());
+  }
+
+  /**
+   * Atualiza os lembretes de hábitos a partir da lista carregada no HabitsScreen
+   * Hábitos com reminderTime têm lembrete próprio nos dias previstos; os demais entram no lembrete diário
+   * @param {Array} habits - Hábitos do usuário
+   */
+  async syncHabitReminders(habits) {
+    const summary = (habits || []).map(habit => ({
+      id: habit.id,
+      title: habit.title,
+      schedule: habit.schedule || null,
+      reminderTime: habit.reminderTime || null,
+      createdAt: habit.createdAt || null
+    }));
+    await AsyncStorage.setItem(HABITS_STORAGE_KEY, JSON.stringify(summary));
+
+    await this.runExclusive(() => this.scheduleAll());
+  }
+
+  /**
+   * Reagenda todos os lembretes a partir dos dados guardados, avançando a janela de agendamento
+   * Chamado ao abrir o app, já que só os próximos dias ficam agendados
+   */
+  async refreshAllReminders() {
+    const count = await this.runExclusive(() => this.scheduleAll());
+    logger.debug('Lembretes reagendados', { count });
+  }
+
+  /**
+   * Cancela todos os lembretes e apaga os dados guardados (usado no logout)
+   */
+  async cancelAllReminders() {
+    await this.runExclusive(() => this.cancelByPrefix(`${IDENTIFIER_PREFIX}:`));
+    await AsyncStorage.multiRemove([SETTINGS_STORAGE_KEY, PLANS_STORAGE_KEY, HABITS_STORAGE_KEY, UNLOCKS_STORAGE_KEY]);
+    logger.info('Lembretes cancelados');
+  }
+
+  async cancelByPrefix(prefix) {
+    try {
+      const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+      const matching = scheduled.filter(notification => notification.identifier.startsWith(prefix));
+
+      await Promise.all(
+        matching.map(notification => Notifications.cancelScheduledNotificationAsync(notification.identifier))
+      );
+    } catch (error) {
+      logger.error('Erro ao cancelar lembretes:', error);
+    }
+  }
+
+  /**
+   * Reagenda todas as notificações a partir dos dados guardados, dentro do limite do iOS
+   * Lembretes repetidos (diários/semanais) ocupam uma vaga só e entram primeiro; as datas avulsas
+   * de todos os protocolos e avisos de liberação disputam o restante, das mais próximas para as mais distantes
+   * @returns {Promise<number>} Quantidade de notificações agendadas
+   */
+  async scheduleAll() {
+    const plans = await this.readJson(PLANS_STORAGE_KEY, {});
+    const habits = await this.readJson(HABITS_STORAGE_KEY, []);
+    const unlocks = await this.readJson(UNLOCKS_STORAGE_KEY, {});
+    const requests = [];
+
+    for (const plan of Object.values(plans)) {
+      const settings = await this.getProtocolSettings(plan.prescriptionId);
+      requests.push(...this.buildProtocolReminders(plan, settings));
+      requests.push(...this.buildUnlockReminders(plan.prescriptionId, plan, unlocks[plan.prescriptionId], settings));
+    }
+    requests.push(...this.buildHabitReminders(habits, await this.getHabitSettings()));
+
+    const selected = requests
+      .sort((a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0))
+      .slice(0, MAX_SCHEDULED_NOTIFICATIONS);
+
+    await this.cancelByPrefix(`${IDENTIFIER_PREFIX}:`);
+
+    for (const { identifier, content, trigger } of selected) {
+      try {
+        await Notifications.scheduleNotificationAsync({ identifier, content, trigger });
+      } catch (error) {
+        logger.error('Erro ao agendar lembrete', { identifier, error });
+      }
+    }
+
+    if (requests.length > selected.length) {
+      logger.warn('Limite de notificações agendadas atingido', {
+        scheduled: selected.length,
+        skipped: requests.length - selected.length
+      });
+    }
+
+    logger.info('Lembretes agendados', { count: selected.length });
+    return selected.length;
+  }
+
+  // Lembretes das sessões e do check-in dos próximos dias; date só existe nos gatilhos de data avulsa
+  buildProtocolReminders(plan, settings) {
+    const prefix = `${IDENTIFIER_PREFIX}:protocol:${plan.prescriptionId}:`;
+
+    if (!settings.enabled || plan.status !== 'ACTIVE' || !plan.startDate) {
+      return [];
+    }
+
+    const now = new Date();
+    const today = startOfDay(now);
+    const startDate = startOfDay(new Date(plan.startDate));
+    const reminders = [];
+
+    for (let offset = 0; offset < SCHEDULE_HORIZON_DAYS; offset++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() + offset);
+
+      const dayNumber = Math.round((date.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24)) + 1;
+      const day = plan.days.find(d => d.dayNumber === dayNumber);
+
+      // Fora do período do protocolo (ainda não começou ou já terminou)
+      if (!day) continue;
+
+      day.sessions.forEach((session, index) => {
+        const time = settings.sessionTimes[index] || settings.sessionTimes[settings.sessionTimes.length - 1];
+
+        reminders.push({
+          identifier: `${prefix}d${dayNumber}:s${index + 1}`,
+          date: atTime(date, time),
+          content: {
+            title: plan.name,
+            body: session.taskCount > 0
+              ? `Day ${dayNumber}: ${session.title} (${session.taskCount} tasks)`
+              : `Day ${dayNumber}: ${session.title}`,
+            data: { type: 'protocol_reminder', url: `cxlus://protocol/${plan.prescriptionId}/day/${dayNumber}` }
+          }
+        });
+      });
+
+      if (settings.checkinEnabled) {
+        reminders.push({
+          identifier: `${prefix}d${dayNumber}:checkin`,
+          date: atTime(date, settings.checkinTime),
+          content: {
+            title: plan.name,
+            body: 'How are you feeling today? Complete your daily check-in.',
+            data: { type: 'checkin_reminder', url: `cxlus://checkin/${plan.prescriptionId}` }
+          }
+        });
+      }
+    }
+
+    return reminders
+      .map(reminder => ({ ...reminder, date: deferPastQuietHours(reminder.date, settings.quietHours) }))
+      .filter(reminder => reminder.date > now)
+      .map(reminder => ({
+        ...reminder,
+        trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: reminder.date }
+      }));
+  }
+
+  // Um aviso por dia de liberação, dentro da mesma janela de agendamento dos lembretes
+  buildUnlockReminders(prescriptionId, plan, unlocks, settings) {
+    const prefix = `${IDENTIFIER_PREFIX}:unlock:${prescriptionId}:`;
+
+    if (!settings.enabled || plan.status !== 'ACTIVE' || !plan.startDate || !unlocks?.items?.length) {
+      return [];
+    }
+
+    const now = new Date();
+    const horizon = startOfDay(now);
+    horizon.setDate(horizon.getDate() + SCHEDULE_HORIZON_DAYS);
+    const startDate = startOfDay(new Date(plan.startDate));
+
+    const itemsByDay = unlocks.items.reduce((groups, item) => {
+      groups[item.unlockDay] = [...(groups[item.unlockDay] || []), item];
+      return groups;
+    }, {});
+
+    const reminders = [];
+
+    for (const [unlockDay, items] of Object.entries(itemsByDay)) {
+      const date = new Date(startDate);
+      date.setDate(startDate.getDate() + Number(unlockDay) - 1);
+      const triggerDate = deferPastQuietHours(atTime(date, COURSE_UNLOCK_TIME), settings.quietHours);
+
+      if (triggerDate <= now || triggerDate >= horizon) continue;
+
+      const titles = items.slice(0, 2).map(item => item.title).join(', ');
+      const more = items.length > 2 ? ` and ${items.length - 2} more` : '';
+
+      reminders.push({
+        identifier: `${prefix}d${unlockDay}`,
+        date: triggerDate,
+        content: {
+          title: `New content unlocked in ${plan.name}`,
+          body: `${titles}${more} is now available.`,
+          data: {
+            type: 'course_unlock',
+            screen: 'Courses',
+            params: {
+              protocolId: unlocks.protocolId,
+              protocolName: unlocks.protocolName,
+              prescriptionId
+            }
+          },
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: triggerDate,
+        },
+      });
+    }
+
+    return reminders;
+  }
+
+  buildHabitReminders(habits, settings) {
+    if (!settings.enabled || !habits.length) return [];
+
+    const reminders = habits
+      .filter(habit => habit.reminderTime)
+      .flatMap(habit => this.buildHabitReminder(habit));
+
+    const dailyHabits = habits.filter(habit => !habit.reminderTime);
+    if (!dailyHabits.length) return reminders;
+
+    const minutes = timeToMinutes(settings.time);
+    const titles = dailyHabits.slice(0, 3).map(habit => habit.title).join(', ');
+    const more = dailyHabits.length > 3 ? ` and ${dailyHabits.length - 3} more` : '';
+
+    reminders.push({
+      identifier: `${IDENTIFIER_PREFIX}:habits:daily`,
+      content: {
+        title: 'Your habits for today',
+        body: `${titles}${more}`,
+        data: { type: 'habit_reminder', screen: 'MainApp', params: { screen: 'Habits' } },
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DAILY,
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60,
+      },
+    });
+
+    return reminders;
+  }
+
+  // Lembrete próprio de um hábito: gatilhos repetidos para diário/semanal e datas avulsas para "a cada N dias"
+  buildHabitReminder(habit) {
+    const prefix = `${IDENTIFIER_PREFIX}:habits:habit:${habit.id}:`;
+    const schedule = getHabitSchedule(habit);
+    const minutes = timeToMinutes(habit.reminderTime);
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    const content = {
+      title: habit.title,
+      body: 'Time for your habit. Tap to check it off.',
+      data: { type: 'habit_reminder', screen: 'MainApp', params: { screen: 'Habits' } },
+    };
+
+    switch (schedule.frequency) {
+      case HABIT_FREQUENCIES.WEEKDAYS:
+        // No expo-notifications o domingo é 1
+        return schedule.weekdays.map(weekday => ({
+          identifier: `${prefix}w${weekday}`,
+          content,
+          trigger: { type: Notifications.SchedulableTriggerInputTypes.WEEKLY, weekday: weekday + 1, hour, minute }
+        }));
+      case HABIT_FREQUENCIES.EVERY_N_DAYS: {
+        const now = new Date();
+        const reminders = [];
+        for (let offset = 0; offset < SCHEDULE_HORIZON_DAYS; offset++) {
+          const date = startOfDay(now);
+          date.setDate(date.getDate() + offset);
+          const triggerDate = atTime(date, habit.reminderTime);
+
+          if (triggerDate > now && habitService.isHabitDueOnDate(habit, date)) {
+            reminders.push({
+              identifier: `${prefix}d${offset}`,
+              date: triggerDate,
+              content,
+              trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: triggerDate }
+            });
+          }
+        }
+        return reminders;
+      }
+      default:
+        // Diário e meta semanal (qualquer dia vale até a meta ser atingida)
+        return [{
+          identifier: `${prefix}daily`,
+          content,
+          trigger: { type: Notifications.SchedulableTriggerInputTypes.DAILY, hour, minute }
+        }];
+    }
+  }
+}
+
+export default new ReminderService();
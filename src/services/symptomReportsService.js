@@ -1,10 +1,124 @@
 import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
 import { createLogger } from '../utils/logUtils';
+import { DEFAULT_SYMPTOM_CATALOGUE } from '../utils/symptomCatalogue';
 
 const logger = createLogger('SymptomReportsService');
 
+/**
+ * @typedef {import('../types/api').SymptomReportInput} SymptomReportInput
+ * @typedef {import('../types/api').SymptomReportListResponse} SymptomReportListResponse
+ * @typedef {import('../types/api').SymptomReportResponse} SymptomReportResponse
+ * @typedef {import('../types/api').SymptomReportAttachmentInput} SymptomReportAttachmentInput
+ * @typedef {import('../types/api').SymptomCatalogueItem} SymptomCatalogueItem
+ */
+
+export const ATTACHMENT_KINDS = {
+  IMAGE: 'image',
+  AUDIO: 'audio',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Até quantos dias para trás o paciente pode datar o início de um sintoma
+export const MAX_BACKDATE_DAYS = 30;
+
+/**
+ * Dia do protocolo correspondente a uma data (dia 1 = data de início da prescrição)
+ * @param {string|Date} startDate - Início da prescrição
+ * @param {string|Date} date - Data a converter
+ * @returns {number} Dia do protocolo (pode ser menor que 1 para datas anteriores ao início)
+ */
+export const getProtocolDayForDate = (startDate, date) => {
+  const start = new Date(startDate);
+  const day = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  day.setHours(0, 0, 0, 0);
+
+  // round: dias com horário de verão têm 23 ou 25 horas
+  return Math.round((day.getTime() - start.getTime()) / DAY_MS) + 1;
+};
+
+// Limites dos anexos de um relatório
+export const MAX_REPORT_ATTACHMENTS = 5;
+export const MAX_VOICE_NOTE_SECONDS = 120;
+
+/**
+ * Tipo de um anexo (local ou vindo da API) pelo mimeType/fileType ou, sem isso, pela extensão
+ * @param {Object} attachment - Anexo
+ * @returns {string|null} ATTACHMENT_KINDS ou null se não for imagem nem áudio
+ */
+export const getAttachmentKind = (attachment) => {
+  const type = String(attachment?.fileType || attachment?.mimeType || '').toLowerCase();
+  if (type.startsWith('image')) return ATTACHMENT_KINDS.IMAGE;
+  if (type.startsWith('audio')) return ATTACHMENT_KINDS.AUDIO;
+
+  const name = String(attachment?.fileName || attachment?.fileUrl || attachment?.uri || '').split('?')[0];
+  if (/\.(jpe?g|png|heic|webp)$/i.test(name)) return ATTACHMENT_KINDS.IMAGE;
+  if (/\.(m4a|mp4|aac|mp3|wav|caf|3gp)$/i.test(name)) return ATTACHMENT_KINDS.AUDIO;
+  return null;
+};
+
+// Relatório com anexos vai como multipart: campos do relatório como texto (listas em JSON) e um arquivo por anexo
+const buildMultipartReport = (requestData, attachments) => {
+  const formData = new FormData();
+
+  Object.entries(requestData).forEach(([key, value]) => {
+    formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+
+  attachments.forEach((attachment, index) => {
+    formData.append('attachments', {
+      uri: attachment.uri,
+      name: attachment.fileName || `symptom-report-${index + 1}`,
+      type: attachment.mimeType
+    });
+    if (attachment.durationMs) {
+      formData.append(`attachmentDurations[${index}]`, String(Math.round(attachment.durationMs / 1000)));
+    }
+  });
+
+  return formData;
+};
+
 class SymptomReportsService {
-  // Buscar relatórios de sintomas com paginação
+  constructor() {
+    // Catálogo muda pouco: uma busca por protocolo enquanto o app está aberto
+    this.catalogueCache = {};
+  }
+
+  /**
+   * Catálogo de sintomas do protocolo
+   * Sem catálogo próprio (ou sem conexão) usa o catálogo padrão, para o paciente sempre poder escolher
+   * @param {string} protocolId - ID do protocolo
+   * @returns {Promise<SymptomCatalogueItem[]>}
+   */
+  async getSymptomCatalogue(protocolId) {
+    if (this.catalogueCache[protocolId]) return this.catalogueCache[protocolId];
+
+    try {
+      logger.debug('Buscando catálogo de sintomas', { protocolId });
+      const response = await apiClient.get(ENDPOINTS.symptomReports.catalogue, { protocolId });
+      const symptoms = response.symptoms || [];
+
+      if (symptoms.length === 0) {
+        return DEFAULT_SYMPTOM_CATALOGUE;
+      }
+
+      this.catalogueCache[protocolId] = symptoms;
+      logger.info('Catálogo de sintomas carregado', { count: symptoms.length });
+      return symptoms;
+    } catch (error) {
+      logger.warn('Não foi possível carregar o catálogo de sintomas, usando o padrão', error);
+      return DEFAULT_SYMPTOM_CATALOGUE;
+    }
+  }
+
+  /**
+   * Buscar relatórios de sintomas com paginação
+   * @param {{ limit?: number, offset?: number, protocolId?: string, status?: string }} params
+   * @returns {Promise<SymptomReportListResponse>}
+   */
   async getSymptomReports(params = {}) {
     try {
       const { limit = 20, offset = 0, protocolId, status } = params;
@@ -17,7 +131,7 @@ class SymptomReportsService {
       };
       
       logger.debug('Buscando relatórios de sintomas', queryParams);
-      const response = await apiClient.get('/api/mobile/symptom-reports', queryParams);
+      const response = await apiClient.get(ENDPOINTS.symptomReports.list, queryParams);
       
       logger.info('Relatórios de sintomas carregados', { 
         total: response.pagination?.total || 0,
@@ -31,7 +145,11 @@ class SymptomReportsService {
     }
   }
 
-  // Criar novo relatório de sintomas
+  /**
+   * Criar novo relatório de sintomas
+   * @param {SymptomReportInput} reportData
+   * @returns {Promise<SymptomReportResponse>}
+   */
   async createSymptomReport(reportData) {
     try {
       const {
@@ -42,7 +160,9 @@ class SymptomReportsService {
         symptoms,
         severity,
         isNow = true,
-        reportTime
+        reportTime,
+        structuredSymptoms = [],
+        attachments = []
       } = reportData;
 
       // Validações básicas
@@ -55,6 +175,9 @@ class SymptomReportsService {
       if (severity < 1 || severity > 10) {
         throw new Error('Severity must be between 1 and 10');
       }
+      if (attachments.length > MAX_REPORT_ATTACHMENTS) {
+        throw new Error(`You can attach up to ${MAX_REPORT_ATTACHMENTS} files`);
+      }
 
       const requestData = {
         protocolId,
@@ -64,20 +187,28 @@ class SymptomReportsService {
         severity,
         isNow,
         ...(description && { description }),
-        ...(reportTime && { reportTime })
+        ...(reportTime && { reportTime }),
+        ...(structuredSymptoms.length > 0 && { structuredSymptoms })
       };
 
       logger.debug('Criando relatório de sintomas', { 
         protocolId, 
         dayNumber, 
         severity,
-        symptomsLength: symptoms.length 
+        symptomsLength: symptoms.length,
+        structuredCount: structuredSymptoms.length,
+        attachmentsCount: attachments.length
       });
       
-      const response = await apiClient.post('/api/mobile/symptom-reports', requestData);
+      // Multipart não entra na fila offline: sem conexão o NetworkError sobe para a tela
+      const response = await apiClient.post(
+        ENDPOINTS.symptomReports.list,
+        attachments.length > 0 ? buildMultipartReport(requestData, attachments) : requestData
+      );
       
       logger.info('Relatório de sintomas criado com sucesso', { 
-        reportId: response.report?.id 
+        reportId: response.report?.id,
+        attachmentsCount: response.report?.attachments?.length || 0
       });
       
       return response;
@@ -1,4 +1,4 @@
-import { isTokenExpiringSoon, getToken } from '../utils/jwtUtils';
+import { isTokenExpiringSoon, getRefreshToken } from '../utils/jwtUtils';
 import { refreshToken } from './authService';
 import { API_URL } from '@env';
 
@@ -24,10 +24,10 @@ export const startTokenRefreshMonitoring = () => {
       
       if (isExpiringSoon) {
         console.log('Token expirando em breve, iniciando renovação proativa');
-        const currentToken = await getToken();
+        const storedRefreshToken = await getRefreshToken();
         
-        if (currentToken) {
-          const newToken = await refreshToken(currentToken);
+        if (storedRefreshToken) {
+          const newToken = await refreshToken();
           if (newToken) {
             console.log('Token renovado proativamente');
           } else {
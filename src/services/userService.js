@@ -1,20 +1,66 @@
 import apiClient from './apiClient';
+import { ENDPOINTS } from './endpoints';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { createLogger } from '../utils/logUtils';
 
 const logger = createLogger('UserService');
 
+// Chave única do cache local do perfil do usuário
+export const USER_PROFILE_CACHE_KEY = 'user_data';
+
+// Chave usada por versões anteriores do app, removida na primeira leitura
+const LEGACY_USER_PROFILE_CACHE_KEY = 'userData';
+
 // Serviço para manipulação do perfil do usuário
 const userService = {
+  // Salvar perfil no cache local
+  cacheUserProfile: async (user) => {
+    try {
+      await AsyncStorage.setItem(USER_PROFILE_CACHE_KEY, JSON.stringify(user));
+    } catch (error) {
+      logger.error('Error caching user profile', error);
+    }
+  },
+  
+  // Ler perfil do cache local (migrando a chave antiga, se existir)
+  getCachedUserProfile: async () => {
+    try {
+      let cachedData = await AsyncStorage.getItem(USER_PROFILE_CACHE_KEY);
+      const legacyData = await AsyncStorage.getItem(LEGACY_USER_PROFILE_CACHE_KEY);
+      
+      if (legacyData) {
+        if (!cachedData) {
+          cachedData = legacyData;
+          await AsyncStorage.setItem(USER_PROFILE_CACHE_KEY, legacyData);
+        }
+        await AsyncStorage.removeItem(LEGACY_USER_PROFILE_CACHE_KEY);
+      }
+      
+      return cachedData ? JSON.parse(cachedData) : null;
+    } catch (error) {
+      logger.error('Error retrieving user data from cache', error);
+      return null;
+    }
+  },
+  
+  // Remover perfil do cache local (logout)
+  clearCachedUserProfile: async () => {
+    try {
+      await AsyncStorage.multiRemove([USER_PROFILE_CACHE_KEY, LEGACY_USER_PROFILE_CACHE_KEY]);
+    } catch (error) {
+      logger.error('Error clearing user profile cache', error);
+    }
+  },
+  
   // Obter perfil do usuário (Método principal, usado pelo AuthContext)
   getUserProfile: async () => {
     try {
       logger.debug('Buscando perfil do usuário');
-      const response = await apiClient.get('/api/user/profile');
+      const response = await apiClient.get(ENDPOINTS.profile.user);
       
       if (response && response.user) {
         // Cache user data
-        await AsyncStorage.setItem('userData', JSON.stringify(response.user));
+        await userService.cacheUserProfile(response.user);
         logger.info('User profile obtained successfully');
         
         return response.user;
@@ -25,13 +71,9 @@ const userService = {
       logger.error('Error fetching user profile', error);
       
       // Try to get cached data in case of error
-      try {
-        const cachedData = await AsyncStorage.getItem('userData');
-        if (cachedData) {
-          return JSON.parse(cachedData);
-        }
-      } catch (cacheError) {
-        logger.error('Error retrieving user data from cache', cacheError);
+      const cachedUser = await userService.getCachedUserProfile();
+      if (cachedUser) {
+        return cachedUser;
       }
       
       throw error;
@@ -53,11 +95,11 @@ const userService = {
   // Atualizar perfil do usuário
   updateProfile: async (data) => {
     try {
-      const response = await apiClient.put('/api/patient/profile', data);
+      const response = await apiClient.put(ENDPOINTS.profile.patient, data);
       
-      // Atualiza os dados do usuário no AsyncStorage
+      // Atualiza os dados do usuário no cache local
       if (response && response.user) {
-        await AsyncStorage.setItem('user_data', JSON.stringify(response.user));
+        await userService.cacheUserProfile(response.user);
       }
       
       return response;
@@ -70,7 +112,7 @@ const userService = {
   // Atualizar senha do usuário
   updatePassword: async (currentPassword, newPassword) => {
     try {
-      return await apiClient.put('/api/patient/profile', {
+      return await apiClient.put(ENDPOINTS.profile.patient, {
         currentPassword,
         newPassword
       });
@@ -84,7 +126,7 @@ const userService = {
   getProtocols: async () => {
     try {
       logger.debug('Buscando protocolos do paciente');
-      const response = await apiClient.get('/api/protocols/assignments');
+      const response = await apiClient.get(ENDPOINTS.assignments.list);
       if (response && response.assignments) {
         logger.info('Protocols obtained successfully');
         return response.assignments;
@@ -98,7 +140,7 @@ const userService = {
   // Obter dados de resumo do usuário (dashboard simplificado)
   getUserSummary: async () => {
     try {
-      return await apiClient.get('/api/patient/summary');
+      return await apiClient.get(ENDPOINTS.profile.summary);
     } catch (error) {
       console.error('Error fetching user summary:', error);
       throw error;
@@ -107,6 +149,9 @@ const userService = {
 };
 
 // Exportar métodos individuais para compatibilidade
+export const cacheUserProfile = userService.cacheUserProfile;
+export const getCachedUserProfile = userService.getCachedUserProfile;
+export const clearCachedUserProfile = userService.clearCachedUserProfile;
 export const getUserProfile = userService.getUserProfile;
 export const getProfile = userService.getProfile;
 export const updateProfile = userService.updateProfile;
@@ -0,0 +1,627 @@
+/**
+ * Tipos das respostas da API CXLUS
+ * Usados pelo apiClient e pelos serviços (via JSDoc: @returns {Promise<import('../types/api').Habit[]>})
+ */
+
+// ---------------------------------------------------------------------------
+// Cliente
+// ---------------------------------------------------------------------------
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+export interface ApiRequestOptions {
+  method?: HttpMethod;
+  headers?: Record<string, string>;
+  body?: unknown;
+  /** Um objeto coloca a requisição na fila offline quando não há conexão (com os metadados do item) */
+  queue?: false | { source?: string; meta?: Record<string, unknown> };
+  /** Uso interno: requisição repetida após renovar o token */
+  isRetry?: boolean;
+}
+
+export type QueryParams = Record<string, string | number | boolean | null | undefined>;
+
+export interface Pagination {
+  total: number;
+  limit: number;
+  offset: number;
+  hasMore: boolean;
+}
+
+/** Formato comum das rotas /api/v2 e /api/mobile */
+export interface ApiResponse {
+  success: boolean;
+  message?: string;
+  error?: string;
+}
+
+// ---------------------------------------------------------------------------
+// Autenticação e perfil
+// ---------------------------------------------------------------------------
+
+export interface User {
+  id: string;
+  name: string;
+  email: string;
+  role?: string;
+  image?: string | null;
+  phone?: string | null;
+  emailVerified?: boolean | string | null;
+}
+
+export interface AuthResponse {
+  token: string;
+  refreshToken?: string;
+  user: User;
+}
+
+export interface ProfileResponse {
+  user: User;
+}
+
+// ---------------------------------------------------------------------------
+// Protocolos e prescrições
+// ---------------------------------------------------------------------------
+
+export type PrescriptionStatus = 'PRESCRIBED' | 'ACTIVE' | 'PAUSED' | 'COMPLETED' | 'ABANDONED';
+
+export interface Doctor {
+  id?: string;
+  name: string;
+  email?: string;
+  image?: string | null;
+}
+
+export interface ProtocolTask {
+  id: string;
+  title: string;
+  description?: string | null;
+  duration?: number | null;
+  order?: number;
+}
+
+export interface ProtocolSession {
+  id: string;
+  title: string;
+  sessionNumber?: number;
+  description?: string | null;
+  tasks: ProtocolTask[];
+}
+
+export interface ProtocolDay {
+  id: string;
+  dayNumber: number;
+  title?: string | null;
+  description?: string | null;
+  sessions: ProtocolSession[];
+}
+
+export interface Protocol {
+  id: string;
+  name: string;
+  description?: string | null;
+  duration: number;
+  cover_image?: string | null;
+  doctor?: Doctor;
+  days?: ProtocolDay[];
+}
+
+export type TaskProgressStatus = 'PENDING' | 'COMPLETED' | 'SKIPPED' | 'MISSED';
+
+export interface TaskProgress {
+  id: string;
+  dayNumber: number;
+  scheduledDate?: string;
+  status: TaskProgressStatus;
+  completedAt?: string | null;
+  notes?: string | null;
+  protocolTask?: { id: string };
+}
+
+export interface PrescriptionMetrics {
+  adherence_rate?: number;
+  [metric: string]: unknown;
+}
+
+/** Prescrição como retornada por /api/v2/patients/prescriptions (campos em snake_case) */
+export interface Prescription {
+  id: string;
+  protocol_id: string;
+  status: PrescriptionStatus;
+  current_day: number;
+  planned_start_date?: string | null;
+  planned_end_date?: string | null;
+  actual_start_date?: string | null;
+  actual_end_date?: string | null;
+  paused_at?: string | null;
+  pause_reason?: string | null;
+  abandoned_at?: string | null;
+  abandon_reason?: string | null;
+  protocol: Protocol;
+  progress?: TaskProgress[];
+  metrics?: PrescriptionMetrics;
+}
+
+export interface PrescriptionListResponse extends ApiResponse {
+  prescriptions: Prescription[];
+}
+
+export interface PrescriptionResponse extends ApiResponse {
+  prescription: Prescription;
+}
+
+// ---------------------------------------------------------------------------
+// Cursos
+// ---------------------------------------------------------------------------
+
+/** Sem contentType, o app deduz o tipo pela URL da mídia (YouTube, .m3u8/.mp4, .mp3, .pdf) */
+export type LessonContentType = 'YOUTUBE' | 'VIDEO' | 'AUDIO' | 'PDF' | 'TEXT' | 'MARKDOWN' | 'QUIZ';
+
+export type QuizQuestionType = 'SINGLE_CHOICE' | 'MULTIPLE_CHOICE' | 'TRUE_FALSE' | 'SHORT_ANSWER';
+
+/** Sem gabarito: a correção é feita pelo servidor ao receber a tentativa */
+export interface QuizQuestion {
+  id: string;
+  question: string;
+  type: QuizQuestionType;
+  options?: Array<string | { id: string; text: string }>;
+  points?: number;
+}
+
+export interface QuizAttempt {
+  /** null enquanto nenhuma pergunta foi corrigida (respostas abertas com o médico) */
+  score: number | null;
+  passed: boolean;
+  pendingReview?: boolean;
+  submittedAt: string;
+}
+
+export interface Quiz {
+  questions: QuizQuestion[];
+  /** Nota mínima em %, padrão 70 */
+  passThreshold?: number;
+  /** Sem valor, tentativas ilimitadas */
+  maxAttempts?: number | null;
+  /** false permite avançar de módulo sem aprovação */
+  gatesNextModule?: boolean;
+  attempts?: QuizAttempt[];
+  attemptsUsed?: number;
+}
+
+export interface Lesson {
+  id: string;
+  title: string;
+  duration?: number | null;
+  contentType?: LessonContentType | null;
+  videoUrl?: string | null;
+  mediaUrl?: string | null;
+  audioUrl?: string | null;
+  fileUrl?: string | null;
+  /** Texto da aula (markdown simples) */
+  content?: string | null;
+  completionThreshold?: number | null;
+  quiz?: Quiz | null;
+  completed?: boolean;
+}
+
+export interface CourseModule {
+  id: string;
+  title: string;
+  /** Dia da prescrição a partir do qual o módulo é liberado (liberação gradual) */
+  unlockDay?: number | null;
+  lessons: Lesson[];
+}
+
+/** Corpo enviado para /api/v2/patients/courses/:id/progress */
+export interface CourseProgressInput {
+  type: 'QUIZ_ATTEMPT';
+  protocolId?: string | null;
+  moduleId: string;
+  lessonId: string;
+  answers: Record<string, string | string[]>;
+}
+
+/** Tentativa além de maxAttempts é recusada pelo servidor (erro 4xx com message) */
+export interface CourseProgressResponse extends ApiResponse {
+  result: {
+    score: number | null;
+    passed: boolean;
+    /** Respostas abertas esperando a revisão do médico */
+    pendingReview?: boolean;
+    /** Acerto por pergunta; null quando a pergunta ficou para revisão */
+    results?: Record<string, boolean | null>;
+    attemptsUsed?: number;
+  };
+}
+
+export interface Course {
+  id: string;
+  title?: string;
+  name?: string;
+  description?: string | null;
+  coverImage?: string | null;
+  instructor?: Doctor;
+  progress?: number;
+  unlockDay?: number | null;
+  modules?: CourseModule[];
+}
+
+/** Curso vinculado a um protocolo (/api/v2/patients/protocols/:id/courses) */
+export interface ProtocolCourse {
+  course: Course;
+  isRequired?: boolean;
+  /** Dia da prescrição em que o curso é liberado; sem valor, liberado desde o início */
+  unlockDay?: number | null;
+}
+
+export interface ProtocolCoursesResponse extends ApiResponse {
+  courses: ProtocolCourse[];
+  /** Dia atual da prescrição do paciente neste protocolo */
+  currentDay?: number;
+}
+
+// ---------------------------------------------------------------------------
+// Hábitos
+// ---------------------------------------------------------------------------
+
+export interface HabitProgress {
+  date: string;
+  /** Em hábitos com meta, true quando value atinge goal.target */
+  isChecked: boolean;
+  /** Total registrado no dia (hábitos com meta numérica) */
+  value?: number;
+}
+
+/** Meta numérica de um hábito (ex.: 2 L de água, 8000 passos, 8 h de sono) */
+export interface HabitGoal {
+  target: number;
+  unit: string;
+  /** Incremento do stepper no app */
+  step?: number;
+}
+
+export type HabitFrequency = 'DAILY' | 'TIMES_PER_WEEK' | 'WEEKDAYS' | 'EVERY_N_DAYS';
+
+export interface HabitSchedule {
+  frequency: HabitFrequency;
+  /** TIMES_PER_WEEK: meta de dias na semana (1-7) */
+  timesPerWeek?: number;
+  /** WEEKDAYS: dias da semana (0 = domingo) */
+  weekdays?: number[];
+  /** EVERY_N_DAYS: intervalo em dias, contado a partir de startDate */
+  intervalDays?: number;
+  /** YYYY-MM-DD */
+  startDate?: string | null;
+}
+
+/** Categoria criada pelo paciente; sem nenhuma, o app usa Personal/Health/Work */
+export interface HabitCategory {
+  id: string;
+  name: string;
+  color: string;
+  order?: number;
+  /** Só no cliente: categoria padrão que ainda não foi criada na API */
+  isLocal?: boolean;
+}
+
+/** Hábito recomendado pelo médico no protocolo */
+export interface HabitTemplate {
+  id: string;
+  title: string;
+  description?: string;
+  /** ID ou nome da categoria sugerida */
+  category?: string;
+  categoryName?: string;
+  schedule?: HabitSchedule | null;
+  reminderTime?: string | null;
+  goal?: HabitGoal | null;
+}
+
+export interface Habit {
+  id: string;
+  title: string;
+  /** ID da HabitCategory */
+  category: string;
+  /** Sem agenda, o hábito é diário */
+  schedule?: HabitSchedule | null;
+  /** Horário do lembrete próprio (HH:mm) */
+  reminderTime?: string | null;
+  /** Sem meta, o hábito é de marcar/desmarcar */
+  goal?: HabitGoal | null;
+  createdAt?: string;
+  /** Modelo do protocolo que originou o hábito */
+  templateId?: string | null;
+  progress: HabitProgress[];
+  /** Só no cliente (getHabitsWithHistory): primeiro dia com progresso carregado */
+  historyFrom?: string;
+}
+
+export interface HabitInput {
+  title: string;
+  category: string;
+  schedule?: HabitSchedule;
+  reminderTime?: string | null;
+  goal?: HabitGoal | null;
+  templateId?: string;
+  prescriptionId?: string;
+}
+
+export interface HabitListResponse extends ApiResponse {
+  habits: Habit[];
+  total?: number;
+}
+
+export interface HabitResponse extends ApiResponse {
+  habit: Habit;
+}
+
+export interface HabitCategoryListResponse extends ApiResponse {
+  categories: HabitCategory[];
+}
+
+export interface HabitCategoryResponse extends ApiResponse {
+  category: HabitCategory;
+}
+
+export interface HabitTemplateListResponse extends ApiResponse {
+  habitTemplates: HabitTemplate[];
+}
+
+export interface HabitProgressResponse extends ApiResponse {
+  isChecked: boolean;
+  value?: number;
+}
+
+// ---------------------------------------------------------------------------
+// Check-in diário
+// ---------------------------------------------------------------------------
+
+/** MULTIPLE_CHOICE é escolha única; MULTI_SELECT aceita várias opções */
+export type CheckinQuestionType =
+  | 'TEXT'
+  | 'SCALE'
+  | 'YES_NO'
+  | 'MULTIPLE_CHOICE'
+  | 'MULTI_SELECT'
+  | 'NUMBER'
+  | 'DATE'
+  | 'TIME'
+  | 'PHOTO';
+
+export interface CheckinQuestionOption {
+  value: string;
+  label: string;
+}
+
+export interface CheckinScale {
+  min: number;
+  max: number;
+  step?: number;
+  minLabel?: string;
+  maxLabel?: string;
+}
+
+/** Parte de uma pergunta numérica composta (ex.: sistólica/diastólica) */
+export interface CheckinNumberField {
+  key: string;
+  label?: string;
+  unit?: string;
+  min?: number;
+  max?: number;
+  decimals?: number;
+}
+
+/** Pergunta de acompanhamento: aparece quando a resposta de questionId atende à condição */
+export interface CheckinQuestionCondition {
+  questionId: string;
+  equals?: string;
+  notEquals?: string;
+  in?: string[];
+  min?: number;
+  max?: number;
+}
+
+export interface CheckinQuestion {
+  id: string;
+  question: string;
+  description?: string | null;
+  type: CheckinQuestionType;
+  isRequired?: boolean;
+  /** Texto separado por vírgulas nas perguntas antigas */
+  options?: string | Array<string | CheckinQuestionOption> | null;
+  order?: number;
+  /** SCALE */
+  scale?: CheckinScale | null;
+  /** NUMBER com um campo só */
+  unit?: string;
+  min?: number;
+  max?: number;
+  decimals?: number;
+  /** NUMBER composto */
+  fields?: CheckinNumberField[];
+  /** DATE: permite datas depois de hoje */
+  allowFuture?: boolean;
+  /** TIME: horário sugerido (HH:mm) */
+  defaultTime?: string;
+  showIf?: CheckinQuestionCondition | null;
+}
+
+/**
+ * answer é sempre texto: MULTI_SELECT em JSON, NUMBER composto como "120/80",
+ * DATE YYYY-MM-DD, TIME HH:mm e PHOTO com a URL devolvida pelo upload
+ */
+export interface CheckinAnswer {
+  questionId: string;
+  answer: string;
+}
+
+export interface CheckinAttachmentResponse extends ApiResponse {
+  attachment: { id: string; fileUrl: string };
+}
+
+export interface CheckinQuestionsResponse extends ApiResponse {
+  questions: CheckinQuestion[];
+  hasCheckinToday: boolean;
+  existingResponses: Record<string, string>;
+  date: string;
+}
+
+export interface CheckinSubmitResponse extends ApiResponse {
+  isUpdate?: boolean;
+  responses: CheckinAnswer[];
+}
+
+export interface CheckinHistoryDay {
+  /** YYYY-MM-DD */
+  date: string;
+  /** Resposta por questionId, no mesmo formato de CheckinAnswer.answer */
+  responses: Record<string, string>;
+  submittedAt?: string;
+  updatedAt?: string;
+}
+
+export interface CheckinHistoryResponse extends ApiResponse {
+  questions: CheckinQuestion[];
+  /** Só os dias respondidos; os demais dias do período ficaram sem check-in */
+  checkins: CheckinHistoryDay[];
+  /** Dias para trás que o paciente pode preencher ou editar (definido pelo médico; 0 = só hoje) */
+  editWindowDays: number;
+}
+
+// ---------------------------------------------------------------------------
+// Relatórios de sintomas
+// ---------------------------------------------------------------------------
+
+export type SymptomReportStatus = 'PENDING' | 'REVIEWED';
+
+export interface SymptomReportAttachment {
+  id: string;
+  fileName?: string;
+  fileUrl: string;
+  fileType?: string;
+  /** Duração das notas de voz, em segundos */
+  duration?: number | null;
+}
+
+/** Anexo ainda no aparelho, enviado como multipart junto com o relatório */
+export interface SymptomReportAttachmentInput {
+  uri: string;
+  fileName?: string;
+  mimeType: string;
+  durationMs?: number;
+}
+
+export type BodyRegion =
+  | 'HEAD' | 'NECK' | 'CHEST' | 'ABDOMEN' | 'PELVIS' | 'UPPER_BACK' | 'LOWER_BACK'
+  | 'LEFT_ARM' | 'RIGHT_ARM' | 'LEFT_HAND' | 'RIGHT_HAND'
+  | 'LEFT_LEG' | 'RIGHT_LEG' | 'LEFT_FOOT' | 'RIGHT_FOOT' | 'WHOLE_BODY';
+
+export interface SymptomCatalogueItem {
+  id: string;
+  name: string;
+  category?: string | null;
+  /** Regiões sugeridas no mapa do corpo */
+  bodyRegions?: BodyRegion[];
+  synonyms?: string[];
+}
+
+export interface SymptomCatalogueResponse extends ApiResponse {
+  symptoms: SymptomCatalogueItem[];
+}
+
+/** Sintoma escolhido no catálogo (symptomId null quando digitado pelo paciente) */
+export interface StructuredSymptom {
+  symptomId: string | null;
+  name: string;
+  bodyRegions: BodyRegion[];
+  onset: 'JUST_NOW' | 'TODAY' | 'YESTERDAY' | 'FEW_DAYS' | 'OVER_A_WEEK' | null;
+  duration: 'MINUTES' | 'HOURS' | 'ALL_DAY' | 'DAYS' | null;
+  frequency: 'ONCE' | 'INTERMITTENT' | 'CONSTANT' | null;
+}
+
+export interface SymptomReport {
+  id: string;
+  title: string;
+  description?: string | null;
+  /** Texto livre; nos relatórios com sintomas estruturados começa pelo resumo deles */
+  symptoms: string;
+  structuredSymptoms?: StructuredSymptom[] | null;
+  severity: number;
+  dayNumber: number;
+  reportTime: string;
+  status: SymptomReportStatus;
+  /** duration permite desenhar todos os dias do protocolo na linha do tempo */
+  protocol?: { id: string; name: string; duration?: number };
+  reviewer?: { id?: string; name: string } | null;
+  reviewedAt?: string | null;
+  attachments?: SymptomReportAttachment[];
+}
+
+export interface SymptomReportInput {
+  protocolId: string;
+  dayNumber: number;
+  title?: string;
+  description?: string;
+  symptoms: string;
+  severity: number;
+  isNow?: boolean;
+  reportTime?: string;
+  structuredSymptoms?: StructuredSymptom[];
+  attachments?: SymptomReportAttachmentInput[];
+}
+
+export interface SymptomReportListResponse {
+  reports: SymptomReport[];
+  pagination: Pagination;
+}
+
+export interface SymptomReportResponse extends ApiResponse {
+  report: SymptomReport;
+}
+
+// ---------------------------------------------------------------------------
+// Leads e indicações (área do médico)
+// ---------------------------------------------------------------------------
+
+export interface Lead {
+  id: string;
+  name: string;
+  phone: string;
+  email?: string | null;
+  status?: string;
+  interest?: string | null;
+  appointmentDate?: string | null;
+  medicalNotes?: string | null;
+  createdAt: string;
+  utmSource?: string | null;
+  utmMedium?: string | null;
+  indication?: {
+    name?: string;
+    slug: string;
+  };
+}
+
+export interface Indication {
+  id: string;
+  slug: string;
+  name?: string;
+  _count: {
+    leads: number;
+    events: number;
+  };
+}
+
+export interface UtmSource {
+  source: string;
+  count: number;
+}
+
+export interface DashboardData {
+  totalLeads: number;
+  totalIndications: number;
+  totalClicks: number;
+  conversionRate: number;
+  recentLeads: Lead[];
+  topIndications: Indication[];
+  topSources: UtmSource[];
+}
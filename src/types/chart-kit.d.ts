@@ -38,11 +38,35 @@ declare module 'react-native-chart-kit' {
     yAxisLabel?: string;
     yAxisSuffix?: string;
     showValuesOnTopOfBars?: boolean;
+    fromZero?: boolean;
     withHorizontalLabels?: boolean;
     withVerticalLabels?: boolean;
     segments?: number;
   }
 
+  export interface LineChartProps extends AbstractChartProps {
+    data: {
+      labels: string[];
+      datasets: {
+        data: number[];
+        color?: (opacity: number) => string;
+        strokeWidth?: number;
+      }[];
+      legend?: string[];
+    };
+    yAxisLabel?: string;
+    yAxisSuffix?: string;
+    fromZero?: boolean;
+    bezier?: boolean;
+    withDots?: boolean;
+    withShadow?: boolean;
+    withInnerLines?: boolean;
+    withOuterLines?: boolean;
+    withVerticalLabels?: boolean;
+    withHorizontalLabels?: boolean;
+    segments?: number;
+  }
+
   export interface PieChartProps extends AbstractChartProps {
     data: Array<{
       name: string;
@@ -57,5 +81,6 @@ declare module 'react-native-chart-kit' {
   }
 
   export class BarChart extends React.Component<BarChartProps> {}
+  export class LineChart extends React.Component<LineChartProps> {}
   export class PieChart extends React.Component<PieChartProps> {}
 } 
\ No newline at end of file
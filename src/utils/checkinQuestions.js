@@ -0,0 +1,362 @@
+/**
+ * Esquema das perguntas do check-in diário
+ * Normaliza a configuração de cada tipo (escala, opções, números com unidade), converte as respostas
+ * entre o formato da tela e o texto enviado à API e decide quais perguntas de acompanhamento aparecem
+ */
+
+export const CHECKIN_QUESTION_TYPES = {
+  TEXT: 'TEXT',
+  SCALE: 'SCALE',
+  YES_NO: 'YES_NO',
+  // Escolha única (nome mantido pelas perguntas antigas)
+  MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
+  MULTI_SELECT: 'MULTI_SELECT',
+  NUMBER: 'NUMBER',
+  DATE: 'DATE',
+  TIME: 'TIME',
+  PHOTO: 'PHOTO',
+};
+
+const DEFAULT_SCALE = { min: 1, max: 10, step: 1, minLabel: 'Low', maxLabel: 'High' };
+
+// Separador das partes de um número composto (ex.: pressão 120/80)
+const NUMBER_PARTS_SEPARATOR = '/';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Opções de escolha no formato { value, label }
+ * Aceita lista de strings, lista de objetos { value, label } ou o texto antigo separado por vírgulas
+ * @param {Object} question - Pergunta
+ * @returns {Array<{value: string, label: string}>}
+ */
+export const getQuestionOptions = (question) => {
+  const options = typeof question.options === 'string'
+    ? question.options.split(',').map(option => option.trim()).filter(Boolean)
+    : question.options || [];
+
+  return options.map(option => (
+    typeof option === 'object'
+      ? { value: String(option.value ?? option.label), label: option.label ?? String(option.value) }
+      : { value: String(option), label: String(option) }
+  ));
+};
+
+/**
+ * Configuração de uma escala
+ * Usa question.scale ({ min, max, step, minLabel, maxLabel }); perguntas antigas sem scale têm os
+ * extremos descritos no texto ("1 = not challenging, 5 = very challenging") e, sem isso, vão de 1 a 10
+ * @param {Object} question - Pergunta
+ * @returns {Object} { min, max, step, minLabel, maxLabel }
+ */
+export const getScaleConfig = (question) => {
+  const scale = question.scale || {};
+  const legacy = {};
+
+  if (!question.scale) {
+    const anchors = [...String(question.question || '').matchAll(/(\d+)\s*=\s*([^,)\n]+)/g)]
+      .map(match => ({ value: Number(match[1]), label: match[2].trim() }))
+      .sort((a, b) => a.value - b.value);
+
+    if (anchors.length >= 2) {
+      const first = anchors[0];
+      const last = anchors[anchors.length - 1];
+      Object.assign(legacy, { min: first.value, max: last.value, minLabel: first.label, maxLabel: last.label });
+    }
+  }
+
+  const min = toNumber(scale.min) ?? legacy.min ?? DEFAULT_SCALE.min;
+  const max = toNumber(scale.max) ?? legacy.max ?? DEFAULT_SCALE.max;
+
+  return {
+    min,
+    max: max > min ? max : min + 1,
+    step: toNumber(scale.step) > 0 ? toNumber(scale.step) : DEFAULT_SCALE.step,
+    minLabel: scale.minLabel || legacy.minLabel || DEFAULT_SCALE.minLabel,
+    maxLabel: scale.maxLabel || legacy.maxLabel || DEFAULT_SCALE.maxLabel,
+  };
+};
+
+/**
+ * Valores possíveis de uma escala
+ * @param {Object} config - Resultado de getScaleConfig
+ * @returns {number[]}
+ */
+export const getScaleValues = (config) => {
+  const values = [];
+  for (let value = config.min; value <= config.max + 1e-9; value += config.step) {
+    values.push(Math.round(value * 100) / 100);
+  }
+  return values;
+};
+
+/**
+ * Campos de uma pergunta numérica
+ * Perguntas compostas (ex.: pressão arterial) definem fields; as simples têm um campo só
+ * @param {Object} question - Pergunta ({ unit, min, max, decimals, fields })
+ * @returns {Array<{key: string, label: string|null, unit: string, min: number|null, max: number|null, decimals: number}>}
+ */
+export const getNumberFields = (question) => {
+  const fields = Array.isArray(question.fields) && question.fields.length > 0
+    ? question.fields
+    : [{ key: 'value', label: null, unit: question.unit, min: question.min, max: question.max, decimals: question.decimals }];
+
+  return fields.map((field, index) => ({
+    key: String(field.key ?? index),
+    label: field.label ?? null,
+    unit: field.unit ?? question.unit ?? '',
+    min: toNumber(field.min),
+    max: toNumber(field.max),
+    decimals: Number.isInteger(field.decimals) ? field.decimals : (Number.isInteger(question.decimals) ? question.decimals : 1),
+  }));
+};
+
+/**
+ * Converte a resposta guardada na API (texto) para o formato usado na tela
+ * MULTI_SELECT vira lista, NUMBER vira { [campo]: texto } e PHOTO vira { url }
+ * @param {Object} question - Pergunta
+ * @param {string} stored - Resposta salva
+ * @returns {*}
+ */
+export const parseAnswer = (question, stored) => {
+  if (isBlank(stored)) return question.type === CHECKIN_QUESTION_TYPES.MULTI_SELECT ? [] : '';
+
+  switch (question.type) {
+    case CHECKIN_QUESTION_TYPES.MULTI_SELECT:
+      try {
+        const parsed = JSON.parse(stored);
+        return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+      } catch (error) {
+        return [String(stored)];
+      }
+
+    case CHECKIN_QUESTION_TYPES.NUMBER: {
+      const parts = String(stored).split(NUMBER_PARTS_SEPARATOR);
+      return getNumberFields(question).reduce((values, field, index) => ({
+        ...values,
+        [field.key]: (parts[index] ?? '').trim()
+      }), {});
+    }
+
+    case CHECKIN_QUESTION_TYPES.PHOTO:
+      return { url: String(stored) };
+
+    default:
+      return String(stored);
+  }
+};
+
+/**
+ * Converte a resposta da tela para o texto enviado à API
+ * MULTI_SELECT vai como JSON (as opções podem ter vírgula) e números compostos como "120/80"
+ * @param {Object} question - Pergunta
+ * @param {*} value - Resposta na tela
+ * @returns {string}
+ */
+export const serializeAnswer = (question, value) => {
+  switch (question.type) {
+    case CHECKIN_QUESTION_TYPES.MULTI_SELECT:
+      return JSON.stringify(value || []);
+
+    case CHECKIN_QUESTION_TYPES.NUMBER:
+      return getNumberFields(question)
+        .map(field => {
+          const number = toNumber(value?.[field.key]);
+          return number === null ? '' : String(number);
+        })
+        .join(NUMBER_PARTS_SEPARATOR);
+
+    case CHECKIN_QUESTION_TYPES.PHOTO:
+      return value?.url || '';
+
+    default:
+      return isBlank(value) ? '' : String(value);
+  }
+};
+
+/**
+ * Se a pergunta tem resposta preenchida
+ * @param {Object} question - Pergunta
+ * @param {*} value - Resposta na tela
+ * @returns {boolean}
+ */
+export const isQuestionAnswered = (question, value) => {
+  switch (question.type) {
+    case CHECKIN_QUESTION_TYPES.MULTI_SELECT:
+      return Array.isArray(value) && value.length > 0;
+
+    case CHECKIN_QUESTION_TYPES.NUMBER:
+      return getNumberFields(question).every(field => toNumber(value?.[field.key]) !== null);
+
+    case CHECKIN_QUESTION_TYPES.PHOTO:
+      return !!(value?.url || value?.uri);
+
+    default:
+      return !isBlank(value);
+  }
+};
+
+/**
+ * Valida a resposta (faixas dos números); respostas vazias são tratadas por isRequired
+ * @param {Object} question - Pergunta
+ * @param {*} value - Resposta na tela
+ * @returns {string|null} Mensagem de erro
+ */
+export const validateAnswer = (question, value) => {
+  if (question.type !== CHECKIN_QUESTION_TYPES.NUMBER || !value) return null;
+
+  for (const field of getNumberFields(question)) {
+    if (isBlank(value[field.key])) continue;
+
+    const number = toNumber(value[field.key]);
+    const name = field.label || 'Value';
+
+    if (number === null) return `${name} must be a number`;
+    if (field.min !== null && number < field.min) return `${name} must be at least ${field.min} ${field.unit}`.trim();
+    if (field.max !== null && number > field.max) return `${name} must be at most ${field.max} ${field.unit}`.trim();
+  }
+
+  return null;
+};
+
+/**
+ * Resposta salva formatada para leitura (histórico do check-in)
+ * @param {Object} question - Pergunta
+ * @param {string} stored - Resposta salva
+ * @returns {string}
+ */
+export const formatAnswer = (question, stored) => {
+  if (isBlank(stored)) return '—';
+  const value = parseAnswer(question, stored);
+
+  switch (question.type) {
+    case CHECKIN_QUESTION_TYPES.SCALE:
+      return `${value}/${getScaleConfig(question).max}`;
+
+    case CHECKIN_QUESTION_TYPES.MULTIPLE_CHOICE:
+    case CHECKIN_QUESTION_TYPES.MULTI_SELECT: {
+      const labels = Object.fromEntries(getQuestionOptions(question).map(option => [option.value, option.label]));
+      return [].concat(value).map(item => labels[item] || item).join(', ');
+    }
+
+    case CHECKIN_QUESTION_TYPES.NUMBER: {
+      const fields = getNumberFields(question);
+      const units = [...new Set(fields.map(field => field.unit))];
+      // Mesma unidade em todas as partes: "120/80 mmHg"; senão cada parte com a sua
+      return units.length === 1
+        ? `${fields.map(field => value[field.key]).join(NUMBER_PARTS_SEPARATOR)} ${units[0]}`.trim()
+        : fields.map(field => `${value[field.key]} ${field.unit}`.trim()).join(' / ');
+    }
+
+    case CHECKIN_QUESTION_TYPES.DATE:
+      return new Date(`${value}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    case CHECKIN_QUESTION_TYPES.PHOTO:
+      return 'Photo';
+
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Série para o gráfico de tendência de uma pergunta de escala ou numérica
+ * Perguntas numéricas compostas têm uma série por campo (ex.: sistólica e diastólica)
+ * @param {Object} question - Pergunta
+ * @param {Array} checkins - Check-ins do período ({ date, responses }), em qualquer ordem
+ * @returns {Object|null} { series: [{ key, label, unit }], points: [{ date, values }] } ou null se não houver gráfico
+ */
+export const getTrendSeries = (question, checkins) => {
+  let series;
+  if (question.type === CHECKIN_QUESTION_TYPES.SCALE) {
+    series = [{ key: 'value', label: null, unit: '' }];
+  } else if (question.type === CHECKIN_QUESTION_TYPES.NUMBER) {
+    series = getNumberFields(question).map(field => ({ key: field.key, label: field.label, unit: field.unit }));
+  } else {
+    return null;
+  }
+
+  const points = (checkins || [])
+    .filter(checkin => !isBlank(checkin.responses?.[question.id]))
+    .map(checkin => {
+      const stored = checkin.responses[question.id];
+      const values = question.type === CHECKIN_QUESTION_TYPES.SCALE
+        ? [toNumber(stored)]
+        : series.map(item => toNumber(parseAnswer(question, stored)[item.key]));
+      return { date: checkin.date, values };
+    })
+    .filter(point => point.values.every(value => value !== null))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return { series, points };
+};
+
+/**
+ * Compara a resposta da pergunta anterior com a condição de uma pergunta de acompanhamento
+ * showIf: { questionId, equals, notEquals, in, min, max }
+ */
+const matchesCondition = (condition, question, value) => {
+  if (!isQuestionAnswered(question, value)) return false;
+
+  const values = Array.isArray(value) ? value : [serializeAnswer(question, value)];
+  const number = toNumber(values[0]);
+
+  if (condition.equals !== undefined && !values.includes(String(condition.equals))) return false;
+  if (condition.notEquals !== undefined && values.includes(String(condition.notEquals))) return false;
+  if (Array.isArray(condition.in) && !condition.in.map(String).some(item => values.includes(item))) return false;
+  if (condition.min !== undefined && !(number !== null && number >= Number(condition.min))) return false;
+  if (condition.max !== undefined && !(number !== null && number <= Number(condition.max))) return false;
+
+  return true;
+};
+
+/**
+ * Perguntas a mostrar, na ordem, conforme as respostas atuais
+ * Uma pergunta com showIf aparece só quando a pergunta de origem está visível e a resposta dela atende à condição
+ * @param {Array} questions - Perguntas ordenadas
+ * @param {Object} responses - Respostas na tela, por id da pergunta
+ * @returns {Array} Perguntas visíveis
+ */
+export const getVisibleQuestions = (questions, responses) => {
+  const byId = Object.fromEntries(questions.map(question => [question.id, question]));
+  const visibility = {};
+
+  const isVisible = (question, path = []) => {
+    if (visibility[question.id] !== undefined) return visibility[question.id];
+    const condition = question.showIf;
+    const parent = condition && byId[condition.questionId];
+
+    // Condição apontando para pergunta inexistente (ou em ciclo) não esconde a pergunta
+    let visible = true;
+    if (parent && !path.includes(parent.id)) {
+      visible = isVisible(parent, [...path, question.id]) &&
+        matchesCondition(condition, parent, responses[parent.id]);
+    }
+
+    visibility[question.id] = visible;
+    return visible;
+  };
+
+  return questions.filter(question => isVisible(question));
+};
+
+export default {
+  CHECKIN_QUESTION_TYPES,
+  getQuestionOptions,
+  getScaleConfig,
+  getScaleValues,
+  getNumberFields,
+  parseAnswer,
+  serializeAnswer,
+  isQuestionAnswered,
+  validateAnswer,
+  formatAnswer,
+  getTrendSeries,
+  getVisibleQuestions,
+};
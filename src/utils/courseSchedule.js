@@ -0,0 +1,100 @@
+/**
+ * Liberação gradual (drip) dos cursos e módulos de um protocolo
+ * Cursos e módulos com unlockDay só ficam disponíveis a partir desse dia da prescrição (currentDay)
+ */
+
+/**
+ * Dia da prescrição em que o curso/módulo é liberado
+ * @param {Object} item - Curso, vínculo do curso com o protocolo ou módulo ({ unlockDay })
+ * @returns {number|null} Dia de liberação, ou null se estiver liberado desde o início
+ */
+export const getUnlockDay = (item) => {
+  const day = Number(item?.unlockDay);
+  return day > 1 ? Math.floor(day) : null;
+};
+
+/**
+ * Situação de liberação de um curso/módulo no dia atual da prescrição
+ * Sem currentDay conhecido (ex.: curso aberto por link fora do protocolo), o que tem unlockDay
+ * continua bloqueado, com daysLeft null
+ * @param {number|null} unlockDay - Dia de liberação (ver getUnlockDay)
+ * @param {number|null} currentDay - Dia atual da prescrição
+ * @returns {Object} { locked, unlockDay, daysLeft }
+ */
+export const getUnlockState = (unlockDay, currentDay) => {
+  const day = Number(currentDay);
+
+  if (!unlockDay) {
+    return { locked: false, unlockDay, daysLeft: 0 };
+  }
+
+  if (!(day > 0)) {
+    return { locked: true, unlockDay, daysLeft: null };
+  }
+
+  if (unlockDay <= day) {
+    return { locked: false, unlockDay, daysLeft: 0 };
+  }
+
+  return { locked: true, unlockDay, daysLeft: unlockDay - day };
+};
+
+/**
+ * Texto da contagem regressiva de um conteúdo bloqueado
+ * @param {Object} state - Resultado de getUnlockState
+ * @returns {string}
+ */
+export const formatUnlockCountdown = (state) => {
+  if (!state?.locked) return '';
+  if (state.daysLeft === null) return `Unlocks on day ${state.unlockDay} of your protocol`;
+
+  return state.daysLeft === 1
+    ? `Unlocks tomorrow (day ${state.unlockDay})`
+    : `Unlocks on day ${state.unlockDay} • in ${state.daysLeft} days`;
+};
+
+/**
+ * Conteúdos ainda bloqueados de uma lista de cursos do protocolo, para agendar o aviso de liberação
+ * @param {Array} protocolCourses - Cursos do protocolo ({ course, unlockDay })
+ * @param {number} currentDay - Dia atual da prescrição
+ * @returns {Array} [{ key, title, courseId, unlockDay }]
+ */
+export const getPendingUnlocks = (protocolCourses, currentDay) => {
+  const pending = [];
+
+  (protocolCourses || []).forEach(courseData => {
+    const course = courseData.course || courseData;
+    const courseState = getUnlockState(getUnlockDay(courseData) || getUnlockDay(course), currentDay);
+
+    if (courseState.locked) {
+      pending.push({
+        key: `course-${course.id}`,
+        title: course.title || course.name,
+        courseId: course.id,
+        unlockDay: courseState.unlockDay
+      });
+      return;
+    }
+
+    (course.modules || []).forEach(module => {
+      const moduleState = getUnlockState(getUnlockDay(module), currentDay);
+      if (!moduleState.locked) return;
+
+      pending.push({
+        key: `module-${module.id}`,
+        title: `${course.title || course.name}: ${module.title}`,
+        courseId: course.id,
+        unlockDay: moduleState.unlockDay
+      });
+    });
+  });
+
+  return pending;
+};
+
+export default {
+  getUnlockDay,
+  getUnlockState,
+  formatUnlockCountdown,
+  getPendingUnlocks,
+};
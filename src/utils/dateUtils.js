@@ -0,0 +1,19 @@
+/**
+ * Utilitários de datas
+ * Chaves de dia no fuso do aparelho: toISOString() daria o dia em UTC, que à noite no Brasil já é o seguinte
+ */
+
+/**
+ * Data local no formato YYYY-MM-DD
+ * @param {Date} date - Data
+ * @returns {string}
+ */
+export const toLocalDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export default {
+  toLocalDateKey,
+};
@@ -17,6 +17,27 @@ export class ApiError extends Error {
   }
 }
 
+// Muitas tentativas: o servidor pede para aguardar antes de tentar de novo
+export class RateLimitError extends ApiError {
+  constructor(message, retryAfter = null, data = null) {
+    super(message || 'Muitas tentativas. Aguarde um pouco e tente novamente.', 429, data);
+    this.name = 'RateLimitError';
+    // Segundos até poder tentar novamente (null quando o servidor não informa)
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Token de uso único (redefinição de senha, verificação de email) expirado ou já utilizado
+export class ExpiredTokenError extends ApiError {
+  constructor(message, status = 410, data = null) {
+    super(message || 'Este link expirou ou já foi utilizado.', status, data);
+    this.name = 'ExpiredTokenError';
+  }
+}
+
+// Códigos enviados pelo servidor para tokens de uso único inválidos
+const EXPIRED_TOKEN_CODES = ['TOKEN_EXPIRED', 'TOKEN_INVALID', 'TOKEN_USED'];
+
 // Erro personalizado para erros de rede
 export class NetworkError extends Error {
   constructor(message, originalError = null) {
@@ -35,6 +56,24 @@ export class AuthError extends Error {
   }
 }
 
+// Requisição guardada na fila offline para ser reenviada quando a conexão voltar
+export class QueuedRequestError extends Error {
+  constructor(queueItem, message = null) {
+    super(message || 'Sem conexão com a internet. A ação foi salva e será enviada quando a conexão voltar.');
+    this.name = 'QueuedRequestError';
+    this.queueItem = queueItem;
+  }
+}
+
+// Pouco espaço livre no aparelho para salvar arquivos (downloads offline)
+export class InsufficientStorageError extends Error {
+  constructor(freeBytes = null, message = null) {
+    super(message || 'Espaço insuficiente no aparelho para concluir o download.');
+    this.name = 'InsufficientStorageError';
+    this.freeBytes = freeBytes;
+  }
+}
+
 // Mapeamento de códigos HTTP para mensagens amigáveis
 const HTTP_ERROR_MESSAGES = {
   400: 'Solicitação inválida',
@@ -42,6 +81,8 @@ const HTTP_ERROR_MESSAGES = {
   403: 'Acesso negado',
   404: 'Recurso não encontrado',
   408: 'Tempo de conexão esgotado',
+  410: 'Link expirado',
+  429: 'Muitas tentativas. Aguarde um pouco e tente novamente.',
   500: 'Erro interno do servidor',
   502: 'Erro de gateway',
   503: 'Serviço indisponível',
@@ -60,6 +101,11 @@ export const handleApiError = async (error) => {
     return error;
   }
 
+  // Requisições enfileiradas não são falhas; repassar para a tela decidir o que mostrar
+  if (error instanceof QueuedRequestError) {
+    return error;
+  }
+
   if (!error.response) {
     // Verificar se é um problema de conectividade
     const connected = await isConnected();
@@ -72,7 +118,7 @@ export const handleApiError = async (error) => {
     return new NetworkError('Não foi possível se comunicar com o servidor. Tente novamente mais tarde.');
   }
 
-  const { status, data } = error.response;
+  const { status, data, retryAfter } = error.response;
   
   let message = HTTP_ERROR_MESSAGES[status] || 'Ocorreu um erro inesperado';
   
@@ -87,6 +133,17 @@ export const handleApiError = async (error) => {
     return new AuthError(message, error);
   }
   
+  if (status === 429) {
+    const seconds = parseInt(retryAfter ?? data?.retryAfter, 10);
+    logger.warn('Limite de requisições atingido', { retryAfter: seconds });
+    return new RateLimitError(message, Number.isNaN(seconds) ? null : seconds, data);
+  }
+  
+  if (status === 410 || EXPIRED_TOKEN_CODES.includes(data?.code)) {
+    logger.warn('Token de uso único expirado ou inválido', { status, code: data?.code });
+    return new ExpiredTokenError(message, status, data);
+  }
+  
   logger.error('Erro de API', { status, message, data });
   return new ApiError(message, status, data);
 };
@@ -105,6 +162,12 @@ export const showErrorAlert = (error, fallbackTitle = 'Erro') => {
     title = 'Erro de Conexão';
   } else if (error instanceof AuthError) {
     title = 'Erro de Autenticação';
+  } else if (error instanceof QueuedRequestError) {
+    title = 'Salvo offline';
+  } else if (error instanceof RateLimitError) {
+    title = 'Muitas tentativas';
+  } else if (error instanceof ExpiredTokenError) {
+    title = 'Link expirado';
   } else if (error instanceof ApiError) {
     title = `Erro ${error.status || ''}`;
   }
@@ -152,5 +215,9 @@ export default {
   setupGlobalErrorHandler,
   ApiError,
   NetworkError,
-  AuthError
+  AuthError,
+  QueuedRequestError,
+  InsufficientStorageError,
+  RateLimitError,
+  ExpiredTokenError
 }; 
\ No newline at end of file
@@ -1,21 +1,24 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { jwtDecode } from 'jwt-decode';
 import { createLogger } from './logUtils';
-import { ENV } from '../config/environment';
+import { getSecureItem, setSecureItem, removeSecureItem, migrateLegacyCredentials } from './secureStorage';
 
 const logger = createLogger('JwtUtils');
 
 // Chave consistente para armazenar o token
 const TOKEN_STORAGE_KEY = 'token';
 
-// JWT Secret das variáveis de ambiente
-const JWT_SECRET = ENV.JWT_SECRET;
+// Chave para armazenar o refresh token (usado para obter um novo token de acesso)
+const REFRESH_TOKEN_STORAGE_KEY = 'refresh_token';
+
+// Garante que tokens salvos por versões antigas no AsyncStorage já foram movidos
+const ensureMigrated = () => migrateLegacyCredentials([TOKEN_STORAGE_KEY, REFRESH_TOKEN_STORAGE_KEY]);
 
 // Armazenar token JWT
 export const storeToken = async (token) => {
   try {
     logger.debug('Armazenando token');
-    await AsyncStorage.setItem(TOKEN_STORAGE_KEY, token);
+    await ensureMigrated();
+    await setSecureItem(TOKEN_STORAGE_KEY, token);
     return true;
   } catch (error) {
     logger.error('Erro ao armazenar token:', error);
@@ -26,7 +29,8 @@ export const storeToken = async (token) => {
 // Obter token JWT
 export const getToken = async () => {
   try {
-    const token = await AsyncStorage.getItem(TOKEN_STORAGE_KEY);
+    await ensureMigrated();
+    const token = await getSecureItem(TOKEN_STORAGE_KEY);
     return token;
   } catch (error) {
     logger.error('Erro ao buscar token:', error);
@@ -34,12 +38,37 @@ export const getToken = async () => {
   }
 };
 
+// Armazenar refresh token
+export const storeRefreshToken = async (refreshToken) => {
+  try {
+    logger.debug('Armazenando refresh token');
+    await ensureMigrated();
+    await setSecureItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+    return true;
+  } catch (error) {
+    logger.error('Erro ao armazenar refresh token:', error);
+    return false;
+  }
+};
+
+// Obter refresh token
+export const getRefreshToken = async () => {
+  try {
+    await ensureMigrated();
+    return await getSecureItem(REFRESH_TOKEN_STORAGE_KEY);
+  } catch (error) {
+    logger.error('Erro ao buscar refresh token:', error);
+    return null;
+  }
+};
+
 // Remover token (logout)
 export const removeToken = async () => {
   try {
     logger.debug('Removendo token');
-    await AsyncStorage.removeItem(TOKEN_STORAGE_KEY);
-    await AsyncStorage.removeItem('user_data');
+    await ensureMigrated();
+    await removeSecureItem(TOKEN_STORAGE_KEY);
+    await removeSecureItem(REFRESH_TOKEN_STORAGE_KEY);
     return true;
   } catch (error) {
     logger.error('Erro ao remover token:', error);
@@ -100,8 +129,7 @@ export const getAuthHeaders = async () => {
     const token = await getToken();
     return {
       'Content-Type': 'application/json',
-      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
-      'X-JWT-Secret': JWT_SECRET
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
     };
   } catch (error) {
     logger.error('Erro ao obter headers de autenticação:', error);
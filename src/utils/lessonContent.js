@@ -0,0 +1,183 @@
+/**
+ * Utilitário para identificar o tipo de conteúdo das aulas
+ * O servidor pode informar lesson.contentType; sem ele, o tipo é deduzido pela URL da mídia
+ */
+
+export const LESSON_CONTENT_TYPES = {
+  YOUTUBE: 'youtube',
+  VIDEO: 'video',
+  AUDIO: 'audio',
+  PDF: 'pdf',
+  TEXT: 'text',
+  QUIZ: 'quiz',
+  EXTERNAL: 'external',
+  NONE: 'none',
+};
+
+// Valores aceitos em lesson.contentType (maiúsculas ou minúsculas)
+const SERVER_CONTENT_TYPES = {
+  YOUTUBE: LESSON_CONTENT_TYPES.YOUTUBE,
+  VIDEO: LESSON_CONTENT_TYPES.VIDEO,
+  AUDIO: LESSON_CONTENT_TYPES.AUDIO,
+  PDF: LESSON_CONTENT_TYPES.PDF,
+  TEXT: LESSON_CONTENT_TYPES.TEXT,
+  MARKDOWN: LESSON_CONTENT_TYPES.TEXT,
+  QUIZ: LESSON_CONTENT_TYPES.QUIZ,
+};
+
+const VIDEO_EXTENSIONS = ['m3u8', 'mp4', 'mov', 'm4v', 'webm'];
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'wav', 'ogg'];
+
+const getExtension = (url) => {
+  const path = url.split(/[?#]/)[0];
+  const match = path.match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Extrai o ID de um vídeo do YouTube
+ * @param {string} url - URL do vídeo
+ * @returns {string|null} ID do vídeo ou null se não for YouTube
+ */
+export const getYoutubeVideoId = (url) => {
+  if (!url) return null;
+  const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
+  const match = url.match(regExp);
+  return (match && match[2].length === 11) ? match[2] : null;
+};
+
+/**
+ * URL da mídia da aula (vídeo, áudio ou arquivo)
+ * @param {Object} lesson - Aula
+ * @param {Object} [options]
+ * @param {boolean} [options.remote] - Ignora o arquivo baixado (lesson.localUri)
+ * @returns {string|null} URL
+ */
+export const getLessonMediaUrl = (lesson, { remote = false } = {}) =>
+  (!remote && lesson?.localUri) ||
+  lesson?.mediaUrl || lesson?.videoUrl || lesson?.audioUrl || lesson?.fileUrl || null;
+
+/**
+ * Tipo de conteúdo da aula
+ * @param {Object} lesson - Aula
+ * @returns {string} Um dos valores de LESSON_CONTENT_TYPES
+ */
+export const getLessonContentType = (lesson) => {
+  if (!lesson) return LESSON_CONTENT_TYPES.NONE;
+
+  const declared = SERVER_CONTENT_TYPES[String(lesson.contentType || '').toUpperCase()];
+  if (declared) return declared;
+  if (lesson.quiz?.questions?.length) return LESSON_CONTENT_TYPES.QUIZ;
+
+  const url = getLessonMediaUrl(lesson);
+
+  if (url) {
+    if (getYoutubeVideoId(url)) return LESSON_CONTENT_TYPES.YOUTUBE;
+
+    const extension = getExtension(url);
+    if (VIDEO_EXTENSIONS.includes(extension)) return LESSON_CONTENT_TYPES.VIDEO;
+    if (AUDIO_EXTENSIONS.includes(extension)) return LESSON_CONTENT_TYPES.AUDIO;
+    if (extension === 'pdf') return LESSON_CONTENT_TYPES.PDF;
+
+    return LESSON_CONTENT_TYPES.EXTERNAL;
+  }
+
+  return lesson.content ? LESSON_CONTENT_TYPES.TEXT : LESSON_CONTENT_TYPES.NONE;
+};
+
+/**
+ * Se o conteúdo é reproduzido com controle de posição (retomada e conclusão automática)
+ * @param {string} contentType - Tipo de conteúdo
+ * @returns {boolean}
+ */
+export const isPlayableContent = (contentType) => [
+  LESSON_CONTENT_TYPES.YOUTUBE,
+  LESSON_CONTENT_TYPES.VIDEO,
+  LESSON_CONTENT_TYPES.AUDIO,
+].includes(contentType);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Negrito, itálico, código e links dentro de uma linha (texto já escapado)
+const formatInline = (text) => text
+  .replace(/`([^`]+)`/g, '<code>$1</code>')
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+  .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+/**
+ * Converte o markdown simples usado nas aulas de texto em HTML
+ * Suporta títulos, listas, citações, negrito, itálico, código e links
+ * @param {string} markdown - Conteúdo da aula
+ * @returns {string} HTML do corpo
+ */
+export const markdownToHtml = (markdown = '') => {
+  const html = [];
+  let listType = null;
+  let paragraph = [];
+
+  const closeParagraph = () => {
+    if (paragraph.length) {
+      html.push(`<p>${formatInline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const closeList = () => {
+    if (listType) {
+      html.push(`</${listType}>`);
+      listType = null;
+    }
+  };
+
+  escapeHtml(markdown).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,4})\s+(.*)$/);
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^&gt;\s?(.*)$/);
+
+    if (!line) {
+      closeParagraph();
+      closeList();
+    } else if (heading) {
+      closeParagraph();
+      closeList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${formatInline(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      closeParagraph();
+      const type = bullet ? 'ul' : 'ol';
+      if (listType !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        listType = type;
+      }
+      html.push(`<li>${formatInline((bullet || numbered)[1])}</li>`);
+    } else if (quote) {
+      closeParagraph();
+      closeList();
+      html.push(`<blockquote>${formatInline(quote[1])}</blockquote>`);
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  });
+
+  closeParagraph();
+  closeList();
+  return html.join('\n');
+};
+
+export default {
+  LESSON_CONTENT_TYPES,
+  getYoutubeVideoId,
+  getLessonMediaUrl,
+  getLessonContentType,
+  isPlayableContent,
+  markdownToHtml,
+};
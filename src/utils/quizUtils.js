@@ -0,0 +1,120 @@
+/**
+ * Utilitários dos questionários (quiz) das aulas
+ * A correção e o limite de tentativas ficam com o servidor (o gabarito não vem no curso);
+ * aqui só a exibição das perguntas, a situação do quiz e o bloqueio de módulos
+ */
+
+export const QUIZ_QUESTION_TYPES = {
+  SINGLE_CHOICE: 'SINGLE_CHOICE',
+  MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
+  TRUE_FALSE: 'TRUE_FALSE',
+  SHORT_ANSWER: 'SHORT_ANSWER',
+};
+
+// Nota mínima (%) quando o quiz não define passThreshold
+export const DEFAULT_PASS_THRESHOLD = 70;
+
+const TRUE_FALSE_OPTIONS = [
+  { id: 'true', text: 'True' },
+  { id: 'false', text: 'False' },
+];
+
+/**
+ * Opções de uma pergunta no formato { id, text }
+ * Aceita strings (o texto vira o id) ou objetos { id, text }
+ * @param {Object} question - Pergunta
+ * @returns {Array<{id: string, text: string}>}
+ */
+export const getQuestionOptions = (question) => {
+  if (question.type === QUIZ_QUESTION_TYPES.TRUE_FALSE) return TRUE_FALSE_OPTIONS;
+
+  return (question.options || []).map(option => (
+    typeof option === 'object'
+      ? { id: String(option.id ?? option.text), text: option.text ?? String(option.id) }
+      : { id: String(option), text: String(option) }
+  ));
+};
+
+/**
+ * Se a pergunta foi respondida
+ * @param {Object} question - Pergunta
+ * @param {string|string[]} answer - Resposta
+ * @returns {boolean}
+ */
+export const isQuestionAnswered = (question, answer) => (
+  question.type === QUIZ_QUESTION_TYPES.SHORT_ANSWER
+    ? String(answer ?? '').trim().length > 0
+    : (Array.isArray(answer) ? answer.length > 0 : answer !== undefined && answer !== null && answer !== '')
+);
+
+/**
+ * Nota mínima (%) para aprovação
+ * @param {Object} quiz - Quiz
+ * @returns {number}
+ */
+export const getPassThreshold = (quiz) => {
+  const threshold = Number(quiz?.passThreshold);
+  return threshold > 0 && threshold <= 100 ? threshold : DEFAULT_PASS_THRESHOLD;
+};
+
+/**
+ * Situação do quiz a partir das tentativas corrigidas pelo servidor
+ * @param {Object} lesson - Aula do tipo quiz
+ * @returns {Object} { attemptsUsed, attemptsLeft (null = ilimitado), bestScore, passed, awaitingReview, canAttempt, lastAttempt }
+ */
+export const getQuizStatus = (lesson) => {
+  const quiz = lesson?.quiz || {};
+  const attempts = quiz.attempts || [];
+  const attemptsUsed = Math.max(attempts.length, Number(quiz.attemptsUsed) || 0);
+  const maxAttempts = Number(quiz.maxAttempts) > 0 ? Number(quiz.maxAttempts) : null;
+  const passed = !!lesson?.completed || attempts.some(attempt => attempt.passed);
+  const attemptsLeft = maxAttempts ? Math.max(0, maxAttempts - attemptsUsed) : null;
+  // Última tentativa esperando a correção do médico: nada de nova tentativa até lá
+  const lastAttempt = attempts[attempts.length - 1] || null;
+  const awaitingReview = !passed && !!lastAttempt?.pendingReview;
+
+  return {
+    attemptsUsed,
+    attemptsLeft,
+    maxAttempts,
+    bestScore: attempts.reduce((best, attempt) => Math.max(best, attempt.score || 0), 0),
+    passed,
+    awaitingReview,
+    canAttempt: !passed && !awaitingReview && (attemptsLeft === null || attemptsLeft > 0),
+    lastAttempt,
+  };
+};
+
+/**
+ * Módulo que impede o acesso a um módulo (quiz não aprovado em um módulo anterior)
+ * O quiz só bloqueia os módulos seguintes se não tiver gatesNextModule: false
+ * @param {Array} modules - Módulos do curso, em ordem
+ * @param {number} moduleIndex - Índice do módulo
+ * @param {Function} isQuizPassed - (lesson) => boolean
+ * @returns {Object|null} { module, moduleIndex, lesson } do bloqueio ou null
+ */
+export const getModuleLock = (modules, moduleIndex, isQuizPassed) => {
+  for (let index = 0; index < moduleIndex; index += 1) {
+    const gatingQuiz = (modules[index].lessons || []).find(lesson => (
+      lesson.quiz?.questions?.length &&
+      lesson.quiz.gatesNextModule !== false &&
+      !isQuizPassed(lesson)
+    ));
+
+    if (gatingQuiz) {
+      return { module: modules[index], moduleIndex: index, lesson: gatingQuiz };
+    }
+  }
+
+  return null;
+};
+
+export default {
+  QUIZ_QUESTION_TYPES,
+  DEFAULT_PASS_THRESHOLD,
+  getQuestionOptions,
+  isQuestionAnswered,
+  getPassThreshold,
+  getQuizStatus,
+  getModuleLock,
+};
@@ -0,0 +1,159 @@
+/**
+ * Armazenamento de credenciais (tokens) com backend plugável
+ * Por padrão usa o Keychain (iOS) / Keystore (Android) via expo-secure-store e cai para o
+ * AsyncStorage apenas quando o armazenamento seguro não está disponível (ex.: web)
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { createLogger } from './logUtils';
+
+const logger = createLogger('SecureStorage');
+
+// Flag que indica que os tokens antigos já foram movidos para fora do AsyncStorage
+const MIGRATION_FLAG_KEY = 'secure_storage_migrated';
+
+/**
+ * Backend baseado no Keychain/Keystore do sistema
+ * @returns {Object} Backend com getItem, setItem e removeItem
+ */
+export const createSecureStoreBackend = () => {
+  const options = {
+    keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY
+  };
+
+  return {
+    name: 'secure-store',
+    getItem: (key) => SecureStore.getItemAsync(key, options),
+    setItem: (key, value) => SecureStore.setItemAsync(key, value, options),
+    removeItem: (key) => SecureStore.deleteItemAsync(key, options)
+  };
+};
+
+/**
+ * Backend em texto plano no AsyncStorage (fallback e testes)
+ * @returns {Object} Backend com getItem, setItem e removeItem
+ */
+export const createAsyncStorageBackend = () => ({
+  name: 'async-storage',
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: (key) => AsyncStorage.removeItem(key)
+});
+
+let backendPromise = null;
+let migrationPromise = null;
+
+const resolveDefaultBackend = async () => {
+  try {
+    if (await SecureStore.isAvailableAsync()) {
+      return createSecureStoreBackend();
+    }
+  } catch (error) {
+    logger.error('Erro ao verificar armazenamento seguro:', error);
+  }
+
+  logger.warn('Armazenamento seguro indisponível, usando AsyncStorage');
+  return createAsyncStorageBackend();
+};
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = resolveDefaultBackend();
+  }
+  return backendPromise;
+};
+
+/**
+ * Substitui o backend de armazenamento de credenciais
+ * @param {Object} backend - Objeto com getItem, setItem e removeItem assíncronos
+ */
+export const setSecureStorageBackend = (backend) => {
+  backendPromise = Promise.resolve(backend);
+  migrationPromise = null;
+  logger.debug('Backend de credenciais alterado', { name: backend.name });
+};
+
+/**
+ * Move credenciais que ainda estão em texto plano no AsyncStorage para o backend seguro
+ * Executa uma única vez por instalação (controlado por flag) e uma vez por sessão do app
+ * @param {Array<string>} keys - Chaves a migrar
+ * @returns {Promise<void>}
+ */
+export const migrateLegacyCredentials = (keys) => {
+  if (!migrationPromise) {
+    migrationPromise = (async () => {
+      try {
+        const backend = await getBackend();
+        if (backend.name === 'async-storage') return;
+
+        const migrated = await AsyncStorage.getItem(MIGRATION_FLAG_KEY);
+        if (migrated === 'true') return;
+
+        for (const key of keys) {
+          const value = await AsyncStorage.getItem(key);
+          if (value) {
+            await backend.setItem(key, value);
+            logger.info('Credencial migrada para armazenamento seguro', { key });
+          }
+          await AsyncStorage.removeItem(key);
+        }
+
+        await AsyncStorage.setItem(MIGRATION_FLAG_KEY, 'true');
+      } catch (error) {
+        // Tentar novamente na próxima inicialização
+        logger.error('Erro ao migrar credenciais:', error);
+      }
+    })();
+  }
+
+  return migrationPromise;
+};
+
+/**
+ * Indica se as credenciais estão indo para o Keychain/Keystore (e não para o fallback em texto plano)
+ * @returns {Promise<boolean>}
+ */
+export const isSecureStorageAvailable = async () => {
+  const backend = await getBackend();
+  return backend.name !== 'async-storage';
+};
+
+/**
+ * Lê uma credencial
+ * @param {string} key - Chave
+ * @returns {Promise<string|null>} Valor armazenado
+ */
+export const getSecureItem = async (key) => {
+  const backend = await getBackend();
+  return backend.getItem(key);
+};
+
+/**
+ * Grava uma credencial
+ * @param {string} key - Chave
+ * @param {string} value - Valor
+ */
+export const setSecureItem = async (key, value) => {
+  const backend = await getBackend();
+  await backend.setItem(key, value);
+};
+
+/**
+ * Remove uma credencial
+ * @param {string} key - Chave
+ */
+export const removeSecureItem = async (key) => {
+  const backend = await getBackend();
+  await backend.removeItem(key);
+};
+
+export default {
+  createSecureStoreBackend,
+  createAsyncStorageBackend,
+  setSecureStorageBackend,
+  migrateLegacyCredentials,
+  isSecureStorageAvailable,
+  getSecureItem,
+  setSecureItem,
+  removeSecureItem
+};
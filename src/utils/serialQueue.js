@@ -0,0 +1,24 @@
+/**
+ * Fila de operações em série
+ * Usada pelos serviços que leem, alteram e gravam a mesma chave do AsyncStorage: sem ela,
+ * duas escritas simultâneas leriam o mesmo valor e a segunda apagaria a primeira
+ */
+
+/**
+ * Cria uma fila em que cada operação só começa depois que a anterior terminar
+ * A falha de uma operação é devolvida a quem a chamou e não interrompe as seguintes
+ * @returns {Function} runExclusive(operation) => Promise com o resultado de operation
+ */
+export const createSerialQueue = () => {
+  let pending = Promise.resolve();
+
+  return (operation) => {
+    const result = pending.then(operation);
+    pending = result.catch(() => {});
+    return result;
+  };
+};
+
+export default {
+  createSerialQueue,
+};
@@ -0,0 +1,197 @@
+/**
+ * Sintomas estruturados dos relatórios
+ * Catálogo pesquisável, regiões do mapa do corpo, início, duração e frequência; o texto livre
+ * continua existindo e o campo symptoms recebe um resumo legível para os relatórios antigos
+ */
+
+// Regiões do mapa do corpo; side indica em qual vista (frente/costas) a região aparece
+export const BODY_REGIONS = {
+  HEAD: { label: 'Head', side: 'both' },
+  NECK: { label: 'Neck', side: 'both' },
+  CHEST: { label: 'Chest', side: 'front' },
+  ABDOMEN: { label: 'Abdomen', side: 'front' },
+  PELVIS: { label: 'Pelvis', side: 'front' },
+  UPPER_BACK: { label: 'Upper back', side: 'back' },
+  LOWER_BACK: { label: 'Lower back', side: 'back' },
+  LEFT_ARM: { label: 'Left arm', side: 'both' },
+  RIGHT_ARM: { label: 'Right arm', side: 'both' },
+  LEFT_HAND: { label: 'Left hand', side: 'both' },
+  RIGHT_HAND: { label: 'Right hand', side: 'both' },
+  LEFT_LEG: { label: 'Left leg', side: 'both' },
+  RIGHT_LEG: { label: 'Right leg', side: 'both' },
+  LEFT_FOOT: { label: 'Left foot', side: 'both' },
+  RIGHT_FOOT: { label: 'Right foot', side: 'both' },
+  WHOLE_BODY: { label: 'Whole body', side: 'none' },
+};
+
+// O início vem do "quando começou" do relatório (getSymptomOnset), não é perguntado por sintoma
+export const SYMPTOM_ONSETS = [
+  { value: 'JUST_NOW', label: 'Just now' },
+  { value: 'TODAY', label: 'Earlier today' },
+  { value: 'YESTERDAY', label: 'Yesterday' },
+  { value: 'FEW_DAYS', label: '2–6 days ago' },
+  { value: 'OVER_A_WEEK', label: 'Over a week ago' },
+];
+
+export const SYMPTOM_DURATIONS = [
+  { value: 'MINUTES', label: 'Minutes' },
+  { value: 'HOURS', label: 'Hours' },
+  { value: 'ALL_DAY', label: 'All day' },
+  { value: 'DAYS', label: 'Several days' },
+];
+
+export const SYMPTOM_FREQUENCIES = [
+  { value: 'ONCE', label: 'Once' },
+  { value: 'INTERMITTENT', label: 'Comes and goes' },
+  { value: 'CONSTANT', label: 'Constant' },
+];
+
+// Usado quando o protocolo não tem catálogo próprio (ou ele não carregou)
+export const DEFAULT_SYMPTOM_CATALOGUE = [
+  { id: 'headache', name: 'Headache', category: 'Neurological', bodyRegions: ['HEAD'] },
+  { id: 'dizziness', name: 'Dizziness', category: 'Neurological', bodyRegions: ['HEAD'] },
+  { id: 'fatigue', name: 'Fatigue', category: 'General', bodyRegions: ['WHOLE_BODY'], synonyms: ['tiredness', 'exhaustion'] },
+  { id: 'fever', name: 'Fever', category: 'General', bodyRegions: ['WHOLE_BODY'] },
+  { id: 'chills', name: 'Chills', category: 'General', bodyRegions: ['WHOLE_BODY'] },
+  { id: 'insomnia', name: 'Trouble sleeping', category: 'General', synonyms: ['insomnia'] },
+  { id: 'nausea', name: 'Nausea', category: 'Digestive', bodyRegions: ['ABDOMEN'] },
+  { id: 'vomiting', name: 'Vomiting', category: 'Digestive', bodyRegions: ['ABDOMEN'] },
+  { id: 'abdominal-pain', name: 'Abdominal pain', category: 'Digestive', bodyRegions: ['ABDOMEN'], synonyms: ['stomach ache', 'cramps'] },
+  { id: 'diarrhea', name: 'Diarrhea', category: 'Digestive', bodyRegions: ['ABDOMEN'] },
+  { id: 'constipation', name: 'Constipation', category: 'Digestive', bodyRegions: ['ABDOMEN'] },
+  { id: 'chest-pain', name: 'Chest pain', category: 'Cardiorespiratory', bodyRegions: ['CHEST'] },
+  { id: 'palpitations', name: 'Palpitations', category: 'Cardiorespiratory', bodyRegions: ['CHEST'], synonyms: ['racing heart'] },
+  { id: 'shortness-of-breath', name: 'Shortness of breath', category: 'Cardiorespiratory', bodyRegions: ['CHEST'] },
+  { id: 'cough', name: 'Cough', category: 'Cardiorespiratory', bodyRegions: ['CHEST', 'NECK'] },
+  { id: 'back-pain', name: 'Back pain', category: 'Musculoskeletal', bodyRegions: ['UPPER_BACK', 'LOWER_BACK'] },
+  { id: 'joint-pain', name: 'Joint pain', category: 'Musculoskeletal' },
+  { id: 'muscle-pain', name: 'Muscle pain', category: 'Musculoskeletal', synonyms: ['soreness', 'aches'] },
+  { id: 'swelling', name: 'Swelling', category: 'Skin', synonyms: ['edema'] },
+  { id: 'rash', name: 'Rash', category: 'Skin', synonyms: ['redness', 'hives'] },
+  { id: 'itching', name: 'Itching', category: 'Skin' },
+  { id: 'wound', name: 'Wound or bruise', category: 'Skin', synonyms: ['cut', 'bruise'] },
+  { id: 'numbness', name: 'Numbness or tingling', category: 'Neurological' },
+];
+
+const MAX_SEARCH_RESULTS = 8;
+
+// Busca sem diferença de maiúsculas e acentos
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const getOptionLabel = (options, value) => options.find(option => option.value === value)?.label || null;
+
+/**
+ * Sintomas do catálogo que combinam com a busca (nome, sinônimos ou categoria)
+ * Sem busca devolve os primeiros do catálogo, como sugestões
+ * @param {Array} catalogue - Catálogo ({ id, name, category, synonyms })
+ * @param {string} query - Texto digitado
+ * @param {string[]} [excludeIds] - Sintomas já escolhidos
+ * @returns {Array}
+ */
+export const searchSymptomCatalogue = (catalogue, query, excludeIds = []) => {
+  const search = normalizeText(query);
+  const available = (catalogue || []).filter(item => !excludeIds.includes(item.id));
+
+  if (!search) return available.slice(0, MAX_SEARCH_RESULTS);
+
+  const scored = available
+    .map(item => {
+      const name = normalizeText(item.name);
+      if (name.startsWith(search)) return { item, score: 0 };
+      if (name.includes(search)) return { item, score: 1 };
+      if ((item.synonyms || []).some(synonym => normalizeText(synonym).includes(search))) return { item, score: 2 };
+      if (normalizeText(item.category).includes(search)) return { item, score: 3 };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.item.name.localeCompare(b.item.name));
+
+  return scored.slice(0, MAX_SEARCH_RESULTS).map(({ item }) => item);
+};
+
+/**
+ * Novo sintoma estruturado a partir de um item do catálogo (ou de um nome digitado)
+ * @param {Object|string} source - Item do catálogo ou nome livre
+ * @returns {Object} { symptomId, name, bodyRegions, onset, duration, frequency }
+ */
+export const createStructuredSymptom = (source) => (
+  typeof source === 'string'
+    ? { symptomId: null, name: source.trim(), bodyRegions: [], onset: null, duration: null, frequency: null }
+    : {
+      symptomId: source.id,
+      name: source.name,
+      // Sintoma com uma região só já vem marcado; com várias o paciente escolhe
+      bodyRegions: source.bodyRegions?.length === 1 ? [...source.bodyRegions] : [],
+      onset: null,
+      duration: null,
+      frequency: null,
+    }
+);
+
+/**
+ * Início (onset) dos sintomas a partir do início informado no relatório
+ * @param {boolean} isNow - Relatório sem data anterior (o sintoma começou agora)
+ * @param {number} daysAgo - Dias entre o início e hoje (0 = hoje)
+ * @returns {string} Valor de SYMPTOM_ONSETS
+ */
+export const getSymptomOnset = (isNow, daysAgo) => {
+  if (isNow) return 'JUST_NOW';
+  if (daysAgo <= 0) return 'TODAY';
+  if (daysAgo === 1) return 'YESTERDAY';
+  return daysAgo < 7 ? 'FEW_DAYS' : 'OVER_A_WEEK';
+};
+
+/**
+ * Detalhes preenchidos de um sintoma estruturado (ex.: "Head; earlier today; hours; comes and goes")
+ * @param {Object} symptom - Sintoma estruturado
+ * @returns {string} Vazio se nada foi preenchido
+ */
+export const describeSymptomDetails = (symptom) => [
+  (symptom.bodyRegions || []).map(region => BODY_REGIONS[region]?.label || region).join(', '),
+  getOptionLabel(SYMPTOM_ONSETS, symptom.onset)?.toLowerCase(),
+  getOptionLabel(SYMPTOM_DURATIONS, symptom.duration)?.toLowerCase(),
+  getOptionLabel(SYMPTOM_FREQUENCIES, symptom.frequency)?.toLowerCase(),
+].filter(Boolean).join('; ');
+
+/**
+ * Descrição de um sintoma estruturado (ex.: "Headache (Head; earlier today; hours; comes and goes)")
+ * @param {Object} symptom - Sintoma estruturado
+ * @returns {string}
+ */
+export const describeStructuredSymptom = (symptom) => {
+  const details = describeSymptomDetails(symptom);
+  return details ? `${symptom.name} (${details})` : symptom.name;
+};
+
+/**
+ * Texto do campo symptoms: resumo dos sintomas estruturados seguido do texto livre
+ * Relatórios antigos e telas que só leem symptoms continuam funcionando
+ * @param {Array} structuredSymptoms - Sintomas estruturados
+ * @param {string} freeText - Texto livre do paciente
+ * @returns {string}
+ */
+export const buildSymptomsText = (structuredSymptoms, freeText) => {
+  const summary = (structuredSymptoms || []).map(describeStructuredSymptom).join('. ');
+  const text = String(freeText || '').trim();
+
+  if (summary && text) return `${summary}. ${text}`;
+  return summary || text;
+};
+
+export default {
+  BODY_REGIONS,
+  SYMPTOM_ONSETS,
+  SYMPTOM_DURATIONS,
+  SYMPTOM_FREQUENCIES,
+  DEFAULT_SYMPTOM_CATALOGUE,
+  searchSymptomCatalogue,
+  createStructuredSymptom,
+  getSymptomOnset,
+  describeSymptomDetails,
+  describeStructuredSymptom,
+  buildSymptomsText,
+};